@@ -0,0 +1,261 @@
+// Corporate Buzzword Translator - Buzzword Relations
+// Cross-references between entries: `related`, `opposite`, `broader` and `narrower` list the
+// phrases of other entries. Links only need to be written on one side; the other side is
+// filled in here ("bleeding edge" related to "cutting edge" makes it related back, and a
+// `broader` link appears as `narrower` on its target). Also lays the links out as a graph.
+
+// Link type -> the type it shows up as on the linked entry
+const RELATION_TYPES = {
+  related: { inverse: 'related', label: 'Related' },
+  opposite: { inverse: 'opposite', label: 'Opposite' },
+  broader: { inverse: 'narrower', label: 'Broader' },
+  narrower: { inverse: 'broader', label: 'Narrower' }
+};
+
+// Force-directed layout settings; iterations trade accuracy for time on large graphs
+const GRAPH_LAYOUT = {
+  iterations: 300,
+  padding: 40,
+  gravity: 0.05 // pull toward the middle, so unlinked clusters do not drift to the edges
+};
+
+class BuzzwordRelations {
+  // buzzwords: dictionary entries; links to phrases not in it are kept in `unresolved`
+  constructor(buzzwords) {
+    if (!buzzwords || !Array.isArray(buzzwords)) {
+      throw new Error('Invalid buzzwords database provided to relations');
+    }
+
+    this.entries = new Map(); // lowercase phrase -> entry
+    this.links = new Map(); // lowercase phrase -> { type: [lowercase phrases] }
+    this.unresolved = []; // [{ phrase, type, target }]
+
+    buzzwords.forEach(entry => {
+      if (entry && typeof entry.phrase === 'string') {
+        this.entries.set(this.key(entry.phrase), entry);
+      }
+    });
+
+    buzzwords.forEach(entry => {
+      if (!entry || typeof entry.phrase !== 'string') {
+        return;
+      }
+
+      Object.keys(RELATION_TYPES).forEach(type => {
+        (Array.isArray(entry[type]) ? entry[type] : []).forEach(target => {
+          const source = this.key(entry.phrase);
+          const targetKey = this.key(target);
+
+          if (!this.entries.has(targetKey)) {
+            this.unresolved.push({ phrase: entry.phrase, type: type, target: String(target) });
+          } else if (targetKey !== source) {
+            this.addLink(source, type, targetKey);
+            this.addLink(targetKey, RELATION_TYPES[type].inverse, source);
+          }
+        });
+      });
+    });
+  }
+
+  // Phrases are matched ignoring case and surrounding spaces
+  key(phrase) {
+    return String(phrase).toLowerCase().trim();
+  }
+
+  addLink(source, type, target) {
+    if (!this.links.has(source)) {
+      this.links.set(source, {});
+    }
+
+    const byType = this.links.get(source);
+    byType[type] = byType[type] || [];
+    if (!byType[type].includes(target)) {
+      byType[type].push(target);
+    }
+  }
+
+  // Linked entries of a phrase, by type
+  // Returns { related: [entries], opposite: [...], broader: [...], narrower: [...] }
+  linksFor(phrase) {
+    const byType = this.links.get(this.key(phrase)) || {};
+    const links = {};
+
+    Object.keys(RELATION_TYPES).forEach(type => {
+      links[type] = (byType[type] || []).map(target => this.entries.get(target));
+    });
+    return links;
+  }
+
+  // Number of distinct entries a phrase links to
+  degree(phrase) {
+    const byType = this.links.get(this.key(phrase)) || {};
+    return new Set([].concat(...Object.values(byType))).size;
+  }
+
+  // Every link once: related and opposite pairs in either direction, broader links pointing
+  // from the narrower entry to the broader one
+  // Returns [{ source, target, type }] with lowercase phrases
+  edges() {
+    const edges = [];
+    const seen = new Set();
+
+    this.links.forEach((byType, source) => {
+      Object.keys(byType).forEach(type => {
+        byType[type].forEach(target => {
+          const edge = type === 'narrower'
+            ? { source: target, target: source, type: 'broader' }
+            : { source: source, target: target, type: type };
+          const id = edge.type === 'broader'
+            ? `${edge.type}:${edge.source}>${edge.target}`
+            : `${edge.type}:${[edge.source, edge.target].sort().join('|')}`;
+
+          if (!seen.has(id)) {
+            seen.add(id);
+            edges.push(edge);
+          }
+        });
+      });
+    });
+
+    return edges;
+  }
+
+  // The linked entries as a graph: all of them, or those within `depth` links of a phrase
+  // Returns { nodes: [{ id, entry, degree, distance }], edges: [{ source, target, type }] }
+  // where distance is the number of links from the phrase (0 for every node without one)
+  graph(phrase = null, depth = 2) {
+    const edges = this.edges();
+    const distances = new Map();
+
+    if (phrase) {
+      const start = this.key(phrase);
+      if (!this.entries.has(start)) {
+        return { nodes: [], edges: [] };
+      }
+
+      // Breadth-first walk out from the phrase
+      distances.set(start, 0);
+      let frontier = [start];
+      for (let step = 1; step <= depth && frontier.length > 0; step++) {
+        const next = [];
+        frontier.forEach(id => {
+          edges.forEach(edge => {
+            const other = edge.source === id ? edge.target : (edge.target === id ? edge.source : null);
+            if (other && !distances.has(other)) {
+              distances.set(other, step);
+              next.push(other);
+            }
+          });
+        });
+        frontier = next;
+      }
+    } else {
+      this.links.forEach((byType, id) => distances.set(id, 0));
+    }
+
+    return {
+      nodes: [...distances.keys()].sort().map(id => ({
+        id: id,
+        entry: this.entries.get(id),
+        degree: this.degree(id),
+        distance: distances.get(id)
+      })),
+      edges: edges.filter(edge => distances.has(edge.source) && distances.has(edge.target))
+    };
+  }
+
+  // Place graph nodes in a width x height box with a force-directed layout: linked nodes
+  // attract, all nodes repel, and everything is pulled gently toward the middle. Starts from
+  // a circle so the same graph always lands the same way.
+  // options.center: node id to pin in the middle
+  // Returns a Map of node id -> { x, y }
+  layout(graph, width, height, options = {}) {
+    const positions = new Map();
+    const { nodes, edges } = graph;
+    const padding = options.padding !== undefined ? options.padding : GRAPH_LAYOUT.padding;
+    const iterations = options.iterations || GRAPH_LAYOUT.iterations;
+
+    if (nodes.length === 0) {
+      return positions;
+    }
+
+    const cx = width / 2;
+    const cy = height / 2;
+    const radius = Math.min(width, height) / 2 - padding;
+
+    nodes.forEach((node, i) => {
+      const angle = (2 * Math.PI * i) / nodes.length;
+      positions.set(node.id, { x: cx + radius * Math.cos(angle), y: cy + radius * Math.sin(angle) });
+    });
+
+    if (options.center && positions.has(options.center)) {
+      positions.set(options.center, { x: cx, y: cy });
+    }
+
+    // Fruchterman-Reingold with a cooling step size
+    const ideal = Math.sqrt(((width - 2 * padding) * (height - 2 * padding)) / nodes.length);
+    let temperature = Math.min(width, height) / 10;
+
+    for (let step = 0; step < iterations; step++) {
+      const shifts = new Map(nodes.map(node => [node.id, { x: 0, y: 0 }]));
+
+      for (let i = 0; i < nodes.length; i++) {
+        for (let j = i + 1; j < nodes.length; j++) {
+          const a = positions.get(nodes[i].id);
+          const b = positions.get(nodes[j].id);
+          const dx = a.x - b.x || 0.01;
+          const dy = a.y - b.y || 0.01;
+          const distance = Math.sqrt(dx * dx + dy * dy);
+          const force = (ideal * ideal) / distance;
+
+          shifts.get(nodes[i].id).x += (dx / distance) * force;
+          shifts.get(nodes[i].id).y += (dy / distance) * force;
+          shifts.get(nodes[j].id).x -= (dx / distance) * force;
+          shifts.get(nodes[j].id).y -= (dy / distance) * force;
+        }
+      }
+
+      edges.forEach(edge => {
+        const a = positions.get(edge.source);
+        const b = positions.get(edge.target);
+        const dx = a.x - b.x;
+        const dy = a.y - b.y;
+        const distance = Math.sqrt(dx * dx + dy * dy) || 0.01;
+        const force = (distance * distance) / ideal;
+
+        shifts.get(edge.source).x -= (dx / distance) * force;
+        shifts.get(edge.source).y -= (dy / distance) * force;
+        shifts.get(edge.target).x += (dx / distance) * force;
+        shifts.get(edge.target).y += (dy / distance) * force;
+      });
+
+      nodes.forEach(node => {
+        if (node.id === options.center) {
+          return;
+        }
+
+        const shift = shifts.get(node.id);
+        const position = positions.get(node.id);
+        shift.x -= (position.x - cx) * ideal * GRAPH_LAYOUT.gravity;
+        shift.y -= (position.y - cy) * ideal * GRAPH_LAYOUT.gravity;
+
+        const length = Math.sqrt(shift.x * shift.x + shift.y * shift.y) || 1;
+        position.x = Math.min(width - padding, Math.max(padding, position.x + (shift.x / length) * Math.min(length, temperature)));
+        position.y = Math.min(height - padding, Math.max(padding, position.y + (shift.y / length) * Math.min(length, temperature)));
+      });
+
+      temperature = Math.max(1, temperature * 0.98);
+    }
+
+    return positions;
+  }
+}
+
+BuzzwordRelations.TYPES = RELATION_TYPES;
+
+// Export the relations for use in Node scripts and the browser
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = BuzzwordRelations;
+} else if (typeof window !== 'undefined') {
+  window.BuzzwordRelations = BuzzwordRelations;
+}
@@ -1,721 +1,2408 @@
 // Corporate Buzzword Database
 // Comprehensive collection of corporate jargon and their plain English translations
+// Translations may also be given per locale ({ en, de, es }); see dictionary-locales.js
+
+// Bump with every release that adds or changes entries, and date those entries with `added`
+// or `updated` (see dictionary-changelog.js); keep dictionaries/manifest.json in step
+const DICTIONARY_VERSION = '1.1.0';
 
 const buzzwords = [
   // A-C
   {
     phrase: "actionable insights",
-    translation: "useful information you can act on",
+    translation: {
+      en: "useful information you can act on",
+      de: "nützliche Informationen, auf deren Grundlage man handeln kann",
+      es: "información útil con la que se puede actuar"
+    },
     keywords: ["actionable", "insights", "useful", "information", "act"],
     category: "analysis",
-    alternatives: ["useful data", "practical information"],
-    context: "Data or analysis that leads to specific actions or decisions"
+    alternatives: {
+      en: ["useful data", "practical information"],
+      de: ["nützliche Daten", "praktische Informationen"],
+      es: ["datos útiles", "información práctica"]
+    },
+    context: {
+      en: "Data or analysis that leads to specific actions or decisions",
+      de: "Daten oder Analysen, aus denen sich konkrete Maßnahmen oder Entscheidungen ableiten lassen",
+      es: "Datos o análisis que llevan a acciones o decisiones concretas"
+    },
+    frequency: "common",
+    cringe: 3
   },
   {
     phrase: "agile methodology",
-    translation: "flexible project management approach",
+    translation: {
+      en: "flexible project management approach",
+      de: "flexibler Ansatz für Projektmanagement",
+      es: "enfoque flexible de gestión de proyectos"
+    },
     keywords: ["agile", "methodology", "flexible", "iterative", "scrum"],
     category: "methodology",
-    alternatives: ["flexible approach", "iterative development"],
-    context: "A project management approach that emphasizes flexibility and collaboration"
+    alternatives: {
+      en: ["flexible approach", "iterative development"],
+      de: ["flexibles Vorgehen", "iterative Entwicklung"],
+      es: ["enfoque flexible", "desarrollo iterativo"]
+    },
+    context: {
+      en: "A project management approach that emphasizes flexibility and collaboration",
+      de: "Ein Ansatz für Projektmanagement, der auf Flexibilität und Zusammenarbeit setzt",
+      es: "Un enfoque de gestión de proyectos que prioriza la flexibilidad y la colaboración"
+    },
+    origin: "From the Manifesto for Agile Software Development, written by a group of seventeen developers in 2001",
+    era: "2000s",
+    examples: [
+      "We're moving the whole department to an agile methodology next quarter.",
+      "Under our agile methodology the scope changes every two weeks."
+    ],
+    frequency: "common",
+    cringe: 2,
+    related: ["iterate", "lean methodology"]
   },
   {
     phrase: "alignment",
-    translation: "agreement on goals and direction",
+    translation: {
+      en: "agreement on goals and direction",
+      de: "Einigkeit über Ziele und Richtung",
+      es: "acuerdo sobre metas y rumbo"
+    },
     keywords: ["alignment", "agreement", "goals", "direction", "sync"],
     category: "collaboration",
-    alternatives: ["agreement", "coordination"],
-    context: "Ensuring everyone is working toward the same objectives"
+    alternatives: {
+      en: ["agreement", "coordination"],
+      de: ["Einigkeit", "Abstimmung"],
+      es: ["acuerdo", "coordinación"]
+    },
+    context: {
+      en: "Ensuring everyone is working toward the same objectives",
+      de: "Sicherstellen, dass alle auf dieselben Ziele hinarbeiten",
+      es: "Asegurarse de que todos trabajen hacia los mismos objetivos"
+    },
+    frequency: "common",
+    cringe: 2,
+    related: ["buy-in"]
   },
   {
     phrase: "at the end of the day",
-    translation: "ultimately or when everything is considered",
+    translation: {
+      en: "ultimately or when everything is considered",
+      de: "letztendlich, wenn man alles bedenkt",
+      es: "en resumen, al final de cuentas"
+    },
     keywords: ["end", "day", "ultimately", "final", "conclusion"],
-    category: "summary",
-    alternatives: ["ultimately", "in the end"],
-    context: "Used to introduce a final point or conclusion"
+    category: "communication",
+    alternatives: {
+      en: ["ultimately", "in the end"],
+      de: ["letztlich", "am Ende"],
+      es: ["en definitiva", "al final"]
+    },
+    context: {
+      en: "Used to introduce a final point or conclusion",
+      de: "Leitet einen abschließenden Punkt oder ein Fazit ein",
+      es: "Se usa para introducir un último punto o una conclusión"
+    },
+    frequency: "common",
+    cringe: 3
   },
   {
     phrase: "bandwidth",
-    translation: "available time or capacity",
+    translation: {
+      en: "available time or capacity",
+      de: "verfügbare Zeit oder Kapazität",
+      es: "tiempo o capacidad disponible"
+    },
     keywords: ["bandwidth", "time", "capacity", "availability"],
-    category: "resources",
-    alternatives: ["capacity", "availability"],
-    context: "Refers to someone's ability to take on additional work or responsibilities",
+    category: "productivity",
+    alternatives: {
+      en: ["capacity", "availability"],
+      de: ["Kapazität", "Verfügbarkeit"],
+      es: ["capacidad", "disponibilidad"]
+    },
+    context: {
+      en: "Refers to someone's ability to take on additional work or responsibilities",
+      de: "Bezeichnet, ob jemand zusätzliche Arbeit oder Verantwortung übernehmen kann",
+      es: "Se refiere a si alguien puede asumir más trabajo o responsabilidades"
+    },
+    origin: "Borrowed from telecommunications, where it is how much data a channel can carry",
+    era: "1990s",
+    examples: [
+      "I don't have the bandwidth to take on another project right now.",
+      "Let's check whether the team has bandwidth before we commit to a date."
+    ],
+    frequency: "common",
+    cringe: 3,
     multipleMeanings: [
       {
-        translation: "data transmission capacity",
-        context: "In technology, the maximum rate of data transfer across a network"
+        domain: "tech",
+        translation: {
+          en: "data transmission capacity",
+          de: "Datenübertragungskapazität",
+          es: "capacidad de transmisión de datos"
+        },
+        context: {
+          en: "In technology, the maximum rate of data transfer across a network",
+          de: "In der Technik die maximale Datenübertragungsrate in einem Netzwerk",
+          es: "En tecnología, la velocidad máxima de transferencia de datos en una red"
+        }
       }
-    ]
+    ],
+    updated: "2026-10-19"
   },
   {
     phrase: "best practice",
-    translation: "the most effective way to do something",
+    translation: {
+      en: "the most effective way to do something",
+      de: "die wirksamste Art, etwas zu tun",
+      es: "la forma más eficaz de hacer algo"
+    },
     keywords: ["best", "practice", "effective", "standard", "optimal"],
     category: "methodology",
-    alternatives: ["standard approach", "proven method"],
-    context: "Methods or techniques that have proven to be most effective"
+    alternatives: {
+      en: ["standard approach", "proven method"],
+      de: ["übliches Vorgehen", "bewährte Methode"],
+      es: ["enfoque estándar", "método probado"]
+    },
+    context: {
+      en: "Methods or techniques that have proven to be most effective",
+      de: "Methoden oder Techniken, die sich als am wirksamsten erwiesen haben",
+      es: "Métodos o técnicas que han demostrado ser los más eficaces"
+    },
+    frequency: "common",
+    cringe: 1
   },
   {
     phrase: "big picture",
-    translation: "overall view or long-term perspective",
+    translation: {
+      en: "overall view or long-term perspective",
+      de: "Gesamtbild oder langfristige Sicht",
+      es: "visión general o de largo plazo"
+    },
     keywords: ["big", "picture", "overall", "perspective", "strategic"],
-    category: "perspective",
-    alternatives: ["overall view", "strategic perspective"],
-    context: "Looking at the broader context rather than focusing on details"
+    category: "scope",
+    alternatives: {
+      en: ["overall view", "strategic perspective"],
+      de: ["Gesamtsicht", "strategische Perspektive"],
+      es: ["visión general", "perspectiva estratégica"]
+    },
+    context: {
+      en: "Looking at the broader context rather than focusing on details",
+      de: "Den größeren Zusammenhang betrachten, statt sich auf Details zu konzentrieren",
+      es: "Mirar el contexto amplio en lugar de centrarse en los detalles"
+    },
+    frequency: "common",
+    cringe: 1,
+    related: ["holistic", "north star"]
   },
   {
     phrase: "bleeding edge",
-    translation: "the very latest technology or innovation",
+    variants: ["bleeding-edge"],
+    translation: {
+      en: "the very latest technology or innovation",
+      de: "allerneueste Technik oder Innovation",
+      es: "la tecnología o innovación más reciente"
+    },
     keywords: ["bleeding", "edge", "latest", "technology", "cutting"],
     category: "innovation",
-    alternatives: ["cutting edge", "latest technology"],
-    context: "Technology or methods that are so new they may still have problems"
+    alternatives: {
+      en: ["cutting edge", "latest technology"],
+      de: ["neueste Technik", "allerneueste Technologie"],
+      es: ["tecnología de punta", "lo último en tecnología"]
+    },
+    context: {
+      en: "Technology or methods that are so new they may still have problems",
+      de: "Technologie oder Methoden, die so neu sind, dass sie noch Probleme haben können",
+      es: "Tecnología o métodos tan nuevos que todavía pueden dar problemas"
+    },
+    origin: "A play on \"cutting edge\": technology so new that the people who adopt it first get hurt",
+    era: "1980s",
+    examples: [
+      "That framework is bleeding edge, so expect to debug it yourself.",
+      "We'd rather not be on the bleeding edge for our billing system."
+    ],
+    frequency: "occasional",
+    cringe: 3,
+    related: ["cutting edge"]
   },
   {
     phrase: "blue sky thinking",
-    translation: "creative thinking without constraints",
+    variants: ["blue-sky thinking"],
+    translation: {
+      en: "creative thinking without constraints",
+      de: "kreatives Denken ohne Einschränkungen",
+      es: "pensamiento creativo sin restricciones"
+    },
     keywords: ["blue", "sky", "thinking", "creative", "unconstrained"],
     category: "innovation",
-    alternatives: ["creative brainstorming", "unconstrained thinking"],
-    context: "Brainstorming without worrying about practical limitations"
+    alternatives: {
+      en: ["creative brainstorming", "unconstrained thinking"],
+      de: ["kreatives Brainstorming", "Denken ohne Grenzen"],
+      es: ["lluvia de ideas creativa", "pensamiento sin límites"]
+    },
+    context: {
+      en: "Brainstorming without worrying about practical limitations",
+      de: "Brainstorming, ohne sich um praktische Einschränkungen zu kümmern",
+      es: "Lluvia de ideas sin preocuparse por las limitaciones prácticas"
+    },
+    frequency: "occasional",
+    cringe: 4,
+    related: ["ideate"]
   },
   {
     phrase: "boil the ocean",
-    translation: "attempt an impossible or overly complex task",
+    translation: {
+      en: "attempt an impossible or overly complex task",
+      de: "eine unmögliche oder viel zu komplexe Aufgabe angehen",
+      es: "intentar una tarea imposible o demasiado compleja"
+    },
     keywords: ["boil", "ocean", "impossible", "complex", "overwhelming"],
     category: "scope",
-    alternatives: ["overreach", "bite off more than you can chew"],
-    context: "Taking on a task that's far too large or complex to be practical"
+    alternatives: {
+      en: ["overreach", "bite off more than you can chew"],
+      de: ["sich übernehmen", "sich zu viel vornehmen"],
+      es: ["abarcar demasiado", "querer abarcarlo todo"]
+    },
+    context: {
+      en: "Taking on a task that's far too large or complex to be practical",
+      de: "Eine Aufgabe angehen, die viel zu groß oder zu komplex ist, um machbar zu sein",
+      es: "Emprender una tarea demasiado grande o compleja para ser práctica"
+    },
+    examples: [
+      "Let's not boil the ocean; just fix the checkout page first.",
+      "Trying to clean up every data source at once is boiling the ocean."
+    ],
+    frequency: "occasional",
+    cringe: 3,
+    opposite: ["low hanging fruit"]
   },
   {
     phrase: "buy-in",
-    translation: "agreement and support from others",
+    variants: ["buy in"],
+    translation: {
+      en: "agreement and support from others",
+      de: "Zustimmung und Unterstützung von anderen",
+      es: "aceptación y apoyo de los demás"
+    },
     keywords: ["buy", "in", "agreement", "support", "approval"],
-    category: "approval",
-    alternatives: ["support", "agreement"],
-    context: "Getting others to agree with and support a decision or plan"
+    category: "collaboration",
+    alternatives: {
+      en: ["support", "agreement"],
+      de: ["Unterstützung", "Zustimmung"],
+      es: ["apoyo", "acuerdo"]
+    },
+    context: {
+      en: "Getting others to agree with and support a decision or plan",
+      de: "Andere dazu bringen, einer Entscheidung oder einem Plan zuzustimmen und ihn mitzutragen",
+      es: "Conseguir que otros estén de acuerdo con una decisión o un plan y lo apoyen"
+    },
+    frequency: "common",
+    cringe: 2
   },
   {
     phrase: "circle back",
-    translation: "discuss this later",
+    variants: ["circling back", "circled back"],
+    translation: {
+      en: "discuss this later",
+      de: "später darüber reden",
+      es: "hablarlo más tarde"
+    },
     keywords: ["circle", "back", "later", "discuss", "return"],
     category: "communication",
-    alternatives: ["follow up", "revisit"],
-    context: "Used to postpone a discussion or decision to a future time"
+    alternatives: {
+      en: ["follow up", "revisit"],
+      de: ["nachfassen", "wieder aufgreifen"],
+      es: ["dar seguimiento", "retomar"]
+    },
+    context: {
+      en: "Used to postpone a discussion or decision to a future time",
+      de: "Verschiebt eine Diskussion oder Entscheidung auf später",
+      es: "Se usa para aplazar una conversación o decisión para más adelante"
+    },
+    examples: [
+      "Let me circle back with you once I've talked to finance.",
+      "Can we circle back on this after the launch?"
+    ],
+    frequency: "common",
+    cringe: 4,
+    related: ["table this", "let's take this offline", "touch base"]
   },
   {
     phrase: "circle the wagons",
-    translation: "defend against criticism or attack",
+    translation: {
+      en: "defend against criticism or attack",
+      de: "sich gegen Kritik oder Angriffe verteidigen",
+      es: "defenderse de críticas o ataques"
+    },
     keywords: ["circle", "wagons", "defend", "protect", "criticism"],
-    category: "defense",
-    alternatives: ["defend", "protect"],
-    context: "Taking a defensive position when facing external pressure"
+    category: "culture",
+    alternatives: {
+      en: ["defend", "protect"],
+      de: ["sich verteidigen", "sich schützen"],
+      es: ["defenderse", "protegerse"]
+    },
+    context: {
+      en: "Taking a defensive position when facing external pressure",
+      de: "In die Defensive gehen, wenn Druck von außen kommt",
+      es: "Adoptar una postura defensiva ante la presión externa"
+    },
+    origin: "From wagon trains in the American West, which formed a ring to defend themselves when attacked",
+    examples: [
+      "After the audit findings leaked, leadership circled the wagons.",
+      "Instead of circling the wagons, let's admit the release slipped."
+    ],
+    frequency: "rare",
+    cringe: 3
   },
   {
     phrase: "core competency",
-    translation: "main strength or expertise",
+    translation: {
+      en: "main strength or expertise",
+      de: "größte Stärke oder Kompetenz",
+      es: "principal fortaleza o especialidad"
+    },
     keywords: ["core", "competency", "strength", "expertise", "skill"],
-    category: "capability",
-    alternatives: ["main strength", "key skill"],
-    context: "The primary area where an organization or person excels"
+    category: "leadership",
+    alternatives: {
+      en: ["main strength", "key skill"],
+      de: ["größte Stärke", "Schlüsselkompetenz"],
+      es: ["principal fortaleza", "habilidad clave"]
+    },
+    context: {
+      en: "The primary area where an organization or person excels",
+      de: "Der Bereich, in dem eine Organisation oder Person am stärksten ist",
+      es: "El área en la que una organización o persona destaca más"
+    },
+    origin: "From C. K. Prahalad and Gary Hamel's 1990 Harvard Business Review article \"The Core Competence of the Corporation\"",
+    era: "1990s",
+    examples: [
+      "Payroll isn't our core competency, so we outsource it.",
+      "Let's focus on our core competency and partner for the rest."
+    ],
+    frequency: "occasional",
+    cringe: 3,
+    related: ["wheelhouse"]
   },
   {
     phrase: "customer-centric",
-    translation: "focused on customer needs",
+    variants: ["customer centric", "customer-centered"],
+    translation: {
+      en: "focused on customer needs",
+      de: "auf die Bedürfnisse der Kunden ausgerichtet",
+      es: "enfocado en las necesidades del cliente"
+    },
     keywords: ["customer", "centric", "focused", "needs", "oriented"],
     category: "strategy",
-    alternatives: ["customer-focused", "customer-oriented"],
-    context: "Putting customer needs at the center of business decisions"
+    alternatives: {
+      en: ["customer-focused", "customer-oriented"],
+      de: ["kundenfokussiert", "kundenorientiert"],
+      es: ["enfocado en el cliente", "orientado al cliente"]
+    },
+    context: {
+      en: "Putting customer needs at the center of business decisions",
+      de: "Die Bedürfnisse der Kunden in den Mittelpunkt von Geschäftsentscheidungen stellen",
+      es: "Poner las necesidades del cliente en el centro de las decisiones de negocio"
+    },
+    frequency: "occasional",
+    cringe: 3
+  },
+  {
+    phrase: "cutting edge",
+    variants: ["cutting-edge"],
+    translation: {
+      en: "the most advanced stage of development",
+      de: "der neueste Entwicklungsstand",
+      es: "lo más avanzado en su campo"
+    },
+    keywords: ["cutting", "edge", "advanced", "latest", "modern"],
+    category: "innovation",
+    alternatives: {
+      en: ["state of the art", "leading edge"],
+      de: ["Stand der Technik", "führend"],
+      es: ["vanguardia", "lo más avanzado"]
+    },
+    context: {
+      en: "New but proven enough to rely on, one step behind the bleeding edge",
+      de: "Neu, aber ausgereift genug, um sich darauf zu verlassen; einen Schritt hinter dem „bleeding edge“",
+      es: "Nuevo, pero lo bastante probado como para confiar en ello; un paso por detrás del «bleeding edge»"
+    },
+    frequency: "common",
+    cringe: 2,
+    added: "2026-10-19"
   },
   // D-F
   {
     phrase: "data-driven",
-    translation: "making decisions based on data analysis",
+    variants: ["data driven"],
+    translation: {
+      en: "making decisions based on data analysis",
+      de: "Entscheidungen auf Grundlage von Datenanalysen treffen",
+      es: "tomar decisiones basadas en el análisis de datos"
+    },
     keywords: ["data", "driven", "analysis", "metrics", "evidence"],
     category: "methodology",
-    alternatives: ["evidence-based", "metrics-driven"],
-    context: "Using data and analytics to guide decision-making"
+    alternatives: {
+      en: ["evidence-based", "metrics-driven"],
+      de: ["evidenzbasiert", "kennzahlengetrieben"],
+      es: ["basado en evidencia", "guiado por métricas"]
+    },
+    context: {
+      en: "Using data and analytics to guide decision-making",
+      de: "Entscheidungen anhand von Daten und Analysen treffen",
+      es: "Usar datos y análisis para orientar la toma de decisiones"
+    },
+    frequency: "common",
+    cringe: 2
   },
   {
     phrase: "deep dive",
-    translation: "thorough analysis or investigation",
+    variants: ["deep-dive"],
+    translation: {
+      en: "thorough analysis or investigation",
+      de: "gründliche Analyse oder Untersuchung",
+      es: "análisis o investigación a fondo"
+    },
     keywords: ["deep", "dive", "analysis", "thorough", "investigate"],
     category: "analysis",
-    alternatives: ["detailed analysis", "comprehensive review"],
-    context: "An in-depth examination of a topic or problem"
+    alternatives: {
+      en: ["detailed analysis", "comprehensive review"],
+      de: ["detaillierte Analyse", "gründliche Prüfung"],
+      es: ["análisis detallado", "revisión exhaustiva"]
+    },
+    context: {
+      en: "An in-depth examination of a topic or problem",
+      de: "Eine eingehende Untersuchung eines Themas oder Problems",
+      es: "Un examen a fondo de un tema o problema"
+    },
+    examples: [
+      "Let's do a deep dive on the churn numbers before Friday.",
+      "I've scheduled a two-hour deep dive into the new pricing model."
+    ],
+    frequency: "common",
+    cringe: 3,
+    related: ["drill down", "double-click", "unpack"],
+    opposite: ["big picture"]
   },
   {
     phrase: "deliverable",
-    translation: "something that must be completed or provided",
+    translation: {
+      en: "something that must be completed or provided",
+      de: "etwas, das fertiggestellt oder geliefert werden muss",
+      es: "algo que se debe terminar o entregar"
+    },
     keywords: ["deliverable", "completed", "provided", "output"],
-    category: "output",
-    alternatives: ["output", "result"],
-    context: "A specific item or result that needs to be produced"
+    category: "productivity",
+    alternatives: {
+      en: ["output", "result"],
+      de: ["Ergebnis", "Arbeitsergebnis"],
+      es: ["producto", "resultado"]
+    },
+    context: {
+      en: "A specific item or result that needs to be produced",
+      de: "Ein bestimmtes Ergebnis oder Teil, das erstellt werden muss",
+      es: "Un elemento o resultado concreto que hay que entregar"
+    },
+    frequency: "common",
+    cringe: 2,
+    multipleMeanings: [
+      {
+        domain: "legal",
+        translation: {
+          en: "something a contract says you must hand over",
+          de: "etwas, das man laut Vertrag abliefern muss",
+          es: "algo que un contrato obliga a entregar"
+        },
+        context: {
+          en: "Statements of work list each deliverable with a due date and what counts as accepted",
+          de: "Leistungsbeschreibungen führen jedes Ergebnis mit Fälligkeitsdatum und Abnahmekriterien auf",
+          es: "Los contratos de servicios enumeran cada entregable con su fecha límite y lo que se considera aceptado"
+        }
+      }
+    ],
+    updated: "2026-10-19"
   },
   {
     phrase: "digital transformation",
-    translation: "adopting digital technology across business",
+    translation: {
+      en: "adopting digital technology across business",
+      de: "digitale Technik im ganzen Unternehmen einführen",
+      es: "adoptar tecnología digital en toda la empresa"
+    },
     keywords: ["digital", "transformation", "technology", "modernization"],
-    category: "technology",
-    alternatives: ["digitization", "tech modernization"],
-    context: "The process of integrating digital technology into all business areas"
+    category: "product",
+    alternatives: {
+      en: ["digitization", "tech modernization"],
+      de: ["Digitalisierung", "technische Modernisierung"],
+      es: ["digitalización", "modernización tecnológica"]
+    },
+    context: {
+      en: "The process of integrating digital technology into all business areas",
+      de: "Der Prozess, digitale Technik in alle Geschäftsbereiche zu integrieren",
+      es: "El proceso de integrar la tecnología digital en todas las áreas del negocio"
+    },
+    frequency: "common",
+    cringe: 3,
+    broader: ["paradigm shift"]
   },
   {
     phrase: "disruptive innovation",
-    translation: "innovation that creates new markets",
+    translation: {
+      en: "innovation that creates new markets",
+      de: "Innovation, die neue Märkte schafft",
+      es: "innovación que crea nuevos mercados"
+    },
     keywords: ["disruptive", "innovation", "breakthrough", "revolutionary"],
     category: "innovation",
-    alternatives: ["breakthrough innovation", "game-changing technology"],
-    context: "Innovation that significantly alters or creates entirely new markets"
+    alternatives: {
+      en: ["breakthrough innovation", "game-changing technology"],
+      de: ["bahnbrechende Innovation", "umwälzende Technologie"],
+      es: ["innovación revolucionaria", "tecnología transformadora"]
+    },
+    context: {
+      en: "Innovation that significantly alters or creates entirely new markets",
+      de: "Innovation, die Märkte stark verändert oder ganz neue schafft",
+      es: "Innovación que cambia mucho los mercados o crea otros completamente nuevos"
+    },
+    origin: "Coined by Clayton Christensen, first as \"disruptive technology\" in a 1995 article and then in his 1997 book The Innovator's Dilemma",
+    era: "1990s",
+    examples: [
+      "The board wants a disruptive innovation story for the investor day.",
+      "Calling a new color scheme disruptive innovation is a stretch."
+    ],
+    frequency: "occasional",
+    cringe: 3,
+    related: ["game changer"],
+    broader: ["paradigm shift"]
   },
   {
     phrase: "double-click",
-    translation: "examine something more closely",
+    variants: ["double click"],
+    translation: {
+      en: "examine something more closely",
+      de: "sich etwas genauer ansehen",
+      es: "examinar algo más de cerca"
+    },
     keywords: ["double", "click", "examine", "closer", "detail"],
     category: "analysis",
-    alternatives: ["look closer", "examine in detail"],
-    context: "Taking a closer look at a specific issue or topic"
-  },
-  {
-    phrase: "drinking the Kool-Aid",
-    translation: "blindly accepting company beliefs",
-    keywords: ["drinking", "kool", "aid", "accepting", "beliefs"],
-    category: "culture",
-    alternatives: ["buying in completely", "accepting blindly"],
-    context: "Accepting corporate culture or decisions without question"
+    alternatives: {
+      en: ["look closer", "examine in detail"],
+      de: ["genauer hinsehen", "im Detail prüfen"],
+      es: ["mirar más de cerca", "examinar en detalle"]
+    },
+    context: {
+      en: "Taking a closer look at a specific issue or topic",
+      de: "Ein bestimmtes Problem oder Thema genauer betrachten",
+      es: "Mirar con más detalle un asunto o tema concreto"
+    },
+    origin: "From clicking a mouse button twice to open something and see what is inside",
+    era: "2010s",
+    examples: [
+      "Can we double-click on that revenue dip?",
+      "I'd like to double-click on the hiring plan before we sign off."
+    ],
+    frequency: "occasional",
+    cringe: 4
   },
   {
     phrase: "drill down",
-    translation: "examine something in more detail",
+    translation: {
+      en: "examine something in more detail",
+      de: "etwas im Detail untersuchen",
+      es: "examinar algo con más detalle"
+    },
     keywords: ["drill", "down", "detail", "examine", "analyze"],
     category: "analysis",
-    alternatives: ["dig deeper", "examine closely"],
-    context: "Looking at information at a more granular or detailed level"
+    alternatives: {
+      en: ["dig deeper", "examine closely"],
+      de: ["tiefer graben", "genau prüfen"],
+      es: ["profundizar", "examinar de cerca"]
+    },
+    context: {
+      en: "Looking at information at a more granular or detailed level",
+      de: "Informationen auf einer feineren, detaillierteren Ebene betrachten",
+      es: "Mirar la información a un nivel más fino o detallado"
+    },
+    frequency: "common",
+    cringe: 2,
+    related: ["granular"],
+    opposite: ["big picture"]
+  },
+  {
+    phrase: "drinking the Kool-Aid",
+    variants: ["drink the Kool-Aid", "drank the Kool-Aid"],
+    translation: {
+      en: "blindly accepting company beliefs",
+      de: "Firmenüberzeugungen blind übernehmen",
+      es: "aceptar a ciegas las creencias de la empresa"
+    },
+    keywords: ["drinking", "kool", "aid", "accepting", "beliefs"],
+    category: "culture",
+    alternatives: {
+      en: ["buying in completely", "accepting blindly"],
+      de: ["komplett überzeugt sein", "blind akzeptieren"],
+      es: ["creérselo todo", "aceptar a ciegas"]
+    },
+    context: {
+      en: "Accepting corporate culture or decisions without question",
+      de: "Unternehmenskultur oder Entscheidungen ohne jede Frage hinnehmen",
+      es: "Aceptar la cultura o las decisiones de la empresa sin cuestionarlas"
+    },
+    origin: "Refers to the 1978 Jonestown mass suicide, where cult members drank poisoned fruit punch (in fact the rival brand Flavor Aid)",
+    examples: [
+      "He's been drinking the Kool-Aid since the offsite.",
+      "I like the roadmap, but I'm not drinking the Kool-Aid on the timeline."
+    ],
+    frequency: "occasional",
+    cringe: 4,
+    related: ["evangelize"]
   },
   {
     phrase: "ecosystem",
-    translation: "interconnected network of related things",
+    translation: {
+      en: "interconnected network of related things",
+      de: "vernetztes Geflecht zusammengehöriger Dinge",
+      es: "red interconectada de cosas relacionadas"
+    },
     keywords: ["ecosystem", "network", "connected", "related"],
-    category: "system",
-    alternatives: ["network", "environment"],
-    context: "A complex network of interconnected elements working together"
+    category: "product",
+    alternatives: {
+      en: ["network", "environment"],
+      de: ["Netzwerk", "Umfeld"],
+      es: ["red", "entorno"]
+    },
+    context: {
+      en: "A complex network of interconnected elements working together",
+      de: "Ein komplexes Netz miteinander verbundener Teile, die zusammenwirken",
+      es: "Una red compleja de elementos interconectados que funcionan juntos"
+    },
+    frequency: "common",
+    cringe: 3,
+    multipleMeanings: [
+      {
+        domain: "tech",
+        translation: {
+          en: "a platform and the apps and partners built around it",
+          de: "eine Plattform und die Apps und Partner, die darauf aufbauen",
+          es: "una plataforma y las aplicaciones y socios que la rodean"
+        },
+        context: {
+          en: "As in an app store, its developers and the accessories that work with it",
+          de: "Wie ein App-Store, seine Entwickler und das passende Zubehör",
+          es: "Como una tienda de aplicaciones, sus desarrolladores y los accesorios compatibles"
+        }
+      }
+    ],
+    updated: "2026-10-19"
   },
   {
     phrase: "elephant in the room",
-    translation: "obvious problem everyone ignores",
+    translation: {
+      en: "obvious problem everyone ignores",
+      de: "offensichtliches Problem, das alle ignorieren",
+      es: "problema evidente que todos ignoran"
+    },
     keywords: ["elephant", "room", "obvious", "problem", "ignore"],
-    category: "problems",
-    alternatives: ["obvious issue", "ignored problem"],
-    context: "A major issue that everyone knows about but no one wants to discuss"
+    category: "culture",
+    alternatives: {
+      en: ["obvious issue", "ignored problem"],
+      de: ["offensichtliches Problem", "ignoriertes Problem"],
+      es: ["problema evidente", "problema ignorado"]
+    },
+    context: {
+      en: "A major issue that everyone knows about but no one wants to discuss",
+      de: "Ein großes Problem, von dem alle wissen, über das aber niemand sprechen will",
+      es: "Un problema importante que todos conocen pero del que nadie quiere hablar"
+    },
+    origin: "The image of something too big to miss that everyone politely ignores",
+    examples: [
+      "The elephant in the room is that the budget was cut in half.",
+      "Before we plan next year, can we address the elephant in the room?"
+    ],
+    frequency: "occasional",
+    cringe: 2
   },
   {
     phrase: "empower",
-    translation: "give authority or confidence to act",
+    translation: {
+      en: "give authority or confidence to act",
+      de: "Befugnis oder Selbstvertrauen zum Handeln geben",
+      es: "dar autoridad o confianza para actuar"
+    },
     keywords: ["empower", "authority", "confidence", "enable", "authorize"],
     category: "leadership",
-    alternatives: ["enable", "authorize"],
-    context: "Giving people the authority and confidence to make decisions"
+    alternatives: {
+      en: ["enable", "authorize"],
+      de: ["befähigen", "ermächtigen"],
+      es: ["capacitar", "autorizar"]
+    },
+    context: {
+      en: "Giving people the authority and confidence to make decisions",
+      de: "Menschen die Befugnis und das Selbstvertrauen geben, Entscheidungen zu treffen",
+      es: "Dar a las personas la autoridad y la confianza para tomar decisiones"
+    },
+    frequency: "common",
+    cringe: 3
   },
   {
     phrase: "enabler",
-    translation: "something/someone that makes other things possible",
+    translation: {
+      en: "something/someone that makes other things possible",
+      de: "etwas oder jemand, das anderes erst möglich macht",
+      es: "algo o alguien que hace posibles otras cosas"
+    },
     keywords: ["enabler", "facilitator", "catalyst", "support", "foundation"],
-    category: "support",
-    alternatives: ["facilitator", "catalyst"],
-    context: "A tool, process, or resource that helps achieve other goals"
+    category: "collaboration",
+    alternatives: {
+      en: ["facilitator", "catalyst"],
+      de: ["Wegbereiter", "Katalysator"],
+      es: ["facilitador", "catalizador"]
+    },
+    context: {
+      en: "A tool, process, or resource that helps achieve other goals",
+      de: "Ein Werkzeug, Prozess oder Mittel, das hilft, andere Ziele zu erreichen",
+      es: "Una herramienta, proceso o recurso que ayuda a lograr otros objetivos"
+    },
+    frequency: "occasional",
+    cringe: 3
   },
   {
     phrase: "end-to-end",
-    translation: "covering the complete process",
-    keywords: ["end", "to", "end", "complete", "comprehensive", "full"],
+    variants: ["end to end", "E2E"],
+    translation: {
+      en: "covering the complete process",
+      de: "den gesamten Prozess abdeckend",
+      es: "que abarca todo el proceso"
+    },
+    keywords: ["end", "to", "complete", "comprehensive", "full"],
     category: "scope",
-    alternatives: ["complete", "comprehensive"],
-    context: "Covering every aspect of a process from start to finish"
+    alternatives: {
+      en: ["complete", "comprehensive"],
+      de: ["vollständig", "umfassend"],
+      es: ["completo", "integral"]
+    },
+    context: {
+      en: "Covering every aspect of a process from start to finish",
+      de: "Deckt jeden Teil eines Prozesses vom Anfang bis zum Ende ab",
+      es: "Abarca todos los aspectos de un proceso de principio a fin"
+    },
+    frequency: "common",
+    cringe: 2,
+    related: ["holistic", "seamless"]
   },
   {
     phrase: "evangelize",
-    translation: "promote enthusiastically",
+    translation: {
+      en: "promote enthusiastically",
+      de: "begeistert für etwas werben",
+      es: "promover con entusiasmo"
+    },
     keywords: ["evangelize", "promote", "advocate", "champion", "spread"],
-    category: "promotion",
-    alternatives: ["champion", "advocate for"],
-    context: "Enthusiastically promoting an idea, product, or approach"
+    category: "growth",
+    alternatives: {
+      en: ["champion", "advocate for"],
+      de: ["sich einsetzen für", "werben für"],
+      es: ["defender", "promover"]
+    },
+    context: {
+      en: "Enthusiastically promoting an idea, product, or approach",
+      de: "Eine Idee, ein Produkt oder einen Ansatz mit Begeisterung bewerben",
+      es: "Promover con entusiasmo una idea, un producto o un enfoque"
+    },
+    frequency: "occasional",
+    cringe: 4,
+    multipleMeanings: [
+      {
+        domain: "marketing",
+        translation: {
+          en: "win people over to a product as its public advocate",
+          de: "als öffentlicher Fürsprecher Menschen für ein Produkt gewinnen",
+          es: "ganar adeptos para un producto como su defensor público"
+        },
+        context: {
+          en: "Tech companies hire developer evangelists to promote their platform at talks and online",
+          de: "Technologiefirmen stellen Developer Evangelists ein, die ihre Plattform in Vorträgen und online bewerben",
+          es: "Las empresas tecnológicas contratan a developer evangelists para promocionar su plataforma en charlas y en internet"
+        }
+      }
+    ],
+    updated: "2026-10-19"
   },
   {
     phrase: "facilitate",
-    translation: "help make something happen or easier",
+    translation: {
+      en: "help make something happen or easier",
+      de: "helfen, dass etwas geschieht oder leichter wird",
+      es: "ayudar a que algo suceda o sea más fácil"
+    },
     keywords: ["facilitate", "help", "enable", "assist"],
-    category: "support",
-    alternatives: ["help", "enable"],
-    context: "Making a process or activity easier or more achievable"
+    category: "collaboration",
+    alternatives: {
+      en: ["help", "enable"],
+      de: ["helfen", "ermöglichen"],
+      es: ["ayudar", "hacer posible"]
+    },
+    context: {
+      en: "Making a process or activity easier or more achievable",
+      de: "Einen Prozess oder eine Tätigkeit leichter oder besser machbar machen",
+      es: "Hacer que un proceso o una actividad sea más fácil o alcanzable"
+    },
+    frequency: "common",
+    cringe: 1
   },
   {
     phrase: "fire drill",
-    translation: "urgent but unnecessary activity",
+    translation: {
+      en: "urgent but unnecessary activity",
+      de: "dringende, aber unnötige Hektik",
+      es: "actividad urgente pero innecesaria"
+    },
     keywords: ["fire", "drill", "urgent", "unnecessary", "panic"],
-    category: "urgency",
-    alternatives: ["false alarm", "unnecessary rush"],
-    context: "A situation that seems urgent but is actually not important"
+    category: "productivity",
+    alternatives: {
+      en: ["false alarm", "unnecessary rush"],
+      de: ["falscher Alarm", "unnötige Hektik"],
+      es: ["falsa alarma", "prisa innecesaria"]
+    },
+    context: {
+      en: "A situation that seems urgent but is actually not important",
+      de: "Eine Lage, die dringend wirkt, aber eigentlich nicht wichtig ist",
+      es: "Una situación que parece urgente pero que en realidad no es importante"
+    },
+    frequency: "occasional",
+    cringe: 3
   },
   // G-I
   {
     phrase: "game changer",
-    translation: "something that significantly alters the situation",
+    translation: {
+      en: "something that significantly alters the situation",
+      de: "etwas, das die Lage grundlegend verändert",
+      es: "algo que cambia la situación de manera importante"
+    },
     keywords: ["game", "changer", "significant", "alter", "transform"],
-    category: "impact",
-    alternatives: ["breakthrough", "revolutionary"],
-    context: "An innovation or development that fundamentally changes how things are done"
+    category: "value",
+    alternatives: {
+      en: ["breakthrough", "revolutionary"],
+      de: ["Durchbruch", "revolutionär"],
+      es: ["avance decisivo", "revolucionario"]
+    },
+    context: {
+      en: "An innovation or development that fundamentally changes how things are done",
+      de: "Eine Neuerung, die grundlegend verändert, wie Dinge gemacht werden",
+      es: "Una innovación que cambia por completo la forma de hacer las cosas"
+    },
+    origin: "From sports: a player or play that turns the course of a match",
+    examples: [
+      "The new dashboard is a real game changer for the sales team.",
+      "Honestly, a second monitor would be more of a game changer."
+    ],
+    frequency: "common",
+    cringe: 3
   },
   {
     phrase: "get our ducks in a row",
-    translation: "organize and prepare properly",
+    variants: ["get your ducks in a row", "ducks in a row"],
+    translation: {
+      en: "organize and prepare properly",
+      de: "sich richtig organisieren und vorbereiten",
+      es: "organizarse y prepararse bien"
+    },
     keywords: ["ducks", "row", "organize", "prepare", "ready"],
-    category: "preparation",
-    alternatives: ["get organized", "prepare properly"],
-    context: "Making sure everything is properly organized before proceeding"
+    category: "productivity",
+    alternatives: {
+      en: ["get organized", "prepare properly"],
+      de: ["sich organisieren", "sich gut vorbereiten"],
+      es: ["organizarse", "prepararse bien"]
+    },
+    context: {
+      en: "Making sure everything is properly organized before proceeding",
+      de: "Sicherstellen, dass alles ordentlich vorbereitet ist, bevor es weitergeht",
+      es: "Asegurarse de que todo está bien organizado antes de seguir"
+    },
+    origin: "Often traced to ducklings following their mother in a line, or to setting up the pins in duckpin bowling",
+    examples: [
+      "Let's get our ducks in a row before we present to the client.",
+      "We need to get our ducks in a row on legal before launch."
+    ],
+    frequency: "occasional",
+    cringe: 3
   },
   {
     phrase: "granular",
-    translation: "very detailed or specific",
+    translation: {
+      en: "very detailed or specific",
+      de: "sehr detailliert oder genau",
+      es: "muy detallado o específico"
+    },
     keywords: ["granular", "detailed", "specific", "fine"],
-    category: "detail",
-    alternatives: ["detailed", "specific"],
-    context: "Breaking something down into very small, specific parts"
+    category: "analysis",
+    alternatives: {
+      en: ["detailed", "specific"],
+      de: ["detailliert", "genau"],
+      es: ["detallado", "específico"]
+    },
+    context: {
+      en: "Breaking something down into very small, specific parts",
+      de: "Etwas in sehr kleine, genau bestimmte Teile zerlegen",
+      es: "Descomponer algo en partes muy pequeñas y concretas"
+    },
+    frequency: "common",
+    cringe: 2
   },
   {
     phrase: "growth hacking",
-    translation: "creative marketing for rapid growth",
+    translation: {
+      en: "creative marketing for rapid growth",
+      de: "kreatives Marketing für schnelles Wachstum",
+      es: "marketing creativo para crecer rápido"
+    },
     keywords: ["growth", "hacking", "marketing", "rapid", "creative"],
-    category: "marketing",
-    alternatives: ["rapid growth strategies", "creative marketing"],
-    context: "Using creative, low-cost strategies to help businesses acquire customers"
+    category: "growth",
+    alternatives: {
+      en: ["rapid growth strategies", "creative marketing"],
+      de: ["Strategien für schnelles Wachstum", "kreatives Marketing"],
+      es: ["estrategias de crecimiento rápido", "marketing creativo"]
+    },
+    context: {
+      en: "Using creative, low-cost strategies to help businesses acquire customers",
+      de: "Mit kreativen, günstigen Mitteln Kunden für ein Unternehmen gewinnen",
+      es: "Usar estrategias creativas y de bajo coste para ayudar a las empresas a conseguir clientes"
+    },
+    origin: "Coined by marketer Sean Ellis in 2010 for startup marketing driven by quick experiments",
+    era: "2010s",
+    examples: [
+      "We're hiring a growth hacking lead to double sign-ups.",
+      "Their growth hacking mostly meant spamming everyone's contacts."
+    ],
+    frequency: "rare",
+    cringe: 4
   },
   {
     phrase: "hard stop",
-    translation: "absolute deadline or end time",
+    translation: {
+      en: "absolute deadline or end time",
+      de: "feste Deadline oder festes Ende",
+      es: "fecha límite u hora de término definitiva"
+    },
     keywords: ["hard", "stop", "deadline", "absolute", "firm"],
-    category: "time",
-    alternatives: ["firm deadline", "absolute limit"],
-    context: "A non-negotiable end time or deadline"
+    category: "productivity",
+    alternatives: {
+      en: ["firm deadline", "absolute limit"],
+      de: ["feste Frist", "absolute Grenze"],
+      es: ["plazo fijo", "límite absoluto"]
+    },
+    context: {
+      en: "A non-negotiable end time or deadline",
+      de: "Ein nicht verhandelbares Ende oder eine feste Frist",
+      es: "Una hora de fin o un plazo que no se puede negociar"
+    },
+    frequency: "common",
+    cringe: 2
   },
   {
     phrase: "herding cats",
-    translation: "managing difficult or uncooperative people",
+    translation: {
+      en: "managing difficult or uncooperative people",
+      de: "schwierige oder unkooperative Leute führen",
+      es: "dirigir a personas difíciles o poco cooperativas"
+    },
     keywords: ["herding", "cats", "difficult", "manage", "chaos"],
-    category: "management",
-    alternatives: ["managing chaos", "difficult coordination"],
-    context: "Trying to coordinate people who don't want to be coordinated"
+    category: "leadership",
+    alternatives: {
+      en: ["managing chaos", "difficult coordination"],
+      de: ["Chaos managen", "schwierige Koordination"],
+      es: ["gestionar el caos", "coordinación difícil"]
+    },
+    context: {
+      en: "Trying to coordinate people who don't want to be coordinated",
+      de: "Versuchen, Menschen zu koordinieren, die sich nicht koordinieren lassen wollen",
+      es: "Intentar coordinar a personas que no quieren ser coordinadas"
+    },
+    origin: "Popularized by a 2000 Super Bowl advert for the IT company EDS, in which cowboys drive a herd of cats",
+    examples: [
+      "Getting six departments to agree on a date is like herding cats.",
+      "Running the volunteer committee is mostly herding cats."
+    ],
+    frequency: "occasional",
+    cringe: 2,
+    opposite: ["alignment"]
   },
   {
     phrase: "hit the ground running",
-    translation: "start working effectively immediately",
+    translation: {
+      en: "start working effectively immediately",
+      de: "sofort produktiv loslegen",
+      es: "empezar a trabajar con eficacia desde el primer momento"
+    },
     keywords: ["hit", "ground", "running", "start", "immediately"],
     category: "productivity",
-    alternatives: ["start strong", "begin effectively"],
-    context: "Being able to work productively from the very beginning"
+    alternatives: {
+      en: ["start strong", "begin effectively"],
+      de: ["stark starten", "sofort loslegen"],
+      es: ["empezar con fuerza", "arrancar con eficacia"]
+    },
+    context: {
+      en: "Being able to work productively from the very beginning",
+      de: "Von Anfang an produktiv arbeiten können",
+      es: "Ser capaz de trabajar de forma productiva desde el primer momento"
+    },
+    origin: "Usually traced to soldiers landing from aircraft or boats ready to act at once",
+    examples: [
+      "We need someone who can hit the ground running on day one.",
+      "The new manager hit the ground running and reorganized the team in a week."
+    ],
+    frequency: "common",
+    cringe: 2
   },
   {
     phrase: "holistic",
-    translation: "considering the whole picture",
+    translation: {
+      en: "considering the whole picture",
+      de: "das Ganze berücksichtigend",
+      es: "que considera el panorama completo"
+    },
     keywords: ["holistic", "whole", "complete", "comprehensive"],
-    category: "perspective",
-    alternatives: ["comprehensive", "complete view"],
-    context: "Taking into account all aspects of a situation"
+    category: "scope",
+    alternatives: {
+      en: ["comprehensive", "complete view"],
+      de: ["umfassend", "Gesamtblick"],
+      es: ["integral", "visión completa"]
+    },
+    context: {
+      en: "Taking into account all aspects of a situation",
+      de: "Alle Aspekte einer Situation berücksichtigen",
+      es: "Tener en cuenta todos los aspectos de una situación"
+    },
+    frequency: "common",
+    cringe: 3
   },
   {
     phrase: "ideate",
-    translation: "brainstorm or generate ideas",
+    translation: {
+      en: "brainstorm or generate ideas",
+      de: "Ideen sammeln oder entwickeln",
+      es: "hacer lluvia de ideas o generar ideas"
+    },
     keywords: ["ideate", "brainstorm", "generate", "ideas", "create"],
     category: "innovation",
-    alternatives: ["brainstorm", "think creatively"],
-    context: "The process of forming and developing new ideas"
+    alternatives: {
+      en: ["brainstorm", "think creatively"],
+      de: ["Ideen sammeln", "kreativ denken"],
+      es: ["generar ideas", "pensar de forma creativa"]
+    },
+    context: {
+      en: "The process of forming and developing new ideas",
+      de: "Der Prozess, neue Ideen zu entwickeln und auszuarbeiten",
+      es: "El proceso de formar y desarrollar ideas nuevas"
+    },
+    frequency: "occasional",
+    cringe: 5
   },
   {
     phrase: "impactful",
-    translation: "having a strong effect or influence",
+    translation: {
+      en: "having a strong effect or influence",
+      de: "mit starker Wirkung oder starkem Einfluss",
+      es: "que tiene un efecto o influencia fuerte"
+    },
     keywords: ["impactful", "effective", "influential", "powerful"],
-    category: "impact",
-    alternatives: ["effective", "influential"],
-    context: "Something that creates significant positive change or results"
+    category: "value",
+    alternatives: {
+      en: ["effective", "influential"],
+      de: ["wirksam", "einflussreich"],
+      es: ["eficaz", "influyente"]
+    },
+    context: {
+      en: "Something that creates significant positive change or results",
+      de: "Etwas, das deutliche positive Veränderungen oder Ergebnisse bewirkt",
+      es: "Algo que produce cambios o resultados positivos importantes"
+    },
+    frequency: "common",
+    cringe: 4
   },
   {
     phrase: "in the weeds",
-    translation: "lost in too much detail",
+    translation: {
+      en: "lost in too much detail",
+      de: "in zu vielen Details verloren",
+      es: "perdido en demasiados detalles"
+    },
     keywords: ["weeds", "detail", "lost", "overwhelmed"],
-    category: "focus",
-    alternatives: ["too detailed", "lost in details"],
-    context: "Being so focused on small details that you lose sight of the big picture"
+    category: "analysis",
+    alternatives: {
+      en: ["too detailed", "lost in details"],
+      de: ["zu detailliert", "in Details verloren"],
+      es: ["demasiado detallado", "perdido en los detalles"]
+    },
+    context: {
+      en: "Being so focused on small details that you lose sight of the big picture",
+      de: "So sehr auf Kleinigkeiten fixiert sein, dass man das große Ganze aus den Augen verliert",
+      es: "Estar tan centrado en los detalles que se pierde de vista el panorama general"
+    },
+    origin: "Restaurant slang for a cook or server with more orders than they can keep up with",
+    examples: [
+      "Let's not get in the weeds on formatting during the exec review.",
+      "Sorry for the slow reply, I've been in the weeds all week."
+    ],
+    frequency: "occasional",
+    cringe: 2,
+    related: ["granular"],
+    opposite: ["big picture"]
   },
   {
     phrase: "iterate",
-    translation: "repeat and improve gradually",
+    translation: {
+      en: "repeat and improve gradually",
+      de: "wiederholen und schrittweise verbessern",
+      es: "repetir y mejorar poco a poco"
+    },
     keywords: ["iterate", "repeat", "improve", "refine"],
-    category: "process",
-    alternatives: ["refine", "improve gradually"],
-    context: "Making repeated improvements through cycles of development"
+    category: "methodology",
+    alternatives: {
+      en: ["refine", "improve gradually"],
+      de: ["verfeinern", "schrittweise verbessern"],
+      es: ["refinar", "mejorar poco a poco"]
+    },
+    context: {
+      en: "Making repeated improvements through cycles of development",
+      de: "Durch wiederholte Entwicklungszyklen immer weiter verbessern",
+      es: "Hacer mejoras repetidas mediante ciclos de desarrollo"
+    },
+    frequency: "common",
+    cringe: 1,
+    multipleMeanings: [
+      {
+        domain: "tech",
+        translation: {
+          en: "go through each item in a list",
+          de: "jedes Element einer Liste durchgehen",
+          es: "recorrer cada elemento de una lista"
+        },
+        context: {
+          en: "In programming, running the same code once for every element of a collection",
+          de: "In der Programmierung denselben Code einmal für jedes Element einer Sammlung ausführen",
+          es: "En programación, ejecutar el mismo código una vez por cada elemento de una colección"
+        }
+      }
+    ],
+    updated: "2026-10-19"
   },
   // J-L
   {
     phrase: "jump the shark",
-    translation: "decline in quality after peak success",
+    variants: ["jumped the shark", "jumping the shark"],
+    translation: {
+      en: "decline in quality after peak success",
+      de: "nach dem Höhepunkt an Qualität verlieren",
+      es: "perder calidad después de su mejor momento"
+    },
     keywords: ["jump", "shark", "decline", "quality", "peak"],
-    category: "decline",
-    alternatives: ["past its prime", "declining quality"],
-    context: "When something that was once good starts to decline in quality"
+    category: "culture",
+    alternatives: {
+      en: ["past its prime", "declining quality"],
+      de: ["den Zenit überschritten", "nachlassende Qualität"],
+      es: ["en decadencia", "calidad en declive"]
+    },
+    context: {
+      en: "When something that was once good starts to decline in quality",
+      de: "Wenn etwas, das einmal gut war, in der Qualität nachlässt",
+      es: "Cuando algo que antes era bueno empieza a empeorar"
+    },
+    origin: "From a 1977 episode of Happy Days in which Fonzie jumps over a shark on water skis, long taken as the moment the show went downhill",
+    era: "1990s",
+    examples: [
+      "The quarterly all-hands jumped the shark when they added the talent show.",
+      "That product line jumped the shark two versions ago."
+    ],
+    frequency: "rare",
+    cringe: 2
   },
   {
     phrase: "keep me in the loop",
-    translation: "keep me informed",
+    translation: {
+      en: "keep me informed",
+      de: "halte mich auf dem Laufenden",
+      es: "mantenme informado"
+    },
     keywords: ["keep", "loop", "informed", "updated", "communication"],
     category: "communication",
-    alternatives: ["keep me updated", "keep me informed"],
-    context: "Asking to be included in ongoing communications about a topic"
+    alternatives: {
+      en: ["keep me updated", "keep me informed"],
+      de: ["halte mich auf dem Laufenden", "informiere mich"],
+      es: ["mantenme al día", "mantenme informado"]
+    },
+    context: {
+      en: "Asking to be included in ongoing communications about a topic",
+      de: "Die Bitte, bei der laufenden Kommunikation zu einem Thema einbezogen zu werden",
+      es: "Pedir que te incluyan en las comunicaciones sobre un tema"
+    },
+    frequency: "common",
+    cringe: 1
   },
   {
     phrase: "key performance indicator",
-    translation: "metric used to measure success",
+    variants: ["KPI"],
+    translation: {
+      en: "metric used to measure success",
+      de: "Kennzahl zur Erfolgsmessung",
+      es: "métrica para medir el éxito"
+    },
     keywords: ["key", "performance", "indicator", "kpi", "metric", "measure"],
-    category: "metrics",
-    alternatives: ["success metric", "performance measure"],
-    context: "A measurable value that demonstrates how effectively objectives are achieved"
+    category: "analysis",
+    alternatives: {
+      en: ["success metric", "performance measure"],
+      de: ["Erfolgskennzahl", "Leistungsmaß"],
+      es: ["métrica de éxito", "medida de rendimiento"]
+    },
+    context: {
+      en: "A measurable value that demonstrates how effectively objectives are achieved",
+      de: "Ein messbarer Wert, der zeigt, wie gut Ziele erreicht werden",
+      es: "Un valor medible que muestra en qué medida se alcanzan los objetivos"
+    },
+    frequency: "common",
+    cringe: 1,
+    related: ["actionable insights"],
+    broader: ["data-driven"]
   },
   {
     phrase: "key stakeholder",
-    translation: "important person affected by decisions",
+    translation: {
+      en: "important person affected by decisions",
+      de: "wichtige Person, die von Entscheidungen betroffen ist",
+      es: "persona importante afectada por las decisiones"
+    },
     keywords: ["key", "stakeholder", "important", "affected"],
-    category: "people",
-    alternatives: ["important person", "key player"],
-    context: "Someone who has significant interest or influence in a project"
+    category: "collaboration",
+    alternatives: {
+      en: ["important person", "key player"],
+      de: ["wichtige Person", "Schlüsselfigur"],
+      es: ["persona importante", "actor clave"]
+    },
+    context: {
+      en: "Someone who has significant interest or influence in a project",
+      de: "Jemand mit großem Interesse an einem Projekt oder großem Einfluss darauf",
+      es: "Alguien con mucho interés o influencia en un proyecto"
+    },
+    frequency: "common",
+    cringe: 2
   },
   {
     phrase: "lean methodology",
-    translation: "eliminating waste to improve efficiency",
+    translation: {
+      en: "eliminating waste to improve efficiency",
+      de: "Verschwendung vermeiden, um effizienter zu werden",
+      es: "eliminar el desperdicio para ser más eficiente"
+    },
     keywords: ["lean", "methodology", "waste", "efficiency", "streamline"],
     category: "methodology",
-    alternatives: ["waste elimination", "efficiency improvement"],
-    context: "A systematic method for eliminating waste and improving processes"
+    alternatives: {
+      en: ["waste elimination", "efficiency improvement"],
+      de: ["Verschwendung vermeiden", "Effizienzsteigerung"],
+      es: ["eliminar desperdicios", "mejora de la eficiencia"]
+    },
+    context: {
+      en: "A systematic method for eliminating waste and improving processes",
+      de: "Eine systematische Methode, um Verschwendung zu beseitigen und Abläufe zu verbessern",
+      es: "Un método sistemático para eliminar desperdicios y mejorar los procesos"
+    },
+    origin: "From the Toyota Production System; the word \"lean\" was first used for it by researcher John Krafcik in 1988",
+    era: "1980s",
+    examples: [
+      "We applied lean methodology to the onboarding process and cut it to two days.",
+      "Lean methodology says we should stop building features nobody uses."
+    ],
+    frequency: "occasional",
+    cringe: 2
   },
   {
     phrase: "let's take this offline",
-    translation: "discuss this privately or later",
+    variants: ["take this offline", "take it offline"],
+    translation: {
+      en: "discuss this privately or later",
+      de: "das besprechen wir unter vier Augen oder später",
+      es: "hablemos de esto en privado o más tarde"
+    },
     keywords: ["take", "offline", "private", "later", "separate"],
     category: "communication",
-    alternatives: ["discuss privately", "talk separately"],
-    context: "Moving a conversation away from a group setting"
+    alternatives: {
+      en: ["discuss privately", "talk separately"],
+      de: ["unter vier Augen besprechen", "separat reden"],
+      es: ["hablarlo en privado", "hablarlo aparte"]
+    },
+    context: {
+      en: "Moving a conversation away from a group setting",
+      de: "Ein Gespräch aus der Gruppe herausnehmen",
+      es: "Sacar una conversación del ámbito del grupo"
+    },
+    origin: "From computing, where offline means away from the live connection: here, the meeting",
+    era: "1990s",
+    examples: [
+      "Good question; let's take this offline after the call.",
+      "Let's take this offline so we don't hold up the whole team."
+    ],
+    frequency: "common",
+    cringe: 4
   },
   {
     phrase: "leverage",
-    translation: "use or take advantage of",
+    translation: {
+      en: "use or take advantage of",
+      de: "nutzen oder sich zunutze machen",
+      es: "usar o aprovechar"
+    },
     keywords: ["leverage", "use", "advantage", "utilize"],
     category: "strategy",
-    alternatives: ["use", "utilize"],
-    context: "Making the most of available resources or opportunities",
+    alternatives: {
+      en: ["use", "utilize"],
+      de: ["nutzen", "einsetzen"],
+      es: ["usar", "utilizar"]
+    },
+    context: {
+      en: "Making the most of available resources or opportunities",
+      de: "Verfügbare Ressourcen oder Gelegenheiten bestmöglich nutzen",
+      es: "Aprovechar al máximo los recursos u oportunidades disponibles"
+    },
+    origin: "From mechanics: a lever lets a small force move a large load",
+    examples: [
+      "We can leverage our existing customer base for the launch.",
+      "Let's leverage the work the Berlin team already did."
+    ],
+    frequency: "common",
+    cringe: 4,
     multipleMeanings: [
       {
-        translation: "borrow money to invest",
-        context: "In finance, using borrowed capital to increase potential returns"
+        domain: "finance",
+        translation: {
+          en: "borrow money to invest",
+          de: "Geld leihen, um zu investieren",
+          es: "pedir dinero prestado para invertir"
+        },
+        context: {
+          en: "In finance, using borrowed capital to increase potential returns",
+          de: "In der Finanzwelt geliehenes Kapital nutzen, um mögliche Renditen zu steigern",
+          es: "En finanzas, usar capital prestado para aumentar la rentabilidad potencial"
+        }
       },
       {
-        translation: "mechanical advantage using a lever",
-        context: "The original meaning referring to physical leverage with tools"
+        translation: {
+          en: "mechanical advantage using a lever",
+          de: "mechanischer Vorteil durch einen Hebel",
+          es: "ventaja mecánica mediante una palanca"
+        },
+        context: {
+          en: "The original meaning referring to physical leverage with tools",
+          de: "Die ursprüngliche Bedeutung, die sich auf die Hebelwirkung von Werkzeugen bezieht",
+          es: "El significado original, referido a la palanca física de las herramientas"
+        }
       }
-    ]
+    ],
+    updated: "2026-10-19"
   },
   {
     phrase: "low hanging fruit",
-    translation: "easy tasks or obvious opportunities",
+    variants: ["low-hanging fruit"],
+    translation: {
+      en: "easy tasks or obvious opportunities",
+      de: "einfache Aufgaben oder naheliegende Chancen",
+      es: "tareas fáciles u oportunidades evidentes"
+    },
     keywords: ["low", "hanging", "fruit", "easy", "obvious", "simple"],
     category: "productivity",
-    alternatives: ["quick wins", "easy pickings"],
-    context: "Often used to describe tasks that require minimal effort for maximum impact"
-   },
-   {
-     phrase: "must win battle",
-     translation: "critical initiative that cannot be allowed to fail",
-     keywords: ["must", "win", "battle", "critical", "essential", "priority"],
-     category: "strategy",
-     alternatives: ["critical initiative", "high-stakes priority"],
-     context: "A strategic effort so important that failure would have severe consequences"
-   },
-   // M-O
-   {
-     phrase: "mindshare",
-    translation: "how much people think about your brand",
+    alternatives: {
+      en: ["quick wins", "easy pickings"],
+      de: ["schnelle Erfolge", "leichte Beute"],
+      es: ["victorias rápidas", "objetivos fáciles"]
+    },
+    context: {
+      en: "Often used to describe tasks that require minimal effort for maximum impact",
+      de: "Beschreibt oft Aufgaben, die mit minimalem Aufwand maximale Wirkung erzielen",
+      es: "Suele describir tareas que requieren un esfuerzo mínimo para un impacto máximo"
+    },
+    origin: "From fruit picking: the fruit on the lowest branches can be picked without a ladder",
+    examples: [
+      "Let's go after the low hanging fruit first and fix the typos.",
+      "Renegotiating the software licenses is low hanging fruit."
+    ],
+    frequency: "common",
+    cringe: 4
+  },
+  // M-O
+  {
+    phrase: "mindshare",
+    translation: {
+      en: "how much people think about your brand",
+      de: "wie sehr Menschen an deine Marke denken",
+      es: "cuánto piensa la gente en tu marca"
+    },
     keywords: ["mindshare", "awareness", "attention", "brand"],
-    category: "marketing",
-    alternatives: ["brand awareness", "mental space"],
-    context: "The amount of consumer awareness or popularity a brand has"
+    category: "growth",
+    alternatives: {
+      en: ["brand awareness", "mental space"],
+      de: ["Markenbekanntheit", "Präsenz im Kopf"],
+      es: ["reconocimiento de marca", "espacio mental"]
+    },
+    context: {
+      en: "The amount of consumer awareness or popularity a brand has",
+      de: "Wie bekannt oder beliebt eine Marke bei Verbrauchern ist",
+      es: "El grado de conocimiento o popularidad que tiene una marca entre los consumidores"
+    },
+    frequency: "rare",
+    cringe: 4
   },
   {
     phrase: "minimum viable product",
-    translation: "basic version with core features",
+    variants: ["MVP"],
+    translation: {
+      en: "basic version with core features",
+      de: "einfache Version mit den wichtigsten Funktionen",
+      es: "versión básica con las funciones esenciales"
+    },
     keywords: ["minimum", "viable", "product", "mvp", "basic", "core"],
-    category: "development",
-    alternatives: ["basic version", "prototype"],
-    context: "A product with just enough features to satisfy early customers"
+    category: "product",
+    alternatives: {
+      en: ["basic version", "prototype"],
+      de: ["Basisversion", "Prototyp"],
+      es: ["versión básica", "prototipo"]
+    },
+    context: {
+      en: "A product with just enough features to satisfy early customers",
+      de: "Ein Produkt mit gerade genug Funktionen, um erste Kunden zufriedenzustellen",
+      es: "Un producto con las funciones justas para satisfacer a los primeros clientes"
+    },
+    origin: "Coined by Frank Robinson around 2001 and popularized by Steve Blank and Eric Ries's The Lean Startup",
+    era: "2000s",
+    examples: [
+      "Let's ship a minimum viable product and see if anyone signs up.",
+      "The minimum viable product doesn't need a mobile app."
+    ],
+    frequency: "occasional",
+    cringe: 2,
+    related: ["proof of concept", "iterate"],
+    broader: ["lean methodology"]
   },
   {
     phrase: "move the needle",
-    translation: "make a significant impact",
+    translation: {
+      en: "make a significant impact",
+      de: "spürbar etwas bewirken",
+      es: "lograr un impacto importante"
+    },
     keywords: ["move", "needle", "impact", "significant", "change"],
-    category: "impact",
-    alternatives: ["make a difference", "create impact"],
-    context: "Refers to actions that create measurable, meaningful change"
+    category: "value",
+    alternatives: {
+      en: ["make a difference", "create impact"],
+      de: ["etwas bewirken", "Wirkung erzielen"],
+      es: ["marcar la diferencia", "generar impacto"]
+    },
+    context: {
+      en: "Refers to actions that create measurable, meaningful change",
+      de: "Maßnahmen, die messbare, bedeutende Veränderungen bringen",
+      es: "Acciones que producen un cambio medible y significativo"
+    },
+    origin: "From analog gauges: a change big enough to make the needle on a meter move",
+    examples: [
+      "A new logo isn't going to move the needle on sales.",
+      "Which of these projects will actually move the needle?"
+    ],
+    frequency: "common",
+    cringe: 4,
+    related: ["impactful", "game changer"]
+  },
+  {
+    phrase: "must win battle",
+    variants: ["must-win battle"],
+    translation: {
+      en: "critical initiative that cannot be allowed to fail",
+      de: "entscheidendes Vorhaben, das nicht scheitern darf",
+      es: "iniciativa crítica que no puede fallar"
+    },
+    keywords: ["must", "win", "battle", "critical", "essential", "priority"],
+    category: "strategy",
+    alternatives: {
+      en: ["critical initiative", "high-stakes priority"],
+      de: ["kritische Initiative", "Priorität mit hohem Einsatz"],
+      es: ["iniciativa crítica", "prioridad de alto riesgo"]
+    },
+    context: {
+      en: "A strategic effort so important that failure would have severe consequences",
+      de: "Ein so wichtiges strategisches Vorhaben, dass ein Scheitern schwere Folgen hätte",
+      es: "Un esfuerzo estratégico tan importante que fracasar tendría consecuencias graves"
+    },
+    frequency: "rare",
+    cringe: 4,
+    related: ["move the needle"]
   },
   {
     phrase: "net-net",
-    translation: "the bottom line or final result",
+    variants: ["net net"],
+    translation: {
+      en: "the bottom line or final result",
+      de: "unterm Strich oder das Endergebnis",
+      es: "en resumen o el resultado final"
+    },
     keywords: ["net", "bottom", "line", "result", "conclusion"],
-    category: "summary",
-    alternatives: ["bottom line", "end result"],
-    context: "The final outcome after considering all factors"
+    category: "communication",
+    alternatives: {
+      en: ["bottom line", "end result"],
+      de: ["unterm Strich", "Endergebnis"],
+      es: ["en resumen", "resultado final"]
+    },
+    context: {
+      en: "The final outcome after considering all factors",
+      de: "Das Endergebnis, wenn man alle Faktoren berücksichtigt",
+      es: "El resultado final después de considerar todos los factores"
+    },
+    frequency: "rare",
+    cringe: 4,
+    multipleMeanings: [
+      {
+        domain: "finance",
+        translation: {
+          en: "a stock priced below the company's net current assets",
+          de: "eine Aktie, deren Kurs unter dem Nettoumlaufvermögen des Unternehmens liegt",
+          es: "una acción que cotiza por debajo del activo circulante neto de la empresa"
+        },
+        context: {
+          en: "Benjamin Graham's term for shares worth less than current assets minus all liabilities",
+          de: "Benjamin Grahams Begriff für Aktien, die weniger wert sind als das Umlaufvermögen abzüglich aller Verbindlichkeiten",
+          es: "El término de Benjamin Graham para acciones que valen menos que el activo circulante menos todos los pasivos"
+        }
+      }
+    ],
+    updated: "2026-10-19"
   },
   {
     phrase: "north star",
-    translation: "guiding principle or ultimate goal",
+    translation: {
+      en: "guiding principle or ultimate goal",
+      de: "Leitprinzip oder oberstes Ziel",
+      es: "principio rector o meta final"
+    },
     keywords: ["north", "star", "guiding", "principle", "goal"],
     category: "strategy",
-    alternatives: ["guiding principle", "ultimate goal"],
-    context: "A fixed point of reference that guides decisions and actions"
+    alternatives: {
+      en: ["guiding principle", "ultimate goal"],
+      de: ["Leitprinzip", "übergeordnetes Ziel"],
+      es: ["principio rector", "objetivo final"]
+    },
+    context: {
+      en: "A fixed point of reference that guides decisions and actions",
+      de: "Ein fester Bezugspunkt, an dem sich Entscheidungen und Handlungen ausrichten",
+      es: "Un punto de referencia fijo que guía las decisiones y acciones"
+    },
+    origin: "From Polaris, the star sailors steered by because it stays put in the night sky",
+    examples: [
+      "Customer retention is our north star this year.",
+      "We need a north star metric everyone on the team understands."
+    ],
+    frequency: "occasional",
+    cringe: 3
   },
   {
     phrase: "on my radar",
-    translation: "something I'm aware of or monitoring",
+    translation: {
+      en: "something I'm aware of or monitoring",
+      de: "etwas, das ich im Blick habe",
+      es: "algo que tengo presente o estoy siguiendo"
+    },
     keywords: ["radar", "aware", "monitoring", "tracking"],
-    category: "awareness",
-    alternatives: ["on my mind", "I'm tracking"],
-    context: "Something that's being watched or considered"
+    category: "communication",
+    alternatives: {
+      en: ["on my mind", "I'm tracking"],
+      de: ["im Hinterkopf", "ich behalte es im Blick"],
+      es: ["lo tengo presente", "lo estoy siguiendo"]
+    },
+    context: {
+      en: "Something that's being watched or considered",
+      de: "Etwas, das beobachtet oder in Betracht gezogen wird",
+      es: "Algo que se está vigilando o teniendo en cuenta"
+    },
+    frequency: "common",
+    cringe: 1
   },
   {
     phrase: "optimize",
-    translation: "make as effective as possible",
+    translation: {
+      en: "make as effective as possible",
+      de: "so wirksam wie möglich machen",
+      es: "hacer algo lo más eficaz posible"
+    },
     keywords: ["optimize", "effective", "improve", "enhance"],
-    category: "improvement",
-    alternatives: ["improve", "enhance"],
-    context: "Making something work as well as it possibly can"
+    category: "methodology",
+    alternatives: {
+      en: ["improve", "enhance"],
+      de: ["verbessern", "aufwerten"],
+      es: ["mejorar", "potenciar"]
+    },
+    context: {
+      en: "Making something work as well as it possibly can",
+      de: "Etwas so gut funktionieren lassen, wie es nur geht",
+      es: "Hacer que algo funcione lo mejor posible"
+    },
+    frequency: "common",
+    cringe: 1
   },
   {
     phrase: "out of pocket",
-    translation: "unavailable or unreachable",
+    translation: {
+      en: "unavailable or unreachable",
+      de: "nicht verfügbar oder nicht erreichbar",
+      es: "no disponible o ilocalizable"
+    },
     keywords: ["out", "pocket", "unavailable", "unreachable", "away"],
-    category: "availability",
-    alternatives: ["unavailable", "away"],
-    context: "Being temporarily unavailable or unreachable"
+    category: "communication",
+    alternatives: {
+      en: ["unavailable", "away"],
+      de: ["nicht erreichbar", "abwesend"],
+      es: ["no disponible", "fuera"]
+    },
+    context: {
+      en: "Being temporarily unavailable or unreachable",
+      de: "Vorübergehend nicht verfügbar oder nicht erreichbar sein",
+      es: "Estar temporalmente no disponible o ilocalizable"
+    },
+    frequency: "occasional",
+    cringe: 3,
+    multipleMeanings: [
+      {
+        domain: "finance",
+        translation: {
+          en: "paid with your own money",
+          de: "aus eigener Tasche bezahlt",
+          es: "pagado con tu propio dinero"
+        },
+        context: {
+          en: "As in out-of-pocket expenses, which the company usually pays back",
+          de: "Wie bei Auslagen, die das Unternehmen meist erstattet",
+          es: "Como los gastos de bolsillo, que la empresa suele reembolsar"
+        }
+      }
+    ],
+    updated: "2026-10-19"
   },
   // P-R
   {
     phrase: "paradigm shift",
-    translation: "fundamental change in approach",
+    translation: {
+      en: "fundamental change in approach",
+      de: "grundlegender Wandel der Herangehensweise",
+      es: "cambio fundamental de enfoque"
+    },
     keywords: ["paradigm", "shift", "fundamental", "change"],
-    category: "change",
-    alternatives: ["major change", "new approach"],
-    context: "A complete change in the way something is understood or done"
+    category: "innovation",
+    alternatives: {
+      en: ["major change", "new approach"],
+      de: ["große Veränderung", "neuer Ansatz"],
+      es: ["gran cambio", "nuevo enfoque"]
+    },
+    context: {
+      en: "A complete change in the way something is understood or done",
+      de: "Eine völlige Veränderung dessen, wie etwas verstanden oder gemacht wird",
+      es: "Un cambio completo en la forma de entender o hacer algo"
+    },
+    origin: "From Thomas Kuhn's 1962 book The Structure of Scientific Revolutions, about how sciences change their basic assumptions",
+    era: "1960s",
+    examples: [
+      "Remote work is a paradigm shift for how we hire.",
+      "Moving the standup to 10am is hardly a paradigm shift."
+    ],
+    frequency: "occasional",
+    cringe: 4
   },
   {
     phrase: "pivot",
-    translation: "change direction or strategy",
+    translation: {
+      en: "change direction or strategy",
+      de: "Richtung oder Strategie ändern",
+      es: "cambiar de rumbo o de estrategia"
+    },
     keywords: ["pivot", "change", "direction", "strategy", "shift"],
     category: "strategy",
-    alternatives: ["change course", "shift strategy"],
-    context: "A strategic change in approach, often in response to new information"
+    alternatives: {
+      en: ["change course", "shift strategy"],
+      de: ["Kurs ändern", "Strategie wechseln"],
+      es: ["cambiar de rumbo", "cambiar de estrategia"]
+    },
+    context: {
+      en: "A strategic change in approach, often in response to new information",
+      de: "Ein strategischer Richtungswechsel, oft als Reaktion auf neue Informationen",
+      es: "Un cambio estratégico de enfoque, a menudo en respuesta a información nueva"
+    },
+    origin: "From basketball, where a player keeps one foot planted and turns; made a startup term by Eric Ries's The Lean Startup (2011)",
+    era: "2010s",
+    examples: [
+      "The app didn't take off, so we pivoted to selling to enterprises.",
+      "If the pilot fails, we'll pivot before the next funding round."
+    ],
+    frequency: "common",
+    cringe: 3,
+    related: ["paradigm shift"],
+    multipleMeanings: [
+      {
+        domain: "tech",
+        translation: {
+          en: "regroup and total data by different columns",
+          de: "Daten nach anderen Spalten neu gruppieren und summieren",
+          es: "reagrupar y totalizar datos por otras columnas"
+        },
+        context: {
+          en: "In spreadsheets, a pivot table summarizes rows by the columns you choose",
+          de: "In Tabellenkalkulationen fasst eine Pivot-Tabelle Zeilen nach den gewählten Spalten zusammen",
+          es: "En las hojas de cálculo, una tabla dinámica resume las filas según las columnas que elijas"
+        }
+      }
+    ],
+    updated: "2026-10-19"
   },
   {
     phrase: "proof of concept",
-    translation: "demonstration that an idea works",
+    variants: ["PoC"],
+    translation: {
+      en: "demonstration that an idea works",
+      de: "Nachweis, dass eine Idee funktioniert",
+      es: "demostración de que una idea funciona"
+    },
     keywords: ["proof", "concept", "demonstration", "feasibility", "test"],
-    category: "validation",
-    alternatives: ["feasibility test", "prototype"],
-    context: "A demonstration to verify that certain concepts have potential"
+    category: "product",
+    alternatives: {
+      en: ["feasibility test", "prototype"],
+      de: ["Machbarkeitstest", "Prototyp"],
+      es: ["prueba de viabilidad", "prototipo"]
+    },
+    context: {
+      en: "A demonstration to verify that certain concepts have potential",
+      de: "Eine Vorführung, die zeigt, dass bestimmte Konzepte Potenzial haben",
+      es: "Una demostración para comprobar que ciertos conceptos tienen potencial"
+    },
+    frequency: "common",
+    cringe: 1
   },
   {
     phrase: "push the envelope",
-    translation: "test limits or try something new",
+    translation: {
+      en: "test limits or try something new",
+      de: "Grenzen austesten oder Neues wagen",
+      es: "poner a prueba los límites o intentar algo nuevo"
+    },
     keywords: ["push", "envelope", "limits", "test", "boundaries"],
     category: "innovation",
-    alternatives: ["test boundaries", "be bold"],
-    context: "Going beyond conventional limits to achieve something new"
+    alternatives: {
+      en: ["test boundaries", "be bold"],
+      de: ["Grenzen testen", "mutig sein"],
+      es: ["poner a prueba los límites", "ser audaz"]
+    },
+    context: {
+      en: "Going beyond conventional limits to achieve something new",
+      de: "Über herkömmliche Grenzen hinausgehen, um etwas Neues zu erreichen",
+      es: "Ir más allá de los límites convencionales para lograr algo nuevo"
+    },
+    origin: "From aviation: test pilots pushed at the flight envelope, the range of speeds and loads a plane can handle. Tom Wolfe's The Right Stuff (1979) made it popular",
+    era: "1980s",
+    examples: [
+      "This campaign really pushes the envelope for a bank.",
+      "We want designers who push the envelope without breaking the brand."
+    ],
+    frequency: "occasional",
+    cringe: 3
   },
   {
     phrase: "quick win",
-    translation: "easy achievement with immediate results",
+    translation: {
+      en: "easy achievement with immediate results",
+      de: "leichter Erfolg mit sofortiger Wirkung",
+      es: "logro fácil con resultados inmediatos"
+    },
     keywords: ["quick", "win", "easy", "immediate", "fast"],
     category: "productivity",
-    alternatives: ["easy victory", "fast result"],
-    context: "Something that can be accomplished quickly with visible benefits"
+    alternatives: {
+      en: ["easy victory", "fast result"],
+      de: ["leichter Sieg", "schnelles Ergebnis"],
+      es: ["victoria fácil", "resultado rápido"]
+    },
+    context: {
+      en: "Something that can be accomplished quickly with visible benefits",
+      de: "Etwas, das sich schnell und mit sichtbarem Nutzen erledigen lässt",
+      es: "Algo que se puede lograr rápidamente con beneficios visibles"
+    },
+    frequency: "common",
+    cringe: 2,
+    related: ["low hanging fruit"],
+    opposite: ["boil the ocean"]
   },
   {
     phrase: "rightsizing",
-    translation: "adjusting to the appropriate size",
+    translation: {
+      en: "adjusting to the appropriate size",
+      de: "auf die passende Größe anpassen",
+      es: "ajustar al tamaño adecuado"
+    },
     keywords: ["rightsizing", "adjusting", "appropriate", "size"],
-    category: "adjustment",
-    alternatives: ["resizing", "adjusting size"],
-    context: "Making something the correct size for its purpose or situation"
+    category: "strategy",
+    alternatives: {
+      en: ["resizing", "adjusting size"],
+      de: ["Größenanpassung", "Umfang anpassen"],
+      es: ["redimensionar", "ajustar el tamaño"]
+    },
+    context: {
+      en: "Making something the correct size for its purpose or situation",
+      de: "Etwas auf die richtige Größe für seinen Zweck oder seine Lage bringen",
+      es: "Dar a algo el tamaño adecuado para su propósito o situación"
+    },
+    frequency: "rare",
+    cringe: 5,
+    multipleMeanings: [
+      {
+        domain: "hr",
+        translation: {
+          en: "cutting jobs to reduce costs",
+          de: "Stellen streichen, um Kosten zu senken",
+          es: "recortar puestos de trabajo para reducir costes"
+        },
+        context: {
+          en: "Often a gentler word for layoffs",
+          de: "Oft ein sanfteres Wort für Entlassungen",
+          es: "A menudo, una forma más suave de decir despidos"
+        }
+      },
+      {
+        domain: "tech",
+        translation: {
+          en: "matching cloud servers to what a workload actually uses",
+          de: "Cloud-Server an den tatsächlichen Bedarf einer Arbeitslast anpassen",
+          es: "ajustar los servidores en la nube a lo que realmente usa una carga de trabajo"
+        },
+        context: {
+          en: "In cloud computing, shrinking oversized instances to cut the bill",
+          de: "Im Cloud-Computing überdimensionierte Instanzen verkleinern, um die Rechnung zu senken",
+          es: "En la computación en la nube, reducir instancias sobredimensionadas para bajar la factura"
+        }
+      }
+    ],
+    updated: "2026-10-19"
   },
   {
     phrase: "run it up the flagpole",
-    translation: "test an idea with others",
+    translation: {
+      en: "test an idea with others",
+      de: "eine Idee bei anderen testen",
+      es: "probar una idea con otras personas"
+    },
     keywords: ["run", "flagpole", "test", "idea", "feedback"],
-    category: "validation",
-    alternatives: ["test the idea", "get feedback"],
-    context: "Presenting an idea to see how others react to it"
+    category: "communication",
+    alternatives: {
+      en: ["test the idea", "get feedback"],
+      de: ["die Idee testen", "Feedback einholen"],
+      es: ["probar la idea", "pedir opiniones"]
+    },
+    context: {
+      en: "Presenting an idea to see how others react to it",
+      de: "Eine Idee vorstellen, um zu sehen, wie andere darauf reagieren",
+      es: "Presentar una idea para ver cómo reaccionan los demás"
+    },
+    origin: "From 1950s advertising slang: \"let's run it up the flagpole and see who salutes\"",
+    era: "1950s",
+    examples: [
+      "Let's run it up the flagpole with the regional managers.",
+      "I'll run it up the flagpole and let you know what legal says."
+    ],
+    frequency: "rare",
+    cringe: 4
   },
   // S-T
   {
     phrase: "scalable",
-    translation: "able to grow or expand easily",
+    translation: {
+      en: "able to grow or expand easily",
+      de: "kann leicht wachsen oder erweitert werden",
+      es: "que puede crecer o ampliarse fácilmente"
+    },
     keywords: ["scalable", "grow", "expand", "flexible"],
     category: "growth",
-    alternatives: ["expandable", "growth-ready"],
-    context: "Something designed to handle increased size or volume"
+    alternatives: {
+      en: ["expandable", "growth-ready"],
+      de: ["erweiterbar", "wachstumsfähig"],
+      es: ["ampliable", "preparado para crecer"]
+    },
+    context: {
+      en: "Something designed to handle increased size or volume",
+      de: "Etwas, das für größeren Umfang oder mehr Volumen ausgelegt ist",
+      es: "Algo diseñado para soportar un mayor tamaño o volumen"
+    },
+    frequency: "common",
+    cringe: 2,
+    multipleMeanings: [
+      {
+        domain: "tech",
+        translation: {
+          en: "able to handle more users or data by adding resources",
+          de: "kann durch zusätzliche Ressourcen mehr Nutzer oder Daten bewältigen",
+          es: "capaz de atender a más usuarios o datos añadiendo recursos"
+        },
+        context: {
+          en: "In software, a system that keeps performing as the load grows",
+          de: "In der Software ein System, das auch bei wachsender Last leistungsfähig bleibt",
+          es: "En software, un sistema que sigue rindiendo a medida que crece la carga"
+        }
+      }
+    ],
+    updated: "2026-10-19"
   },
   {
     phrase: "seamless",
-    translation: "smooth and without problems",
+    translation: {
+      en: "smooth and without problems",
+      de: "reibungslos und ohne Probleme",
+      es: "fluido y sin problemas"
+    },
     keywords: ["seamless", "smooth", "problems", "easy"],
-    category: "quality",
-    alternatives: ["smooth", "effortless"],
-    context: "Working perfectly without any noticeable issues or interruptions"
+    category: "product",
+    alternatives: {
+      en: ["smooth", "effortless"],
+      de: ["reibungslos", "mühelos"],
+      es: ["fluido", "sin esfuerzo"]
+    },
+    context: {
+      en: "Working perfectly without any noticeable issues or interruptions",
+      de: "Funktioniert einwandfrei, ohne spürbare Probleme oder Unterbrechungen",
+      es: "Que funciona perfectamente sin problemas ni interrupciones apreciables"
+    },
+    frequency: "common",
+    cringe: 3
   },
   {
     phrase: "solutioning",
-    translation: "developing solutions",
+    translation: {
+      en: "developing solutions",
+      de: "Lösungen entwickeln",
+      es: "desarrollar soluciones"
+    },
     keywords: ["solutioning", "developing", "solutions", "problem", "solving"],
-    category: "problem-solving",
-    alternatives: ["problem-solving", "developing solutions"],
-    context: "The process of creating solutions to problems"
+    category: "methodology",
+    alternatives: {
+      en: ["problem-solving", "developing solutions"],
+      de: ["Problemlösung", "Lösungen entwickeln"],
+      es: ["resolución de problemas", "desarrollar soluciones"]
+    },
+    context: {
+      en: "The process of creating solutions to problems",
+      de: "Der Prozess, Lösungen für Probleme zu erarbeiten",
+      es: "El proceso de crear soluciones a los problemas"
+    },
+    frequency: "occasional",
+    cringe: 5
   },
   {
     phrase: "streamline",
-    translation: "make more efficient or simpler",
+    translation: {
+      en: "make more efficient or simpler",
+      de: "effizienter oder einfacher machen",
+      es: "hacer más eficiente o sencillo"
+    },
     keywords: ["streamline", "efficient", "simpler", "optimize"],
-    category: "efficiency",
-    alternatives: ["simplify", "optimize"],
-    context: "Removing unnecessary steps or complexity to improve efficiency"
+    category: "methodology",
+    alternatives: {
+      en: ["simplify", "optimize"],
+      de: ["vereinfachen", "optimieren"],
+      es: ["simplificar", "optimizar"]
+    },
+    context: {
+      en: "Removing unnecessary steps or complexity to improve efficiency",
+      de: "Unnötige Schritte oder Komplexität entfernen, um effizienter zu werden",
+      es: "Eliminar pasos o complejidad innecesarios para mejorar la eficiencia"
+    },
+    frequency: "common",
+    cringe: 1,
+    related: ["optimize", "rightsizing"]
   },
   {
     phrase: "synergy",
-    translation: "working together effectively",
+    translation: {
+      en: "working together effectively",
+      de: "wirksam zusammenarbeiten",
+      es: "trabajar juntos de forma eficaz"
+    },
     keywords: ["synergy", "together", "collaboration", "teamwork"],
     category: "collaboration",
-    alternatives: ["collaboration", "teamwork"],
-    context: "The idea that combined efforts produce better results than individual work"
+    alternatives: {
+      en: ["collaboration", "teamwork"],
+      de: ["Zusammenarbeit", "Teamarbeit"],
+      es: ["colaboración", "trabajo en equipo"]
+    },
+    context: {
+      en: "The idea that combined efforts produce better results than individual work",
+      de: "Die Vorstellung, dass gemeinsame Anstrengungen bessere Ergebnisse bringen als Einzelarbeit",
+      es: "La idea de que el esfuerzo conjunto da mejores resultados que el trabajo individual"
+    },
+    origin: "From the Greek synergos, \"working together\"",
+    examples: [
+      "The merger will create synergy between the two sales teams.",
+      "We're looking for synergy across our product lines."
+    ],
+    frequency: "common",
+    cringe: 5,
+    related: ["alignment", "win-win"]
   },
   {
     phrase: "table this",
-    translation: "postpone or set aside for later",
+    translation: {
+      en: "postpone or set aside for later",
+      de: "verschieben oder vorerst beiseitelegen",
+      es: "posponer o dejar para después"
+    },
     keywords: ["table", "postpone", "later", "delay"],
-    category: "planning",
-    alternatives: ["postpone", "defer"],
-    context: "Deciding to address something at a future time"
+    category: "communication",
+    alternatives: {
+      en: ["postpone", "defer"],
+      de: ["verschieben", "vertagen"],
+      es: ["posponer", "aplazar"]
+    },
+    context: {
+      en: "Deciding to address something at a future time",
+      de: "Beschließen, sich später um etwas zu kümmern",
+      es: "Decidir ocuparse de algo más adelante"
+    },
+    frequency: "occasional",
+    cringe: 2
   },
   {
     phrase: "take ownership",
-    translation: "accept responsibility",
+    translation: {
+      en: "accept responsibility",
+      de: "Verantwortung übernehmen",
+      es: "asumir la responsabilidad"
+    },
     keywords: ["take", "ownership", "responsibility", "accountable"],
-    category: "responsibility",
-    alternatives: ["be responsible", "take charge"],
-    context: "Accepting full responsibility for something and its outcomes"
+    category: "leadership",
+    alternatives: {
+      en: ["be responsible", "take charge"],
+      de: ["verantwortlich sein", "die Führung übernehmen"],
+      es: ["ser responsable", "tomar el mando"]
+    },
+    context: {
+      en: "Accepting full responsibility for something and its outcomes",
+      de: "Die volle Verantwortung für etwas und seine Ergebnisse übernehmen",
+      es: "Asumir la plena responsabilidad de algo y de sus resultados"
+    },
+    frequency: "common",
+    cringe: 2,
+    related: ["empower"]
   },
   {
     phrase: "think outside the box",
-    translation: "be creative or innovative",
+    variants: ["thinking outside the box", "outside the box"],
+    translation: {
+      en: "be creative or innovative",
+      de: "kreativ oder innovativ sein",
+      es: "ser creativo o innovador"
+    },
     keywords: ["think", "outside", "box", "creative", "innovative"],
     category: "innovation",
-    alternatives: ["be creative", "innovate"],
-    context: "Encourages unconventional thinking and creative problem-solving"
+    alternatives: {
+      en: ["be creative", "innovate"],
+      de: ["kreativ sein", "innovativ sein"],
+      es: ["ser creativo", "innovar"]
+    },
+    context: {
+      en: "Encourages unconventional thinking and creative problem-solving",
+      de: "Ermutigt zu unkonventionellem Denken und kreativer Problemlösung",
+      es: "Anima a pensar de forma poco convencional y a resolver problemas con creatividad"
+    },
+    origin: "Often linked to the nine-dots puzzle, which can only be solved by drawing lines beyond the square the dots form",
+    era: "1970s",
+    examples: [
+      "We need you to think outside the box on this campaign.",
+      "The workshop is all about thinking outside the box."
+    ],
+    frequency: "occasional",
+    cringe: 5,
+    related: ["blue sky thinking", "push the envelope", "ideate"]
   },
   {
     phrase: "thought leadership",
-    translation: "being recognized as an expert",
+    translation: {
+      en: "being recognized as an expert",
+      de: "als Experte anerkannt sein",
+      es: "ser reconocido como experto"
+    },
     keywords: ["thought", "leadership", "expert", "authority", "influence"],
-    category: "expertise",
-    alternatives: ["expertise", "industry authority"],
-    context: "Being recognized as an authoritative source of innovative ideas"
+    category: "leadership",
+    alternatives: {
+      en: ["expertise", "industry authority"],
+      de: ["Fachwissen", "Branchenautorität"],
+      es: ["experiencia", "autoridad en el sector"]
+    },
+    context: {
+      en: "Being recognized as an authoritative source of innovative ideas",
+      de: "Als maßgebliche Quelle für innovative Ideen anerkannt sein",
+      es: "Ser reconocido como fuente autorizada de ideas innovadoras"
+    },
+    origin: "\"Thought leader\" was popularized by Joel Kurtzman, editor of the magazine strategy+business, in the 1990s",
+    era: "1990s",
+    examples: [
+      "Our thought leadership content will position us as experts.",
+      "Posting on LinkedIn every day is her idea of thought leadership."
+    ],
+    frequency: "occasional",
+    cringe: 5
   },
   {
     phrase: "touch base",
-    translation: "check in or communicate briefly",
+    variants: ["touching base", "touched base"],
+    translation: {
+      en: "check in or communicate briefly",
+      de: "sich kurz abstimmen oder melden",
+      es: "reportarse o comunicarse brevemente"
+    },
     keywords: ["touch", "base", "check", "communicate", "brief"],
     category: "communication",
-    alternatives: ["check in", "connect"],
-    context: "A quick conversation to stay updated or aligned"
+    alternatives: {
+      en: ["check in", "connect"],
+      de: ["sich abstimmen", "sich melden"],
+      es: ["ponerse al día", "contactar"]
+    },
+    context: {
+      en: "A quick conversation to stay updated or aligned",
+      de: "Ein kurzes Gespräch, um auf dem neuesten Stand oder abgestimmt zu bleiben",
+      es: "Una conversación breve para mantenerse informado o coordinado"
+    },
+    origin: "From baseball, where a runner has to touch each base",
+    examples: [
+      "Let's touch base on Monday about the proposal.",
+      "I just wanted to touch base before the client call."
+    ],
+    frequency: "common",
+    cringe: 3,
+    related: ["keep me in the loop"]
   },
   // U-Z
   {
     phrase: "unpack",
-    translation: "analyze or examine in detail",
+    translation: {
+      en: "analyze or examine in detail",
+      de: "etwas genau analysieren oder untersuchen",
+      es: "analizar o examinar algo a detalle"
+    },
     keywords: ["unpack", "analyze", "examine", "detail"],
     category: "analysis",
-    alternatives: ["break down", "analyze"],
-    context: "Taking apart complex ideas to understand them better"
+    alternatives: {
+      en: ["break down", "analyze"],
+      de: ["aufschlüsseln", "analysieren"],
+      es: ["desglosar", "analizar"]
+    },
+    context: {
+      en: "Taking apart complex ideas to understand them better",
+      de: "Komplexe Ideen zerlegen, um sie besser zu verstehen",
+      es: "Descomponer ideas complejas para entenderlas mejor"
+    },
+    frequency: "common",
+    cringe: 3
   },
   {
     phrase: "user experience",
-    translation: "how people interact with a product",
+    variants: ["UX"],
+    translation: {
+      en: "how people interact with a product",
+      de: "wie Menschen mit einem Produkt umgehen",
+      es: "cómo interactúan las personas con un producto"
+    },
     keywords: ["user", "experience", "ux", "interaction", "usability"],
-    category: "design",
-    alternatives: ["usability", "user interaction"],
-    context: "The overall experience a person has when using a product or service"
+    category: "product",
+    alternatives: {
+      en: ["usability", "user interaction"],
+      de: ["Benutzerfreundlichkeit", "Nutzerinteraktion"],
+      es: ["usabilidad", "interacción del usuario"]
+    },
+    context: {
+      en: "The overall experience a person has when using a product or service",
+      de: "Der Gesamteindruck, den jemand bei der Nutzung eines Produkts oder Dienstes hat",
+      es: "La experiencia general de una persona al usar un producto o servicio"
+    },
+    frequency: "common",
+    cringe: 1,
+    broader: ["customer-centric"]
   },
   {
     phrase: "value-add",
-    translation: "something that provides additional benefit",
+    variants: ["value add", "value-added"],
+    translation: {
+      en: "something that provides additional benefit",
+      de: "etwas, das zusätzlichen Nutzen bringt",
+      es: "algo que aporta un beneficio adicional"
+    },
     keywords: ["value", "add", "benefit", "additional", "extra"],
     category: "value",
-    alternatives: ["added benefit", "extra value"],
-    context: "Features or services that provide extra worth beyond the basic offering"
+    alternatives: {
+      en: ["added benefit", "extra value"],
+      de: ["Zusatznutzen", "Mehrwert"],
+      es: ["beneficio añadido", "valor extra"]
+    },
+    context: {
+      en: "Features or services that provide extra worth beyond the basic offering",
+      de: "Funktionen oder Leistungen, die über das Grundangebot hinaus zusätzlichen Wert bieten",
+      es: "Funciones o servicios que aportan un valor extra más allá de la oferta básica"
+    },
+    frequency: "occasional",
+    cringe: 4,
+    multipleMeanings: [
+      {
+        domain: "sales",
+        translation: {
+          en: "something extra thrown in to win a deal",
+          de: "eine Zugabe, um einen Abschluss zu gewinnen",
+          es: "algo extra que se ofrece para cerrar un trato"
+        },
+        context: {
+          en: "Such as free training or setup offered instead of a discount",
+          de: "Etwa kostenlose Schulungen oder Einrichtung statt eines Rabatts",
+          es: "Como formación o instalación gratuitas en lugar de un descuento"
+        }
+      }
+    ],
+    updated: "2026-10-19"
   },
   {
     phrase: "value proposition",
-    translation: "the benefit you offer to customers",
+    translation: {
+      en: "the benefit you offer to customers",
+      de: "der Nutzen, den man Kunden bietet",
+      es: "el beneficio que ofreces a los clientes"
+    },
     keywords: ["value", "proposition", "benefit", "offer"],
     category: "value",
-    alternatives: ["main benefit", "selling point"],
-    context: "The primary reason why customers should choose your product or service"
+    alternatives: {
+      en: ["main benefit", "selling point"],
+      de: ["Hauptnutzen", "Verkaufsargument"],
+      es: ["beneficio principal", "argumento de venta"]
+    },
+    context: {
+      en: "The primary reason why customers should choose your product or service",
+      de: "Der wichtigste Grund, warum Kunden Ihr Produkt oder Ihre Dienstleistung wählen sollten",
+      es: "La razón principal por la que los clientes deberían elegir tu producto o servicio"
+    },
+    frequency: "common",
+    cringe: 2
   },
   {
     phrase: "viral coefficient",
-    translation: "rate at which users invite others",
+    translation: {
+      en: "rate at which users invite others",
+      de: "Rate, mit der Nutzer andere einladen",
+      es: "ritmo al que los usuarios invitan a otros"
+    },
     keywords: ["viral", "coefficient", "growth", "referral", "sharing"],
-    category: "marketing",
-    alternatives: ["referral rate", "sharing rate"],
-    context: "A metric measuring how many new users each existing user brings"
+    category: "growth",
+    alternatives: {
+      en: ["referral rate", "sharing rate"],
+      de: ["Empfehlungsrate", "Teilungsrate"],
+      es: ["tasa de recomendación", "tasa de difusión"]
+    },
+    context: {
+      en: "A metric measuring how many new users each existing user brings",
+      de: "Eine Kennzahl dafür, wie viele neue Nutzer jeder bestehende Nutzer mitbringt",
+      es: "Una métrica que mide cuántos usuarios nuevos trae cada usuario existente"
+    },
+    frequency: "rare",
+    cringe: 3,
+    broader: ["growth hacking"]
   },
   {
     phrase: "wheelhouse",
-    translation: "area of expertise or strength",
+    translation: {
+      en: "area of expertise or strength",
+      de: "Fachgebiet oder Stärke",
+      es: "área de especialidad o fortaleza"
+    },
     keywords: ["wheelhouse", "expertise", "strength", "skill"],
-    category: "capability",
-    alternatives: ["area of expertise", "strong suit"],
-    context: "The area where someone has the most knowledge or skill"
+    category: "leadership",
+    alternatives: {
+      en: ["area of expertise", "strong suit"],
+      de: ["Fachgebiet", "Stärke"],
+      es: ["área de especialidad", "punto fuerte"]
+    },
+    context: {
+      en: "The area where someone has the most knowledge or skill",
+      de: "Der Bereich, in dem jemand das meiste Wissen oder Können hat",
+      es: "El área en la que alguien tiene más conocimiento o habilidad"
+    },
+    origin: "The pilot house of a boat; in baseball, the part of the strike zone where a batter hits best",
+    examples: [
+      "Data migrations are right in her wheelhouse.",
+      "Negotiating contracts isn't really in my wheelhouse."
+    ],
+    frequency: "occasional",
+    cringe: 3
   },
   {
     phrase: "win-win",
-    translation: "beneficial for everyone involved",
+    variants: ["win win"],
+    translation: {
+      en: "beneficial for everyone involved",
+      de: "vorteilhaft für alle Beteiligten",
+      es: "beneficioso para todos los involucrados"
+    },
     keywords: ["win", "beneficial", "everyone", "mutual"],
     category: "collaboration",
-    alternatives: ["mutually beneficial", "good for all"],
-    context: "A situation where all parties benefit from the outcome"
+    alternatives: {
+      en: ["mutually beneficial", "good for all"],
+      de: ["für beide Seiten vorteilhaft", "gut für alle"],
+      es: ["beneficio mutuo", "bueno para todos"]
+    },
+    context: {
+      en: "A situation where all parties benefit from the outcome",
+      de: "Eine Situation, in der alle Beteiligten vom Ergebnis profitieren",
+      es: "Una situación en la que todas las partes se benefician del resultado"
+    },
+    frequency: "common",
+    cringe: 3
   },
   {
     phrase: "x-factor",
-    translation: "special quality that makes something successful",
+    variants: ["x factor"],
+    translation: {
+      en: "special quality that makes something successful",
+      de: "besondere Eigenschaft, die etwas erfolgreich macht",
+      es: "cualidad especial que hace que algo tenga éxito"
+    },
     keywords: ["x", "factor", "special", "quality", "success"],
-    category: "quality",
-    alternatives: ["special quality", "secret ingredient"],
-    context: "An indefinable quality that makes someone or something successful"
+    category: "value",
+    alternatives: {
+      en: ["special quality", "secret ingredient"],
+      de: ["besondere Eigenschaft", "Geheimzutat"],
+      es: ["cualidad especial", "ingrediente secreto"]
+    },
+    context: {
+      en: "An indefinable quality that makes someone or something successful",
+      de: "Eine schwer greifbare Eigenschaft, die jemanden oder etwas erfolgreich macht",
+      es: "Una cualidad indefinible que hace que alguien o algo tenga éxito"
+    },
+    frequency: "rare",
+    cringe: 3
   },
   {
     phrase: "zero in on",
-    translation: "focus specifically on something",
+    translation: {
+      en: "focus specifically on something",
+      de: "sich gezielt auf etwas konzentrieren",
+      es: "enfocarse específicamente en algo"
+    },
     keywords: ["zero", "in", "focus", "specific", "target"],
-    category: "focus",
-    alternatives: ["focus on", "target"],
-    context: "Directing attention to a specific target or goal"
+    category: "analysis",
+    alternatives: {
+      en: ["focus on", "target"],
+      de: ["sich konzentrieren auf", "anvisieren"],
+      es: ["centrarse en", "apuntar a"]
+    },
+    context: {
+      en: "Directing attention to a specific target or goal",
+      de: "Die Aufmerksamkeit auf ein bestimmtes Ziel richten",
+      es: "Dirigir la atención a un objetivo o meta concretos"
+    },
+    frequency: "common",
+    cringe: 1
   } 
 ];
 
+// The version travels with the entries, so whatever loads them can tell releases apart
+buzzwords.version = DICTIONARY_VERSION;
+
 // Export the buzzwords array for use in other files
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = buzzwords;
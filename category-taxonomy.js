@@ -0,0 +1,252 @@
+// Corporate Buzzword Translator - Category Taxonomy
+// Top-level groups and the subcategories entries are filed under, with display names and
+// descriptions. An entry's `category` is a subcategory id; `category:` queries also accept a
+// group id or one of the older, finer category names listed as aliases.
+
+const CATEGORY_GROUPS = [
+  {
+    id: 'direction',
+    name: 'Strategy & direction',
+    description: 'Where the business is heading and why it matters',
+    categories: [
+      {
+        id: 'strategy',
+        name: 'Strategy',
+        description: 'Goals, priorities and changes of course',
+        aliases: ['adjustment']
+      },
+      {
+        id: 'scope',
+        name: 'Scope & perspective',
+        description: 'How much of the problem is in view',
+        aliases: ['perspective']
+      },
+      {
+        id: 'value',
+        name: 'Value & impact',
+        description: 'What makes something worth doing',
+        aliases: ['impact', 'quality']
+      }
+    ]
+  },
+  {
+    id: 'ideas',
+    name: 'Innovation & growth',
+    description: 'New ideas, new products and getting them noticed',
+    categories: [
+      {
+        id: 'innovation',
+        name: 'Innovation',
+        description: 'Creative thinking and breaking with the old way',
+        aliases: ['change']
+      },
+      {
+        id: 'growth',
+        name: 'Growth & marketing',
+        description: 'Reaching more customers and winning their attention',
+        aliases: ['marketing', 'promotion']
+      },
+      {
+        id: 'product',
+        name: 'Product & technology',
+        description: 'Building, testing and shipping products',
+        aliases: ['design', 'development', 'system', 'technology', 'validation']
+      }
+    ]
+  },
+  {
+    id: 'execution',
+    name: 'Getting things done',
+    description: 'Methods, priorities and the work itself',
+    categories: [
+      {
+        id: 'methodology',
+        name: 'Methods & process',
+        description: 'Ways of working and making them better',
+        aliases: ['efficiency', 'improvement', 'problem-solving', 'process']
+      },
+      {
+        id: 'productivity',
+        name: 'Productivity & priorities',
+        description: 'Time, capacity, deadlines and quick wins',
+        aliases: ['output', 'preparation', 'resources', 'time', 'urgency']
+      },
+      {
+        id: 'analysis',
+        name: 'Analysis & detail',
+        description: 'Looking closer, measuring and finding insights',
+        aliases: ['detail', 'focus', 'metrics']
+      }
+    ]
+  },
+  {
+    id: 'people',
+    name: 'People & communication',
+    description: 'Working with, talking to and leading other people',
+    categories: [
+      {
+        id: 'collaboration',
+        name: 'Collaboration',
+        description: 'Agreement, support and working together',
+        aliases: ['approval', 'support']
+      },
+      {
+        id: 'communication',
+        name: 'Communication',
+        description: 'Meetings, updates and saying when you are available',
+        aliases: ['availability', 'awareness', 'planning', 'summary']
+      },
+      {
+        id: 'leadership',
+        name: 'Leadership & expertise',
+        description: 'Ownership, authority and what people are good at',
+        aliases: ['capability', 'expertise', 'management', 'responsibility']
+      },
+      {
+        id: 'culture',
+        name: 'Culture & politics',
+        description: 'Office politics and the things nobody says out loud',
+        aliases: ['decline', 'defense', 'problems']
+      }
+    ]
+  }
+];
+
+class CategoryTaxonomy {
+  // groups: taxonomy to use (default CATEGORY_GROUPS)
+  constructor(groups = CATEGORY_GROUPS) {
+    if (!Array.isArray(groups)) {
+      throw new Error('Invalid category groups provided to taxonomy');
+    }
+
+    this.groups = groups;
+    this.categories = new Map(); // subcategory id -> { id, name, description, group }
+    this.aliases = new Map(); // alias -> subcategory id
+
+    groups.forEach(group => {
+      group.categories.forEach(category => {
+        this.categories.set(category.id, {
+          id: category.id,
+          name: category.name,
+          description: category.description,
+          group: group
+        });
+        (category.aliases || []).forEach(alias => this.aliases.set(alias, category.id));
+      });
+    });
+  }
+
+  // Every subcategory id, in taxonomy order
+  categoryIds() {
+    return [...this.categories.keys()];
+  }
+
+  // Whether an entry may use this category id
+  isCategory(id) {
+    return this.categories.has(id);
+  }
+
+  // Look up a subcategory by id or alias
+  // Returns { id, name, description, group } or null
+  getCategory(name) {
+    const key = String(name).toLowerCase().trim();
+    return this.categories.get(key) || this.categories.get(this.aliases.get(key)) || null;
+  }
+
+  // Display name for a category id, falling back to the id itself
+  displayName(id) {
+    const category = this.categories.get(id);
+    return category ? category.name : id;
+  }
+
+  // The subcategory ids a name refers to: every subcategory of a group, one subcategory
+  // (by id or alias), or none when the name is unknown
+  resolve(name) {
+    const key = String(name).toLowerCase().trim();
+    const group = this.groups.find(candidate => candidate.id === key);
+
+    if (group) {
+      return group.categories.map(category => category.id);
+    }
+
+    const category = this.getCategory(key);
+    return category ? [category.id] : [];
+  }
+
+  // Whether an entry's category falls under a name (group, subcategory or alias)
+  // Unknown names only match an identical category, so entries outside the taxonomy stay findable
+  matches(name, category) {
+    const ids = this.resolve(name);
+    const value = String(category).toLowerCase();
+    return ids.length > 0 ? ids.includes(value) : value === String(name).toLowerCase().trim();
+  }
+
+  // Group entries for browsing, in taxonomy order with counts at both levels and entries
+  // sorted by phrase. Entries whose category is not in the taxonomy are collected in a final "other" group.
+  // Returns [{ id, name, description, count, categories: [{ id, name, description, count, entries }] }]
+  browse(entries) {
+    const byCategory = new Map();
+    const other = new Map();
+
+    entries.forEach(entry => {
+      if (!entry || !entry.phrase) {
+        return;
+      }
+
+      const target = this.categories.has(entry.category) ? byCategory : other;
+      const key = entry.category || 'uncategorized';
+      target.set(key, (target.get(key) || []).concat(entry));
+    });
+
+    const tree = this.groups.map(group => {
+      const categories = group.categories.map(category => {
+        const categoryEntries = (byCategory.get(category.id) || [])
+          .sort((a, b) => a.phrase.localeCompare(b.phrase, 'en', { sensitivity: 'base' }));
+        return {
+          id: category.id,
+          name: category.name,
+          description: category.description,
+          count: categoryEntries.length,
+          entries: categoryEntries
+        };
+      });
+
+      return {
+        id: group.id,
+        name: group.name,
+        description: group.description,
+        count: categories.reduce((sum, category) => sum + category.count, 0),
+        categories: categories
+      };
+    });
+
+    if (other.size > 0) {
+      const categories = [...other.entries()].map(([id, categoryEntries]) => ({
+        id: id,
+        name: id,
+        description: '',
+        count: categoryEntries.length,
+        entries: categoryEntries
+      }));
+
+      tree.push({
+        id: 'other',
+        name: 'Other',
+        description: 'Categories not in the taxonomy yet',
+        count: categories.reduce((sum, category) => sum + category.count, 0),
+        categories: categories
+      });
+    }
+
+    return tree;
+  }
+}
+
+CategoryTaxonomy.GROUPS = CATEGORY_GROUPS;
+
+// Export the taxonomy for use in Node scripts and the browser
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = CategoryTaxonomy;
+} else if (typeof window !== 'undefined') {
+  window.CategoryTaxonomy = CategoryTaxonomy;
+}
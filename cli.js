@@ -0,0 +1,648 @@
+#!/usr/bin/env node
+// Corporate Buzzword Translator - Command Line Interface
+// Lookups, random picks, category listings and text translation from the terminal
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const BuzzwordSearch = require('./search-core.js');
+const DictionaryValidator = require('./dictionary-validator.js');
+const DictionaryPacks = require('./dictionary-packs.js');
+const DictionaryLocales = require('./dictionary-locales.js');
+const MeaningDomains = require('./meaning-domains.js');
+const BuzzwordRelations = require('./buzzword-relations.js');
+const EntryMetadata = require('./entry-metadata.js');
+const DictionaryChangelog = require('./dictionary-changelog.js');
+const buzzwords = require('./buzzwords.js');
+
+const USAGE = `Usage: node cli.js <command> [options]
+
+Commands:
+  lookup <term>           Show ranked translations for a buzzword or phrase
+  meaning <description>   Find the buzzword for a plain-English description
+  random                  Show a random buzzword
+  list [--category <c>]   List buzzwords alphabetically, optionally from one category or group
+  categories              List category groups and categories with their entry counts
+  translate [file]        Find every buzzword in a file, or in stdin when no file is given
+  packs                   List the dictionary packs in the manifest
+  lint [file]             Check a dictionary file for malformed entries
+                          (default: buzzwords.js and every pack file in the manifest)
+  diff <old> [new]        List entries added, removed and changed between two versions of a
+                          dictionary file (default new: buzzwords.js)
+  check-index             Check that indexed lookups of every phrase, variant and keyword
+                          rank the same results as scoring the whole dictionary
+
+Options:
+  --json                  Print machine-readable JSON instead of text
+  --limit <n>             Maximum number of lookup or meaning results (default 10)
+  --explain               lookup, meaning: show how each result's score was reached
+  --no-keywords           translate: only flag full phrases, not related keywords
+  --sort <order>          list: order by cringe, era, frequency or phrase instead of A to Z
+  --manifest <file>       Dictionary pack manifest (default dictionaries/manifest.json)
+  --packs <ids>           Comma-separated packs to use instead of the manifest's defaults
+  --locale <id>           Language for translations and context: en, de or es (default en)
+  --domain <id>           Show meanings from your field first: finance, tech, hr, sales,
+                          marketing or legal (default general)
+  -h, --help              Show this help`;
+
+// Error raised for bad command-line usage, reported with the usage text
+class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UsageError';
+  }
+}
+
+// Split argv into positional arguments and recognised flags
+function parseArguments(argv) {
+  const parsed = {
+    positional: [], json: false, limit: 10, category: null, keywords: true, explain: false, help: false,
+    manifest: null, packs: null, locale: DictionaryLocales.FALLBACK, domain: MeaningDomains.GENERAL,
+    sort: null
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    switch (arg) {
+      case '--json':
+        parsed.json = true;
+        break;
+      case '--no-keywords':
+        parsed.keywords = false;
+        break;
+      case '--explain':
+        parsed.explain = true;
+        break;
+      case '-h':
+      case '--help':
+        parsed.help = true;
+        break;
+      case '--limit': {
+        const limit = Number(argv[++i]);
+        if (!Number.isInteger(limit) || limit < 1) {
+          throw new UsageError('--limit needs a positive whole number');
+        }
+        parsed.limit = limit;
+        break;
+      }
+      case '--category':
+        if (!argv[i + 1]) {
+          throw new UsageError('--category needs a category name');
+        }
+        parsed.category = argv[++i];
+        break;
+      case '--sort':
+        if (!EntryMetadata.SORTS[argv[i + 1]]) {
+          throw new UsageError(`--sort needs one of: ${Object.keys(EntryMetadata.SORTS).join(', ')}`);
+        }
+        parsed.sort = argv[++i];
+        break;
+      case '--manifest':
+        if (!argv[i + 1]) {
+          throw new UsageError('--manifest needs a file');
+        }
+        parsed.manifest = argv[++i];
+        break;
+      case '--packs':
+        if (!argv[i + 1]) {
+          throw new UsageError('--packs needs a comma-separated list of pack ids');
+        }
+        parsed.packs = argv[++i].split(',').map(id => id.trim()).filter(Boolean);
+        break;
+      case '--locale': {
+        const locale = new DictionaryLocales().match(argv[i + 1]);
+        if (!locale) {
+          throw new UsageError(`--locale needs one of: ${DictionaryLocales.LOCALES.map(candidate => candidate.id).join(', ')}`);
+        }
+        parsed.locale = locale;
+        i++;
+        break;
+      }
+      case '--domain': {
+        const domain = new MeaningDomains().match(argv[i + 1]);
+        if (!domain) {
+          throw new UsageError(`--domain needs one of: ${MeaningDomains.DOMAINS.map(candidate => candidate.id).join(', ')}`);
+        }
+        parsed.domain = domain;
+        i++;
+        break;
+      }
+      default:
+        if (arg.startsWith('--') || (arg.startsWith('-') && arg !== '-')) {
+          throw new UsageError(`Unknown option: ${arg}`);
+        }
+        parsed.positional.push(arg);
+    }
+  }
+
+  return parsed;
+}
+
+// Render one ranked result the way a result card shows it
+function formatResult(result) {
+  const lines = [];
+  const meta = typeof result.relevanceScore === 'number'
+    ? `  ${Math.round(result.relevanceScore * 100)}% ${result.matchType}`
+    : '';
+
+  lines.push(`${result.match}  [${result.category}]${meta}`);
+  if (result.variants && result.variants.length > 0) {
+    lines.push(`  Also written as: ${result.variants.join(', ')}`);
+  }
+  // Senses tagged by field are labelled, as on the cards: "[Finance] borrow money to invest"
+  const domains = new MeaningDomains();
+  const tagged = domains.isTagged(result);
+  const senseLabel = domain => (tagged ? `[${domains.name(domain || MeaningDomains.GENERAL)}] ` : '');
+
+  lines.push(`  ${senseLabel(result.domain)}${result.translation}`);
+
+  if (result.context) {
+    lines.push(`  ${result.context}`);
+  }
+
+  if (result.alternatives && result.alternatives.length > 0) {
+    lines.push(`  Also known as: ${result.alternatives.join(', ')}`);
+  }
+
+  Object.entries(result.links || {}).forEach(([type, phrases]) => {
+    lines.push(`  ${BuzzwordRelations.TYPES[type].label}: ${phrases.join(', ')}`);
+  });
+
+  if (result.origin) {
+    lines.push(`  Origin: ${result.origin}`);
+  }
+
+  // Era, frequency and cringe share one line: "First seen in the 1990s · Common · Cringe 4/5 (Groan)"
+  const metadata = new EntryMetadata();
+  const ratings = [];
+  if (result.era) {
+    ratings.push(`First seen in the ${result.era}`);
+  }
+  if (result.frequency) {
+    ratings.push(metadata.frequencyName(result.frequency));
+  }
+  if (typeof result.cringe === 'number') {
+    ratings.push(`Cringe ${result.cringe}/${EntryMetadata.CRINGE_LEVELS.length} (${metadata.cringeName(result.cringe)})`);
+  }
+  if (ratings.length > 0) {
+    lines.push(`  ${ratings.join(' · ')}`);
+  }
+
+  if (result.examples && result.examples.length > 0) {
+    lines.push('  Examples:');
+    result.examples.slice(0, EntryMetadata.MAX_EXAMPLES).forEach(sentence => {
+      lines.push(`    "${sentence}"`);
+    });
+  }
+
+  if (result.multipleMeanings && result.multipleMeanings.length > 0) {
+    lines.push('  Other meanings:');
+    result.multipleMeanings.forEach(meaning => {
+      lines.push(`    - ${senseLabel(meaning.domain)}${meaning.translation}${meaning.context ? ` (${meaning.context})` : ''}`);
+    });
+  }
+
+  const history = [];
+  if (result.added) {
+    history.push(`Added ${result.added}`);
+  }
+  if (result.updated) {
+    history.push(`${history.length > 0 ? 'updated' : 'Updated'} ${result.updated}`);
+  }
+  if (history.length > 0) {
+    lines.push(`  ${history.join(', ')}`);
+  }
+
+  if (result.explanation) {
+    lines.push('  Why:');
+    result.explanation.signals.forEach(signal => {
+      lines.push(`    ${signal.value.toFixed(2)}  ${signal.signal}: ${signal.detail}`);
+    });
+  }
+
+  return lines.join('\n');
+}
+
+// Convert a dictionary entry into the result shape used by search, links included, so listed
+// and translated entries print like looked-up ones; only a search gives a score and match type
+function entryToResult(entry, search) {
+  const result = search.createResult(entry, null, null, []);
+  delete result.relevanceScore;
+  delete result.matchType;
+  delete result.matchedKeywords;
+  return result;
+}
+
+// Print results as JSON or as blank-line separated text blocks
+function printResults(results, options, out) {
+  if (options.json) {
+    out.write(JSON.stringify(results, null, 2) + '\n');
+  } else {
+    out.write(results.map(formatResult).join('\n\n') + '\n');
+  }
+}
+
+// Read the text to translate from a file argument or from stdin
+function readInputText(file, stdin) {
+  if (file && file !== '-') {
+    return fs.readFileSync(path.resolve(file), 'utf8');
+  }
+
+  if (stdin.isTTY) {
+    throw new UsageError('translate needs a file argument or text piped on stdin');
+  }
+
+  return fs.readFileSync(stdin.fd, 'utf8');
+}
+
+// Print the text with each buzzword bracketed, followed by what each one means
+function printAnalysis(analysis, search, options, out) {
+  if (options.json) {
+    out.write(JSON.stringify({
+      annotations: analysis.annotations.map(annotation => ({
+        start: annotation.start,
+        end: annotation.end,
+        text: annotation.text,
+        kind: annotation.kind,
+        phrases: annotation.entries.map(entry => entry.phrase)
+      })),
+      terms: analysis.terms.map(term => Object.assign(entryToResult(term.entry, search), {
+        kind: term.kind,
+        occurrences: term.occurrences
+      }))
+    }, null, 2) + '\n');
+    return;
+  }
+
+  if (analysis.terms.length === 0) {
+    out.write('No buzzwords found.\n');
+    return;
+  }
+
+  let annotated = '';
+  let cursor = 0;
+  analysis.annotations.forEach(annotation => {
+    const marker = annotation.kind === 'phrase' ? ['[', ']'] : ['{', '}'];
+    annotated += analysis.text.slice(cursor, annotation.start) + marker[0] + annotation.text + marker[1];
+    cursor = annotation.end;
+  });
+  annotated += analysis.text.slice(cursor);
+
+  out.write(annotated.trimEnd() + '\n\n');
+  out.write(`Buzzwords found ([phrase], {related keyword}):\n\n`);
+  out.write(analysis.terms.map(term =>
+    `${formatResult(entryToResult(term.entry, search))}\n  Found ${term.occurrences}× as ${term.kind}`
+  ).join('\n\n') + '\n');
+}
+
+// Load the entries of a dictionary file: a JSON or YAML pack, or a script like buzzwords.js
+// that assigns module.exports. The script runs in an empty context, not this process's.
+function readDictionaryFile(file, packLoader) {
+  const source = fs.readFileSync(file, 'utf8');
+  const format = packLoader.formatOf(file);
+
+  if (format) {
+    return { source: source, entries: packLoader.parsePack(source, format) };
+  }
+
+  const sandbox = { module: { exports: {} } };
+  vm.runInNewContext(source, sandbox, { filename: file, timeout: 1000 });
+  return { source: source, entries: sandbox.module.exports };
+}
+
+// The manifest to read packs from, or null when the default one is missing
+function manifestPath(options) {
+  if (options.manifest) {
+    return options.manifest;
+  }
+
+  const defaultPath = path.join(__dirname, 'dictionaries', 'manifest.json');
+  return fs.existsSync(defaultPath) ? defaultPath : null;
+}
+
+// Load the manifest's packs, falling back to buzzwords.js alone; load problems are warnings
+// Returns { packs, entries } where entries is the merged dictionary
+function loadDictionary(options, packLoader, err) {
+  const file = manifestPath(options);
+  const { packs, errors } = file
+    ? packLoader.loadSync(file)
+    : { packs: [packLoader.builtinPack()], errors: [] };
+
+  errors.forEach(error => err.write(`Warning: ${error}\n`));
+
+  if (options.packs) {
+    const unknown = options.packs.filter(id => !packs.some(pack => pack.id === id));
+    if (unknown.length > 0) {
+      throw new UsageError(`Unknown dictionary pack: ${unknown.join(', ')}`);
+    }
+  }
+
+  const entries = packLoader.merge(packs, options.packs);
+  if (entries.length === 0) {
+    throw new Error('The selected dictionary packs have no entries');
+  }
+  return { packs: packs, entries: entries };
+}
+
+// Check buzzwords.js and each pack file in the manifest, or just the file given
+// Returns [{ file, diagnostics }]
+function lintDictionaries(file, options, packLoader, validator) {
+  const files = [];
+  const reports = [];
+
+  if (file) {
+    files.push({ path: file, name: file });
+  } else {
+    files.push({ path: path.join(__dirname, 'buzzwords.js'), name: null });
+
+    const manifest = manifestPath(options);
+    if (manifest) {
+      const packs = packLoader.parseManifest(JSON.parse(fs.readFileSync(manifest, 'utf8')));
+      packs
+        .filter(pack => !pack.builtin)
+        .forEach(pack => files.push({ path: path.resolve(path.dirname(manifest), pack.file), name: null }));
+
+      // The manifest repeats the built-in dictionary's version, which is easy to forget to bump
+      const stale = packs.filter(pack => pack.builtin && buzzwords.version && pack.version !== buzzwords.version);
+      if (stale.length > 0) {
+        reports.push({
+          file: path.relative(process.cwd(), manifest),
+          diagnostics: stale.map(pack => ({
+            severity: 'warning',
+            rule: 'version',
+            message: `Pack "${pack.id}" is version ${pack.version}, but buzzwords.js is version ${buzzwords.version}`,
+            index: -1,
+            phrase: null,
+            field: 'version',
+            line: null,
+            column: null
+          }))
+        });
+      }
+    }
+  }
+
+  return files.map(({ path: filePath, name }) => {
+    const dictionary = readDictionaryFile(filePath, packLoader);
+    return {
+      file: name || path.relative(process.cwd(), filePath),
+      diagnostics: validator.validate(dictionary.entries, dictionary.source)
+    };
+  }).concat(reports);
+}
+
+// Print lint diagnostics as file:line:column lines with a summary, or as JSON
+function printDiagnostics(reports, validator, options, out) {
+  if (options.json) {
+    const all = [];
+    reports.forEach(report => {
+      report.diagnostics.forEach(diagnostic => all.push(Object.assign({ file: report.file }, diagnostic)));
+    });
+    out.write(JSON.stringify(all, null, 2) + '\n');
+    return;
+  }
+
+  const diagnostics = [].concat(...reports.map(report => report.diagnostics));
+  const errors = diagnostics.filter(diagnostic => diagnostic.severity === 'error').length;
+  const warnings = diagnostics.length - errors;
+
+  reports.forEach(report => {
+    report.diagnostics.forEach(diagnostic => out.write(validator.format(diagnostic, report.file) + '\n'));
+  });
+  out.write(diagnostics.length === 0
+    ? `${reports.map(report => report.file).join(', ')}: no problems found\n`
+    : `\n${errors} error${errors === 1 ? '' : 's'}, ${warnings} warning${warnings === 1 ? '' : 's'}\n`);
+}
+
+// Print a dictionary diff as +/-/~ lines under a summary, or as JSON
+// Versions are those the files declare, when they do
+function printDiff(diff, fromVersion, toVersion, options, out) {
+  if (options.json) {
+    out.write(JSON.stringify(Object.assign({ from: fromVersion || null, to: toVersion || null }, diff), null, 2) + '\n');
+    return;
+  }
+
+  const versions = fromVersion || toVersion ? `Dictionary ${fromVersion || '(unversioned)'} -> ${toVersion || '(unversioned)'}: ` : '';
+  const lines = [`${versions}${diff.added.length} added, ${diff.removed.length} removed, ${diff.changed.length} changed`];
+
+  if (diff.added.length > 0) {
+    lines.push('', 'Added:');
+    diff.added.forEach(entry => lines.push(`  + ${entry.phrase}`));
+  }
+  if (diff.removed.length > 0) {
+    lines.push('', 'Removed:');
+    diff.removed.forEach(entry => lines.push(`  - ${entry.phrase}`));
+  }
+  if (diff.changed.length > 0) {
+    lines.push('', 'Changed:');
+    diff.changed.forEach(change => lines.push(`  ~ ${change.phrase}: ${change.fields.map(field => field.field).join(', ')}`));
+  }
+
+  out.write(lines.join('\n') + '\n');
+}
+
+// Look up every phrase, variant and keyword of the dictionary both through the search index
+// and by scoring every entry
+// Returns { queries, mismatches: [{ query, indexed, scanned }] } where mismatches are the lookups
+// whose ranked results differ
+function checkIndex(search, entries) {
+  const queries = new Set();
+  entries.forEach(entry => {
+    [entry.phrase].concat(entry.variants || [], entry.keywords || [])
+      .forEach(term => queries.add(String(term).toLowerCase().trim()));
+  });
+
+  const ranked = results => results.map(result => `${result.match} ${result.relevanceScore.toFixed(3)}`);
+  const mismatches = [];
+  queries.forEach(query => {
+    const indexed = ranked(search.search(query));
+    const scanned = ranked(search.search(query, { scan: true }));
+    if (indexed.join('\n') !== scanned.join('\n')) {
+      mismatches.push({ query: query, indexed: indexed, scanned: scanned });
+    }
+  });
+
+  return { queries: queries.size, mismatches: mismatches };
+}
+
+// Run a command and return the process exit code
+function main(argv, io = { stdin: process.stdin, stdout: process.stdout, stderr: process.stderr }) {
+  let options;
+
+  try {
+    options = parseArguments(argv);
+    const [command, ...args] = options.positional;
+
+    if (options.help || !command) {
+      io.stdout.write(USAGE + '\n');
+      return options.help ? 0 : 2;
+    }
+
+    const packLoader = new DictionaryPacks({ builtin: buzzwords });
+
+    if (command === 'lint') {
+      // Lint runs before the search engine is built, so a broken dictionary can still be checked
+      const validator = new DictionaryValidator();
+      const reports = lintDictionaries(args[0], options, packLoader, validator);
+
+      printDiagnostics(reports, validator, options, io.stdout);
+      return reports.some(report => report.diagnostics.some(diagnostic => diagnostic.severity === 'error')) ? 1 : 0;
+    }
+
+    if (command === 'diff') {
+      if (!args[0]) {
+        throw new UsageError('diff needs the older dictionary file');
+      }
+
+      const before = readDictionaryFile(args[0], packLoader).entries;
+      const after = args[1] ? readDictionaryFile(args[1], packLoader).entries : buzzwords;
+      printDiff(new DictionaryChangelog().diff(before, after), before.version, after.version, options, io.stdout);
+      return 0;
+    }
+
+    const dictionary = loadDictionary(options, packLoader, io.stderr);
+
+    if (command === 'packs') {
+      const packs = dictionary.packs.map(pack => ({
+        id: pack.id,
+        name: pack.name,
+        version: pack.version,
+        priority: pack.priority,
+        entries: pack.entries.length,
+        enabled: options.packs ? options.packs.includes(pack.id) : pack.enabled,
+        file: pack.file,
+        description: pack.description
+      }));
+
+      if (options.json) {
+        io.stdout.write(JSON.stringify(packs, null, 2) + '\n');
+      } else {
+        io.stdout.write(packs.map(pack =>
+          `${pack.enabled ? '*' : ' '} ${pack.id.padEnd(12)} ${pack.name} ${pack.version}, priority ${pack.priority}, ${pack.entries} entries` +
+          (pack.description ? `\n    ${pack.description}` : '')
+        ).join('\n') + '\n');
+      }
+      return 0;
+    }
+
+    const search = new BuzzwordSearch(dictionary.entries, { locale: options.locale, domain: options.domain });
+
+    switch (command) {
+      case 'lookup': {
+        const term = args.join(' ').trim();
+        if (!term) {
+          throw new UsageError('lookup needs a term to search for');
+        }
+
+        const results = search.search(term, { limit: options.limit, explain: options.explain });
+        if (results.length === 0 && !options.json) {
+          io.stderr.write(`No results found for "${term}"\n`);
+          return 1;
+        }
+        printResults(results, options, io.stdout);
+        return results.length > 0 ? 0 : 1;
+      }
+
+      case 'meaning': {
+        const description = args.join(' ').trim();
+        if (!description) {
+          throw new UsageError('meaning needs a plain-English description');
+        }
+
+        const results = search.reverseSearch(description, { limit: options.limit, explain: options.explain });
+        if (results.length === 0 && !options.json) {
+          io.stderr.write(`No buzzword found for "${description}"\n`);
+          return 1;
+        }
+        printResults(results, options, io.stdout);
+        return results.length > 0 ? 0 : 1;
+      }
+
+      case 'random': {
+        // Same as the "Surprise me" button: search for a random phrase
+        const entry = search.getRandomEntry();
+        printResults(search.search(entry.phrase, { limit: options.limit }), options, io.stdout);
+        return 0;
+      }
+
+      case 'list': {
+        const entries = search.listEntries({ category: options.category });
+        if (entries.length === 0) {
+          io.stderr.write(`No buzzwords in category "${options.category}"\n`);
+          return 1;
+        }
+        printResults(search.metadata.sort(entries, options.sort).map(entry => entryToResult(entry, search)), options, io.stdout);
+        return 0;
+      }
+
+      case 'categories': {
+        // Phrases instead of whole entries keep the JSON readable
+        const groups = search.browseCategories().map(group => Object.assign({}, group, {
+          categories: group.categories.map(category => ({
+            id: category.id,
+            name: category.name,
+            description: category.description,
+            count: category.count,
+            phrases: category.entries.map(entry => entry.phrase)
+          }))
+        }));
+
+        if (options.json) {
+          io.stdout.write(JSON.stringify(groups, null, 2) + '\n');
+        } else {
+          io.stdout.write(groups.map(group => [`${group.name} [${group.id}] (${group.count})`]
+            .concat(group.categories.map(category =>
+              `  ${category.id.padEnd(14)} ${category.name} (${category.count}) - ${category.description}`))
+            .join('\n')
+          ).join('\n\n') + '\n');
+        }
+        return 0;
+      }
+
+      case 'translate': {
+        const text = readInputText(args[0], io.stdin);
+        printAnalysis(search.analyzeText(text, { includeKeywords: options.keywords }), search, options, io.stdout);
+        return 0;
+      }
+
+      case 'check-index': {
+        const check = checkIndex(search, dictionary.entries);
+        if (options.json) {
+          io.stdout.write(JSON.stringify(check, null, 2) + '\n');
+        } else {
+          check.mismatches.forEach(mismatch => io.stdout.write(
+            `"${mismatch.query}"\n  indexed: ${mismatch.indexed.join(', ') || '(none)'}\n  scanned: ${mismatch.scanned.join(', ') || '(none)'}\n`
+          ));
+          io.stdout.write(`${check.queries} lookups, ${check.mismatches.length} differ from a full scan\n`);
+        }
+        return check.mismatches.length > 0 ? 1 : 0;
+      }
+
+      default:
+        throw new UsageError(`Unknown command: ${command}`);
+    }
+  } catch (error) {
+    if (error instanceof UsageError) {
+      io.stderr.write(`${error.message}\n\n${USAGE}\n`);
+      return 2;
+    }
+
+    io.stderr.write(`Error: ${error.message}\n`);
+    return 1;
+  }
+}
+
+if (require.main === module) {
+  // Output piped into head and the like stops being read early; that is not an error
+  process.stdout.on('error', error => {
+    if (error.code === 'EPIPE') {
+      process.exit(process.exitCode || 0);
+    }
+    throw error;
+  });
+
+  process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = { main, parseArguments, formatResult };
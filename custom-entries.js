@@ -0,0 +1,198 @@
+// Corporate Buzzword Translator - Custom Entries
+// Buzzwords people add in the app, kept in the browser's IndexedDB and searched as one more
+// dictionary pack that outranks all the others, so a custom entry replaces a built-in one with
+// the same phrase. Entries use the CONTRIBUTING.md format. When IndexedDB is unavailable
+// (private windows, file:// in some browsers) they are kept in memory for the session.
+//
+// Export format, also valid as a pack file in dictionaries/manifest.json:
+//   { "entries": [ { "phrase": "...", "translation": "...", ... } ] }
+
+const CUSTOM_DATABASE = {
+  name: 'buzzwordTranslator',
+  version: 1,
+  store: 'customEntries'
+};
+
+// The pack custom entries are merged in as
+const CUSTOM_PACK = {
+  id: 'custom',
+  name: 'My buzzwords',
+  version: 'local',
+  priority: Infinity, // always wins over packs from the manifest
+  builtin: false,
+  enabled: true,
+  description: 'Buzzwords added in this browser'
+};
+
+class CustomEntries {
+  // options.indexedDB: IndexedDB factory to use (default: the browser's; null keeps entries in memory)
+  constructor(options = {}) {
+    this.indexedDB = options.indexedDB !== undefined
+      ? options.indexedDB
+      : (typeof indexedDB !== 'undefined' ? indexedDB : null);
+    this.entries = new Map(); // lowercase phrase -> entry
+    this.db = null;
+  }
+
+  // Entries are stored under their phrase, ignoring case and surrounding spaces
+  key(phrase) {
+    return String(phrase).toLowerCase().trim();
+  }
+
+  // Connect to the database and load the saved entries
+  // Resolves to true when entries are stored, false when only kept in memory
+  async open() {
+    if (!this.indexedDB) {
+      return false;
+    }
+
+    try {
+      this.db = await new Promise((resolve, reject) => {
+        const request = this.indexedDB.open(CUSTOM_DATABASE.name, CUSTOM_DATABASE.version);
+        request.onupgradeneeded = () => {
+          if (!request.result.objectStoreNames.contains(CUSTOM_DATABASE.store)) {
+            request.result.createObjectStore(CUSTOM_DATABASE.store);
+          }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+        request.onblocked = () => reject(new Error('Custom buzzword storage is open in another tab'));
+      });
+
+      const saved = await this.request('readonly', store => store.getAll());
+      saved.forEach(entry => {
+        if (entry && typeof entry.phrase === 'string') {
+          this.entries.set(this.key(entry.phrase), entry);
+        }
+      });
+      return true;
+    } catch (error) {
+      console.warn('Custom buzzwords will not be saved:', error);
+      this.db = null;
+      return false;
+    }
+  }
+
+  // Run one request against the store and resolve with its result (undefined when
+  // makeRequest made none)
+  request(mode, makeRequest) {
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(CUSTOM_DATABASE.store, mode);
+      const request = makeRequest(transaction.objectStore(CUSTOM_DATABASE.store));
+      transaction.oncomplete = () => resolve(request ? request.result : undefined);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error || new Error('Custom buzzword change was aborted'));
+    });
+  }
+
+  // Every custom entry, alphabetically
+  list() {
+    return [...this.entries.values()]
+      .sort((a, b) => a.phrase.localeCompare(b.phrase, 'en', { sensitivity: 'base' }));
+  }
+
+  // The custom entry for a phrase, or null
+  get(phrase) {
+    return this.entries.get(this.key(phrase)) || null;
+  }
+
+  // Custom entries as a pack for DictionaryPacks.merge()
+  asPack() {
+    return Object.assign({}, CUSTOM_PACK, { entries: this.list() });
+  }
+
+  // Add or replace an entry; previousPhrase renames the entry saved under that phrase
+  async save(entry, previousPhrase = null) {
+    if (!entry || typeof entry.phrase !== 'string' || !entry.phrase.trim()) {
+      throw new Error('Invalid entry provided to custom entries');
+    }
+
+    const key = this.key(entry.phrase);
+    const previousKey = previousPhrase ? this.key(previousPhrase) : null;
+    const stored = this.withoutPack(entry);
+
+    if (this.db) {
+      await this.request('readwrite', store => {
+        if (previousKey && previousKey !== key) {
+          store.delete(previousKey);
+        }
+        return store.put(stored, key);
+      });
+    }
+
+    if (previousKey && previousKey !== key) {
+      this.entries.delete(previousKey);
+    }
+    this.entries.set(key, stored);
+    return stored;
+  }
+
+  // Add or replace several entries in one go
+  async saveAll(entries) {
+    const stored = entries.map(entry => this.withoutPack(entry));
+
+    if (stored.length === 0) {
+      return stored;
+    }
+
+    if (this.db) {
+      await this.request('readwrite', store => {
+        let last = null;
+        stored.forEach(entry => {
+          last = store.put(entry, this.key(entry.phrase));
+        });
+        return last;
+      });
+    }
+
+    stored.forEach(entry => this.entries.set(this.key(entry.phrase), entry));
+    return stored;
+  }
+
+  // Delete the entry for a phrase
+  async remove(phrase) {
+    const key = this.key(phrase);
+    if (this.db) {
+      await this.request('readwrite', store => store.delete(key));
+    }
+    this.entries.delete(key);
+  }
+
+  // merge() tags entries with their pack; that is not part of the entry itself
+  withoutPack(entry) {
+    const copy = Object.assign({}, entry);
+    delete copy.pack;
+    return copy;
+  }
+
+  // The entries as JSON for sharing, in the pack file format
+  exportJson() {
+    return JSON.stringify({ entries: this.list() }, null, 2) + '\n';
+  }
+
+  // Entries from exported JSON: { entries: [...] } or a plain list
+  parseImport(text) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      throw new Error(`Not a JSON file: ${error.message}`);
+    }
+
+    const entries = Array.isArray(data) ? data : data && data.entries;
+    if (!Array.isArray(entries)) {
+      throw new Error('Expected a list of entries or { "entries": [...] }');
+    }
+    return entries;
+  }
+}
+
+CustomEntries.PACK = CUSTOM_PACK;
+CustomEntries.DATABASE = CUSTOM_DATABASE;
+
+// Export the store for use in Node scripts and the browser
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = CustomEntries;
+} else if (typeof window !== 'undefined') {
+  window.CustomEntries = CustomEntries;
+}
@@ -0,0 +1,111 @@
+// Corporate Buzzword Translator - Deep Links
+// Page state kept in the URL, so a search or an entry can be bookmarked, sent to a colleague
+// and reached again with Back and Forward:
+//   index.html#/search?q=circle+back             a search
+//   index.html#/search?q=spare+time&dir=meaning  a plain-English search
+//   index.html#/term/circle-back                 one entry, by the slug of its phrase
+//   index.html#/                                 the start page
+// State is written to the fragment because browsers only let file:// pages rewrite that part
+// of their address. Links may also use the query string, as in index.html?q=circle+back.
+
+// Fragment routes start with this, so ordinary anchors such as #main-content are left alone
+const ROUTE_PREFIX = '#/';
+const TERM_ROUTE = 'term';
+const SEARCH_ROUTE = 'search';
+
+class DeepLinks {
+  // URL form of a phrase: lowercase ASCII words joined by hyphens ("Kool-Aid" -> "kool-aid")
+  slug(phrase) {
+    return String(phrase)
+      .normalize('NFKD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '');
+  }
+
+  // Read the state from a URL's query string and fragment; a fragment route wins
+  // Returns { query, direction, term } where term is a slug or null, or null when the fragment
+  // is an ordinary anchor, which says nothing about the state
+  parse(search, hash) {
+    if (typeof hash === 'string' && hash !== '' && hash !== '#') {
+      if (!hash.startsWith(ROUTE_PREFIX)) {
+        return null;
+      }
+
+      const route = hash.slice(ROUTE_PREFIX.length);
+      if (route.startsWith(`${TERM_ROUTE}/`)) {
+        const term = this.slug(this.decode(route.slice(TERM_ROUTE.length + 1)));
+        return { query: '', direction: 'jargon', term: term || null };
+      }
+      if (route.startsWith(`${SEARCH_ROUTE}?`)) {
+        return this.readParams(route.slice(SEARCH_ROUTE.length + 1));
+      }
+      return { query: '', direction: 'jargon', term: null };
+    }
+
+    return this.readParams((search || '').replace(/^\?/, ''));
+  }
+
+  // State from q= and dir= parameters
+  readParams(text) {
+    const params = new URLSearchParams(text);
+    return {
+      query: (params.get('q') || '').trim(),
+      direction: params.get('dir') === 'meaning' ? 'meaning' : 'jargon',
+      term: null
+    };
+  }
+
+  // Fragments may arrive percent-encoded; a malformed escape is kept as typed
+  decode(text) {
+    try {
+      return decodeURIComponent(text);
+    } catch (error) {
+      return text;
+    }
+  }
+
+  // The fragment for a state: an entry route when it has a term, else a search or the start page
+  build(state) {
+    if (state.term) {
+      return `${ROUTE_PREFIX}${TERM_ROUTE}/${state.term}`;
+    }
+    if (!state.query) {
+      return ROUTE_PREFIX;
+    }
+
+    const params = new URLSearchParams({ q: state.query });
+    if (state.direction === 'meaning') {
+      params.set('dir', 'meaning');
+    }
+    return `${ROUTE_PREFIX}${SEARCH_ROUTE}?${params.toString()}`;
+  }
+
+  // An absolute link to a state, from the address of the page (href) it belongs to
+  link(href, state) {
+    return String(href).replace(/[?#].*$/, '') + this.build(state);
+  }
+
+  // Whether two states show the same thing
+  same(a, b) {
+    return Boolean(a) && Boolean(b) && a.term === b.term &&
+      (a.term !== null || (a.query === b.query && (a.query === '' || a.direction === b.direction)));
+  }
+
+  // The entry a slug names: its phrase, or failing that one of its variants
+  findEntry(entries, slug) {
+    return entries.find(entry => this.slug(entry.phrase) === slug) ||
+      entries.find(entry => Array.isArray(entry.variants) && entry.variants.some(variant => this.slug(variant) === slug)) ||
+      null;
+  }
+}
+
+DeepLinks.ROUTE_PREFIX = ROUTE_PREFIX;
+
+// Export the link helpers for use in Node scripts and the browser
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = DeepLinks;
+} else if (typeof window !== 'undefined') {
+  window.DeepLinks = DeepLinks;
+}
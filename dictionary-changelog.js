@@ -0,0 +1,115 @@
+// Corporate Buzzword Translator - Dictionary Changelog
+// What changed between releases of the dictionary. buzzwords.js carries a version, and each
+// entry may carry the date it was `added` and the date of its last meaningful change as
+// `updated` (both YYYY-MM-DD, the day of the release that shipped them):
+//   { phrase: "mindshare", ..., added: "2026-10-19" }
+// changedSince() lists entries dated after a reader's last visit; diff() compares two
+// versions of a dictionary field by field, for release notes and `node cli.js diff`.
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Fields that describe an entry's history or where it was loaded from, not the entry itself
+const CHANGELOG_IGNORED_FIELDS = ['added', 'updated', 'pack'];
+
+class DictionaryChangelog {
+  // Whether a value is a real YYYY-MM-DD date
+  isDate(value) {
+    if (typeof value !== 'string' || !DATE_PATTERN.test(value)) {
+      return false;
+    }
+
+    const date = new Date(`${value}T00:00:00Z`);
+    return !Number.isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
+  }
+
+  // The date an entry last changed: its `updated` date, else its `added` date, else null
+  lastChanged(entry) {
+    if (entry && this.isDate(entry.updated)) {
+      return entry.updated;
+    }
+    return entry && this.isDate(entry.added) ? entry.added : null;
+  }
+
+  // The most recent date on any entry, or null when none are dated
+  latestDate(entries) {
+    return entries.reduce((latest, entry) => {
+      const date = this.lastChanged(entry);
+      return date && (!latest || date > latest) ? date : latest;
+    }, null);
+  }
+
+  // Entries added or updated after a date (exclusive), newest first, then by phrase
+  // Returns [{ entry, change: 'added' | 'updated', date }]
+  changedSince(entries, date) {
+    return entries
+      .map(entry => {
+        const changed = this.lastChanged(entry);
+        if (!changed || (date && changed <= date)) {
+          return null;
+        }
+
+        // An entry both added and updated since the date is still news as an addition
+        const isNew = this.isDate(entry.added) && (!date || entry.added > date);
+        return { entry: entry, change: isNew ? 'added' : 'updated', date: isNew ? entry.added : changed };
+      })
+      .filter(Boolean)
+      .sort((a, b) => (a.date < b.date ? 1 : a.date > b.date ? -1 : 0) ||
+        a.entry.phrase.localeCompare(b.entry.phrase, 'en', { sensitivity: 'base' }));
+  }
+
+  // Compare two versions of a dictionary by phrase, ignoring case
+  // Returns { added: [entries], removed: [entries], changed: [{ phrase, fields: [{ field, before, after }] }] }
+  // with each list in the order of the newer dictionary (removed ones in the order of the older)
+  diff(before, after) {
+    if (!Array.isArray(before) || !Array.isArray(after)) {
+      throw new Error('Invalid dictionaries provided to changelog diff');
+    }
+
+    const key = entry => entry.phrase.toLowerCase().trim();
+    const named = entries => entries.filter(entry => entry && typeof entry.phrase === 'string');
+    const beforeByKey = new Map(named(before).map(entry => [key(entry), entry]));
+    const afterByKey = new Map(named(after).map(entry => [key(entry), entry]));
+    const result = { added: [], removed: [], changed: [] };
+
+    named(after).forEach(entry => {
+      const previous = beforeByKey.get(key(entry));
+      if (!previous) {
+        result.added.push(entry);
+        return;
+      }
+
+      const fields = this.changedFields(previous, entry);
+      if (fields.length > 0) {
+        result.changed.push({ phrase: entry.phrase, fields: fields });
+      }
+    });
+
+    named(before).forEach(entry => {
+      if (!afterByKey.has(key(entry))) {
+        result.removed.push(entry);
+      }
+    });
+
+    return result;
+  }
+
+  // Fields whose values differ between two versions of an entry, in the newer entry's field
+  // order followed by fields that were dropped; a missing field is undefined
+  changedFields(before, after) {
+    const fields = Object.keys(after).concat(Object.keys(before).filter(field => !(field in after)));
+
+    return fields
+      .filter(field => !CHANGELOG_IGNORED_FIELDS.includes(field))
+      .filter(field => JSON.stringify(before[field]) !== JSON.stringify(after[field]))
+      .map(field => ({ field: field, before: before[field], after: after[field] }));
+  }
+}
+
+DictionaryChangelog.DATE_PATTERN = DATE_PATTERN;
+
+// Export the changelog for use in Node scripts and the browser
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = DictionaryChangelog;
+} else if (typeof window !== 'undefined') {
+  window.DictionaryChangelog = DictionaryChangelog;
+}
@@ -0,0 +1,132 @@
+// Corporate Buzzword Translator - Dictionary Locales
+// Entries may give `translation`, `context`, `alternatives` and `origin` (and the translation
+// and context of multipleMeanings) per locale instead of in English only:
+//   translation: { en: "use or take advantage of", de: "nutzen", es: "aprovechar" }
+// localize() turns such entries into plain ones for a single locale, falling back to English
+// for anything that has not been translated yet, so the rest of the app only sees strings.
+
+// Locales the app offers, in picker order; English is the fallback and must always be given
+const SUPPORTED_LOCALES = [
+  { id: 'en', name: 'English' },
+  { id: 'de', name: 'Deutsch' },
+  { id: 'es', name: 'Español' }
+];
+
+const FALLBACK_LOCALE = 'en';
+
+// Entry fields that may hold per-locale values, and whether each is a list
+const LOCALIZED_FIELDS = {
+  translation: false,
+  context: false,
+  alternatives: true,
+  origin: false
+};
+
+class DictionaryLocales {
+  // locales: [{ id, name }] the app offers (default SUPPORTED_LOCALES)
+  constructor(locales = SUPPORTED_LOCALES) {
+    if (!Array.isArray(locales) || !locales.some(locale => locale.id === FALLBACK_LOCALE)) {
+      throw new Error('Invalid locales provided to dictionary locales');
+    }
+
+    this.locales = locales;
+  }
+
+  // Whether a locale id is one the app offers
+  supports(id) {
+    return this.locales.some(locale => locale.id === id);
+  }
+
+  // The supported locale for a language tag such as "de-AT" or "es_MX", or null
+  match(tag) {
+    if (typeof tag !== 'string') {
+      return null;
+    }
+
+    const language = tag.toLowerCase().split(/[-_]/)[0];
+    return this.supports(language) ? language : null;
+  }
+
+  // Whether a field value is a per-locale map rather than a plain value
+  isLocalized(value) {
+    return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+  }
+
+  // The value of a field in a locale: the plain value itself, the locale's own value, the
+  // English value, or failing both the first value given
+  resolve(value, locale) {
+    if (!this.isLocalized(value)) {
+      return value;
+    }
+
+    if (value[locale] !== undefined && value[locale] !== null) {
+      return value[locale];
+    }
+    if (value[FALLBACK_LOCALE] !== undefined && value[FALLBACK_LOCALE] !== null) {
+      return value[FALLBACK_LOCALE];
+    }
+    return Object.values(value).find(candidate => candidate !== undefined && candidate !== null);
+  }
+
+  // A copy of an entry with every localized field resolved for one locale
+  // Entries without localized fields are returned unchanged
+  localize(entry, locale) {
+    if (!entry || typeof entry !== 'object') {
+      return entry;
+    }
+
+    const localizedFields = Object.keys(LOCALIZED_FIELDS).filter(field => this.isLocalized(entry[field]));
+    const localizedMeanings = Array.isArray(entry.multipleMeanings) &&
+      entry.multipleMeanings.some(meaning => meaning && (this.isLocalized(meaning.translation) || this.isLocalized(meaning.context)));
+
+    if (localizedFields.length === 0 && !localizedMeanings) {
+      return entry;
+    }
+
+    const localized = Object.assign({}, entry);
+    localizedFields.forEach(field => {
+      localized[field] = this.resolve(entry[field], locale);
+    });
+
+    if (localizedMeanings) {
+      localized.multipleMeanings = entry.multipleMeanings.map(meaning => {
+        if (!meaning || typeof meaning !== 'object') {
+          return meaning;
+        }
+        const copy = Object.assign({}, meaning, { translation: this.resolve(meaning.translation, locale) });
+        if (meaning.context !== undefined) {
+          copy.context = this.resolve(meaning.context, locale);
+        }
+        return copy;
+      });
+    }
+
+    return localized;
+  }
+
+  // Localize every entry of a dictionary
+  localizeAll(entries, locale) {
+    return entries.map(entry => this.localize(entry, locale));
+  }
+
+  // How many entries have their translation in a locale, for showing coverage next to the picker
+  coverage(entries, locale) {
+    if (locale === FALLBACK_LOCALE) {
+      return entries.length;
+    }
+
+    return entries.filter(entry => entry && this.isLocalized(entry.translation) &&
+      typeof entry.translation[locale] === 'string').length;
+  }
+}
+
+DictionaryLocales.LOCALES = SUPPORTED_LOCALES;
+DictionaryLocales.FALLBACK = FALLBACK_LOCALE;
+DictionaryLocales.FIELDS = LOCALIZED_FIELDS;
+
+// Export the locales for use in Node scripts and the browser
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = DictionaryLocales;
+} else if (typeof window !== 'undefined') {
+  window.DictionaryLocales = DictionaryLocales;
+}
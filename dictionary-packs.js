@@ -0,0 +1,271 @@
+// Corporate Buzzword Translator - Dictionary Packs
+// Loads the dictionary packs listed in a manifest (dictionaries/manifest.json) and merges
+// them into one dictionary. Each pack has an id, a version and a priority; when two packs
+// define the same phrase, the entry from the higher-priority pack wins. The built-in pack is
+// buzzwords.js, which is also what the app falls back to when loading fails. Packs are checked
+// with DictionaryValidator as they load, and one with malformed entries is left out whole.
+//
+// Manifest format:
+//   { "packs": [
+//     { "id": "core", "name": "Core buzzwords", "version": "1.0.0", "priority": 0, "builtin": true },
+//     { "id": "acme", "name": "Acme jargon", "version": "0.3.0", "priority": 20, "file": "acme.yaml" }
+//   ] }
+// Pack files are JSON or YAML: either a list of entries, or { entries: [...] }.
+
+const PACK_FORMATS = {
+  '.json': 'json',
+  '.yaml': 'yaml',
+  '.yml': 'yaml'
+};
+
+const BUILTIN_PACK = {
+  id: 'core',
+  name: 'Built-in buzzwords',
+  version: 'built-in',
+  priority: 0,
+  builtin: true,
+  enabled: true,
+  description: ''
+};
+
+class DictionaryPacks {
+  // options.builtin: entries of the built-in pack (default: buzzwords.js)
+  // options.validator: DictionaryValidator to check pack entries with (default: a new one)
+  constructor(options = {}) {
+    this.builtin = options.builtin || (typeof buzzwords !== 'undefined' ? buzzwords : require('./buzzwords.js'));
+    this.validator = options.validator || null;
+
+    const Yaml = typeof YamlParser !== 'undefined'
+      ? YamlParser
+      : require('./yaml-parser.js');
+    this.yaml = new Yaml();
+  }
+
+  // Check a parsed manifest and fill in defaults
+  // Returns [{ id, name, version, priority, file, builtin, enabled, description }] in manifest order
+  parseManifest(manifest) {
+    if (!manifest || !Array.isArray(manifest.packs)) {
+      throw new Error('Invalid dictionary manifest: expected { "packs": [...] }');
+    }
+
+    const seen = new Set();
+    return manifest.packs.map((pack, index) => {
+      const label = pack && pack.id ? `pack "${pack.id}"` : `pack ${index + 1}`;
+
+      if (!pack || typeof pack.id !== 'string' || !/^[a-z0-9][a-z0-9-]*$/.test(pack.id)) {
+        throw new Error(`Invalid dictionary manifest: ${label} needs an id of lowercase letters, digits and dashes`);
+      }
+      if (seen.has(pack.id)) {
+        throw new Error(`Invalid dictionary manifest: pack id "${pack.id}" is listed twice`);
+      }
+      seen.add(pack.id);
+
+      if (typeof pack.version !== 'string' || !pack.version.trim()) {
+        throw new Error(`Invalid dictionary manifest: ${label} needs a version string`);
+      }
+      if (pack.priority !== undefined && !Number.isFinite(pack.priority)) {
+        throw new Error(`Invalid dictionary manifest: ${label} has a priority that is not a number`);
+      }
+      if (!pack.builtin && !this.formatOf(pack.file)) {
+        throw new Error(`Invalid dictionary manifest: ${label} needs a .json, .yaml or .yml file`);
+      }
+
+      return {
+        id: pack.id,
+        name: typeof pack.name === 'string' && pack.name.trim() ? pack.name : pack.id,
+        version: pack.version,
+        priority: pack.priority || 0,
+        file: pack.builtin ? null : pack.file,
+        builtin: Boolean(pack.builtin),
+        enabled: pack.enabled !== false,
+        description: typeof pack.description === 'string' ? pack.description : ''
+      };
+    });
+  }
+
+  // The format of a pack file from its extension: 'json', 'yaml', or null when unsupported
+  formatOf(file) {
+    if (typeof file !== 'string') {
+      return null;
+    }
+
+    const extension = (file.match(/\.[a-z]+$/i) || [''])[0].toLowerCase();
+    return PACK_FORMATS[extension] || null;
+  }
+
+  // Parse the text of a pack file into its entries
+  parsePack(text, format) {
+    const data = format === 'yaml' ? this.yaml.parse(text) : JSON.parse(text);
+    const entries = Array.isArray(data) ? data : data && data.entries;
+
+    if (!Array.isArray(entries)) {
+      throw new Error('Invalid dictionary pack: expected a list of entries or { entries: [...] }');
+    }
+    return entries;
+  }
+
+  // Reject a pack's entries when any breaks the CONTRIBUTING.md format, since one bad entry
+  // (keywords that are not a list, say) would stop the whole dictionary from being searched
+  checkPack(entries) {
+    if (!this.validator) {
+      const Validator = typeof DictionaryValidator !== 'undefined'
+        ? DictionaryValidator
+        : require('./dictionary-validator.js');
+      this.validator = new Validator();
+    }
+
+    const errors = this.validator.validate(entries).filter(diagnostic => diagnostic.severity === 'error');
+    if (errors.length > 0) {
+      const [first] = errors;
+      const entry = first.phrase ? `"${first.phrase}"` : `entry ${first.index + 1}`;
+      throw new Error(`${errors.length} invalid entr${errors.length === 1 ? 'y' : 'ies'}, starting with ${entry}: ${first.message}`);
+    }
+    return entries;
+  }
+
+  // Load every pack in a manifest from disk (Node)
+  // Returns { packs, errors } as described for load()
+  loadSync(manifestPath) {
+    const fs = require('fs');
+    const path = require('path');
+
+    const readManifest = () => {
+      try {
+        return JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+      } catch (error) {
+        throw new Error(`Could not load ${manifestPath}: ${error.message}`);
+      }
+    };
+
+    return this.collect(
+      readManifest,
+      pack => this.parsePack(fs.readFileSync(path.resolve(path.dirname(manifestPath), pack.file), 'utf8'), this.formatOf(pack.file))
+    );
+  }
+
+  // Load every pack in a manifest over HTTP (browser)
+  // options.fetch: fetch function; without one only the built-in pack is available
+  // options.baseUrl: URL the manifest path is relative to (default: the page)
+  // Resolves to { packs, errors }: packs carry their entries (disabled ones too, so they can be
+  // switched on without reloading); packs that fail to load or check are left out and reported
+  // in errors.
+  // When the manifest itself cannot be read, packs holds only the built-in pack.
+  async load(manifestUrl, options = {}) {
+    const fetchText = async url => {
+      const response = await options.fetch(url);
+      if (!response.ok) {
+        throw new Error(`${url} returned ${response.status}`);
+      }
+      return response.text();
+    };
+
+    if (typeof options.fetch !== 'function') {
+      return { packs: [this.builtinPack()], errors: ['Dictionary packs need fetch, which is not available'] };
+    }
+
+    let manifestLocation;
+    let manifest;
+    try {
+      manifestLocation = new URL(manifestUrl, options.baseUrl || (typeof location !== 'undefined' ? location.href : undefined));
+      manifest = JSON.parse(await fetchText(manifestLocation.href));
+    } catch (error) {
+      return { packs: [this.builtinPack()], errors: [`Could not load ${manifestUrl}: ${error.message}`] };
+    }
+
+    let listed;
+    try {
+      listed = this.parseManifest(manifest);
+    } catch (error) {
+      return { packs: [this.builtinPack()], errors: [error.message] };
+    }
+
+    // Fetch pack files in parallel, then assemble them in manifest order
+    const texts = new Map();
+    await Promise.all(listed.filter(pack => !pack.builtin).map(async pack => {
+      try {
+        texts.set(pack.id, await fetchText(new URL(pack.file, manifestLocation).href));
+      } catch (error) {
+        texts.set(pack.id, error);
+      }
+    }));
+
+    return this.collect(() => manifest, pack => {
+      const text = texts.get(pack.id);
+      if (text instanceof Error) {
+        throw text;
+      }
+      return this.parsePack(text, this.formatOf(pack.file));
+    });
+  }
+
+  // Read the manifest and each pack with the given functions, keeping whatever loads
+  collect(readManifest, readPack) {
+    const errors = [];
+    let listed;
+
+    try {
+      listed = this.parseManifest(readManifest());
+    } catch (error) {
+      return { packs: [this.builtinPack()], errors: [error.message] };
+    }
+
+    const packs = [];
+    listed.forEach(pack => {
+      if (pack.builtin) {
+        packs.push(Object.assign({}, pack, { entries: this.builtin }));
+        return;
+      }
+
+      try {
+        packs.push(Object.assign({}, pack, { entries: this.checkPack(readPack(pack)) }));
+      } catch (error) {
+        errors.push(`Could not load dictionary pack "${pack.id}" (${pack.file}): ${error.message}`);
+      }
+    });
+
+    // A manifest that lists no usable pack still leaves the built-in dictionary
+    if (!packs.some(pack => pack.entries.length > 0)) {
+      packs.unshift(this.builtinPack());
+    }
+
+    return { packs: packs, errors: errors };
+  }
+
+  // The built-in dictionary as a pack, for when no manifest is available
+  // Its version is the one buzzwords.js declares, when it does
+  builtinPack() {
+    return Object.assign({}, BUILTIN_PACK, { entries: this.builtin }, this.builtin.version ? { version: this.builtin.version } : {});
+  }
+
+  // Merge packs into one dictionary by phrase (case-insensitive)
+  // enabledIds: ids of the packs to include (default: packs marked enabled)
+  // Lower priorities are applied first, so a higher-priority pack replaces an entry it shares;
+  // at equal priority the pack listed later wins. A replaced entry keeps its original position.
+  // Returns copies of the entries, each tagged with the id of its pack as `pack`
+  merge(packs, enabledIds = null) {
+    const enabled = enabledIds ? new Set(enabledIds) : null;
+    const merged = new Map();
+
+    packs
+      .map((pack, order) => ({ pack, order }))
+      .filter(({ pack }) => (enabled ? enabled.has(pack.id) : pack.enabled))
+      .sort((a, b) => a.pack.priority - b.pack.priority || a.order - b.order)
+      .forEach(({ pack }) => {
+        pack.entries.forEach(entry => {
+          if (!entry || typeof entry.phrase !== 'string') {
+            return;
+          }
+          merged.set(entry.phrase.toLowerCase().trim(), Object.assign({}, entry, { pack: pack.id }));
+        });
+      });
+
+    return [...merged.values()];
+  }
+}
+
+// Export the pack loader for use in Node scripts and the browser
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = DictionaryPacks;
+} else if (typeof window !== 'undefined') {
+  window.DictionaryPacks = DictionaryPacks;
+}
@@ -0,0 +1,636 @@
+// Corporate Buzzword Translator - Dictionary Validator
+// Checks dictionary entries against the format in CONTRIBUTING.md and reports
+// file:line diagnostics, so malformed entries are caught before they ship
+
+const ValidatorTaxonomy = typeof CategoryTaxonomy !== 'undefined'
+  ? CategoryTaxonomy
+  : require('./category-taxonomy.js');
+
+const ValidatorLocales = typeof DictionaryLocales !== 'undefined'
+  ? DictionaryLocales
+  : require('./dictionary-locales.js');
+
+const ValidatorDomains = typeof MeaningDomains !== 'undefined'
+  ? MeaningDomains
+  : require('./meaning-domains.js');
+
+const ValidatorMetadata = typeof EntryMetadata !== 'undefined'
+  ? EntryMetadata
+  : require('./entry-metadata.js');
+
+const ValidatorChangelog = typeof DictionaryChangelog !== 'undefined'
+  ? DictionaryChangelog
+  : require('./dictionary-changelog.js');
+
+// Field name -> { required, recommended, type, localized } where type is 'string', 'strings' (array of strings),
+// 'rating' (whole number on the cringe scale), 'date' (YYYY-MM-DD) or 'meanings' (array of
+// { translation, context, domain });
+// localized fields may instead be { en, de, ... } with a value of that type per locale;
+// a missing required field is an error, a missing recommended one a warning
+const DICTIONARY_FIELDS = {
+  phrase: { required: true, type: 'string' },
+  translation: { required: true, type: 'string', localized: true },
+  keywords: { required: true, type: 'strings' },
+  category: { required: true, type: 'string' },
+  variants: { required: false, type: 'strings' },
+  alternatives: { required: false, recommended: true, type: 'strings', localized: true },
+  context: { required: false, recommended: true, type: 'string', localized: true },
+  domain: { required: false, type: 'string' },
+  related: { required: false, type: 'strings' },
+  opposite: { required: false, type: 'strings' },
+  broader: { required: false, type: 'strings' },
+  narrower: { required: false, type: 'strings' },
+  origin: { required: false, type: 'string', localized: true },
+  era: { required: false, type: 'string' },
+  examples: { required: false, type: 'strings' },
+  frequency: { required: false, type: 'string' },
+  cringe: { required: false, type: 'rating' },
+  added: { required: false, type: 'date' },
+  updated: { required: false, type: 'date' },
+  multipleMeanings: { required: false, type: 'meanings' }
+};
+
+// Fields that link to other entries by phrase (see buzzword-relations.js)
+const RELATION_FIELDS = ['related', 'opposite', 'broader', 'narrower'];
+
+// A field name at the start of a line: phrase: ..., "phrase": ...
+const VALIDATOR_FIELD_PATTERN = /^(\s*)"?([A-Za-z]+)"?\s*:/;
+
+// An HTML tag or comment; entries are plain text, and the page must never render them as markup
+const VALIDATOR_MARKUP_PATTERN = /<\/?[A-Za-z!][^>]*>/;
+
+// Small words a phrase may contain without a matching keyword
+const VALIDATOR_FILLER_WORDS = new Set([
+  'a', 'an', 'and', 'at', 'get', 'in', 'it', "let's", 'me', 'my', 'of', 'on', 'our',
+  'the', 'this', 'to', 'up', 'us', 'we'
+]);
+
+class DictionaryValidator {
+  // options.taxonomy: CategoryTaxonomy whose subcategory ids entries may use
+  // options.locales: DictionaryLocales whose locale ids localized fields may use
+  // options.domains: MeaningDomains whose domain ids senses may be tagged with
+  constructor(options = {}) {
+    this.taxonomy = options.taxonomy || new ValidatorTaxonomy();
+    this.locales = options.locales || new ValidatorLocales();
+    this.domains = options.domains || new ValidatorDomains();
+    this.changelog = new ValidatorChangelog();
+  }
+
+  // Check every entry and return diagnostics ordered by position:
+  // [{ severity: 'error' | 'warning', rule, message, index, phrase, field, line, column }]
+  // source: optional text of the dictionary file, used for line numbers and sections
+  validate(entries, source = null) {
+    const diagnostics = [];
+    const locations = source ? this.locate(source) : { entries: [], sections: [] };
+
+    const report = (severity, rule, index, field, message) => {
+      const location = locations.entries[index] || null;
+      // Diagnostics about the whole entry point at its phrase, or at its start without one
+      const fieldLocation = location && (location.fields[field] || location.fields.phrase);
+      const entry = entries[index];
+
+      diagnostics.push({
+        severity: severity,
+        rule: rule,
+        message: message,
+        index: index,
+        phrase: entry && typeof entry.phrase === 'string' ? entry.phrase : null,
+        field: field,
+        line: fieldLocation ? fieldLocation.line : (location ? location.line : null),
+        column: fieldLocation ? fieldLocation.column : (location ? location.column : null)
+      });
+    };
+
+    if (!Array.isArray(entries)) {
+      report('error', 'dictionary-type', -1, null, 'Dictionary must be an array of entries');
+      return diagnostics;
+    }
+
+    const seenPhrases = new Map(); // lowercase phrase -> first index
+    const seenVariants = new Map(); // lowercase variant -> index of the entry listing it
+
+    entries.forEach((entry, index) => {
+      if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+        report('error', 'entry-type', index, null, `Entry ${index + 1} is not an object`);
+        return;
+      }
+
+      this.checkFields(entry, index, report);
+
+      if (typeof entry.phrase === 'string' && entry.phrase.trim()) {
+        const key = entry.phrase.trim().toLowerCase();
+        if (seenPhrases.has(key)) {
+          const firstEntry = locations.entries[seenPhrases.get(key)];
+          const first = firstEntry && (firstEntry.fields.phrase || firstEntry);
+          report('error', 'duplicate-phrase', index, 'phrase',
+            `Duplicate phrase "${entry.phrase}"${first ? ` (first defined on line ${first.line})` : ''}`);
+        } else {
+          seenPhrases.set(key, index);
+        }
+      }
+
+      if (Array.isArray(entry.variants)) {
+        this.checkVariants(entry, index, seenVariants, report);
+      }
+
+      this.checkMetadata(entry, index, report);
+      this.checkDates(entry, index, report);
+      this.checkDomains(entry, index, report);
+
+      if (typeof entry.category === 'string' && !this.taxonomy.isCategory(entry.category)) {
+        const suggestion = this.taxonomy.getCategory(entry.category);
+        report('error', 'category', index, 'category', suggestion
+          ? `Category "${entry.category}" is an old name; use "${suggestion.id}"`
+          : `Unknown category "${entry.category}"; use one of the categories in category-taxonomy.js`);
+      }
+
+      if (typeof entry.phrase === 'string' && Array.isArray(entry.keywords) && entry.keywords.length > 0) {
+        this.checkKeywords(entry, index, report);
+      }
+    });
+
+    this.checkOrder(entries, locations, report);
+    this.checkVariantClashes(entries, seenPhrases, seenVariants, report);
+    this.checkRelations(entries, seenPhrases, report);
+
+    return diagnostics.sort((a, b) =>
+      (a.line || 0) - (b.line || 0) || a.index - b.index || (a.column || 0) - (b.column || 0)
+    );
+  }
+
+  // Required fields, value types and unexpected fields
+  checkFields(entry, index, report) {
+    Object.entries(DICTIONARY_FIELDS).forEach(([field, spec]) => {
+      const value = entry[field];
+
+      if (value === undefined || value === null) {
+        if (spec.required) {
+          report('error', 'required-field', index, null, `Missing required field "${field}"`);
+        } else if (spec.recommended) {
+          report('warning', 'recommended-field', index, null, `Missing field "${field}", which every entry should have`);
+        }
+        return;
+      }
+
+      if (spec.type === 'meanings') {
+        this.checkMeanings(value, index, report);
+      } else if (spec.localized && this.locales.isLocalized(value)) {
+        this.checkLocalized(value, spec.type, index, field, field, report);
+      } else {
+        this.checkValue(value, spec.type, index, field, field, report);
+      }
+    });
+
+    Object.keys(entry).forEach(field => {
+      if (!DICTIONARY_FIELDS[field]) {
+        report('warning', 'unknown-field', index, field, `Unknown field "${field}"`);
+      }
+    });
+  }
+
+  // A 'string', 'strings', 'rating' or 'date' value; label names it in messages
+  checkValue(value, type, index, field, label, report) {
+    if (type === 'date') {
+      if (!this.changelog.isDate(value)) {
+        report('error', 'field-type', index, field, `"${label}" must be a date written as YYYY-MM-DD`);
+      }
+    } else if (type === 'rating') {
+      const levels = ValidatorMetadata.CRINGE_LEVELS;
+      if (!Number.isInteger(value) || value < levels[0].value || value > levels[levels.length - 1].value) {
+        report('error', 'field-type', index, field,
+          `"${label}" must be a whole number from ${levels[0].value} to ${levels[levels.length - 1].value}`);
+      }
+    } else if (type === 'string') {
+      if (typeof value !== 'string' || !value.trim()) {
+        report('error', 'field-type', index, field, `"${label}" must be a non-empty string`);
+      } else if (VALIDATOR_MARKUP_PATTERN.test(value)) {
+        report('error', 'markup', index, field, `"${label}" must be plain text, not HTML`);
+      }
+    } else if (!Array.isArray(value) || value.length === 0) {
+      report('error', 'field-type', index, field, `"${label}" must be a non-empty array of strings`);
+    } else if (value.some(item => typeof item !== 'string' || !item.trim())) {
+      report('error', 'field-type', index, field, `Every item in "${label}" must be a non-empty string`);
+    } else if (value.some(item => VALIDATOR_MARKUP_PATTERN.test(item))) {
+      report('error', 'markup', index, field, `Items in "${label}" must be plain text, not HTML`);
+    }
+  }
+
+  // A per-locale value: English is required as the fallback, other keys must be supported locales
+  checkLocalized(value, type, index, field, label, report) {
+    if (value[ValidatorLocales.FALLBACK] === undefined) {
+      report('error', 'locale', index, field,
+        `"${label}" needs an "${ValidatorLocales.FALLBACK}" value to fall back on`);
+    }
+
+    Object.entries(value).forEach(([locale, localizedValue]) => {
+      if (!this.locales.supports(locale)) {
+        report('warning', 'locale', index, field,
+          `Unknown locale "${locale}" in "${label}"; use one of ${this.locales.locales.map(candidate => candidate.id).join(', ')}`);
+      }
+      this.checkValue(localizedValue, type, index, field, `${label}.${locale}`, report);
+    });
+  }
+
+  // multipleMeanings: a non-empty array of { translation, context? } objects
+  checkMeanings(meanings, index, report) {
+    if (!Array.isArray(meanings) || meanings.length === 0) {
+      report('error', 'multiple-meanings', index, 'multipleMeanings',
+        '"multipleMeanings" must be a non-empty array of { translation, context, domain } objects');
+      return;
+    }
+
+    meanings.forEach((meaning, position) => {
+      const label = `multipleMeanings[${position}]`;
+
+      if (!meaning || typeof meaning !== 'object' || Array.isArray(meaning)) {
+        report('error', 'multiple-meanings', index, 'multipleMeanings', `${label} must be an object`);
+        return;
+      }
+      if (this.locales.isLocalized(meaning.translation)) {
+        this.checkLocalized(meaning.translation, 'string', index, 'multipleMeanings', `${label}.translation`, report);
+      } else if (typeof meaning.translation !== 'string' || !meaning.translation.trim()) {
+        report('error', 'multiple-meanings', index, 'multipleMeanings', `${label} needs a "translation" string`);
+      }
+      if (this.locales.isLocalized(meaning.context)) {
+        this.checkLocalized(meaning.context, 'string', index, 'multipleMeanings', `${label}.context`, report);
+      } else if (meaning.context !== undefined && (typeof meaning.context !== 'string' || !meaning.context.trim())) {
+        report('error', 'multiple-meanings', index, 'multipleMeanings', `${label}.context must be a non-empty string`);
+      }
+      Object.keys(meaning).forEach(key => {
+        if (key !== 'translation' && key !== 'context' && key !== 'domain') {
+          report('warning', 'multiple-meanings', index, 'multipleMeanings', `${label} has unknown field "${key}"`);
+        }
+      });
+    });
+  }
+
+  // Sense domains must be known, and each field should have one sense per entry, since only
+  // the first is brought forward for readers in it
+  checkDomains(entry, index, report) {
+    const known = this.domains.domains.map(domain => domain.id).join(', ');
+    const seen = new Set();
+    const senses = [{ domain: entry.domain, field: 'domain', label: '"domain"' }].concat(
+      (Array.isArray(entry.multipleMeanings) ? entry.multipleMeanings : []).map((meaning, position) => ({
+        domain: meaning && typeof meaning === 'object' ? meaning.domain : undefined,
+        field: 'multipleMeanings',
+        label: `multipleMeanings[${position}].domain`
+      }))
+    );
+
+    senses.forEach(sense => {
+      if (sense.domain === undefined) {
+        return;
+      }
+      if (!this.domains.supports(sense.domain)) {
+        report('error', 'domain', index, sense.field, `Unknown domain "${sense.domain}" in ${sense.label}; use one of ${known}`);
+      } else if (sense.domain !== ValidatorDomains.GENERAL && seen.has(sense.domain)) {
+        report('warning', 'domain', index, sense.field,
+          `More than one sense in domain "${sense.domain}"; only the first is shown first to readers in that field`);
+      }
+      seen.add(sense.domain);
+    });
+  }
+
+  // Era, frequency and examples are strings with a narrower shape than checkFields knows about
+  checkMetadata(entry, index, report) {
+    if (typeof entry.era === 'string' && entry.era.trim() && !ValidatorMetadata.ERA_PATTERN.test(entry.era)) {
+      report('error', 'metadata', index, 'era', `Era "${entry.era}" must be a decade such as "1990s"`);
+    }
+
+    const tiers = ValidatorMetadata.FREQUENCY_TIERS.map(tier => tier.id);
+    if (typeof entry.frequency === 'string' && entry.frequency.trim() && !tiers.includes(entry.frequency)) {
+      report('error', 'metadata', index, 'frequency',
+        `Unknown frequency "${entry.frequency}"; use one of ${tiers.join(', ')}`);
+    }
+
+    if (Array.isArray(entry.examples) && entry.examples.length > ValidatorMetadata.MAX_EXAMPLES) {
+      report('warning', 'metadata', index, 'examples',
+        `${entry.examples.length} examples; keep it to ${ValidatorMetadata.MAX_EXAMPLES} or fewer`);
+    }
+  }
+
+  // An entry cannot be updated before it was added
+  checkDates(entry, index, report) {
+    if (this.changelog.isDate(entry.added) && this.changelog.isDate(entry.updated) && entry.updated < entry.added) {
+      report('error', 'dates', index, 'updated', `Updated on ${entry.updated}, before it was added on ${entry.added}`);
+    }
+  }
+
+  // Variants must not repeat within an entry or repeat its phrase
+  checkVariants(entry, index, seenVariants, report) {
+    const phrase = typeof entry.phrase === 'string' ? entry.phrase.trim().toLowerCase() : null;
+    const own = new Set();
+
+    entry.variants.forEach(variant => {
+      if (typeof variant !== 'string' || !variant.trim()) {
+        return;
+      }
+
+      const key = variant.trim().toLowerCase().replace(/\s+/g, ' ');
+      if (key === phrase) {
+        report('warning', 'variant', index, 'variants', `Variant "${variant}" is the phrase itself`);
+      } else if (own.has(key)) {
+        report('error', 'variant', index, 'variants', `Duplicate variant "${variant}"`);
+      } else if (!seenVariants.has(key)) {
+        seenVariants.set(key, index);
+      }
+      own.add(key);
+    });
+  }
+
+  // A variant that is another entry's phrase or variant would make an exact-looking query ambiguous
+  checkVariantClashes(entries, seenPhrases, seenVariants, report) {
+    entries.forEach((entry, index) => {
+      if (!entry || !Array.isArray(entry.variants)) {
+        return;
+      }
+
+      entry.variants.forEach(variant => {
+        if (typeof variant !== 'string') {
+          return;
+        }
+
+        const key = variant.trim().toLowerCase().replace(/\s+/g, ' ');
+        const phraseOwner = seenPhrases.get(key);
+        const variantOwner = seenVariants.get(key);
+
+        if (phraseOwner !== undefined && phraseOwner !== index) {
+          report('error', 'variant', index, 'variants',
+            `Variant "${variant}" is the phrase of another entry`);
+        } else if (variantOwner !== undefined && variantOwner !== index) {
+          report('error', 'variant', index, 'variants',
+            `Variant "${variant}" is also a variant of "${entries[variantOwner].phrase}"`);
+        }
+      });
+    });
+  }
+
+  // Links must point at other entries, and at each one in only one way
+  // Targets outside this file are warnings, since another dictionary pack may define them
+  checkRelations(entries, seenPhrases, report) {
+    entries.forEach((entry, index) => {
+      if (!entry || typeof entry.phrase !== 'string') {
+        return;
+      }
+
+      const phrase = entry.phrase.trim().toLowerCase();
+      const linkedAs = new Map(); // lowercase target -> first field linking to it
+
+      RELATION_FIELDS.forEach(field => {
+        if (!Array.isArray(entry[field])) {
+          return;
+        }
+
+        entry[field].filter(target => typeof target === 'string').forEach(target => {
+          const key = target.trim().toLowerCase();
+
+          if (key === phrase) {
+            report('error', 'relation', index, field, `"${field}" links the entry to itself`);
+          } else if (linkedAs.has(key)) {
+            report('error', 'relation', index, field,
+              `"${target}" is listed in both "${linkedAs.get(key)}" and "${field}"`);
+          } else if (!seenPhrases.has(key)) {
+            report('warning', 'relation', index, field, `"${field}" links to "${target}", which is not in this dictionary`);
+          }
+          if (!linkedAs.has(key)) {
+            linkedAs.set(key, field);
+          }
+        });
+      });
+    });
+  }
+
+  // Keywords must not repeat and must cover every meaningful word of the phrase
+  checkKeywords(entry, index, report) {
+    const keywords = entry.keywords
+      .filter(keyword => typeof keyword === 'string')
+      .map(keyword => keyword.trim().toLowerCase());
+    const seen = new Set();
+
+    keywords.forEach(keyword => {
+      if (seen.has(keyword)) {
+        report('error', 'duplicate-keyword', index, 'keywords', `Duplicate keyword "${keyword}"`);
+      }
+      seen.add(keyword);
+    });
+
+    const missing = entry.phrase.toLowerCase()
+      .split(/[\s\-–—/]+/)
+      .map(word => word.replace(/^[^a-z0-9]+|[^a-z0-9']+$/g, ''))
+      .filter(word => word && !VALIDATOR_FILLER_WORDS.has(word) && !seen.has(word));
+
+    if (missing.length > 0) {
+      report('warning', 'keyword-coverage', index, 'keywords',
+        `Keywords do not cover ${missing.map(word => `"${word}"`).join(', ')} from the phrase`);
+    }
+  }
+
+  // Entries must be alphabetical within their section, and in the section for their first letter
+  checkOrder(entries, locations, report) {
+    let previous = null;
+
+    entries.forEach((entry, index) => {
+      if (!entry || typeof entry.phrase !== 'string') {
+        return;
+      }
+
+      const location = locations.entries[index];
+      const section = location ? this.sectionFor(location.line, locations.sections) : null;
+      const sameSection = previous && previous.section === section;
+
+      if (sameSection && this.comparePhrases(previous.phrase, entry.phrase) > 0) {
+        report('warning', 'alphabetical-order', index, 'phrase',
+          `"${entry.phrase}" should come before "${previous.phrase}"`);
+      }
+
+      const initial = entry.phrase.trim().charAt(0).toUpperCase();
+      if (section && /[A-Z]/.test(initial) && (initial < section.from || initial > section.to)) {
+        report('warning', 'section', index, 'phrase',
+          `"${entry.phrase}" belongs outside the ${section.from}-${section.to} section`);
+      }
+
+      previous = { phrase: entry.phrase, section: section };
+    });
+  }
+
+  // Dictionary order: case-insensitive, hyphens and slashes read as spaces, other punctuation ignored
+  comparePhrases(a, b) {
+    const key = phrase => phrase.toLowerCase().replace(/[\-–—/]+/g, ' ').replace(/[^a-z0-9 ]/g, '');
+    return key(a).localeCompare(key(b), 'en');
+  }
+
+  // The section comment ("// D-F") in force at a line, or null
+  sectionFor(line, sections) {
+    let current = null;
+    sections.forEach(section => {
+      if (section.line <= line) {
+        current = section;
+      }
+    });
+    return current;
+  }
+
+  // Find where each entry and its fields start in the source text, plus the section comments
+  // Entries are found from their opening "{" in buzzwords.js and JSON files, or their "- " item
+  // in YAML, so an entry missing a field (even its phrase) does not shift the ones after it
+  // Returns { entries: [{ line, column, fields: { name: { line, column } } }], sections: [{ line, from, to }] }
+  locate(source) {
+    const lines = String(source).split(/\r?\n/);
+    const sections = [];
+
+    lines.forEach((text, i) => {
+      const section = text.match(/^\s*\/\/\s*([A-Z])\s*-\s*([A-Z])\s*$/);
+      if (section) {
+        sections.push({ line: i + 1, from: section[1], to: section[2] });
+      }
+    });
+
+    // YAML starts with a key or a list item; scripts and JSON with code or a bracket
+    const first = lines.find(text => !/^\s*(#|\/\/|$)/.test(text));
+    const yaml = first !== undefined && /^(-(\s|$)|[A-Za-z_]+\s*:)/.test(first);
+
+    return {
+      entries: yaml ? this.locateYamlEntries(lines) : this.locateScriptEntries(lines),
+      sections: sections
+    };
+  }
+
+  // Entries of buzzwords.js or a JSON pack: the objects directly inside the entries array, which
+  // is the first top-level array, or the one under "entries"; strings and comments are skipped
+  locateScriptEntries(lines) {
+    const entries = [];
+    const stack = []; // brackets open at this point
+    let entriesDepth = -1; // stack depth inside the entries array, once it is found
+    let quote = null;
+    let blockComment = false;
+    let current = null;
+
+    const addField = (match, line, column) => {
+      if (match && current && !current.fields[match[2]]) {
+        current.fields[match[2]] = { line: line, column: column + match[1].length };
+      }
+    };
+
+    lines.forEach((text, i) => {
+      const line = i + 1;
+
+      // A field starting a line directly inside the current entry
+      if (!quote && !blockComment && entriesDepth > 0 && stack.length === entriesDepth + 1) {
+        addField(text.match(VALIDATOR_FIELD_PATTERN), line, 1);
+      }
+
+      for (let c = 0; c < text.length; c++) {
+        const char = text[c];
+
+        if (blockComment) {
+          if (char === '*' && text[c + 1] === '/') {
+            blockComment = false;
+            c++;
+          }
+        } else if (quote) {
+          if (char === '\\') {
+            c++;
+          } else if (char === quote) {
+            quote = null;
+          }
+        } else if (char === '"' || char === "'" || char === '`') {
+          quote = char;
+        } else if (char === '/' && text[c + 1] === '/') {
+          break;
+        } else if (char === '/' && text[c + 1] === '*') {
+          blockComment = true;
+          c++;
+        } else if (char === '{' || char === '[') {
+          if (char === '{' && stack.length === entriesDepth) {
+            current = { line: line, column: c + 1, fields: {} };
+            entries.push(current);
+            // The first field may share the line with the brace: { phrase: "...",
+            addField(text.slice(c + 1).match(VALIDATOR_FIELD_PATTERN), line, c + 2);
+          }
+          if (char === '[' && entriesDepth === -1 &&
+              (stack.length === 0 || (stack.length === 1 && /"?entries"?\s*:\s*$/.test(text.slice(0, c))))) {
+            entriesDepth = stack.length + 1;
+          }
+          stack.push(char);
+        } else if (char === '}' || char === ']') {
+          stack.pop();
+          if (stack.length < entriesDepth) {
+            entriesDepth = Infinity; // the entries array has closed
+          }
+        }
+      }
+    });
+
+    return entries;
+  }
+
+  // Entries of a YAML pack: the "- " items of the top-level list or the list under "entries:"
+  locateYamlEntries(lines) {
+    const entries = [];
+    let inEntries = !lines.some(text => /^entries\s*:/.test(text));
+    let itemIndent = null; // where the entries' "-" sits
+    let keyIndent = null; // where the current entry's keys start
+    let current = null;
+
+    lines.forEach((text, i) => {
+      const line = i + 1;
+
+      if (/^\s*(#|$)/.test(text)) {
+        return;
+      }
+      if (/^entries\s*:/.test(text)) {
+        inEntries = true;
+        return;
+      }
+      // Another top-level key ends the list
+      if (/^[^\s-]/.test(text)) {
+        inEntries = false;
+        current = null;
+        return;
+      }
+      if (!inEntries) {
+        return;
+      }
+
+      const item = text.match(/^(\s*)-(\s+|$)/);
+      if (item && (itemIndent === null || item[1].length === itemIndent)) {
+        itemIndent = item[1].length;
+        current = { line: line, column: itemIndent + 1, fields: {} };
+        entries.push(current);
+
+        // "- phrase: ..." puts the first key on the item's own line
+        const rest = text.slice(item[0].length);
+        keyIndent = rest ? item[0].length : null;
+        const field = rest.match(VALIDATOR_FIELD_PATTERN);
+        if (field) {
+          current.fields[field[2]] = { line: line, column: keyIndent + 1 };
+        }
+        return;
+      }
+
+      const field = current && text.match(VALIDATOR_FIELD_PATTERN);
+      if (field && (keyIndent === null || field[1].length === keyIndent)) {
+        keyIndent = field[1].length;
+        if (!current.fields[field[2]]) {
+          current.fields[field[2]] = { line: line, column: keyIndent + 1 };
+        }
+      }
+    });
+
+    return entries;
+  }
+
+  // Render a diagnostic as "file:line:column: severity: message [rule]"
+  format(diagnostic, file = 'buzzwords.js') {
+    const position = diagnostic.line ? `:${diagnostic.line}:${diagnostic.column || 1}` : '';
+    const where = diagnostic.line || diagnostic.index < 0 ? '' : ` (entry ${diagnostic.index + 1})`;
+    return `${file}${position}: ${diagnostic.severity}: ${diagnostic.message}${where} [${diagnostic.rule}]`;
+  }
+}
+
+// Export the validator for use in Node scripts and the browser
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = DictionaryValidator;
+} else if (typeof window !== 'undefined') {
+  window.DictionaryValidator = DictionaryValidator;
+}
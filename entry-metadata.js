@@ -0,0 +1,168 @@
+// Corporate Buzzword Translator - Entry Metadata
+// Background fields an entry may carry besides its gloss, and how they are filtered and sorted:
+//   origin     where the phrase comes from (may be localized like `context`)
+//   era        decade it first turned up in business use, e.g. "1990s"
+//   examples   two or three sentences showing it in use
+//   frequency  how often it is heard: "common", "occasional" or "rare"
+//   cringe     how much it annoys people, from 1 (harmless) to 5 (makes people wince)
+
+const FREQUENCY_TIERS = [
+  { id: 'common', name: 'Common', description: 'Heard in most offices every week' },
+  { id: 'occasional', name: 'Occasional', description: 'Turns up now and then' },
+  { id: 'rare', name: 'Rare', description: 'Mostly in decks and keynotes' }
+];
+
+const CRINGE_LEVELS = [
+  { value: 1, name: 'Harmless' },
+  { value: 2, name: 'Mild' },
+  { value: 3, name: 'Eye-roll' },
+  { value: 4, name: 'Groan' },
+  { value: 5, name: 'Wince' }
+];
+
+const ERA_PATTERN = /^(1[89]|20)\d0s$/;
+
+// Most examples a card shows before it gets long
+const MAX_EXAMPLES = 3;
+
+// sort: orders, each with the direction that reads naturally first
+const METADATA_SORTS = {
+  cringe: { field: 'cringe', descending: true, description: 'most annoying first' },
+  era: { field: 'era', descending: false, description: 'oldest first' },
+  frequency: { field: 'frequency', descending: false, description: 'most common first' },
+  phrase: { field: 'phrase', descending: false, description: 'A to Z' }
+};
+
+class EntryMetadata {
+  // Whether an entry has any of the metadata fields filled in
+  hasMetadata(entry) {
+    return Boolean(entry) && (Boolean(entry.origin) || Boolean(entry.era) || Boolean(entry.frequency) ||
+      entry.cringe !== undefined || (Array.isArray(entry.examples) && entry.examples.length > 0));
+  }
+
+  // First year of an entry's era ("1990s" -> 1990), or null
+  eraYear(entry) {
+    return entry && typeof entry.era === 'string' && ERA_PATTERN.test(entry.era)
+      ? Number(entry.era.slice(0, 4))
+      : null;
+  }
+
+  // Position of a frequency tier, 0 for the most common; null when unknown
+  frequencyRank(frequency) {
+    const index = FREQUENCY_TIERS.findIndex(tier => tier.id === frequency);
+    return index === -1 ? null : index;
+  }
+
+  frequencyName(frequency) {
+    const tier = FREQUENCY_TIERS.find(candidate => candidate.id === frequency);
+    return tier ? tier.name : frequency;
+  }
+
+  cringeName(cringe) {
+    const level = CRINGE_LEVELS.find(candidate => candidate.value === cringe);
+    return level ? level.name : String(cringe);
+  }
+
+  // Parse the value of a cringe:, era: or frequency: filter
+  // Returns { field, min, max } (either bound may be null) or null when the value is not understood
+  //   cringe:4, cringe:4.., cringe:..2, cringe:2..3    a rating or a range of ratings
+  //   era:1990s, era:..1980s, era:1990s..2000s         a decade or a range of decades
+  //   frequency:common                                 a tier, stored as its rank
+  // Ranges use ".." rather than < and > because the search box strips angle brackets
+  parseFilter(field, text) {
+    if (field === 'frequency') {
+      const rank = this.frequencyRank(text);
+      return rank === null ? null : { field: field, min: rank, max: rank };
+    }
+
+    const parts = String(text).split('..');
+    if (parts.length > 2 || parts.every(part => part === '')) {
+      return null;
+    }
+
+    const bounds = parts.map(part => (part === '' ? null : this.parseBound(field, part)));
+    if (bounds.includes(undefined)) {
+      return null;
+    }
+
+    const [min, max] = parts.length === 1 ? [bounds[0], bounds[0]] : bounds;
+    if (min !== null && max !== null && min > max) {
+      return null;
+    }
+    return { field: field, min: min, max: max };
+  }
+
+  // One end of a range: a rating on the cringe scale, or the first year of a decade
+  // Returns undefined when the text is not a valid bound
+  parseBound(field, text) {
+    if (field === 'cringe') {
+      const value = /^\d$/.test(text) ? Number(text) : NaN;
+      return CRINGE_LEVELS.some(level => level.value === value) ? value : undefined;
+    }
+
+    // Decades only: "1990s" or "1990", not "1995"
+    const match = text.match(/^(\d{3}0)s?$/);
+    return match && ERA_PATTERN.test(`${match[1]}s`) ? Number(match[1]) : undefined;
+  }
+
+  // Whether an entry passes a parsed filter; entries without the field never do
+  matchesFilter(filter, entry) {
+    let actual;
+    if (filter.field === 'frequency') {
+      actual = this.frequencyRank(entry.frequency);
+    } else if (filter.field === 'era') {
+      actual = this.eraYear(entry);
+    } else {
+      actual = typeof entry.cringe === 'number' ? entry.cringe : null;
+    }
+
+    return actual !== null &&
+      (filter.min === null || actual >= filter.min) &&
+      (filter.max === null || actual <= filter.max);
+  }
+
+  // The value an entry (or search result, which carries the same fields) sorts by
+  sortValue(sort, item) {
+    switch (METADATA_SORTS[sort].field) {
+      case 'cringe': return typeof item.cringe === 'number' ? item.cringe : null;
+      case 'era': return this.eraYear(item);
+      case 'frequency': return this.frequencyRank(item.frequency);
+      default: return String(item.phrase || item.match || '').toLowerCase();
+    }
+  }
+
+  // Sort entries or results by a sort: order; those missing the field go last, in their
+  // original order, so relevance still decides among equals
+  sort(items, sort) {
+    const order = METADATA_SORTS[sort];
+    if (!order) {
+      return items.slice();
+    }
+
+    return items
+      .map((item, index) => ({ item, index, value: this.sortValue(sort, item) }))
+      .sort((a, b) => {
+        if (a.value === null || b.value === null) {
+          return (a.value === null) - (b.value === null) || a.index - b.index;
+        }
+        const difference = typeof a.value === 'string'
+          ? a.value.localeCompare(b.value, 'en', { sensitivity: 'base' })
+          : a.value - b.value;
+        return (order.descending ? -difference : difference) || a.index - b.index;
+      })
+      .map(({ item }) => item);
+  }
+}
+
+EntryMetadata.FREQUENCY_TIERS = FREQUENCY_TIERS;
+EntryMetadata.CRINGE_LEVELS = CRINGE_LEVELS;
+EntryMetadata.ERA_PATTERN = ERA_PATTERN;
+EntryMetadata.MAX_EXAMPLES = MAX_EXAMPLES;
+EntryMetadata.SORTS = METADATA_SORTS;
+
+// Export the metadata helpers for use in Node scripts and the browser
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = EntryMetadata;
+} else if (typeof window !== 'undefined') {
+  window.EntryMetadata = EntryMetadata;
+}
@@ -0,0 +1,149 @@
+// Corporate Buzzword Translator - Favorites
+// Buzzwords a reader has starred, each with an optional private note, kept in the browser
+// between visits. Favorites are stored by phrase only, so they always show the current
+// translation; the list exports as a personal glossary in Markdown or CSV.
+//   [{ phrase: "circle back", note: "Means never, from my manager", added: "2026-10-19" }]
+
+const GLOSSARY_TITLE = 'My buzzword glossary';
+const GLOSSARY_CSV_COLUMNS = ['phrase', 'translation', 'category', 'note'];
+
+class Favorites {
+  // saved: favorites as returned by toJSON(); anything malformed is dropped
+  constructor(saved = []) {
+    this.favorites = new Map(); // lowercase phrase -> { phrase, note, added }
+    (Array.isArray(saved) ? saved : []).forEach(favorite => {
+      if (favorite && typeof favorite.phrase === 'string' && favorite.phrase.trim()) {
+        this.favorites.set(this.key(favorite.phrase), {
+          phrase: favorite.phrase,
+          note: typeof favorite.note === 'string' ? favorite.note : '',
+          added: typeof favorite.added === 'string' ? favorite.added : null
+        });
+      }
+    });
+  }
+
+  // Favorites are kept under their phrase, ignoring case and surrounding spaces
+  key(phrase) {
+    return String(phrase).toLowerCase().trim();
+  }
+
+  // Whether a phrase is starred
+  has(phrase) {
+    return this.favorites.has(this.key(phrase));
+  }
+
+  // The favorite for a phrase, or null
+  get(phrase) {
+    return this.favorites.get(this.key(phrase)) || null;
+  }
+
+  // Star a phrase; starring it again keeps its note
+  add(phrase, added = new Date().toISOString().slice(0, 10)) {
+    if (typeof phrase !== 'string' || !phrase.trim()) {
+      throw new Error('Invalid phrase provided to favorites');
+    }
+
+    if (!this.has(phrase)) {
+      this.favorites.set(this.key(phrase), { phrase: phrase.trim(), note: '', added: added });
+    }
+    return this.get(phrase);
+  }
+
+  // Unstar a phrase, dropping its note
+  remove(phrase) {
+    this.favorites.delete(this.key(phrase));
+  }
+
+  // Star or unstar a phrase; returns whether it is starred now
+  toggle(phrase) {
+    if (this.has(phrase)) {
+      this.remove(phrase);
+      return false;
+    }
+    this.add(phrase);
+    return true;
+  }
+
+  // Replace the note on a starred phrase
+  setNote(phrase, note) {
+    const favorite = this.get(phrase);
+    if (!favorite) {
+      throw new Error(`"${phrase}" is not a favorite`);
+    }
+    favorite.note = String(note);
+  }
+
+  // Every favorite, alphabetically
+  list() {
+    return [...this.favorites.values()]
+      .sort((a, b) => a.phrase.localeCompare(b.phrase, 'en', { sensitivity: 'base' }));
+  }
+
+  // The favorites for saving
+  toJSON() {
+    return this.list().map(favorite => Object.assign({}, favorite));
+  }
+
+  // Favorites joined with their entries, alphabetically; entries must already be localized
+  // to plain strings (DictionaryLocales.localizeAll, or BuzzwordSearch's buzzwords)
+  // Returns [{ phrase, translation, category, note, entry }]; entry is null for a phrase no
+  // longer in the dictionary (a deleted custom buzzword or a pack switched off)
+  glossary(entries) {
+    const byKey = new Map(entries.map(entry => [this.key(entry.phrase), entry]));
+
+    return this.list().map(favorite => {
+      const entry = byKey.get(this.key(favorite.phrase)) || null;
+      return {
+        phrase: entry ? entry.phrase : favorite.phrase,
+        translation: entry ? entry.translation : '',
+        category: entry ? entry.category : '',
+        note: favorite.note,
+        entry: entry
+      };
+    });
+  }
+
+  // The glossary as Markdown: a heading per buzzword, its translation, then the note quoted
+  toMarkdown(entries) {
+    const sections = this.glossary(entries).map(item => {
+      const lines = [`## ${this.escapeMarkdown(item.phrase)}`, ''];
+      lines.push(item.translation ? this.escapeMarkdown(item.translation) : '_Not in the dictionary any more_');
+      if (item.note.trim()) {
+        lines.push('');
+        item.note.trim().split(/\r?\n/).forEach(line => lines.push(`> ${this.escapeMarkdown(line)}`.trimEnd()));
+      }
+      return lines.join('\n');
+    });
+
+    return [`# ${GLOSSARY_TITLE}`].concat(sections).join('\n\n') + '\n';
+  }
+
+  // The glossary as CSV with a header row (RFC 4180: CRLF lines, fields quoted when needed)
+  toCsv(entries) {
+    const rows = this.glossary(entries).map(item => GLOSSARY_CSV_COLUMNS.map(column => item[column] || ''));
+    return [GLOSSARY_CSV_COLUMNS].concat(rows)
+      .map(row => row.map(value => this.csvField(value)).join(','))
+      .join('\r\n') + '\r\n';
+  }
+
+  // Backslash the characters Markdown would read as formatting
+  escapeMarkdown(text) {
+    return String(text).replace(/[\\`*_[\]<>#|]/g, '\\$&');
+  }
+
+  // A CSV field, quoted when it holds a comma, quote or line break
+  csvField(value) {
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+}
+
+Favorites.GLOSSARY_TITLE = GLOSSARY_TITLE;
+Favorites.CSV_COLUMNS = GLOSSARY_CSV_COLUMNS;
+
+// Export the favorites for use in Node scripts and the browser
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Favorites;
+} else if (typeof window !== 'undefined') {
+  window.Favorites = Favorites;
+}
@@ -0,0 +1,133 @@
+// Corporate Buzzword Translator - Meaning Domains
+// An entry's senses can be tagged with the field they belong to: the main translation with the
+// entry's `domain`, each of multipleMeanings with its own. Untagged senses are "general".
+//   { phrase: "leverage", translation: "use or take advantage of",
+//     multipleMeanings: [{ domain: "finance", translation: "borrow money to invest" }] }
+// prefer() swaps the sense for a reader's field to the front, so someone in finance sees
+// "borrow money to invest" as the translation and the general sense under other meanings.
+
+// Domains senses may be tagged with, in picker order
+const MEANING_DOMAINS = [
+  { id: 'general', name: 'General' },
+  { id: 'finance', name: 'Finance' },
+  { id: 'tech', name: 'Tech' },
+  { id: 'hr', name: 'HR' },
+  { id: 'sales', name: 'Sales' },
+  { id: 'marketing', name: 'Marketing' },
+  { id: 'legal', name: 'Legal' }
+];
+
+const GENERAL_DOMAIN = 'general';
+
+// Other names accepted by domain: and --domain
+const DOMAIN_ALIASES = {
+  it: 'tech',
+  technology: 'tech',
+  engineering: 'tech',
+  people: 'hr',
+  accounting: 'finance',
+  law: 'legal'
+};
+
+class MeaningDomains {
+  // domains: [{ id, name }] senses may use (default MEANING_DOMAINS)
+  constructor(domains = MEANING_DOMAINS) {
+    if (!Array.isArray(domains) || !domains.some(domain => domain.id === GENERAL_DOMAIN)) {
+      throw new Error('Invalid domains provided to meaning domains');
+    }
+
+    this.domains = domains;
+  }
+
+  // Whether a domain id is one senses may use
+  supports(id) {
+    return this.domains.some(domain => domain.id === id);
+  }
+
+  // The domain id for a name or alias such as "Finance" or "IT", or null
+  match(name) {
+    if (typeof name !== 'string') {
+      return null;
+    }
+
+    const key = name.toLowerCase().trim();
+    const id = DOMAIN_ALIASES[key] || key;
+    return this.supports(id) ? id : null;
+  }
+
+  // Display name of a domain id
+  name(id) {
+    const domain = this.domains.find(candidate => candidate.id === id);
+    return domain ? domain.name : id;
+  }
+
+  // Every sense of an entry or search result, main one first
+  // Returns [{ translation, context, domain }] with untagged senses as "general"
+  senses(item) {
+    const main = { translation: item.translation, context: item.context, domain: item.domain || GENERAL_DOMAIN };
+    const others = (Array.isArray(item.multipleMeanings) ? item.multipleMeanings : [])
+      .filter(meaning => meaning && typeof meaning === 'object')
+      .map(meaning => ({ translation: meaning.translation, context: meaning.context, domain: meaning.domain || GENERAL_DOMAIN }));
+
+    return [main].concat(others);
+  }
+
+  // Whether any sense of an entry belongs to a domain
+  hasDomain(item, domain) {
+    return this.senses(item).some(sense => sense.domain === domain);
+  }
+
+  // Whether an entry's senses are tagged at all, so a card knows to label them
+  isTagged(item) {
+    return this.senses(item).some(sense => sense.domain !== GENERAL_DOMAIN);
+  }
+
+  // A copy of an entry or search result with its first sense in a domain moved to the front;
+  // the former main sense leads multipleMeanings. Items with no sense in the domain, or whose
+  // main sense already is, are returned unchanged.
+  prefer(item, domain) {
+    if (!item || !domain || domain === GENERAL_DOMAIN) {
+      return item;
+    }
+
+    const senses = this.senses(item);
+    const index = senses.findIndex(sense => sense.domain === domain);
+    if (index <= 0) {
+      return item;
+    }
+
+    const chosen = senses[index];
+    const preferred = Object.assign({}, item, {
+      translation: chosen.translation,
+      context: chosen.context,
+      domain: chosen.domain,
+      multipleMeanings: senses.filter((sense, position) => position !== index).map(sense => {
+        const meaning = { translation: sense.translation, domain: sense.domain };
+        if (sense.context !== undefined) {
+          meaning.context = sense.context;
+        }
+        return meaning;
+      })
+    });
+
+    if (preferred.context === undefined) {
+      delete preferred.context;
+    }
+    return preferred;
+  }
+
+  // prefer() every entry of a dictionary
+  preferAll(items, domain) {
+    return items.map(item => this.prefer(item, domain));
+  }
+}
+
+MeaningDomains.DOMAINS = MEANING_DOMAINS;
+MeaningDomains.GENERAL = GENERAL_DOMAIN;
+
+// Export the domains for use in Node scripts and the browser
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = MeaningDomains;
+} else if (typeof window !== 'undefined') {
+  window.MeaningDomains = MeaningDomains;
+}
@@ -0,0 +1,150 @@
+// Corporate Buzzword Translator - Meaning Index
+// Reverse lookup from plain English to jargon: ranks entries by how well a description
+// matches their translation, alternatives and context rather than the phrase itself
+
+// Words too common in descriptions to say anything about which entry is meant
+const MEANING_STOP_WORDS = new Set([
+  'a', 'about', 'all', 'an', 'and', 'any', 'are', 'as', 'at', 'be', 'by', 'can', 'do',
+  'for', 'from', 'get', 'has', 'have', 'how', 'i', 'if', 'in', 'into', 'is', 'it', 'its',
+  'my', 'of', 'on', 'or', 'our', 'so', 'some', 'something', 'someone', 'that', 'the',
+  'their', 'them', 'there', 'this', 'to', 'up', 'us', 'was', 'we', 'what', 'when', 'which',
+  'who', 'with', 'you', 'your'
+]);
+
+// How much a word counts depending on where in the entry it appears
+const MEANING_FIELD_WEIGHTS = {
+  translation: 3,
+  alternatives: 2,
+  meanings: 1.5,
+  context: 1
+};
+
+// BM25 term-frequency saturation: higher lets repeated words keep adding score
+const MEANING_SATURATION = 1.2;
+
+class BuzzwordMeaningIndex {
+  // options.stemmer: EnglishStemmer used to fold inflections ("postponing" -> "postpone")
+  constructor(buzzwords, options = {}) {
+    if (!buzzwords || !Array.isArray(buzzwords)) {
+      throw new Error('Invalid buzzwords database provided to meaning index');
+    }
+    if (!options.stemmer) {
+      throw new Error('Meaning index needs a stemmer');
+    }
+
+    this.entries = buzzwords;
+    this.stemmer = options.stemmer;
+    this.postings = new Map(); // stem -> Map(entry id -> { frequency, fields })
+
+    buzzwords.forEach((buzzword, id) => {
+      if (!buzzword || typeof buzzword !== 'object' || !buzzword.phrase) {
+        return;
+      }
+
+      this.fieldTexts(buzzword).forEach(({ field, text }) => {
+        this.terms(text).forEach(stem => this.addPosting(stem, id, field));
+      });
+    });
+  }
+
+  // The descriptive text of an entry, labelled by field
+  fieldTexts(buzzword) {
+    const texts = [];
+
+    if (buzzword.translation) {
+      texts.push({ field: 'translation', text: buzzword.translation });
+    }
+    (buzzword.alternatives || []).forEach(alternative => {
+      texts.push({ field: 'alternatives', text: alternative });
+    });
+    (buzzword.multipleMeanings || []).forEach(meaning => {
+      if (meaning && meaning.translation) {
+        texts.push({ field: 'meanings', text: meaning.translation });
+      }
+    });
+    if (buzzword.context) {
+      texts.push({ field: 'context', text: buzzword.context });
+    }
+
+    return texts;
+  }
+
+  // Stems of the meaningful words in a piece of text
+  terms(text) {
+    return this.stemmer.splitWords(text)
+      .filter(word => !MEANING_STOP_WORDS.has(word))
+      .map(word => this.stemmer.stem(word));
+  }
+
+  // Record one occurrence of a stem in one of an entry's fields
+  addPosting(stem, id, field) {
+    let entryPostings = this.postings.get(stem);
+    if (!entryPostings) {
+      entryPostings = new Map();
+      this.postings.set(stem, entryPostings);
+    }
+
+    const posting = entryPostings.get(id) || { frequency: 0, fields: new Set() };
+    posting.frequency += MEANING_FIELD_WEIGHTS[field];
+    posting.fields.add(field);
+    entryPostings.set(id, posting);
+  }
+
+  // Inverse document frequency: words used by few entries say more about which one is meant
+  inverseFrequency(stem) {
+    const count = this.entries.length;
+    const documentFrequency = this.postings.get(stem).size;
+    return Math.log(1 + (count - documentFrequency + 0.5) / (documentFrequency + 0.5));
+  }
+
+  // Rank entries against a plain-English description
+  // Returns [{ entry, score, matchedWords, contributions }], best first, where score is 0-1:
+  // the share of the description's known words the entry covers, discounted for words seen
+  // only in context. contributions lists { words, fields, value } per matched stem.
+  search(text, limit = 10) {
+    const words = this.stemmer.splitWords(text).filter(word => !MEANING_STOP_WORDS.has(word));
+    const wordsByStem = new Map();
+    words.forEach(word => {
+      const stem = this.stemmer.stem(word);
+      wordsByStem.set(stem, (wordsByStem.get(stem) || []).concat(word));
+    });
+
+    // Words no entry uses cannot tell entries apart, so they are left out of the total
+    const known = [...wordsByStem.keys()].filter(stem => this.postings.has(stem));
+    const totalWeight = known.reduce((sum, stem) => sum + this.inverseFrequency(stem), 0);
+    if (totalWeight === 0) {
+      return [];
+    }
+
+    const scores = new Map(); // entry id -> { score, matchedWords, contributions }
+    known.forEach(stem => {
+      const idf = this.inverseFrequency(stem);
+
+      this.postings.get(stem).forEach(({ frequency, fields }, id) => {
+        const value = idf * frequency / (frequency + MEANING_SATURATION) / totalWeight;
+        const current = scores.get(id) || { score: 0, matchedWords: [], contributions: [] };
+        current.score += value;
+        current.matchedWords.push(...wordsByStem.get(stem));
+        current.contributions.push({ words: wordsByStem.get(stem), fields: [...fields], value: value });
+        scores.set(id, current);
+      });
+    });
+
+    return [...scores.entries()]
+      .map(([id, { score, matchedWords, contributions }]) => ({
+        entry: this.entries[id],
+        score: score,
+        matchedWords: matchedWords,
+        contributions: contributions
+      }))
+      .sort((a, b) => b.score - a.score || a.entry.phrase.length - b.entry.phrase.length)
+      .slice(0, limit);
+  }
+}
+
+// Export the meaning index for use in Node scripts and the browser
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = BuzzwordMeaningIndex;
+} else if (typeof window !== 'undefined') {
+  window.BuzzwordMeaningIndex = BuzzwordMeaningIndex;
+}
@@ -0,0 +1,325 @@
+// Corporate Buzzword Translator - Phonetic Encoder
+// Sound-alike keys for words people type the way they heard them ("sin ergy", "paradime shift").
+// A simplified Double Metaphone: each word gets a primary and an alternate consonant code,
+// and words that sound alike share at least one of them. The rarer Germanic, Slavic and
+// Romance spelling rules of the full algorithm are left out.
+
+const PHONETIC_VOWELS = 'AEIOUY';
+
+class PhoneticEncoder {
+  // options.maxLength: longest code kept (default 12, long enough for whole phrases)
+  constructor(options = {}) {
+    this.maxLength = options.maxLength || 12;
+    this.cache = new Map();
+  }
+
+  // Letters and digits only, lowercased: "Wheel house" and "wheel-house" both become "wheelhouse"
+  compact(text) {
+    return String(text).toLowerCase().replace(/[^a-z0-9]/g, '');
+  }
+
+  // Distinct codes for a word or phrase, primary code first; empty when there is nothing to encode
+  // The phrase is encoded both run together ("sin ergy" sounds like "synergy") and word by
+  // word, since a word boundary changes how some letters sound ("lo hanging" / "low hanging")
+  codes(text) {
+    const whole = this.encode(text);
+    const words = String(text).split(/[\s\-–—/]+/).filter(word => this.compact(word).length > 0);
+    const codes = [whole.primary, whole.alternate];
+
+    if (words.length > 1) {
+      const encodedWords = words.map(word => this.encode(word));
+      codes.push(
+        encodedWords.map(encoded => encoded.primary).join('').slice(0, this.maxLength),
+        encodedWords.map(encoded => encoded.alternate).join('').slice(0, this.maxLength)
+      );
+    }
+
+    return [...new Set(codes.filter(code => code.length > 0))];
+  }
+
+  // Encode a word or phrase, ignoring spaces and punctuation
+  // Returns { primary, alternate }
+  encode(text) {
+    const value = this.compact(text).replace(/[0-9]/g, '').toUpperCase();
+
+    const cached = this.cache.get(value);
+    if (cached) {
+      return cached;
+    }
+
+    const encoded = this.encodeLetters(value);
+    this.cache.set(value, encoded);
+    return encoded;
+  }
+
+  // Walk an uppercase A-Z string and build both codes
+  encodeLetters(value) {
+    let primary = '';
+    let alternate = '';
+    let i = 0;
+    const length = value.length;
+    const last = length - 1;
+
+    const at = position => (position >= 0 && position < length ? value[position] : '');
+    const isVowel = position => at(position) !== '' && PHONETIC_VOWELS.includes(at(position));
+    const isOneOf = (position, letters) => at(position) !== '' && letters.includes(at(position));
+    const startsWith = (position, ...options) => options.some(option => value.startsWith(option, position));
+    const add = (main, other = main) => {
+      primary += main;
+      alternate += other;
+    };
+
+    // Silent first letters: "gnome", "knowledge", "pneumatic", "wrap", "psychology"
+    if (startsWith(0, 'GN', 'KN', 'PN', 'WR', 'PS')) {
+      i = 1;
+    }
+
+    // Initial X sounds like S: "xerox"
+    if (at(0) === 'X') {
+      add('S');
+      i = 1;
+    }
+
+    while (i < length && (primary.length < this.maxLength || alternate.length < this.maxLength)) {
+      switch (at(i)) {
+        case 'A':
+        case 'E':
+        case 'I':
+        case 'O':
+        case 'U':
+        case 'Y':
+          // Vowels only count at the start of a word
+          if (i === 0) add('A');
+          i++;
+          break;
+
+        case 'B':
+          add('P');
+          i += at(i + 1) === 'B' ? 2 : 1;
+          break;
+
+        case 'C':
+          if (startsWith(i, 'CH')) {
+            // "character", "chorus", "chemistry" keep a hard sound
+            if (startsWith(i, 'CHARAC', 'CHARIS', 'CHOR', 'CHYM', 'CHEM')) {
+              add('K');
+            } else {
+              add('X', 'K');
+            }
+            i += 2;
+          } else if (startsWith(i, 'CIA')) {
+            add('X');
+            i += 3;
+          } else if (startsWith(i, 'CC') && isOneOf(i + 2, 'IEH')) {
+            // "accent", "success"
+            add('KS');
+            i += 3;
+          } else if (startsWith(i, 'CK', 'CG', 'CQ', 'CC')) {
+            add('K');
+            i += 2;
+          } else if (startsWith(i, 'CI', 'CE', 'CY')) {
+            if (startsWith(i, 'CIO', 'CIE')) {
+              add('S', 'X');
+            } else {
+              add('S');
+            }
+            i += 2;
+          } else {
+            add('K');
+            i++;
+          }
+          break;
+
+        case 'D':
+          if (startsWith(i, 'DG') && isOneOf(i + 2, 'IEY')) {
+            // "edge", "budget"
+            add('J');
+            i += 3;
+          } else {
+            add('T');
+            i += startsWith(i, 'DT', 'DD') ? 2 : 1;
+          }
+          break;
+
+        case 'F':
+          add('F');
+          i += at(i + 1) === 'F' ? 2 : 1;
+          break;
+
+        case 'G':
+          if (at(i + 1) === 'H') {
+            if (i > 0 && !isVowel(i - 1)) {
+              add('K');
+            } else if (i === 0) {
+              add(at(i + 2) === 'I' ? 'J' : 'K');
+            } else if (isOneOf(i - 2, 'BHD') || isOneOf(i - 3, 'BHD') || isOneOf(i - 4, 'BH')) {
+              // Silent: "night", "though", "bought"
+            } else if (i > 2 && at(i - 1) === 'U' && isOneOf(i - 3, 'CGLRT')) {
+              // "laugh", "tough"
+              add('F');
+            } else if (at(i - 1) !== 'I') {
+              add('K');
+            }
+            i += 2;
+          } else if (at(i + 1) === 'N') {
+            // "sign", "campaign"; the alternate keeps the G for "signal"-style words
+            if (i === 1 && isVowel(0)) {
+              add('KN', 'N');
+            } else {
+              add('N', 'KN');
+            }
+            i += 2;
+          } else if (at(i + 1) === 'M' && (i + 1 === last || !isVowel(i + 2))) {
+            // Silent before an M that closes the word: "paradigm", "phlegm"
+            i++;
+          } else if (isOneOf(i + 1, 'EIY')) {
+            // Soft G is the usual English sound; the alternate keeps the hard one ("get")
+            add('J', 'K');
+            i += 2;
+          } else {
+            add('K');
+            i += at(i + 1) === 'G' ? 2 : 1;
+          }
+          break;
+
+        case 'H':
+          // Only sounded between vowels or at the start: "house", "ahead"
+          if ((i === 0 || isVowel(i - 1)) && isVowel(i + 1)) {
+            add('H');
+            i += 2;
+          } else {
+            i++;
+          }
+          break;
+
+        case 'J':
+          add('J', 'H');
+          i += at(i + 1) === 'J' ? 2 : 1;
+          break;
+
+        case 'K':
+          add('K');
+          i += at(i + 1) === 'K' ? 2 : 1;
+          break;
+
+        case 'L':
+          add('L');
+          i += at(i + 1) === 'L' ? 2 : 1;
+          break;
+
+        case 'M':
+          add('M');
+          // "thumb", "dumbest": the B after M is silent
+          i += at(i + 1) === 'M' || (startsWith(i - 1, 'UMB') && (i + 1 === last || startsWith(i + 2, 'ER'))) ? 2 : 1;
+          break;
+
+        case 'N':
+          add('N');
+          i += at(i + 1) === 'N' ? 2 : 1;
+          break;
+
+        case 'P':
+          if (at(i + 1) === 'H') {
+            add('F');
+            i += 2;
+          } else {
+            add('P');
+            i += isOneOf(i + 1, 'PB') ? 2 : 1;
+          }
+          break;
+
+        case 'Q':
+          add('K');
+          i += at(i + 1) === 'Q' ? 2 : 1;
+          break;
+
+        case 'R':
+          add('R');
+          i += at(i + 1) === 'R' ? 2 : 1;
+          break;
+
+        case 'S':
+          if (startsWith(i - 1, 'ISL', 'YSL')) {
+            // Silent: "island", "aisle"
+            i++;
+          } else if (startsWith(i, 'SH')) {
+            add('X');
+            i += 2;
+          } else if (startsWith(i, 'SIO', 'SIA')) {
+            add('S', 'X');
+            i += 3;
+          } else if (startsWith(i, 'SCH')) {
+            add('SK');
+            i += 3;
+          } else if (startsWith(i, 'SC')) {
+            add(isOneOf(i + 2, 'IEY') ? 'S' : 'SK');
+            i += isOneOf(i + 2, 'IEY') ? 3 : 2;
+          } else {
+            add('S');
+            i += isOneOf(i + 1, 'SZ') ? 2 : 1;
+          }
+          break;
+
+        case 'T':
+          if (startsWith(i, 'TIO', 'TIA', 'TCH')) {
+            add('X');
+            i += 3;
+          } else if (startsWith(i, 'TH')) {
+            // "0" stands for the th sound, as in the original algorithm
+            add('0', 'T');
+            i += 2;
+          } else {
+            add('T');
+            i += isOneOf(i + 1, 'TD') ? 2 : 1;
+          }
+          break;
+
+        case 'V':
+          add('F');
+          i += at(i + 1) === 'V' ? 2 : 1;
+          break;
+
+        case 'W':
+          if (startsWith(i, 'WR')) {
+            add('R');
+            i += 2;
+          } else if (i === 0 && (isVowel(1) || startsWith(i, 'WH'))) {
+            // "wheel" sounds like "eel" for some speakers and "feel" is a common mishearing
+            add('A', 'F');
+            i++;
+          } else {
+            i++;
+          }
+          break;
+
+        case 'X':
+          // Silent at the end of French loanwords: "bureaux"
+          if (!(i === last && startsWith(i - 3, 'IAU', 'EAU'))) {
+            add('KS');
+          }
+          i += isOneOf(i + 1, 'CX') ? 2 : 1;
+          break;
+
+        case 'Z':
+          add('S');
+          i += at(i + 1) === 'Z' ? 2 : 1;
+          break;
+
+        default:
+          i++;
+      }
+    }
+
+    return {
+      primary: primary.slice(0, this.maxLength),
+      alternate: alternate.slice(0, this.maxLength)
+    };
+  }
+}
+
+// Export the encoder for use in Node scripts and the browser
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = PhoneticEncoder;
+} else if (typeof window !== 'undefined') {
+  window.PhoneticEncoder = PhoneticEncoder;
+}
@@ -0,0 +1,254 @@
+// Corporate Buzzword Translator - Query Parser
+// Turns search box input into a structured query before it is scored
+//
+// Supported syntax:
+//   category:strategy     only entries in a category or category group (repeat for any of several)
+//   "exact phrase"        the phrase must appear, word for word
+//   -word, -"a phrase"    leave out entries whose phrase or keywords contain the whole word or phrase
+//   has:alternatives      only entries with alternatives (also has:meanings, has:context,
+//                         has:variants, has:origin, has:examples)
+//   cringe:4..            only entries rated 4 or more for cringe (also cringe:3, cringe:..2)
+//   era:..1980s           only entries first seen by the 1980s (also era:1990s, era:1990s..2000s)
+//   frequency:common      only entries in that frequency tier (occasional, rare)
+//   domain:finance        only entries with a sense in that field, shown with that sense first
+//                         (repeat for any of several; see meaning-domains.js)
+//   sort:cringe           order results by cringe, era or frequency instead of relevance
+//                         (sort:phrase lists them A to Z)
+// Everything else is free text and is ranked as before.
+
+const QUERY_HAS_FILTERS = {
+  alternatives: 'alternatives',
+  meanings: 'multipleMeanings',
+  context: 'context',
+  variants: 'variants',
+  origin: 'origin',
+  examples: 'examples'
+};
+
+// Keys whose values are parsed by EntryMetadata.parseFilter
+const QUERY_METADATA_FILTERS = ['cringe', 'era', 'frequency'];
+
+class QueryParser {
+  // options.taxonomy: CategoryTaxonomy that resolves category: names to groups and aliases;
+  //   without one, category: compares entry categories literally
+  constructor(options = {}) {
+    this.taxonomy = options.taxonomy || null;
+
+    const Metadata = typeof EntryMetadata !== 'undefined'
+      ? EntryMetadata
+      : require('./entry-metadata.js');
+    this.metadata = new Metadata();
+
+    const Domains = typeof MeaningDomains !== 'undefined'
+      ? MeaningDomains
+      : require('./meaning-domains.js');
+    this.domains = options.domains || new Domains();
+  }
+
+  // Parse raw input into { text, terms, phrases, excludes, categories, has, domains, metadata, sort, warnings }
+  // metadata holds { field, min, max } filters; sort is a key of EntryMetadata.SORTS or null
+  parse(input) {
+    const query = {
+      text: '',
+      terms: [],
+      phrases: [],
+      excludes: [],
+      categories: [],
+      has: [],
+      domains: [],
+      metadata: [],
+      sort: null,
+      warnings: []
+    };
+
+    if (typeof input !== 'string') {
+      return query;
+    }
+
+    // Quoted phrases still take part in ranking alongside the loose terms, in the order typed
+    const rankedText = [];
+    this.tokenize(input).forEach(token => {
+      const freeText = this.applyToken(query, token);
+      if (freeText) {
+        rankedText.push(freeText);
+      }
+    });
+
+    query.text = rankedText.join(' ');
+    return query;
+  }
+
+  // Split input into { negated, key, value, quoted } tokens, honouring double quotes
+  tokenize(input) {
+    const tokens = [];
+    const pattern = /(-?)(?:([a-z]+):)?(?:"([^"]*)"?|(\S+))/gi;
+    let match;
+
+    while ((match = pattern.exec(input)) !== null) {
+      const [, negated, key, quotedValue, bareValue] = match;
+      const value = (quotedValue !== undefined ? quotedValue : bareValue || '').toLowerCase().trim();
+
+      // Skip stray punctuation such as a lone "-"
+      if (!key && !/[a-z0-9]/.test(value)) {
+        continue;
+      }
+
+      tokens.push({
+        negated: negated === '-',
+        key: key ? key.toLowerCase() : null,
+        value: value.replace(/\s+/g, ' '),
+        quoted: quotedValue !== undefined
+      });
+    }
+
+    return tokens;
+  }
+
+  // Add one token to the structured query
+  // Returns the text it contributes to ranking, if any
+  applyToken(query, token) {
+    if (token.key === 'category') {
+      if (token.value) {
+        query.categories.push(token.value);
+        // Still applied, so entries filed outside the taxonomy can be found by their category
+        if (this.taxonomy && this.taxonomy.resolve(token.value).length === 0) {
+          query.warnings.push(`Unknown category category:${token.value}. Try ${this.taxonomy.groups.map(group => `category:${group.id}`).join(', ')} or one of their categories.`);
+        }
+      } else {
+        query.warnings.push('category: needs a category name');
+      }
+      return null;
+    }
+
+    if (token.key === 'has') {
+      if (QUERY_HAS_FILTERS[token.value]) {
+        query.has.push(token.value);
+      } else {
+        query.warnings.push(`Unknown filter has:${token.value}. Try has:alternatives or has:meanings.`);
+      }
+      return null;
+    }
+
+    if (token.key === 'domain') {
+      const domain = this.domains.match(token.value);
+      if (domain) {
+        query.domains.push(domain);
+      } else {
+        query.warnings.push(`Unknown field domain:${token.value}. Try ${this.domains.domains.map(candidate => `domain:${candidate.id}`).join(', ')}.`);
+      }
+      return null;
+    }
+
+    if (QUERY_METADATA_FILTERS.includes(token.key)) {
+      const filter = this.metadata.parseFilter(token.key, token.value);
+      if (filter) {
+        query.metadata.push(filter);
+      } else {
+        query.warnings.push(`Could not read ${token.key}:${token.value}. ${this.metadataHint(token.key)}`);
+      }
+      return null;
+    }
+
+    if (token.key === 'sort') {
+      if (this.metadata.constructor.SORTS[token.value]) {
+        query.sort = token.value;
+      } else {
+        query.warnings.push(`Unknown order sort:${token.value}. Try ${Object.keys(this.metadata.constructor.SORTS).map(name => `sort:${name}`).join(', ')}.`);
+      }
+      return null;
+    }
+
+    if (!token.key && /^(category|has|domain|cringe|era|frequency|sort):$/.test(token.value)) {
+      query.warnings.push(`${token.value} needs a value, for example category:strategy or has:alternatives`);
+      return null;
+    }
+
+    // Unknown prefixes such as "re:org" are ordinary words
+    const value = token.key ? `${token.key}:${token.value}` : token.value;
+
+    if (token.negated) {
+      query.excludes.push(value);
+      return null;
+    }
+
+    if (token.quoted) {
+      query.phrases.push(value);
+    } else {
+      query.terms.push(value);
+    }
+    return value;
+  }
+
+  // Example values for a metadata filter the user got wrong
+  metadataHint(key) {
+    if (key === 'frequency') {
+      return `Try ${this.metadata.constructor.FREQUENCY_TIERS.map(tier => `frequency:${tier.id}`).join(', ')}.`;
+    }
+    return key === 'era'
+      ? 'Try a decade such as era:1990s, or a range such as era:..1980s or era:1990s..2000s.'
+      : 'Try a rating from 1 to 5 such as cringe:4, or a range such as cringe:3.. or cringe:..2.';
+  }
+
+  // Whether a query narrows results beyond its free text
+  // A sort: on its own counts too, so "sort:cringe" lists the whole dictionary in that order
+  hasFilters(query) {
+    return query.phrases.length > 0 || query.excludes.length > 0 ||
+      query.categories.length > 0 || query.has.length > 0 || query.domains.length > 0 ||
+      query.metadata.length > 0 || query.sort !== null;
+  }
+
+  // Check a dictionary entry against every filter in the query
+  matchesFilters(query, buzzword) {
+    const phrase = buzzword.phrase.toLowerCase();
+    const keywords = (buzzword.keywords || []).map(keyword => keyword.toLowerCase());
+
+    if (query.categories.length > 0 && !query.categories.some(name => this.inCategory(name, buzzword.category))) {
+      return false;
+    }
+
+    const hasAll = query.has.every(name => {
+      const value = buzzword[QUERY_HAS_FILTERS[name]];
+      return Array.isArray(value) ? value.length > 0 : Boolean(value);
+    });
+    if (!hasAll) {
+      return false;
+    }
+
+    if (query.domains.length > 0 && !query.domains.some(domain => this.domains.hasDomain(buzzword, domain))) {
+      return false;
+    }
+
+    if (!query.metadata.every(filter => this.metadata.matchesFilter(filter, buzzword))) {
+      return false;
+    }
+
+    if (!query.phrases.every(quoted => this.containsWords(phrase, quoted))) {
+      return false;
+    }
+
+    return !query.excludes.some(excluded =>
+      this.containsWords(phrase, excluded) || keywords.some(keyword => this.containsWords(keyword, excluded))
+    );
+  }
+
+  // Whether an entry's category falls under a category: filter value
+  inCategory(name, category) {
+    if (this.taxonomy) {
+      return this.taxonomy.matches(name, category);
+    }
+    return String(category).toLowerCase() === name;
+  }
+
+  // Whole-word containment, so "edge" matches "bleeding edge" but not "hedge"
+  containsWords(text, words) {
+    const escaped = words.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(`(^|[^a-z0-9])${escaped}($|[^a-z0-9])`).test(text);
+  }
+}
+
+// Export the parser for use in Node scripts and the browser
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = QueryParser;
+} else if (typeof window !== 'undefined') {
+  window.QueryParser = QueryParser;
+}
@@ -0,0 +1,76 @@
+// Corporate Buzzword Translator - Recent Searches
+// The last few searches that found something, newest first, kept in the browser so they can
+// be run again from the search box. A query searched again moves back to the top; the same
+// words searched in the other direction are a separate search.
+//   [{ query: "circle back", direction: "jargon", searched: "2026-10-19T09:30:00.000Z" }]
+
+const RECENT_SEARCH_LIMIT = 10;
+
+class RecentSearches {
+  // saved: searches as returned by toJSON(); anything malformed is dropped
+  // limit: how many to keep (default RECENT_SEARCH_LIMIT)
+  constructor(saved = [], limit = RECENT_SEARCH_LIMIT) {
+    if (!Number.isInteger(limit) || limit < 1) {
+      throw new Error('Invalid limit provided to recent searches');
+    }
+
+    this.limit = limit;
+    this.searches = (Array.isArray(saved) ? saved : [])
+      .filter(search => search && typeof search.query === 'string' && search.query.trim())
+      .map(search => ({
+        query: search.query.trim(),
+        direction: search.direction === 'meaning' ? 'meaning' : 'jargon',
+        searched: typeof search.searched === 'string' ? search.searched : null
+      }))
+      .filter((search, index, searches) => searches.findIndex(other => this.same(other, search)) === index)
+      .slice(0, limit);
+  }
+
+  // Whether two searches are the same words, ignoring case, in the same direction
+  same(a, b) {
+    return a.direction === b.direction && a.query.toLowerCase() === b.query.toLowerCase();
+  }
+
+  // Put a search at the top, dropping an earlier copy and the oldest beyond the limit
+  add(query, direction = 'jargon', searched = new Date().toISOString()) {
+    if (typeof query !== 'string' || !query.trim()) {
+      throw new Error('Invalid query provided to recent searches');
+    }
+
+    const search = { query: query.trim(), direction: direction === 'meaning' ? 'meaning' : 'jargon', searched: searched };
+    this.searches = [search]
+      .concat(this.searches.filter(other => !this.same(other, search)))
+      .slice(0, this.limit);
+    return search;
+  }
+
+  // Forget one search
+  remove(query, direction = 'jargon') {
+    const search = { query: String(query).trim(), direction: direction === 'meaning' ? 'meaning' : 'jargon' };
+    this.searches = this.searches.filter(other => !this.same(other, search));
+  }
+
+  // Forget every search
+  clear() {
+    this.searches = [];
+  }
+
+  // The searches, newest first
+  list() {
+    return this.searches.map(search => Object.assign({}, search));
+  }
+
+  // The searches for saving
+  toJSON() {
+    return this.list();
+  }
+}
+
+RecentSearches.LIMIT = RECENT_SEARCH_LIMIT;
+
+// Export the history for use in Node scripts and the browser
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = RecentSearches;
+} else if (typeof window !== 'undefined') {
+  window.RecentSearches = RecentSearches;
+}
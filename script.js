@@ -1,15 +1,51 @@
-// Corporate Buzzword Translator - Core Search Functionality
-// Implements fuzzy matching, relevance scoring, and debounced search
+// Corporate Buzzword Translator - Search Interface
+// Wires the search core to the page: debounced input, result rendering and accessibility
+
+// localStorage keys are namespaced so other pages on the same origin are left alone
+const PREFERENCE_PREFIX = 'buzzwordTranslator.';
 
 class BuzzwordSearchEngine {
-  constructor(buzzwords) {
+  // buzzwords: the built-in dictionary
+  // options.packs, options.packLoader: dictionary packs from DictionaryPacks.load(); when
+  //   given, the enabled packs are searched instead and can be switched on and off
+  // Buzzwords the user adds are merged over either once their storage has opened
+  constructor(buzzwords, options = {}) {
     try {
       // Validate buzzwords data
       if (!buzzwords || !Array.isArray(buzzwords) || buzzwords.length === 0) {
         throw new Error('Invalid or empty buzzwords database provided');
       }
 
-      this.buzzwords = buzzwords;
+      this.builtinEntries = buzzwords;
+      this.packs = options.packs || null;
+      this.packLoader = options.packLoader ||
+        (typeof DictionaryPacks !== 'undefined' ? new DictionaryPacks({ builtin: buzzwords }) : null);
+      this.customEntries = typeof CustomEntries !== 'undefined' ? new CustomEntries() : null;
+      this.packChoices = this.readPreference('packs', {}) || {};
+      if (this.packs && this.packLoader) {
+        const merged = this.packLoader.merge(this.packs, this.enabledPackIds());
+        if (merged.length > 0) {
+          buzzwords = merged;
+        }
+      }
+
+      // Explanations are shown in the remembered locale, or the browser's language when supported
+      this.locales = new DictionaryLocales();
+      this.locale = this.initialLocale();
+
+      // Entries with a sense in the reader's field show that sense first
+      this.domains = new MeaningDomains();
+      const savedDomain = this.readPreference('domain', MeaningDomains.GENERAL);
+      this.domain = this.domains.supports(savedDomain) ? savedDomain : MeaningDomains.GENERAL;
+
+      // All matching and ranking lives in the DOM-free search core; it localizes the entries,
+      // so this.buzzwords holds them in the active locale and this.dictionary as loaded
+      if (typeof BuzzwordSearch === 'undefined') {
+        throw new Error('Search core not loaded');
+      }
+      this.dictionary = buzzwords;
+      this.searchCore = new BuzzwordSearch(buzzwords, { locale: this.locale, domain: this.domain });
+      this.buzzwords = this.searchCore.buzzwords;
       
       // Get DOM elements with validation
       this.searchInput = document.getElementById('searchInput');
@@ -42,18 +78,55 @@ class BuzzwordSearchEngine {
       // Performance optimizations
       this.debounceDelay = 200; // Reduced for faster response
       this.debounceTimer = null;
+      this.recentDelay = 1500; // a typed search is remembered once typing pauses this long
+      this.recentTimer = null;
       this.searchCache = new Map(); // Cache search results
       this.maxCacheSize = 100; // Limit cache size for memory management
       
+      // 'jargon' looks up buzzwords, 'meaning' finds the buzzword for a plain-English description
+      this.searchDirection = 'jargon';
+      
       // Initialize with error handling
       this.initializeEventListeners();
+      this.initializeSearchDirection();
+
+      // Starred buzzwords are listed with the examples, so load them first
+      this.initializeFavorites();
       this.showExamples();
-      
+
+      // Searches that found something can be run again from the empty search box
+      this.initializeRecentSearches();
+
+      // Typing offers matching phrases in a listbox under the search box
+      this.initializeSuggestions();
+
+      // Paragraph mode is optional, the search UI still works on pages without it
+      this.initializeTextAnalysis();
+
+      // So is the browse-by-category view
+      this.initializeBrowse();
+      this.initializeGlossary();
+      this.initializeGraph();
+
+      // Pack switches only appear when there is more than one pack to choose from
+      this.initializePackToggles();
+
+      this.initializeLocalePicker();
+      this.initializeDomainPicker();
+
+      // Loads the user's own buzzwords, which are searched once they arrive
+      this.initializeCustomEntries();
+
+      this.initializeWhatsNew();
+
       // Set up error recovery
       this.setupErrorRecovery();
       
       // Initialize performance monitoring
       this.initializePerformanceMonitoring();
+
+      // Searches and entries are mirrored in the URL, which also opens shared links
+      this.initializeHistory();
       
     } catch (error) {
       console.error('Error initializing BuzzwordSearchEngine:', error);
@@ -112,7 +185,7 @@ class BuzzwordSearchEngine {
       if (!this.buzzwords || !Array.isArray(this.buzzwords)) {
         console.error('Buzzwords data corrupted, attempting recovery');
         if (typeof buzzwords !== 'undefined') {
-          this.buzzwords = buzzwords;
+          this.setDictionary(buzzwords);
         } else {
           throw new Error('Cannot recover buzzwords data');
         }
@@ -122,6 +195,277 @@ class BuzzwordSearchEngine {
     }
   }
 
+  // Read a saved preference, or the fallback when nothing is saved or storage is unavailable
+  readPreference(name, fallback) {
+    try {
+      const stored = window.localStorage.getItem(PREFERENCE_PREFIX + name);
+      return stored === null ? fallback : JSON.parse(stored);
+    } catch (error) {
+      console.warn(`Error reading preference ${name}:`, error);
+      return fallback;
+    }
+  }
+
+  // Save a preference; private browsing modes may refuse, which only loses the setting
+  writePreference(name, value) {
+    try {
+      window.localStorage.setItem(PREFERENCE_PREFIX + name, JSON.stringify(value));
+    } catch (error) {
+      console.warn(`Error saving preference ${name}:`, error);
+    }
+  }
+
+  // Ids of the packs to search: the user's choices ({ id: on }), or the manifest's defaults
+  // for packs the user has not touched
+  enabledPackIds(choices = this.packChoices) {
+    return this.packs
+      .filter(pack => (Object.prototype.hasOwnProperty.call(choices, pack.id) ? choices[pack.id] : pack.enabled))
+      .map(pack => pack.id);
+  }
+
+  // List each pack with a switch, in manifest order
+  initializePackToggles() {
+    try {
+      this.packToggles = document.getElementById('dictionaryPacks');
+      this.packList = document.getElementById('packList');
+
+      if (!this.packToggles || !this.packList || !this.packs || this.packs.length < 2) {
+        return;
+      }
+
+      const enabled = this.enabledPackIds();
+      this.packList.innerHTML = '';
+
+      this.packs.forEach(pack => {
+        const label = document.createElement('label');
+        label.className = 'pack-toggle';
+
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.checked = enabled.includes(pack.id);
+        checkbox.dataset.pack = pack.id;
+        checkbox.addEventListener('change', () => this.togglePack(pack.id, checkbox));
+
+        const name = document.createElement('span');
+        name.className = 'pack-name';
+        name.textContent = pack.name;
+
+        const meta = document.createElement('span');
+        meta.className = 'pack-meta';
+        meta.textContent = `v${pack.version} · ${pack.entries.length} entr${pack.entries.length === 1 ? 'y' : 'ies'}`;
+
+        label.appendChild(checkbox);
+        label.appendChild(name);
+        label.appendChild(meta);
+
+        if (pack.description) {
+          const description = document.createElement('span');
+          description.className = 'pack-description';
+          description.textContent = pack.description;
+          label.appendChild(description);
+        }
+
+        this.packList.appendChild(label);
+      });
+
+      this.updatePackSummary();
+      this.packToggles.hidden = false;
+    } catch (error) {
+      console.error('Error initializing dictionary packs:', error);
+    }
+  }
+
+  // Switch a pack on or off, keeping at least one pack with entries enabled
+  togglePack(id, checkbox) {
+    try {
+      const choices = Object.assign({}, this.packChoices, { [id]: checkbox.checked });
+      const merged = this.packLoader.merge(this.packs, this.enabledPackIds(choices));
+
+      if (merged.length === 0) {
+        checkbox.checked = true;
+        this.announce('At least one dictionary has to stay on');
+        return;
+      }
+
+      this.packChoices = choices;
+      this.writePreference('packs', choices);
+      this.setDictionary(this.mergeDictionary(choices));
+      this.updatePackSummary();
+
+      const pack = this.packs.find(candidate => candidate.id === id);
+      this.announce(`${pack.name} ${checkbox.checked ? 'on' : 'off'}. Searching ${this.dictionary.length} buzzwords.`);
+    } catch (error) {
+      console.error('Error switching dictionary pack:', error);
+    }
+  }
+
+  // The dictionary to search: the enabled packs, or the built-in buzzwords when there is no
+  // manifest, with the user's own buzzwords merged over them
+  mergeDictionary(choices = this.packChoices) {
+    const hasCustom = this.customEntries && this.customEntries.entries.size > 0;
+    if (!this.packLoader || (!this.packs && !hasCustom)) {
+      return this.builtinEntries;
+    }
+
+    const packs = this.packs || [this.packLoader.builtinPack()];
+    const enabled = this.packs ? this.enabledPackIds(choices) : [packs[0].id];
+    return hasCustom
+      ? this.packLoader.merge(packs.concat(this.customEntries.asPack()), enabled.concat(CustomEntries.PACK.id))
+      : this.packLoader.merge(packs, enabled);
+  }
+
+  // "Dictionaries: 2 of 3 on" in the collapsed summary
+  updatePackSummary() {
+    const summary = this.packToggles.querySelector('summary');
+    const enabled = this.packList.querySelectorAll('input:checked').length;
+    if (summary) {
+      summary.textContent = `Dictionaries: ${enabled} of ${this.packs.length} on`;
+    }
+  }
+
+  // The saved locale, else the first of the browser's languages the dictionary supports, else English
+  initialLocale() {
+    const saved = this.readPreference('locale', null);
+    if (this.locales.supports(saved)) {
+      return saved;
+    }
+
+    const languages = (navigator.languages && navigator.languages.length > 0)
+      ? navigator.languages
+      : [navigator.language];
+    const preferred = languages.map(tag => this.locales.match(tag)).find(Boolean);
+    return preferred || DictionaryLocales.FALLBACK;
+  }
+
+  // Fill the locale picker and follow its changes
+  initializeLocalePicker() {
+    try {
+      this.localeSelect = document.getElementById('localeSelect');
+      if (!this.localeSelect) {
+        return;
+      }
+
+      this.localeSelect.innerHTML = '';
+      this.locales.locales.forEach(locale => {
+        const option = document.createElement('option');
+        option.value = locale.id;
+        option.textContent = locale.name;
+        option.lang = locale.id;
+        this.localeSelect.appendChild(option);
+      });
+
+      this.localeSelect.value = this.locale;
+      this.localeSelect.addEventListener('change', () => this.setLocale(this.localeSelect.value));
+    } catch (error) {
+      console.error('Error initializing locale picker:', error);
+    }
+  }
+
+  // Show explanations in another locale and remember the choice
+  setLocale(locale) {
+    try {
+      if (!this.locales.supports(locale) || locale === this.locale) {
+        return;
+      }
+
+      this.locale = locale;
+      this.writePreference('locale', locale);
+      this.setDictionary(this.dictionary);
+
+      const name = this.locales.locales.find(candidate => candidate.id === locale).name;
+      const translated = this.locales.coverage(this.dictionary, locale);
+      this.announce(translated < this.dictionary.length
+        ? `Explanations in ${name}. ${translated} of ${this.dictionary.length} buzzwords are translated; the rest are in English.`
+        : `Explanations in ${name}.`);
+    } catch (error) {
+      console.error('Error switching locale:', error);
+    }
+  }
+
+  // Fill the "my field" picker and follow its changes
+  initializeDomainPicker() {
+    try {
+      this.domainSelect = document.getElementById('domainSelect');
+      if (!this.domainSelect) {
+        return;
+      }
+
+      this.domainSelect.innerHTML = '';
+      this.domains.domains.forEach(domain => {
+        const option = document.createElement('option');
+        option.value = domain.id;
+        option.textContent = domain.name;
+        this.domainSelect.appendChild(option);
+      });
+
+      this.domainSelect.value = this.domain;
+      this.domainSelect.addEventListener('change', () => this.setDomain(this.domainSelect.value));
+    } catch (error) {
+      console.error('Error initializing domain picker:', error);
+    }
+  }
+
+  // Show the meanings used in another field first and remember the choice
+  setDomain(domain) {
+    try {
+      if (!this.domains.supports(domain) || domain === this.domain) {
+        return;
+      }
+
+      this.domain = domain;
+      this.writePreference('domain', domain);
+      this.setDictionary(this.dictionary);
+
+      const count = this.buzzwords.filter(entry => entry.domain === domain).length;
+      this.announce(domain === MeaningDomains.GENERAL
+        ? 'Showing the everyday meaning of each buzzword first.'
+        : `${this.domains.name(domain)} meanings shown first for ${count} buzzword${count === 1 ? '' : 's'}.`);
+    } catch (error) {
+      console.error('Error switching domain:', error);
+    }
+  }
+
+  // Replace the searched dictionary and refresh whatever is on screen
+  setDictionary(entries) {
+    this.dictionary = entries;
+    this.searchCore = new BuzzwordSearch(entries, { locale: this.locale, domain: this.domain });
+    this.buzzwords = this.searchCore.buzzwords;
+    this.clearCaches();
+
+    if (this.browseContent && this.browseContent.firstElementChild) {
+      this.renderBrowse(null);
+    }
+
+    if (this.glossaryContent && this.glossaryIndex.firstElementChild) {
+      this.renderGlossaryFacets();
+      this.renderGlossary();
+    }
+
+    if (this.graphCanvas && this.graphCanvas.firstElementChild) {
+      this.renderGraph(this.graphCenter && this.searchCore.getEntry(this.graphCenter) ? this.graphCenter : null);
+    }
+
+    if (this.favoritesList) {
+      this.renderFavorites();
+    }
+
+    if (this.whatsNewList) {
+      this.updateWhatsNewCount();
+      if (this.whatsNewList.firstElementChild) {
+        this.renderWhatsNew(this.whatsNewShowingAll);
+      }
+    }
+
+    const query = this.searchInput.value.trim();
+    if (query) {
+      this.performSearch(query, { history: false });
+    }
+
+    if (this.analysisResults && this.analysisResults.style.display !== 'none') {
+      this.performTextAnalysis(this.analyzeInput.value);
+    }
+  }
+
   // Clear caches to free memory
   clearCaches() {
     try {
@@ -191,9 +535,6 @@ class BuzzwordSearchEngine {
             card.setAttribute('tabindex', '-1');
           }
         });
-
-        // Update ARIA attributes
-        this.searchInput.setAttribute('aria-activedescendant', nextCard.id || `result-${nextIndex}`);
       }
     } catch (error) {
       console.error('Error navigating results:', error);
@@ -224,6 +565,25 @@ class BuzzwordSearchEngine {
     }
   }
 
+  // Announce a message through the shared screen reader live region
+  announce(message) {
+    try {
+      let liveRegion = document.getElementById('search-announcements');
+      if (!liveRegion) {
+        liveRegion = document.createElement('div');
+        liveRegion.id = 'search-announcements';
+        liveRegion.setAttribute('aria-live', 'polite');
+        liveRegion.setAttribute('aria-atomic', 'true');
+        liveRegion.className = 'visually-hidden';
+        document.body.appendChild(liveRegion);
+      }
+
+      liveRegion.textContent = message;
+    } catch (error) {
+      console.error('Error announcing message:', error);
+    }
+  }
+
   initializeEventListeners() {
     try {
       // Validate required DOM elements
@@ -239,6 +599,9 @@ class BuzzwordSearchEngine {
         try {
           this.debouncedSearch(e.target.value);
           this.updateClearButtonVisibility(e.target.value);
+          this.updateRecentSearches();
+          // The close-match top-up costs a full search, so it waits for the debounced one
+          this.updateSuggestions({ fuzzy: false });
         } catch (inputError) {
           console.error('Error handling input event:', inputError);
           this.handleSearchError(inputError, 'input handler');
@@ -270,33 +633,52 @@ class BuzzwordSearchEngine {
         }
       });
 
-      // Enhanced keyboard navigation
+      // The search box is a combobox (see handleSuggestionKey); keys typed while an input
+      // method is composing text belong to it
       this.searchInput.addEventListener('keydown', (e) => {
         try {
+          if (e.isComposing || this.handleSuggestionKey(e)) {
+            return;
+          }
+
           if (e.key === 'Enter') {
             e.preventDefault();
             this.performSearch(this.searchInput.value);
           }
           
-          // ESC key to clear search
+          // ESC closes the recent searches, else clears the search
           if (e.key === 'Escape') {
-            this.clearSearch();
+            if (this.isRecentSearchesOpen()) {
+              this.hideRecentSearches();
+            } else {
+              this.clearSearch();
+            }
           }
-          
-          // Arrow key navigation for results
-          if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+
+          // Down arrow moves into the recent searches while they are open
+          if (e.key === 'ArrowDown' && this.isRecentSearchesOpen()) {
             e.preventDefault();
-            this.navigateResults(e.key === 'ArrowDown' ? 'down' : 'up');
+            this.focusRecentSearch(0);
           }
         } catch (keyError) {
           console.error('Error handling keyboard event:', keyError);
         }
       });
 
+      // Arrow keys (and Page Up and Page Down, as in a feed) move between result cards once one has focus
+      this.resultsContainer.addEventListener('keydown', (e) => {
+        const directions = { ArrowDown: 'down', PageDown: 'down', ArrowUp: 'up', PageUp: 'up' };
+        if (directions[e.key] && e.target.classList.contains('result-card')) {
+          e.preventDefault();
+          this.navigateResults(directions[e.key]);
+        }
+      });
+
       // Focus handling for better UX
       this.searchInput.addEventListener('focus', () => {
         try {
           this.updateClearButtonVisibility(this.searchInput.value);
+          this.updateRecentSearches();
         } catch (focusError) {
           console.error('Error handling focus event:', focusError);
         }
@@ -314,48 +696,2388 @@ class BuzzwordSearchEngine {
     }
   }
 
-  // Debounced search to optimize performance with error handling
-  debouncedSearch(query) {
+  // Set up the jargon / plain English direction toggle above the search box
+  initializeSearchDirection() {
     try {
-      // Clear existing timer
-      if (this.debounceTimer) {
-        clearTimeout(this.debounceTimer);
-        this.debounceTimer = null;
-      }
+      this.directionButtons = Array.from(document.querySelectorAll('.direction-button'));
+      this.syntaxHint = document.getElementById('search-syntax-hint');
+      this.meaningHint = document.getElementById('search-meaning-hint');
+      this.jargonPlaceholder = this.searchInput.placeholder;
 
-      // Validate query before setting timer
-      if (typeof query !== 'string') {
-        console.warn('Invalid query type provided to debouncedSearch:', typeof query);
+      this.directionButtons.forEach(button => {
+        button.addEventListener('click', () => {
+          if (button.dataset.direction === this.searchDirection) return;
+
+          this.setSearchDirection(button.dataset.direction);
+          this.closeSuggestions();
+          this.searchInput.focus();
+          this.performSearch(this.searchInput.value);
+        });
+      });
+    } catch (error) {
+      console.error('Error initializing search direction:', error);
+    }
+  }
+
+  // Switch between looking up jargon and describing a meaning
+  setSearchDirection(direction) {
+    this.searchDirection = direction === 'meaning' ? 'meaning' : 'jargon';
+    const isMeaning = this.searchDirection === 'meaning';
+
+    (this.directionButtons || []).forEach(button => {
+      const isActive = button.dataset.direction === this.searchDirection;
+      button.classList.toggle('active', isActive);
+      button.setAttribute('aria-pressed', isActive ? 'true' : 'false');
+    });
+
+    this.searchInput.placeholder = isMeaning
+      ? 'Describe what you mean in plain English...'
+      : this.jargonPlaceholder;
+
+    if (this.syntaxHint) this.syntaxHint.hidden = isMeaning;
+    if (this.meaningHint) this.meaningHint.hidden = !isMeaning;
+  }
+
+  // Set up the mode switch and the paragraph translation panel
+  initializeTextAnalysis() {
+    try {
+      this.modeTabs = Array.from(document.querySelectorAll('.mode-tab'));
+      this.analyzeInput = document.getElementById('analyzeInput');
+      this.analyzeButton = document.getElementById('analyzeButton');
+      this.analyzeKeywordsToggle = document.getElementById('analyzeKeywordsToggle');
+      this.analysisResults = document.getElementById('analysisResults');
+      this.analysisSummary = document.getElementById('analysisSummary');
+      this.analysisText = document.getElementById('analysisText');
+      this.analysisTerms = document.getElementById('analysisTerms');
+
+      if (!this.analyzeInput || !this.analysisResults || this.modeTabs.length === 0) {
         return;
       }
 
-      // Set new timer
-      this.debounceTimer = setTimeout(() => {
-        try {
-          this.performSearch(query);
-        } catch (searchError) {
-          console.error('Error in debounced search:', searchError);
-          this.handleSearchError(searchError, 'debouncedSearch');
+      // Mode tabs follow the WAI-ARIA tabs pattern
+      this.modeTabs.forEach((tab, index) => {
+        tab.addEventListener('click', () => this.switchMode(tab.dataset.mode));
+
+        tab.addEventListener('keydown', (e) => {
+          if (e.key !== 'ArrowLeft' && e.key !== 'ArrowRight') return;
+          e.preventDefault();
+          const offset = e.key === 'ArrowRight' ? 1 : -1;
+          const nextTab = this.modeTabs[(index + offset + this.modeTabs.length) % this.modeTabs.length];
+          this.switchMode(nextTab.dataset.mode);
+          nextTab.focus();
+        });
+      });
+
+      this.analyzeButton.addEventListener('click', () => {
+        this.performTextAnalysis(this.analyzeInput.value);
+      });
+
+      // Ctrl/Cmd+Enter translates without leaving the textarea
+      this.analyzeInput.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+          e.preventDefault();
+          this.performTextAnalysis(this.analyzeInput.value);
         }
-      }, this.debounceDelay);
+      });
+
+      this.analyzeKeywordsToggle.addEventListener('change', () => {
+        if (this.analysisResults.style.display !== 'none') {
+          this.performTextAnalysis(this.analyzeInput.value);
+        }
+      });
     } catch (error) {
-      console.error('Error in debouncedSearch:', error);
-      // Fallback: perform search immediately without debouncing
-      try {
-        this.performSearch(query);
-      } catch (fallbackError) {
-        this.handleSearchError(fallbackError, 'debouncedSearch fallback');
+      console.error('Error initializing text analysis:', error);
+    }
+  }
+
+  // Show the panel for the selected mode and update tab state
+  switchMode(mode) {
+    this.modeTabs.forEach(tab => {
+      const isActive = tab.dataset.mode === mode;
+      const panel = document.getElementById(tab.getAttribute('aria-controls'));
+
+      tab.setAttribute('aria-selected', isActive ? 'true' : 'false');
+      tab.setAttribute('tabindex', isActive ? '0' : '-1');
+      tab.classList.toggle('active', isActive);
+
+      if (panel) {
+        panel.hidden = !isActive;
       }
+    });
+
+    // The category overview is built the first time it is opened
+    if (mode === 'browse' && this.browseContent && !this.browseContent.firstElementChild) {
+      this.renderBrowse(null);
+    }
+
+    // ...and the A-Z glossary
+    if (mode === 'glossary' && this.glossaryContent && !this.glossaryIndex.firstElementChild) {
+      this.renderGlossaryFacets();
+      this.renderGlossary();
+    }
+
+    // So is the connections graph
+    if (mode === 'graph' && this.graphCanvas && !this.graphCanvas.firstElementChild) {
+      this.renderGraph(null);
+    }
+
+    // Opening "What's new" marks its changes as seen
+    if (mode === 'new' && this.whatsNewList) {
+      this.renderWhatsNew(false);
+      this.markWhatsNewSeen();
     }
   }
 
-  // Main search function with comprehensive error handling and caching
-  performSearch(query) {
-    const startTime = performance.now();
-    
+  // Set up the browse-by-category view; clicks are handled once on the panel
+  initializeBrowse() {
     try {
-      // Validate and sanitize input
-      const validation = this.validateSearchInput(query);
+      this.browseContent = document.getElementById('browseContent');
+      this.browseBreadcrumb = document.getElementById('browseBreadcrumb');
+
+      if (!this.browseContent || !this.browseBreadcrumb) {
+        return;
+      }
+
+      const handleClick = (e) => {
+        const target = e.target.closest('[data-browse], [data-phrase]');
+        if (!target) return;
+
+        e.preventDefault();
+        if (target.dataset.phrase) {
+          this.searchFromBrowse(target.dataset.phrase);
+        } else {
+          this.renderBrowse(target.dataset.browse || null);
+          this.browseContent.focus();
+        }
+      };
+
+      this.browseContent.addEventListener('click', handleClick);
+      this.browseBreadcrumb.addEventListener('click', handleClick);
+    } catch (error) {
+      console.error('Error initializing category browser:', error);
+    }
+  }
+
+  // Set up the A-Z glossary: every entry by first letter, narrowed by a find box and category
+  // checkboxes, in a compact or expanded layout that is remembered
+  initializeGlossary() {
+    try {
+      this.glossaryContent = document.getElementById('glossaryContent');
+      this.glossaryIndex = document.getElementById('glossaryIndex');
+      this.glossarySummary = document.getElementById('glossarySummary');
+      this.glossaryFind = document.getElementById('glossaryFind');
+      this.glossaryFacets = document.getElementById('glossaryFacets');
+      const compactToggle = document.getElementById('glossaryCompactToggle');
+      const clearFilters = document.getElementById('glossaryClearFilters');
+
+      if (!this.glossaryContent || !this.glossaryIndex || !this.glossarySummary || !this.glossaryFind) {
+        this.glossaryContent = null;
+        return;
+      }
+
+      this.glossaryCategories = new Set(); // category ids ticked in the facets
+      this.setGlossaryCompact(this.readPreference('glossaryCompact', false) === true, compactToggle);
+
+      // Re-listing every entry is the slow part, so the find box waits for a pause in typing
+      this.glossaryTimer = null;
+      this.glossaryFind.addEventListener('input', () => {
+        clearTimeout(this.glossaryTimer);
+        this.glossaryTimer = setTimeout(() => this.renderGlossary(), this.debounceDelay);
+      });
+
+      if (compactToggle) {
+        compactToggle.addEventListener('click', () => {
+          this.setGlossaryCompact(!this.glossaryCompact, compactToggle);
+          this.writePreference('glossaryCompact', this.glossaryCompact);
+        });
+      }
+
+      if (this.glossaryFacets) {
+        this.glossaryFacets.addEventListener('change', (e) => {
+          if (e.target.type !== 'checkbox') return;
+          if (e.target.checked) {
+            this.glossaryCategories.add(e.target.value);
+          } else {
+            this.glossaryCategories.delete(e.target.value);
+          }
+          this.renderGlossary();
+        });
+      }
+
+      if (clearFilters) {
+        clearFilters.addEventListener('click', () => {
+          this.glossaryCategories.clear();
+          if (this.glossaryFacets) {
+            this.glossaryFacets.querySelectorAll('input[type="checkbox"]').forEach(box => { box.checked = false; });
+          }
+          this.renderGlossary();
+        });
+      }
+
+      // Letters move focus to their section, so keyboard users land where they jumped
+      this.glossaryIndex.addEventListener('click', (e) => {
+        const button = e.target.closest('[data-letter]');
+        const heading = button && document.getElementById(this.glossaryLetterId(button.dataset.letter));
+        if (heading) {
+          heading.focus();
+        }
+      });
+
+      this.glossaryContent.addEventListener('click', (e) => {
+        const target = e.target.closest('[data-phrase]');
+        if (target) {
+          this.searchFromBrowse(target.dataset.phrase);
+        }
+      });
+    } catch (error) {
+      console.error('Error initializing glossary:', error);
+      this.glossaryContent = null;
+    }
+  }
+
+  // Switch between one line per entry and the full explanation
+  setGlossaryCompact(compact, toggle) {
+    this.glossaryCompact = compact;
+    this.glossaryContent.classList.toggle('glossary-compact', compact);
+    if (toggle) {
+      toggle.setAttribute('aria-pressed', compact ? 'true' : 'false');
+    }
+  }
+
+  // Id of a letter's heading; '#' collects phrases starting with anything else
+  glossaryLetterId(letter) {
+    return `glossary-letter-${letter === '#' ? 'other' : letter}`;
+  }
+
+  // A checkbox per category with its entry count, in a fieldset per category group
+  renderGlossaryFacets() {
+    if (!this.glossaryFacets) return;
+
+    this.glossaryFacets.innerHTML = '';
+    this.searchCore.browseCategories().forEach(group => {
+      const fieldset = document.createElement('fieldset');
+      fieldset.className = 'glossary-facet-group';
+
+      const legend = document.createElement('legend');
+      legend.textContent = group.name;
+      fieldset.appendChild(legend);
+
+      group.categories.filter(category => category.count > 0).forEach(category => {
+        const label = document.createElement('label');
+        label.className = 'glossary-facet';
+
+        const box = document.createElement('input');
+        box.type = 'checkbox';
+        box.value = category.id;
+        box.checked = this.glossaryCategories.has(category.id);
+
+        const count = document.createElement('span');
+        count.className = 'browse-count';
+        count.textContent = category.count;
+
+        label.appendChild(box);
+        label.appendChild(document.createTextNode(` ${category.name} `));
+        label.appendChild(count);
+        fieldset.appendChild(label);
+      });
+
+      if (fieldset.querySelector('input')) {
+        this.glossaryFacets.appendChild(fieldset);
+      }
+    });
+  }
+
+  // List the entries that pass the find box and facets, with a letter index over them
+  renderGlossary() {
+    clearTimeout(this.glossaryTimer);
+    this.glossaryTimer = null;
+
+    try {
+      const text = this.glossaryFind.value.trim();
+      const sections = this.searchCore.glossary({ categories: [...this.glossaryCategories], text: text });
+      const shown = sections.reduce((count, section) => count + section.entries.length, 0);
+      const total = this.buzzwords.length;
+      const filtered = text !== '' || this.glossaryCategories.size > 0;
+
+      this.glossarySummary.textContent = shown === 0
+        ? 'No buzzwords match. Try other words or clear the filters.'
+        : filtered
+          ? `Showing ${shown} of ${total} buzzwords`
+          : `${total} buzzwords from A to Z`;
+
+      this.glossaryIndex.innerHTML = '';
+      BuzzwordSearch.GLOSSARY_LETTERS.forEach(letter => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'glossary-index-letter';
+        button.textContent = letter;
+        button.dataset.letter = letter;
+        button.disabled = !sections.some(section => section.letter === letter);
+        button.setAttribute('aria-label', letter === '#' ? 'Other' : letter);
+        this.glossaryIndex.appendChild(button);
+      });
+
+      this.glossaryContent.innerHTML = '';
+      sections.forEach(section => {
+        const wrapper = document.createElement('section');
+        wrapper.className = 'glossary-letter';
+
+        const heading = document.createElement('h3');
+        heading.className = 'glossary-letter-heading';
+        heading.id = this.glossaryLetterId(section.letter);
+        heading.tabIndex = -1;
+        heading.textContent = section.letter;
+        wrapper.setAttribute('aria-labelledby', heading.id);
+        wrapper.appendChild(heading);
+
+        const list = document.createElement('dl');
+        list.className = 'glossary-entries';
+        section.entries.forEach(entry => list.appendChild(this.createGlossaryEntry(entry, text)));
+        wrapper.appendChild(list);
+
+        this.glossaryContent.appendChild(wrapper);
+      });
+    } catch (error) {
+      console.error('Error rendering glossary:', error);
+      this.glossaryContent.textContent = 'Unable to show the glossary right now.';
+    }
+  }
+
+  // One glossary entry: the phrase, which looks it up, and its translation, then the details
+  // the compact layout hides; text found by the find box is marked in the fields it searches
+  createGlossaryEntry(entry, text) {
+    const item = document.createElement('div');
+    item.className = 'glossary-entry';
+
+    const term = document.createElement('dt');
+    const phrase = document.createElement('button');
+    phrase.type = 'button';
+    phrase.className = 'glossary-phrase';
+    phrase.dataset.phrase = entry.phrase;
+    this.appendMarked(phrase, entry.phrase, text);
+    term.appendChild(phrase);
+    item.appendChild(term);
+
+    const translation = document.createElement('dd');
+    translation.className = 'glossary-translation';
+    this.appendMarked(translation, entry.translation, text);
+    item.appendChild(translation);
+
+    const details = [];
+    if (Array.isArray(entry.variants) && entry.variants.length > 0) {
+      details.push(['Also written as', entry.variants.join(', '), text]);
+    }
+    if (entry.context) {
+      details.push(['Context', entry.context, '']);
+    }
+    if (Array.isArray(entry.alternatives) && entry.alternatives.length > 0) {
+      details.push(['Say instead', entry.alternatives.join(', '), text]);
+    }
+    details.push(['Category', this.searchCore.taxonomy.displayName(entry.category), '']);
+
+    details.forEach(([label, value, marked]) => {
+      const detail = document.createElement('dd');
+      detail.className = 'glossary-detail';
+      const name = document.createElement('span');
+      name.className = 'glossary-detail-label';
+      name.textContent = `${label}: `;
+      detail.appendChild(name);
+      this.appendMarked(detail, value, marked);
+      item.appendChild(detail);
+    });
+
+    return item;
+  }
+
+  // Append text with each place the glossary's find text appears in it in <mark>, matched
+  // as the glossary filter matches it (case and accents ignored)
+  appendMarked(parent, value, search) {
+    const text = String(value);
+    let position = 0;
+
+    this.searchCore.glossaryMatches(text, search).forEach(([start, end]) => {
+      parent.appendChild(document.createTextNode(text.slice(position, start)));
+      const mark = document.createElement('mark');
+      mark.textContent = text.slice(start, end);
+      parent.appendChild(mark);
+      position = end;
+    });
+    parent.appendChild(document.createTextNode(text.slice(position)));
+  }
+
+  // Open the browse view at a group or category id, or at the overview when id is null
+  browseCategory(id) {
+    if (!this.browseContent) return;
+
+    this.switchMode('browse');
+    this.renderBrowse(id);
+    this.browseContent.focus();
+  }
+
+  // Render the overview of every group, or the entries of one group or category
+  renderBrowse(id) {
+    try {
+      const tree = this.searchCore.browseCategories();
+      const group = id ? tree.find(candidate => candidate.id === id) : null;
+      const parent = id && !group
+        ? tree.find(candidate => candidate.categories.some(category => category.id === id))
+        : null;
+      const category = parent ? parent.categories.find(candidate => candidate.id === id) : null;
+
+      this.browseContent.innerHTML = '';
+      this.renderBrowseBreadcrumb(group || parent, category);
+
+      if (category) {
+        this.browseContent.appendChild(this.createBrowseHeading(category, 'h3'));
+        this.browseContent.appendChild(this.createBrowseEntries(category.entries));
+      } else if (group) {
+        this.browseContent.appendChild(this.createBrowseHeading(group, 'h3'));
+        group.categories.forEach(child => {
+          const section = document.createElement('section');
+          section.className = 'browse-subsection';
+          section.appendChild(this.createBrowseHeading(child, 'h4', child.id));
+          section.appendChild(this.createBrowseEntries(child.entries));
+          this.browseContent.appendChild(section);
+        });
+      } else {
+        tree.forEach(item => this.browseContent.appendChild(this.createBrowseGroup(item)));
+      }
+
+      const label = category || group;
+      this.announce(label
+        ? `${label.name}: ${label.count} buzzword${label.count === 1 ? '' : 's'}`
+        : `${tree.length} category groups`);
+    } catch (error) {
+      console.error('Error rendering category browser:', error);
+      this.browseContent.textContent = 'Unable to show categories right now.';
+    }
+  }
+
+  // Breadcrumb links back up the taxonomy: All categories > group > category
+  renderBrowseBreadcrumb(group, category) {
+    this.browseBreadcrumb.innerHTML = '';
+
+    const crumbs = [{ id: '', name: 'All categories' }];
+    if (group) crumbs.push(group);
+    if (category) crumbs.push(category);
+
+    crumbs.forEach((crumb, index) => {
+      const isCurrent = index === crumbs.length - 1;
+      const item = document.createElement(isCurrent ? 'span' : 'button');
+
+      item.className = 'browse-crumb';
+      item.textContent = crumb.name;
+      if (isCurrent) {
+        item.setAttribute('aria-current', 'page');
+      } else {
+        item.type = 'button';
+        item.dataset.browse = crumb.id;
+      }
+
+      if (index > 0) {
+        const separator = document.createElement('span');
+        separator.className = 'browse-crumb-separator';
+        separator.setAttribute('aria-hidden', 'true');
+        separator.textContent = '›';
+        this.browseBreadcrumb.appendChild(separator);
+      }
+      this.browseBreadcrumb.appendChild(item);
+    });
+  }
+
+  // A group card on the overview: its name and count, then a button per category
+  createBrowseGroup(group) {
+    const section = document.createElement('section');
+    section.className = 'browse-group';
+    section.appendChild(this.createBrowseHeading(group, 'h3', group.id));
+
+    const list = document.createElement('ul');
+    list.className = 'browse-categories';
+
+    group.categories.forEach(category => {
+      const item = document.createElement('li');
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'browse-category';
+      button.dataset.browse = category.id;
+      button.setAttribute('aria-label', `${category.name}, ${category.count} buzzword${category.count === 1 ? '' : 's'}`);
+
+      const name = document.createElement('span');
+      name.className = 'browse-category-name';
+      name.textContent = category.name;
+
+      const count = document.createElement('span');
+      count.className = 'browse-count';
+      count.textContent = category.count;
+
+      const description = document.createElement('span');
+      description.className = 'browse-category-description';
+      description.textContent = category.description;
+
+      button.appendChild(name);
+      button.appendChild(count);
+      button.appendChild(description);
+      item.appendChild(button);
+      list.appendChild(item);
+    });
+
+    section.appendChild(list);
+    return section;
+  }
+
+  // Heading with a count and description; the name links further down when drillId is given
+  createBrowseHeading(item, level, drillId = null) {
+    const wrapper = document.createElement('div');
+    wrapper.className = 'browse-heading';
+
+    const heading = document.createElement(level);
+    heading.className = 'browse-title';
+
+    const name = document.createElement(drillId ? 'button' : 'span');
+    name.textContent = item.name;
+    if (drillId) {
+      name.type = 'button';
+      name.className = 'browse-title-link';
+      name.dataset.browse = drillId;
+    }
+
+    const count = document.createElement('span');
+    count.className = 'browse-count';
+    count.textContent = item.count;
+    count.setAttribute('aria-label', `${item.count} buzzword${item.count === 1 ? '' : 's'}`);
+
+    heading.appendChild(name);
+    heading.appendChild(count);
+    wrapper.appendChild(heading);
+
+    if (item.description) {
+      const description = document.createElement('p');
+      description.className = 'browse-description';
+      description.textContent = item.description;
+      wrapper.appendChild(description);
+    }
+
+    return wrapper;
+  }
+
+  // Entry list for a category; each phrase opens its full result in the search view
+  createBrowseEntries(entries) {
+    const list = document.createElement('ul');
+    list.className = 'browse-entries';
+
+    entries.forEach(entry => {
+      const item = document.createElement('li');
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'browse-entry';
+      button.dataset.phrase = entry.phrase;
+
+      const phrase = document.createElement('span');
+      phrase.className = 'browse-entry-phrase';
+      phrase.textContent = entry.phrase;
+
+      const translation = document.createElement('span');
+      translation.className = 'browse-entry-translation';
+      translation.textContent = entry.translation;
+
+      button.appendChild(phrase);
+      button.appendChild(translation);
+      item.appendChild(button);
+      list.appendChild(item);
+    });
+
+    return list;
+  }
+
+  // Set up the connections graph; node clicks and keys are handled once on the canvas
+  initializeGraph() {
+    try {
+      this.graphCanvas = document.getElementById('graphCanvas');
+      this.graphFocus = document.getElementById('graphFocus');
+      this.graphShowAll = document.getElementById('graphShowAll');
+      this.graphCenter = null;
+
+      if (!this.graphCanvas || !this.graphFocus || !this.graphShowAll) {
+        return;
+      }
+
+      this.graphCanvas.addEventListener('click', (e) => {
+        const node = e.target.closest('[data-node]');
+        if (node) {
+          this.activateGraphNode(node.dataset.node);
+        }
+      });
+
+      this.graphCanvas.addEventListener('keydown', (e) => {
+        const node = e.target.closest('[data-node]');
+        if (node && (e.key === 'Enter' || e.key === ' ')) {
+          e.preventDefault();
+          this.activateGraphNode(node.dataset.node);
+        }
+      });
+
+      this.graphShowAll.addEventListener('click', () => this.renderGraph(null));
+    } catch (error) {
+      console.error('Error initializing connections graph:', error);
+    }
+  }
+
+  // Open the graph centred on a phrase
+  showGraph(phrase) {
+    if (!this.graphCanvas) return;
+
+    this.switchMode('graph');
+    this.renderGraph(phrase);
+    this.focusGraphNode(this.graphCenter);
+  }
+
+  // Selecting a node centres the graph on it; selecting the centre looks it up
+  activateGraphNode(id) {
+    if (id === this.graphCenter) {
+      const entry = this.searchCore.getEntry(id);
+      if (entry) {
+        this.searchFromBrowse(entry.phrase);
+      }
+      return;
+    }
+
+    this.renderGraph(id);
+    this.focusGraphNode(id);
+  }
+
+  focusGraphNode(id) {
+    const node = Array.from(this.graphCanvas.querySelectorAll('[data-node]')).find(candidate => candidate.dataset.node === id);
+    if (node) {
+      node.focus();
+    }
+  }
+
+  // Draw every linked entry, or the entries within two links of a phrase, as an SVG graph
+  renderGraph(phrase) {
+    try {
+      const svgNs = 'http://www.w3.org/2000/svg';
+      const graph = this.searchCore.relationGraph(phrase, 2);
+      const center = phrase ? phrase.toLowerCase().trim() : null;
+      const width = 800;
+      const height = phrase ? 520 : 640;
+
+      this.graphCenter = graph.nodes.length > 0 ? center : null;
+      this.graphCanvas.innerHTML = '';
+      this.graphShowAll.hidden = !phrase;
+
+      if (graph.nodes.length === 0) {
+        const entry = phrase ? this.searchCore.getEntry(phrase) : null;
+        this.graphFocus.textContent = entry
+          ? `“${entry.phrase}” has no links to other buzzwords yet.`
+          : 'No buzzwords are linked yet.';
+        return;
+      }
+
+      const positions = this.searchCore.relations.layout(graph, width, height, { center: this.graphCenter });
+
+      const svg = document.createElementNS(svgNs, 'svg');
+      svg.setAttribute('viewBox', `0 0 ${width} ${height}`);
+      svg.setAttribute('class', 'graph-svg');
+      svg.setAttribute('role', 'group');
+      svg.setAttribute('aria-label', phrase ? `Buzzwords connected to ${phrase}` : 'Connected buzzwords');
+
+      // Arrowheads point from the narrower term to the broader one
+      const defs = document.createElementNS(svgNs, 'defs');
+      const marker = document.createElementNS(svgNs, 'marker');
+      marker.setAttribute('id', 'graphArrow');
+      marker.setAttribute('viewBox', '0 0 10 10');
+      marker.setAttribute('refX', '10');
+      marker.setAttribute('refY', '5');
+      marker.setAttribute('markerWidth', '8');
+      marker.setAttribute('markerHeight', '8');
+      marker.setAttribute('orient', 'auto-start-reverse');
+      const arrow = document.createElementNS(svgNs, 'path');
+      arrow.setAttribute('d', 'M 0 0 L 10 5 L 0 10 z');
+      arrow.setAttribute('class', 'graph-arrow');
+      marker.appendChild(arrow);
+      defs.appendChild(marker);
+      svg.appendChild(defs);
+
+      const radius = node => 6 + 2 * Math.min(node.degree, 6);
+      const nodesById = new Map(graph.nodes.map(node => [node.id, node]));
+
+      const edges = document.createElementNS(svgNs, 'g');
+      edges.setAttribute('class', 'graph-edges');
+      edges.setAttribute('aria-hidden', 'true');
+      graph.edges.forEach(edge => {
+        const from = positions.get(edge.source);
+        const to = positions.get(edge.target);
+        // Stop the line at the target's edge so the arrowhead stays visible
+        const length = Math.hypot(to.x - from.x, to.y - from.y) || 1;
+        const inset = radius(nodesById.get(edge.target)) + 2;
+
+        const line = document.createElementNS(svgNs, 'line');
+        line.setAttribute('class', `graph-edge graph-edge-${edge.type}`);
+        line.setAttribute('x1', from.x.toFixed(1));
+        line.setAttribute('y1', from.y.toFixed(1));
+        line.setAttribute('x2', (to.x - ((to.x - from.x) / length) * inset).toFixed(1));
+        line.setAttribute('y2', (to.y - ((to.y - from.y) / length) * inset).toFixed(1));
+        if (edge.type === 'broader') {
+          line.setAttribute('marker-end', 'url(#graphArrow)');
+        }
+        edges.appendChild(line);
+      });
+      svg.appendChild(edges);
+
+      const nodes = document.createElementNS(svgNs, 'g');
+      nodes.setAttribute('class', 'graph-nodes');
+      graph.nodes.forEach(node => {
+        const position = positions.get(node.id);
+        const group = document.createElementNS(svgNs, 'g');
+        const classes = ['graph-node', `graph-node-distance-${node.distance}`];
+        if (node.id === this.graphCenter) classes.push('graph-node-center');
+        group.setAttribute('class', classes.join(' '));
+        group.setAttribute('transform', `translate(${position.x.toFixed(1)} ${position.y.toFixed(1)})`);
+        group.setAttribute('tabindex', '0');
+        group.setAttribute('role', 'button');
+        group.setAttribute('aria-label', node.id === this.graphCenter
+          ? `${node.entry.phrase}: ${node.entry.translation}. Look it up`
+          : `${node.entry.phrase}: ${node.entry.translation}. ${node.degree} connection${node.degree === 1 ? '' : 's'}`);
+        group.dataset.node = node.id;
+
+        const circle = document.createElementNS(svgNs, 'circle');
+        circle.setAttribute('r', radius(node));
+
+        const label = document.createElementNS(svgNs, 'text');
+        label.setAttribute('y', -(radius(node) + 6));
+        label.setAttribute('text-anchor', 'middle');
+        label.textContent = node.entry.phrase;
+
+        group.appendChild(circle);
+        group.appendChild(label);
+        nodes.appendChild(group);
+      });
+      svg.appendChild(nodes);
+
+      this.graphCanvas.appendChild(svg);
+
+      const count = graph.nodes.length;
+      this.graphFocus.textContent = this.graphCenter
+        ? `Connections of “${nodesById.get(this.graphCenter).entry.phrase}”: ${count - 1} buzzword${count === 2 ? '' : 's'} within two links. Select a buzzword to centre on it, or the centre one to look it up.`
+        : `${count} linked buzzwords. Select one to see its connections.`;
+    } catch (error) {
+      console.error('Error rendering connections graph:', error);
+      this.graphCanvas.textContent = 'Unable to show connections right now.';
+    }
+  }
+
+  // Open the user's own buzzwords and set up the panel for editing them
+  initializeCustomEntries() {
+    try {
+      if (!this.customEntries) {
+        return;
+      }
+
+      this.customList = document.getElementById('customList');
+      this.customForm = document.getElementById('customForm');
+      this.customFormTitle = document.getElementById('customFormTitle');
+      this.customErrors = document.getElementById('customErrors');
+      this.customMeanings = document.getElementById('customMeanings');
+      this.customStatus = document.getElementById('customStatus');
+      this.customImportInput = document.getElementById('customImportInput');
+      this.editingPhrase = null; // phrase of the entry in the form, null for a new one
+
+      const hasPanel = Boolean(this.customList && this.customForm && this.customMeanings && this.customStatus);
+      if (hasPanel) {
+        this.initializeCustomForm();
+      }
+
+      this.customEntries.open()
+        .then(persistent => {
+          if (this.customEntries.entries.size > 0) {
+            this.setDictionary(this.mergeDictionary());
+
+            // A link to one of them could not be followed before they arrived
+            if (this.deepLinks && this.urlState && this.urlState.term) {
+              this.urlState = null;
+              this.restoreFromUrl();
+            }
+          }
+          if (hasPanel) {
+            this.renderCustomList();
+            if (!persistent) {
+              this.customStatus.textContent = 'This browser is not saving your buzzwords, so they last until the page is closed. Export them to keep a copy.';
+            }
+          }
+        })
+        .catch(error => console.error('Error loading custom buzzwords:', error));
+    } catch (error) {
+      console.error('Error initializing custom buzzwords:', error);
+    }
+  }
+
+  // Fill the form's pickers and listen to the panel's buttons
+  initializeCustomForm() {
+    const form = this.customForm;
+
+    form.elements.category.innerHTML = '';
+    this.searchCore.taxonomy.groups.forEach(group => {
+      const optgroup = document.createElement('optgroup');
+      optgroup.label = group.name;
+      group.categories.forEach(category => {
+        optgroup.appendChild(this.createOption(category.id, category.name));
+      });
+      form.elements.category.appendChild(optgroup);
+    });
+
+    this.fillDomainOptions(form.elements.domain);
+
+    form.elements.frequency.innerHTML = '';
+    form.elements.frequency.appendChild(this.createOption('', 'Not set'));
+    EntryMetadata.FREQUENCY_TIERS.forEach(tier => {
+      form.elements.frequency.appendChild(this.createOption(tier.id, `${tier.name}: ${tier.description}`));
+    });
+
+    form.elements.cringe.innerHTML = '';
+    form.elements.cringe.appendChild(this.createOption('', 'Not set'));
+    EntryMetadata.CRINGE_LEVELS.forEach(level => {
+      form.elements.cringe.appendChild(this.createOption(String(level.value), `${level.value} (${level.name})`));
+    });
+
+    document.getElementById('customAddButton').addEventListener('click', () => this.openCustomForm(null));
+    document.getElementById('customExportButton').addEventListener('click', () => this.exportCustomEntries());
+    document.getElementById('customAddMeaning').addEventListener('click', () => {
+      this.addCustomMeaningRow({});
+      this.customMeanings.lastElementChild.querySelector('input').focus();
+    });
+    document.getElementById('customCancelButton').addEventListener('click', () => this.closeCustomForm());
+
+    if (this.customImportInput) {
+      document.getElementById('customImportButton').addEventListener('click', () => this.customImportInput.click());
+      this.customImportInput.addEventListener('change', () => {
+        const file = this.customImportInput.files[0];
+        this.customImportInput.value = '';
+        if (file) {
+          this.importCustomEntries(file);
+        }
+      });
+    }
+
+    form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.saveCustomEntry();
+    });
+
+    // Edit and delete buttons are handled once on the list; deleting asks for a second click
+    this.customList.addEventListener('click', (e) => {
+      const button = e.target.closest('button[data-action]');
+      if (!button) return;
+
+      const entry = this.customEntries.get(button.dataset.phrase);
+      if (!entry) return;
+
+      if (button.dataset.action === 'edit') {
+        this.openCustomForm(entry);
+      } else if (button.dataset.confirm) {
+        this.deleteCustomEntry(entry.phrase);
+      } else {
+        button.dataset.confirm = 'true';
+        button.textContent = 'Really delete?';
+        button.setAttribute('aria-label', `Really delete ${entry.phrase}?`);
+      }
+    });
+
+    this.customMeanings.addEventListener('click', (e) => {
+      const button = e.target.closest('.custom-meaning-remove');
+      if (button) {
+        button.closest('.custom-meaning').remove();
+        document.getElementById('customAddMeaning').focus();
+      }
+    });
+  }
+
+  createOption(value, label) {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = label;
+    return option;
+  }
+
+  // Sense domains for a picker; "General" leaves the field out of the entry
+  fillDomainOptions(select) {
+    select.innerHTML = '';
+    this.domains.domains.forEach(domain => {
+      select.appendChild(this.createOption(domain.id, domain.name));
+    });
+    select.value = MeaningDomains.GENERAL;
+  }
+
+  // List the user's buzzwords with edit and delete buttons
+  renderCustomList() {
+    this.customList.innerHTML = '';
+    const entries = this.customEntries.list();
+
+    if (entries.length === 0) {
+      const empty = document.createElement('li');
+      empty.className = 'custom-empty';
+      empty.textContent = 'You have not added any buzzwords yet.';
+      this.customList.appendChild(empty);
+      return;
+    }
+
+    entries.forEach(entry => {
+      const item = document.createElement('li');
+      item.className = 'custom-item';
+
+      const text = document.createElement('div');
+      text.className = 'custom-item-text';
+      const phrase = document.createElement('strong');
+      phrase.textContent = entry.phrase;
+      const translation = document.createElement('span');
+      translation.textContent = this.locales.resolve(entry.translation, this.locale);
+      text.appendChild(phrase);
+      text.appendChild(translation);
+
+      const actions = document.createElement('div');
+      actions.className = 'custom-item-actions';
+      [['edit', 'Edit'], ['delete', 'Delete']].forEach(([action, label]) => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'custom-button custom-button-small';
+        button.dataset.action = action;
+        button.dataset.phrase = entry.phrase;
+        button.textContent = label;
+        button.setAttribute('aria-label', `${label} ${entry.phrase}`);
+        actions.appendChild(button);
+      });
+
+      item.appendChild(text);
+      item.appendChild(actions);
+      this.customList.appendChild(item);
+    });
+  }
+
+  // Show the form empty, or filled in with an entry to edit
+  openCustomForm(entry) {
+    const form = this.customForm;
+    const english = value => this.locales.resolve(value, DictionaryLocales.FALLBACK);
+    const joined = (value, separator) => (Array.isArray(english(value)) ? english(value).join(separator) : '');
+
+    this.editingPhrase = entry ? entry.phrase : null;
+    form.reset();
+    this.customErrors.innerHTML = '';
+    this.customMeanings.innerHTML = '';
+
+    if (entry) {
+      form.elements.phrase.value = entry.phrase;
+      form.elements.translation.value = english(entry.translation) || '';
+      form.elements.keywords.value = joined(entry.keywords, ', ');
+      form.elements.category.value = entry.category;
+      form.elements.context.value = english(entry.context) || '';
+      form.elements.domain.value = entry.domain || MeaningDomains.GENERAL;
+      form.elements.variants.value = joined(entry.variants, ', ');
+      form.elements.alternatives.value = joined(entry.alternatives, ', ');
+      form.elements.origin.value = english(entry.origin) || '';
+      form.elements.era.value = entry.era || '';
+      form.elements.examples.value = joined(entry.examples, '\n');
+      form.elements.frequency.value = entry.frequency || '';
+      form.elements.cringe.value = entry.cringe !== undefined ? String(entry.cringe) : '';
+      Object.keys(BuzzwordRelations.TYPES).forEach(type => {
+        form.elements[type].value = joined(entry[type], ', ');
+      });
+      (entry.multipleMeanings || []).forEach(meaning => this.addCustomMeaningRow(meaning));
+    } else {
+      form.elements.domain.value = MeaningDomains.GENERAL;
+    }
+
+    this.customFormTitle.textContent = entry ? `Edit “${entry.phrase}”` : 'Add a buzzword';
+    form.hidden = false;
+    this.customFormTitle.focus();
+  }
+
+  closeCustomForm() {
+    this.customForm.hidden = true;
+    this.editingPhrase = null;
+    document.getElementById('customAddButton').focus();
+  }
+
+  // One other meaning in the form: its field, translation and context
+  addCustomMeaningRow(meaning) {
+    const position = this.customMeanings.children.length + 1;
+    const row = document.createElement('div');
+    row.className = 'custom-meaning';
+
+    const field = (label, control) => {
+      const wrapper = document.createElement('label');
+      wrapper.className = 'custom-field';
+      const text = document.createElement('span');
+      text.textContent = label;
+      wrapper.appendChild(text);
+      wrapper.appendChild(control);
+      return wrapper;
+    };
+
+    const translation = document.createElement('input');
+    translation.type = 'text';
+    translation.className = 'custom-meaning-translation';
+    translation.value = this.locales.resolve(meaning.translation, DictionaryLocales.FALLBACK) || '';
+
+    const context = document.createElement('input');
+    context.type = 'text';
+    context.className = 'custom-meaning-context';
+    context.value = this.locales.resolve(meaning.context, DictionaryLocales.FALLBACK) || '';
+
+    const domain = document.createElement('select');
+    domain.className = 'custom-meaning-domain';
+    this.fillDomainOptions(domain);
+    domain.value = meaning.domain || MeaningDomains.GENERAL;
+
+    const remove = document.createElement('button');
+    remove.type = 'button';
+    remove.className = 'custom-button custom-button-small custom-meaning-remove';
+    remove.textContent = 'Remove';
+    remove.setAttribute('aria-label', `Remove meaning ${position}`);
+
+    row.appendChild(field(`Meaning ${position}`, translation));
+    row.appendChild(field('Context', context));
+    row.appendChild(field('Field', domain));
+    row.appendChild(remove);
+    this.customMeanings.appendChild(row);
+  }
+
+  // The entry described by the form. Empty fields are left out; when the entry being edited
+  // has explanations in other locales, they are kept and only the English one is replaced.
+  readCustomForm() {
+    const form = this.customForm;
+    const original = this.editingPhrase ? this.customEntries.get(this.editingPhrase) || {} : {};
+    const entry = Object.assign({}, original);
+    const text = name => form.elements[name].value.trim();
+    const list = (name, separator = ',') => text(name).split(separator).map(item => item.trim()).filter(Boolean);
+
+    const set = (field, value) => {
+      const empty = value === '' || (Array.isArray(value) && value.length === 0);
+      if (empty) {
+        delete entry[field];
+      } else {
+        entry[field] = value;
+      }
+    };
+
+    // Localized fields keep their other locales
+    const setLocalized = (field, value) => {
+      const empty = value === '' || (Array.isArray(value) && value.length === 0);
+      if (!this.locales.isLocalized(original[field])) {
+        set(field, value);
+      } else if (empty) {
+        entry[field] = Object.assign({}, original[field]);
+        delete entry[field][DictionaryLocales.FALLBACK];
+      } else {
+        entry[field] = Object.assign({}, original[field], { [DictionaryLocales.FALLBACK]: value });
+      }
+    };
+
+    set('phrase', text('phrase'));
+    setLocalized('translation', text('translation'));
+    set('keywords', list('keywords').map(keyword => keyword.toLowerCase()));
+    set('category', text('category'));
+    set('variants', list('variants'));
+    setLocalized('alternatives', list('alternatives'));
+    setLocalized('context', text('context'));
+    set('domain', text('domain') === MeaningDomains.GENERAL ? '' : text('domain'));
+    Object.keys(BuzzwordRelations.TYPES).forEach(type => set(type, list(type)));
+    setLocalized('origin', text('origin'));
+    set('era', text('era'));
+    set('examples', list('examples', '\n'));
+    set('frequency', text('frequency'));
+    set('cringe', text('cringe') === '' ? '' : Number(text('cringe')));
+
+    const originalMeanings = Array.isArray(original.multipleMeanings) ? original.multipleMeanings : [];
+    const meanings = [...this.customMeanings.querySelectorAll('.custom-meaning')].map((row, position) => {
+      const before = originalMeanings[position] || {};
+      const localized = (field, value) => (this.locales.isLocalized(before[field])
+        ? Object.assign({}, before[field], { [DictionaryLocales.FALLBACK]: value })
+        : value);
+      const meaning = { translation: localized('translation', row.querySelector('.custom-meaning-translation').value.trim()) };
+      const context = row.querySelector('.custom-meaning-context').value.trim();
+      const domain = row.querySelector('.custom-meaning-domain').value;
+
+      if (context) {
+        meaning.context = localized('context', context);
+      }
+      if (domain !== MeaningDomains.GENERAL) {
+        meaning.domain = domain;
+      }
+      return meaning;
+    });
+    set('multipleMeanings', meanings);
+
+    return entry;
+  }
+
+  // Check an entry against the rest of the dictionary as the validator would
+  // previousPhrase: phrase the entry is saved under now, when it is being edited
+  // pending: entries accepted earlier from the same import, which the entry must not repeat
+  // Returns the entry's diagnostics, leaving out where it would sit in a dictionary file
+  checkCustomEntry(entry, previousPhrase = null, pending = []) {
+    const key = this.customEntries.key(typeof entry.phrase === 'string' ? entry.phrase : '');
+    const previousKey = previousPhrase ? this.customEntries.key(previousPhrase) : null;
+    const pendingKeys = new Set(pending.map(other => this.customEntries.key(other.phrase)));
+    const others = this.dictionary.filter(other => {
+      const otherKey = this.customEntries.key(other.phrase);
+      return otherKey !== key && otherKey !== previousKey && !pendingKeys.has(otherKey);
+    }).concat(pending);
+
+    return new DictionaryValidator({ taxonomy: this.searchCore.taxonomy, locales: this.locales, domains: this.domains })
+      .validate(others.concat(entry))
+      .filter(diagnostic => diagnostic.index === others.length &&
+        diagnostic.rule !== 'alphabetical-order' && diagnostic.rule !== 'section');
+  }
+
+  // Validate and store the entry in the form; errors keep the form open
+  saveCustomEntry() {
+    const entry = this.readCustomForm();
+    const diagnostics = this.checkCustomEntry(entry, this.editingPhrase);
+    const errors = diagnostics.filter(diagnostic => diagnostic.severity === 'error');
+
+    if (errors.length > 0) {
+      this.showCustomErrors(errors);
+      return;
+    }
+
+    const isNew = !this.editingPhrase;
+    this.customEntries.save(entry, this.editingPhrase)
+      .then(() => {
+        this.customForm.hidden = true;
+        this.editingPhrase = null;
+        this.setDictionary(this.mergeDictionary());
+        this.renderCustomList();
+
+        const warnings = diagnostics.map(diagnostic => diagnostic.message);
+        this.customStatus.textContent = `${isNew ? 'Added' : 'Saved'} “${entry.phrase}”.` +
+          (warnings.length > 0 ? ` Worth a look: ${warnings.join('; ')}.` : '');
+        document.getElementById('customAddButton').focus();
+      })
+      .catch(error => {
+        console.error('Error saving custom buzzword:', error);
+        this.showCustomErrors([{ message: `Could not save: ${error.message}` }]);
+      });
+  }
+
+  // List what has to be fixed at the top of the form and move focus there
+  showCustomErrors(errors) {
+    this.customErrors.innerHTML = '';
+
+    const heading = document.createElement('p');
+    heading.textContent = errors.length === 1 ? 'Please fix this first:' : `Please fix these ${errors.length} things first:`;
+    const list = document.createElement('ul');
+    errors.forEach(error => {
+      const item = document.createElement('li');
+      item.textContent = error.message;
+      list.appendChild(item);
+    });
+
+    this.customErrors.appendChild(heading);
+    this.customErrors.appendChild(list);
+
+    const field = errors[0].field && this.customForm.elements[errors[0].field];
+    if (field && typeof field.focus === 'function') {
+      field.focus();
+    } else {
+      this.customErrors.focus();
+    }
+  }
+
+  deleteCustomEntry(phrase) {
+    this.customEntries.remove(phrase)
+      .then(() => {
+        if (this.customEntries.key(this.editingPhrase || '') === this.customEntries.key(phrase)) {
+          this.customForm.hidden = true;
+          this.editingPhrase = null;
+        }
+        this.setDictionary(this.mergeDictionary());
+        this.renderCustomList();
+        this.customStatus.textContent = `Deleted “${phrase}”.`;
+        document.getElementById('customAddButton').focus();
+      })
+      .catch(error => {
+        console.error('Error deleting custom buzzword:', error);
+        this.customStatus.textContent = `Could not delete “${phrase}”: ${error.message}`;
+      });
+  }
+
+  // Download the user's buzzwords as a JSON file
+  exportCustomEntries() {
+    const count = this.customEntries.entries.size;
+    if (count === 0) {
+      this.customStatus.textContent = 'There are no buzzwords to export yet.';
+      return;
+    }
+
+    try {
+      this.downloadFile('my-buzzwords.json', 'application/json', this.customEntries.exportJson());
+      this.customStatus.textContent = `Exported ${count} buzzword${count === 1 ? '' : 's'}.`;
+    } catch (error) {
+      console.error('Error exporting custom buzzwords:', error);
+      this.customStatus.textContent = 'Unable to export right now.';
+    }
+  }
+
+  // Save text as a file through a temporary download link
+  downloadFile(name, type, text) {
+    const url = URL.createObjectURL(new Blob([text], { type: type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = name;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  }
+
+  // Add the valid entries of an exported file, replacing ones with the same phrase
+  importCustomEntries(file) {
+    file.text()
+      .then(text => {
+        const entries = this.customEntries.parseImport(text);
+        const accepted = [];
+        const skipped = [];
+
+        entries.forEach((entry, index) => {
+          const errors = entry && typeof entry === 'object' && !Array.isArray(entry)
+            ? this.checkCustomEntry(entry, null, accepted).filter(diagnostic => diagnostic.severity === 'error')
+            : [{ message: 'not an entry' }];
+          const name = entry && typeof entry.phrase === 'string' ? `“${entry.phrase}”` : `Entry ${index + 1}`;
+
+          if (errors.length > 0) {
+            skipped.push(`${name}: ${errors[0].message}`);
+          } else {
+            accepted.push(entry);
+          }
+        });
+
+        return this.customEntries.saveAll(accepted).then(() => ({ accepted, skipped }));
+      })
+      .then(({ accepted, skipped }) => {
+        if (accepted.length > 0) {
+          this.setDictionary(this.mergeDictionary());
+          this.renderCustomList();
+        }
+        this.customStatus.textContent = `Imported ${accepted.length} buzzword${accepted.length === 1 ? '' : 's'} from ${file.name}.` +
+          (skipped.length > 0 ? ` Skipped ${skipped.length}: ${skipped.join('; ')}.` : '');
+      })
+      .catch(error => {
+        console.error('Error importing custom buzzwords:', error);
+        this.customStatus.textContent = `Could not import ${file.name}: ${error.message}`;
+      });
+  }
+
+  // Load the starred buzzwords and wire up their panel; notes stay in this browser
+  initializeFavorites() {
+    try {
+      this.favoritesContainer = document.getElementById('favoritesContainer');
+      this.favoritesList = document.getElementById('favoritesList');
+      this.favoritesEmpty = document.getElementById('favoritesEmpty');
+      this.favoritesToolbar = document.getElementById('favoritesToolbar');
+      this.favoritesStatus = document.getElementById('favoritesStatus');
+
+      if (typeof Favorites === 'undefined') {
+        this.favoritesList = null;
+        return;
+      }
+
+      this.favorites = new Favorites(this.readPreference('favorites', []));
+
+      if (!this.favoritesList || !this.favoritesEmpty || !this.favoritesStatus) {
+        this.favoritesList = null;
+        return;
+      }
+
+      const markdownButton = document.getElementById('favoritesMarkdownButton');
+      const csvButton = document.getElementById('favoritesCsvButton');
+      if (markdownButton) {
+        markdownButton.addEventListener('click', () => this.exportFavorites('markdown'));
+      }
+      if (csvButton) {
+        csvButton.addEventListener('click', () => this.exportFavorites('csv'));
+      }
+
+      this.renderFavorites();
+    } catch (error) {
+      console.error('Error initializing favorites:', error);
+      this.favorites = null;
+      this.favoritesList = null;
+    }
+  }
+
+  // List the favorites with their current translation and an editable note
+  renderFavorites() {
+    const items = this.favorites.glossary(this.buzzwords);
+    this.favoritesList.innerHTML = '';
+    this.favoritesEmpty.hidden = items.length > 0;
+    if (this.favoritesToolbar) {
+      this.favoritesToolbar.hidden = items.length === 0;
+    }
+
+    items.forEach((item, index) => {
+      const listItem = document.createElement('li');
+      listItem.className = 'favorite-item';
+
+      const heading = document.createElement('div');
+      heading.className = 'favorite-heading';
+
+      const phrase = document.createElement('button');
+      phrase.type = 'button';
+      phrase.className = 'favorite-phrase';
+      phrase.textContent = item.phrase;
+      if (item.entry) {
+        phrase.setAttribute('aria-label', `Look up ${item.phrase}`);
+        phrase.addEventListener('click', () => this.searchFromBrowse(item.phrase));
+      } else {
+        phrase.disabled = true;
+      }
+      heading.appendChild(phrase);
+
+      const remove = document.createElement('button');
+      remove.type = 'button';
+      remove.className = 'custom-button custom-button-small';
+      remove.textContent = 'Remove';
+      remove.setAttribute('aria-label', `Remove ${item.phrase} from favorites`);
+      remove.addEventListener('click', () => this.toggleFavorite(item.phrase));
+      heading.appendChild(remove);
+      listItem.appendChild(heading);
+
+      const translation = document.createElement('p');
+      translation.className = 'favorite-translation';
+      translation.textContent = item.entry ? item.translation : 'No longer in the dictionary';
+      listItem.appendChild(translation);
+
+      const noteId = `favorite-note-${index}`;
+      const label = document.createElement('label');
+      label.className = 'visually-hidden';
+      label.htmlFor = noteId;
+      label.textContent = `Your note on ${item.phrase}`;
+      listItem.appendChild(label);
+
+      const note = document.createElement('textarea');
+      note.id = noteId;
+      note.className = 'favorite-note';
+      note.rows = 2;
+      note.placeholder = 'Add a private note';
+      note.value = item.note;
+      note.addEventListener('input', () => {
+        this.favorites.setNote(item.phrase, note.value);
+        this.writePreference('favorites', this.favorites.toJSON());
+      });
+      listItem.appendChild(note);
+
+      this.favoritesList.appendChild(listItem);
+    });
+  }
+
+  // Star or unstar a buzzword, updating every star for it on the page
+  toggleFavorite(phrase) {
+    const starred = this.favorites.toggle(phrase);
+    this.writePreference('favorites', this.favorites.toJSON());
+
+    document.querySelectorAll('.favorite-button').forEach(button => {
+      if (this.favorites.key(button.dataset.phrase) === this.favorites.key(phrase)) {
+        this.updateFavoriteButton(button, starred);
+      }
+    });
+    if (this.favoritesList) {
+      this.renderFavorites();
+      this.favoritesStatus.textContent = '';
+    }
+    this.announce(starred ? `Added ${phrase} to favorites` : `Removed ${phrase} from favorites`);
+  }
+
+  // Star toggle for a result card
+  createFavoriteButton(phrase) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'favorite-button';
+    button.dataset.phrase = phrase;
+    this.updateFavoriteButton(button, this.favorites.has(phrase));
+    button.addEventListener('click', () => this.toggleFavorite(phrase));
+    return button;
+  }
+
+  // Show whether a star's buzzword is a favorite
+  updateFavoriteButton(button, starred) {
+    button.textContent = starred ? '★' : '☆';
+    button.setAttribute('aria-pressed', String(starred));
+    button.setAttribute('aria-label', `${starred ? 'Remove' : 'Add'} ${button.dataset.phrase} ${starred ? 'from' : 'to'} favorites`);
+    button.title = starred ? 'Remove from favorites' : 'Add to favorites';
+  }
+
+  // Download the favorites as a personal glossary: format is 'markdown' or 'csv'
+  exportFavorites(format) {
+    const count = this.favorites.favorites.size;
+    if (count === 0) {
+      return;
+    }
+
+    try {
+      if (format === 'csv') {
+        this.downloadFile('buzzword-glossary.csv', 'text/csv', this.favorites.toCsv(this.buzzwords));
+      } else {
+        this.downloadFile('buzzword-glossary.md', 'text/markdown', this.favorites.toMarkdown(this.buzzwords));
+      }
+      this.favoritesStatus.textContent = `Exported ${count} favorite${count === 1 ? '' : 's'}.`;
+    } catch (error) {
+      console.error('Error exporting favorites:', error);
+      this.favoritesStatus.textContent = 'Unable to export right now.';
+    }
+  }
+
+  // Set up the typeahead listbox; the search box owns it as a WAI-ARIA combobox, keeping focus
+  // while aria-activedescendant points at the highlighted suggestion
+  initializeSuggestions() {
+    try {
+      this.suggestionsList = document.getElementById('searchSuggestions');
+      this.suggestions = [];
+      this.activeSuggestion = -1;
+
+      if (!this.suggestionsList) {
+        return;
+      }
+
+      // Clicks keep focus in the search box, as with the recent searches
+      this.suggestionsList.addEventListener('mousedown', (e) => e.preventDefault());
+      this.suggestionsList.addEventListener('click', (e) => {
+        const option = e.target.closest('[role="option"]');
+        if (option) {
+          this.commitSuggestion(Number(option.dataset.index));
+        }
+      });
+
+      this.searchInput.parentElement.addEventListener('focusout', (e) => {
+        if (!e.relatedTarget || !this.searchInput.parentElement.contains(e.relatedTarget)) {
+          this.closeSuggestions();
+        }
+      });
+    } catch (error) {
+      console.error('Error initializing suggestions:', error);
+      this.suggestionsList = null;
+    }
+  }
+
+  // Offer suggestions for what is in the search box, closing the list when there are none;
+  // plain-English descriptions are not buzzwords, so they get none
+  // options.fuzzy: false offers only the phrases the text starts (see BuzzwordSearch.suggest)
+  updateSuggestions(options = {}) {
+    if (!this.suggestionsList) {
+      return;
+    }
+
+    const text = this.searchInput.value;
+    this.suggestions = this.searchDirection === 'jargon' && text.trim()
+      ? this.searchCore.suggest(text, BuzzwordSearch.SUGGESTION_LIMIT, options)
+      : [];
+    if (this.suggestions.length === 0) {
+      this.closeSuggestions();
+      return;
+    }
+
+    this.renderSuggestions();
+    this.suggestionsList.hidden = false;
+    this.searchInput.setAttribute('aria-expanded', 'true');
+  }
+
+  // Fill the listbox with one option per suggestion, the typed text marked in each phrase
+  renderSuggestions() {
+    this.suggestionsList.innerHTML = '';
+    this.activeSuggestion = -1;
+    this.searchInput.removeAttribute('aria-activedescendant');
+
+    this.suggestions.forEach((suggestion, index) => {
+      const option = document.createElement('li');
+      option.className = 'search-suggestion';
+      option.id = `suggestion-${index}`;
+      option.dataset.index = String(index);
+      option.setAttribute('role', 'option');
+      option.setAttribute('aria-selected', 'false');
+
+      const phrase = document.createElement('span');
+      phrase.className = 'suggestion-phrase';
+      if (suggestion.highlight) {
+        const [start, end] = suggestion.highlight;
+        const mark = document.createElement('mark');
+        mark.textContent = suggestion.phrase.slice(start, end);
+        phrase.append(suggestion.phrase.slice(0, start), mark, suggestion.phrase.slice(end));
+      } else {
+        phrase.textContent = suggestion.phrase;
+      }
+      option.appendChild(phrase);
+
+      const detail = document.createElement('span');
+      detail.className = 'suggestion-detail';
+      detail.textContent = suggestion.variant ? `also written as ${suggestion.variant}` : suggestion.translation;
+      option.appendChild(detail);
+
+      this.suggestionsList.appendChild(option);
+    });
+  }
+
+  // Add close matches to the suggestions once typing pauses, unless the list was dismissed,
+  // is full, or someone is already moving through it
+  topUpSuggestions() {
+    if (!this.suggestionsList || document.activeElement !== this.searchInput || this.activeSuggestion >= 0) {
+      return;
+    }
+
+    const open = this.isSuggestionsOpen();
+    if ((open && this.suggestions.length < BuzzwordSearch.SUGGESTION_LIMIT) ||
+        (!open && this.suggestions.length === 0)) {
+      this.updateSuggestions();
+    }
+  }
+
+  // Whether the suggestion listbox is showing
+  isSuggestionsOpen() {
+    return Boolean(this.suggestionsList) && !this.suggestionsList.hidden;
+  }
+
+  // Close the listbox, keeping whatever is typed
+  closeSuggestions() {
+    if (this.suggestionsList) {
+      this.suggestionsList.hidden = true;
+      this.activeSuggestion = -1;
+    }
+    this.searchInput.setAttribute('aria-expanded', 'false');
+    this.searchInput.removeAttribute('aria-activedescendant');
+  }
+
+  // Highlight a suggestion (-1 for none) and point the search box at it
+  setActiveSuggestion(index) {
+    const options = this.suggestionsList.querySelectorAll('[role="option"]');
+    this.activeSuggestion = index;
+
+    options.forEach((option, position) => {
+      const isActive = position === index;
+      option.classList.toggle('active', isActive);
+      option.setAttribute('aria-selected', isActive ? 'true' : 'false');
+      if (isActive && typeof option.scrollIntoView === 'function') {
+        option.scrollIntoView({ block: 'nearest' });
+      }
+    });
+
+    if (index >= 0) {
+      this.searchInput.setAttribute('aria-activedescendant', options[index].id);
+    } else {
+      this.searchInput.removeAttribute('aria-activedescendant');
+    }
+  }
+
+  // Put a suggestion in the search box and search for it
+  commitSuggestion(index) {
+    const suggestion = this.suggestions[index];
+    if (!suggestion) {
+      return;
+    }
+
+    // The typed text's pending search would replace this one
+    clearTimeout(this.debounceTimer);
+    this.debounceTimer = null;
+
+    this.searchInput.value = suggestion.phrase;
+    this.updateClearButtonVisibility(suggestion.phrase);
+    this.closeSuggestions();
+    this.performSearch(suggestion.phrase);
+  }
+
+  // Combobox keys, following the WAI-ARIA pattern with list autocomplete:
+  //   Down / Up         open the list, then move through it (wrapping); Alt+Down opens it
+  //                     without choosing, Alt+Up closes it
+  //   Enter             search for the highlighted suggestion, or the text as typed
+  //   Tab               complete to the highlighted (else first) suggestion and search for it
+  //   Escape            close the list, keeping the text
+  //   Left, Right, Home, End  back to editing the text
+  // Returns true when the key was handled here
+  handleSuggestionKey(e) {
+    if (!this.suggestionsList) {
+      return false;
+    }
+
+    const open = this.isSuggestionsOpen();
+    const count = this.suggestions.length;
+
+    switch (e.key) {
+      case 'ArrowDown':
+      case 'ArrowUp': {
+        const down = e.key === 'ArrowDown';
+        if (e.altKey) {
+          e.preventDefault();
+          if (down) {
+            this.updateSuggestions();
+          } else {
+            this.closeSuggestions();
+          }
+          return true;
+        }
+
+        if (!open) {
+          if (!this.searchInput.value.trim()) {
+            return false;
+          }
+          this.updateSuggestions();
+          if (!this.isSuggestionsOpen()) {
+            return false;
+          }
+          e.preventDefault();
+          this.setActiveSuggestion(down ? 0 : this.suggestions.length - 1);
+          return true;
+        }
+
+        e.preventDefault();
+        const current = this.activeSuggestion;
+        const next = down
+          ? (current + 1) % count
+          : (current <= 0 ? count - 1 : current - 1);
+        this.setActiveSuggestion(next);
+        return true;
+      }
+
+      case 'Enter':
+        if (open && this.activeSuggestion >= 0) {
+          e.preventDefault();
+          this.commitSuggestion(this.activeSuggestion);
+          return true;
+        }
+        this.closeSuggestions();
+        return false;
+
+      case 'Tab': {
+        if (!open || e.shiftKey) {
+          this.closeSuggestions();
+          return false;
+        }
+
+        // Tab only completes when that changes the text; otherwise it moves on as usual
+        const index = this.activeSuggestion >= 0 ? this.activeSuggestion : 0;
+        if (this.suggestions[index].phrase.toLowerCase() === this.searchInput.value.trim().toLowerCase()) {
+          this.closeSuggestions();
+          return false;
+        }
+        e.preventDefault();
+        this.commitSuggestion(index);
+        return true;
+      }
+
+      case 'Escape':
+        if (open) {
+          e.preventDefault();
+          this.closeSuggestions();
+          return true;
+        }
+        return false;
+
+      case 'ArrowLeft':
+      case 'ArrowRight':
+      case 'Home':
+      case 'End':
+        if (open) {
+          this.setActiveSuggestion(-1);
+        }
+        return false;
+
+      default:
+        return false;
+    }
+  }
+
+  // Load the recent searches and wire up their list under the search box and the setting
+  // that turns them off
+  initializeRecentSearches() {
+    try {
+      this.recentSearchesPanel = document.getElementById('recentSearches');
+      this.recentList = document.getElementById('recentList');
+      this.recentToggle = document.getElementById('recentToggle');
+      const clearButton = document.getElementById('recentClearButton');
+
+      if (typeof RecentSearches === 'undefined' || !this.recentSearchesPanel || !this.recentList) {
+        this.recentSearchesPanel = null;
+        return;
+      }
+
+      this.recentEnabled = this.readPreference('rememberSearches', true) !== false;
+      this.recentSearches = new RecentSearches(this.recentEnabled ? this.readPreference('recentSearches', []) : []);
+
+      if (this.recentToggle) {
+        this.recentToggle.checked = this.recentEnabled;
+        this.recentToggle.addEventListener('change', () => this.setRecentSearchesEnabled(this.recentToggle.checked));
+      }
+
+      if (clearButton) {
+        clearButton.addEventListener('click', () => {
+          this.recentSearches.clear();
+          this.writePreference('recentSearches', []);
+          this.hideRecentSearches();
+          this.searchInput.focus();
+          this.announce('Search history cleared');
+        });
+      }
+
+      // Clicks in the list keep focus in the search box, so it does not close under the pointer
+      this.recentSearchesPanel.addEventListener('mousedown', (e) => e.preventDefault());
+
+      // The list closes once focus leaves the search box and the list
+      this.searchInput.parentElement.addEventListener('focusout', (e) => {
+        if (!e.relatedTarget || !this.searchInput.parentElement.contains(e.relatedTarget)) {
+          this.hideRecentSearches();
+        }
+      });
+
+      this.recentList.addEventListener('keydown', (e) => {
+        const buttons = Array.from(this.recentList.querySelectorAll('.recent-run'));
+        const index = buttons.indexOf(e.target);
+        if (e.key === 'Escape') {
+          e.preventDefault();
+          this.hideRecentSearches();
+          this.searchInput.focus();
+        } else if (index !== -1 && (e.key === 'ArrowDown' || e.key === 'ArrowUp')) {
+          e.preventDefault();
+          if (e.key === 'ArrowUp' && index === 0) {
+            this.searchInput.focus();
+          } else {
+            this.focusRecentSearch(Math.min(index + (e.key === 'ArrowDown' ? 1 : -1), buttons.length - 1));
+          }
+        }
+      });
+    } catch (error) {
+      console.error('Error initializing recent searches:', error);
+      this.recentSearchesPanel = null;
+    }
+  }
+
+  // Turn recent searches on or off; turning them off also forgets the ones kept so far
+  setRecentSearchesEnabled(enabled) {
+    this.recentEnabled = enabled;
+    this.writePreference('rememberSearches', enabled);
+    if (!enabled) {
+      clearTimeout(this.recentTimer);
+      this.recentTimer = null;
+      this.recentSearches.clear();
+      this.writePreference('recentSearches', []);
+      this.hideRecentSearches();
+    }
+    this.announce(enabled ? 'Recent searches will be remembered' : 'Recent searches are off and have been cleared');
+  }
+
+  // Add a search that found something to the recent ones; a typed search waits until typing
+  // pauses, so the words typed on the way to it are not kept. mode is performSearch's history
+  // option: false (a restore or re-run) is not a new search.
+  rememberSearch(query, mode) {
+    if (!this.recentSearchesPanel || !this.recentEnabled || mode === false) {
+      return;
+    }
+
+    const direction = this.searchDirection;
+    const remember = () => {
+      this.recentTimer = null;
+      this.recentSearches.add(query, direction);
+      this.writePreference('recentSearches', this.recentSearches.toJSON());
+    };
+
+    if (mode === 'typing') {
+      this.recentTimer = setTimeout(remember, this.recentDelay);
+    } else {
+      remember();
+    }
+  }
+
+  // Show the recent searches while the search box has focus and nothing typed, else hide them
+  updateRecentSearches() {
+    if (!this.recentSearchesPanel) {
+      return;
+    }
+
+    const searches = this.recentEnabled ? this.recentSearches.list() : [];
+    if (searches.length === 0 || this.searchInput.value !== '' || document.activeElement !== this.searchInput) {
+      this.hideRecentSearches();
+      return;
+    }
+
+    this.renderRecentSearches(searches);
+    this.recentSearchesPanel.hidden = false;
+  }
+
+  // Close the recent searches
+  hideRecentSearches() {
+    if (this.recentSearchesPanel) {
+      this.recentSearchesPanel.hidden = true;
+    }
+  }
+
+  // Whether the recent searches are showing
+  isRecentSearchesOpen() {
+    return Boolean(this.recentSearchesPanel) && !this.recentSearchesPanel.hidden;
+  }
+
+  // Move focus to the run button of a recent search, or back to the box when there is none
+  focusRecentSearch(index) {
+    const buttons = this.recentList.querySelectorAll('.recent-run');
+    (buttons[index] || this.searchInput).focus();
+  }
+
+  // List recent searches, each with a button to run it again and one to forget it
+  renderRecentSearches(searches) {
+    this.recentList.innerHTML = '';
+
+    searches.forEach((search, index) => {
+      const item = document.createElement('li');
+      item.className = 'recent-item';
+
+      const run = document.createElement('button');
+      run.type = 'button';
+      run.className = 'recent-run';
+      run.textContent = search.query;
+      if (search.direction === 'meaning') {
+        const direction = document.createElement('span');
+        direction.className = 'recent-direction';
+        direction.textContent = 'plain English';
+        run.appendChild(direction);
+      }
+      run.setAttribute('aria-label', `Search again for ${search.query}${search.direction === 'meaning' ? ' in plain English' : ''}`);
+      run.addEventListener('click', () => this.runRecentSearch(search));
+      item.appendChild(run);
+
+      const remove = document.createElement('button');
+      remove.type = 'button';
+      remove.className = 'recent-remove';
+      remove.textContent = '×';
+      remove.setAttribute('aria-label', `Remove ${search.query} from recent searches`);
+      remove.addEventListener('click', () => {
+        const keyboard = this.recentList.contains(document.activeElement);
+        this.recentSearches.remove(search.query, search.direction);
+        this.writePreference('recentSearches', this.recentSearches.toJSON());
+        const remaining = this.recentSearches.list();
+        if (remaining.length === 0) {
+          this.hideRecentSearches();
+          this.searchInput.focus();
+          return;
+        }
+
+        this.renderRecentSearches(remaining);
+        this.recentSearchesPanel.hidden = false;
+        if (keyboard) {
+          this.focusRecentSearch(Math.min(index, remaining.length - 1));
+        }
+      });
+      item.appendChild(remove);
+
+      this.recentList.appendChild(item);
+    });
+  }
+
+  // Run a recent search again in the direction it was made
+  runRecentSearch(search) {
+    this.hideRecentSearches();
+    this.setSearchDirection(search.direction);
+    this.searchInput.value = search.query;
+    this.updateClearButtonVisibility(search.query);
+    this.searchInput.focus();
+    this.performSearch(search.query);
+  }
+
+  // Set up "What's new": buzzwords added or updated since the reader last opened it, which is
+  // remembered as the dictionary version and newest entry date they saw
+  initializeWhatsNew() {
+    try {
+      this.whatsNewList = document.getElementById('whatsNewList');
+      this.whatsNewSummary = document.getElementById('whatsNewSummary');
+      this.whatsNewCount = document.getElementById('whatsNewCount');
+      this.whatsNewShowAll = document.getElementById('whatsNewShowAll');
+
+      if (typeof DictionaryChangelog === 'undefined' || !this.whatsNewList || !this.whatsNewSummary) {
+        this.whatsNewList = null;
+        return;
+      }
+
+      this.changelog = new DictionaryChangelog();
+      this.whatsNewShowingAll = false;
+
+      // Kept for the whole visit, so the list does not empty itself once it has been seen
+      const lastSeen = this.readPreference('lastSeen', null);
+      this.lastSeen = lastSeen && this.changelog.isDate(lastSeen.date) ? lastSeen : null;
+
+      if (this.whatsNewShowAll) {
+        this.whatsNewShowAll.addEventListener('click', () => this.renderWhatsNew(true));
+      }
+
+      this.whatsNewList.addEventListener('click', (e) => {
+        const target = e.target.closest('[data-phrase]');
+        if (target) {
+          this.searchFromBrowse(target.dataset.phrase);
+        }
+      });
+
+      this.updateWhatsNewCount();
+    } catch (error) {
+      console.error('Error initializing what\'s new:', error);
+    }
+  }
+
+  // Dated entries of the searched dictionary; the reader's own buzzwords are never news to them
+  datedEntries() {
+    return this.buzzwords.filter(entry => !this.isCustomResult(entry));
+  }
+
+  // What to list: changes since the last visit; on a first visit, the latest update's changes
+  whatsNewChanges() {
+    const entries = this.datedEntries();
+    if (this.lastSeen) {
+      return this.changelog.changedSince(entries, this.lastSeen.date);
+    }
+
+    const latest = this.changelog.latestDate(entries);
+    return this.changelog.changedSince(entries, null).filter(change => change.date === latest);
+  }
+
+  // Number of unseen changes on the tab, hidden once the panel has been opened
+  updateWhatsNewCount() {
+    if (!this.whatsNewCount) {
+      return;
+    }
+
+    const count = this.lastSeen && !this.whatsNewSeen ? this.whatsNewChanges().length : 0;
+    this.whatsNewCount.hidden = count === 0;
+    this.whatsNewCount.innerHTML = '';
+    if (count > 0) {
+      this.whatsNewCount.appendChild(document.createTextNode(String(count)));
+      const label = document.createElement('span');
+      label.className = 'visually-hidden';
+      label.textContent = ` new or updated buzzword${count === 1 ? '' : 's'}`;
+      this.whatsNewCount.appendChild(label);
+    }
+  }
+
+  // Remember the newest change the reader has now seen
+  markWhatsNewSeen() {
+    this.whatsNewSeen = true;
+    this.writePreference('lastSeen', {
+      version: this.builtinEntries.version || null,
+      date: this.changelog.latestDate(this.datedEntries())
+    });
+    this.updateWhatsNewCount();
+  }
+
+  // List the changes since the last visit, or every dated change when all is true
+  renderWhatsNew(all) {
+    try {
+      this.whatsNewShowingAll = all;
+      const changes = all ? this.changelog.changedSince(this.datedEntries(), null) : this.whatsNewChanges();
+      const latest = this.changelog.latestDate(this.datedEntries());
+      const version = this.builtinEntries.version ? `Dictionary version ${this.builtinEntries.version}. ` : '';
+      const plural = changes.length === 1 ? 'buzzword' : 'buzzwords';
+
+      if (all) {
+        this.whatsNewSummary.textContent = `${version}Every buzzword with a date, newest first:`;
+      } else if (!latest) {
+        this.whatsNewSummary.textContent = `${version}No buzzwords have been dated yet, so there is nothing to show here.`;
+      } else if (!this.lastSeen) {
+        this.whatsNewSummary.textContent = `${version}The latest update, on ${this.formatDate(latest)}, added or changed ${changes.length} ${plural}:`;
+      } else if (changes.length === 0) {
+        this.whatsNewSummary.textContent = `${version}Nothing new since you last looked. The latest changes are from ${this.formatDate(latest)}.`;
+      } else {
+        const previous = this.lastSeen.version && this.lastSeen.version !== this.builtinEntries.version
+          ? ` (version ${this.lastSeen.version})`
+          : '';
+        this.whatsNewSummary.textContent = `${version}${changes.length} ${plural} added or updated since you last looked${previous}:`;
+      }
+
+      this.whatsNewList.innerHTML = '';
+      changes.forEach(change => {
+        const item = document.createElement('li');
+        item.className = `whats-new-item whats-new-${change.change}`;
+
+        const phrase = document.createElement('button');
+        phrase.type = 'button';
+        phrase.className = 'whats-new-phrase';
+        phrase.dataset.phrase = change.entry.phrase;
+        phrase.textContent = change.entry.phrase;
+
+        const kind = document.createElement('span');
+        kind.className = 'whats-new-change';
+        kind.textContent = change.change === 'added' ? 'New' : 'Updated';
+
+        const date = document.createElement('time');
+        date.className = 'whats-new-date';
+        date.dateTime = change.date;
+        date.textContent = this.formatDate(change.date);
+
+        const translation = document.createElement('p');
+        translation.className = 'whats-new-translation';
+        translation.textContent = change.entry.translation;
+
+        item.appendChild(phrase);
+        item.appendChild(kind);
+        item.appendChild(date);
+        item.appendChild(translation);
+        this.whatsNewList.appendChild(item);
+      });
+
+      if (this.whatsNewShowAll) {
+        this.whatsNewShowAll.hidden = all || !latest;
+      }
+    } catch (error) {
+      console.error('Error rendering what\'s new:', error);
+      this.whatsNewSummary.textContent = 'Unable to show what\'s new right now.';
+    }
+  }
+
+  // A YYYY-MM-DD date in the reader's locale, e.g. "19 Oct 2026"
+  formatDate(date) {
+    return new Date(`${date}T00:00:00`).toLocaleDateString(this.locale, { year: 'numeric', month: 'short', day: 'numeric' });
+  }
+
+  // Show an entry picked in the browse or graph view as a search result
+  searchFromBrowse(phrase) {
+    this.switchMode('search');
+    this.setSearchDirection('jargon');
+    this.searchInput.value = phrase;
+    this.updateClearButtonVisibility(phrase);
+    this.performSearch(phrase, { history: false });
+    if (this.deepLinks) {
+      this.recordHistory({ query: '', direction: 'jargon', term: this.deepLinks.slug(phrase) });
+    }
+    this.searchInput.focus();
+  }
+
+  // Follow Back and Forward, and open the search or entry a shared link names
+  initializeHistory() {
+    try {
+      if (typeof DeepLinks === 'undefined' || !window.history || typeof window.history.pushState !== 'function') {
+        return;
+      }
+
+      this.deepLinks = new DeepLinks();
+      this.urlState = null; // what the URL shows, as last written or read
+
+      // hashchange covers fragments edited by hand where popstate is not sent
+      window.addEventListener('popstate', () => this.restoreFromUrl());
+      window.addEventListener('hashchange', () => this.restoreFromUrl());
+      this.restoreFromUrl();
+    } catch (error) {
+      console.error('Error initializing history:', error);
+    }
+  }
+
+  // Show what the URL names; fragments that are not routes (#main-content) change nothing
+  restoreFromUrl() {
+    const state = this.deepLinks.parse(window.location.search, window.location.hash);
+    if (!state || this.deepLinks.same(state, this.urlState)) {
+      return;
+    }
+    this.urlState = state;
+
+    if (this.modeTabs && this.modeTabs.length > 0 && (state.query || state.term)) {
+      this.switchMode('search');
+    }
+    this.setSearchDirection(state.term ? 'jargon' : state.direction);
+
+    // An unknown slug is still worth searching for as words
+    const entry = state.term ? this.deepLinks.findEntry(this.buzzwords, state.term) : null;
+    const query = state.term ? (entry ? entry.phrase : state.term.replace(/-/g, ' ')) : state.query;
+
+    this.searchInput.value = query;
+    this.updateClearButtonVisibility(query);
+    if (query) {
+      this.performSearch(query, { history: false });
+    } else {
+      this.showExamples();
+    }
+  }
+
+  // Write a search or entry to the URL
+  // mode: 'push' adds a history entry; 'replace' rewrites the current one; 'typing' rewrites it
+  // while one query grows or shrinks into the next, so Back skips the half-typed words;
+  // false leaves the URL alone (re-runs and restores)
+  recordHistory(state, mode = 'push') {
+    const current = this.urlState;
+    if (!this.deepLinks || mode === false || this.deepLinks.same(state, current)) {
+      return;
+    }
+
+    // Searching for the entry the URL already shows is not a new place to go back to
+    if (current && current.term && !state.term && this.deepLinks.slug(state.query) === current.term) {
+      return;
+    }
+
+    const previous = current && !current.term ? current.query.toLowerCase() : '';
+    const next = state.query.toLowerCase();
+    const replace = mode === 'replace' ||
+      (mode === 'typing' && previous !== '' && next !== '' && (next.startsWith(previous) || previous.startsWith(next)));
+
+    const fragment = this.deepLinks.build(state);
+    this.urlState = state;
+    try {
+      // Only the fragment changes, which browsers allow even on file://
+      window.history[replace ? 'replaceState' : 'pushState'](null, '', `${window.location.pathname}${window.location.search}${fragment}`);
+    } catch (error) {
+      // Some refuse any rewrite of a file:// address but still follow links within the page
+      if (replace) {
+        window.location.replace(fragment);
+      } else {
+        window.location.hash = fragment;
+      }
+    }
+  }
+
+  // Validate pasted text before scanning it
+  validateAnalysisInput(input) {
+    if (typeof input !== 'string') {
+      return { valid: false, sanitized: '', message: 'invalid' };
+    }
+
+    // Keep line breaks and tabs, drop other control characters
+    const sanitized = input.replace(/[\x00-\x08\x0B\x0C\x0E-\x1F\x7F]/g, '').trim();
+
+    if (sanitized.length === 0) {
+      return { valid: false, sanitized, message: 'empty' };
+    }
+
+    if (sanitized.length > this.searchCore.maxTextLength) {
+      return { valid: false, sanitized, message: 'too_long' };
+    }
+
+    return { valid: true, sanitized, message: 'valid' };
+  }
+
+  // Scan pasted text and render every buzzword found in it
+  performTextAnalysis(text) {
+    try {
+      const validation = this.validateAnalysisInput(text);
+
+      if (!validation.valid) {
+        const messages = {
+          empty: 'Paste some text to translate.',
+          too_long: `That text is too long. Please paste at most ${this.searchCore.maxTextLength} characters.`
+        };
+        this.showAnalysisMessage(messages[validation.message] || 'Please paste some valid text.');
+        return;
+      }
+
+      const analysis = this.searchCore.analyzeText(validation.sanitized, {
+        includeKeywords: this.analyzeKeywordsToggle.checked
+      });
+
+      this.displayTextAnalysis(analysis);
+    } catch (error) {
+      console.error('Error analyzing text:', error);
+      this.showAnalysisMessage('Unable to translate that text. Please try again.');
+    }
+  }
+
+  // Show a status message in place of analysis results
+  showAnalysisMessage(message) {
+    this.analysisResults.style.display = 'block';
+    this.analysisSummary.textContent = message;
+    this.analysisText.innerHTML = '';
+    this.analysisTerms.innerHTML = '';
+  }
+
+  // Render the annotated text followed by one card per buzzword found
+  displayTextAnalysis(analysis) {
+    this.analysisResults.style.display = 'block';
+    this.analysisText.innerHTML = '';
+    this.analysisTerms.innerHTML = '';
+
+    const phraseCount = analysis.terms.filter(term => term.kind === 'phrase').length;
+    const keywordCount = analysis.terms.length - phraseCount;
+
+    if (analysis.terms.length === 0) {
+      this.analysisSummary.textContent = 'No buzzwords found. That text is refreshingly plain.';
+      return;
+    }
+
+    this.analysisSummary.textContent = `Found ${phraseCount} buzzword${phraseCount === 1 ? '' : 's'}` +
+      (keywordCount > 0 ? ` and ${keywordCount} related keyword match${keywordCount === 1 ? '' : 'es'}` : '') +
+      ' in your text.';
+
+    const termIds = new Map();
+    analysis.terms.forEach((term, index) => {
+      termIds.set(term.entry.phrase, `analysis-term-${index}`);
+    });
+
+    this.analysisText.appendChild(this.createAnnotatedText(analysis, termIds));
+
+    analysis.terms.forEach((term, index) => {
+      try {
+        this.analysisTerms.appendChild(this.createAnalysisTermCard(term, termIds.get(term.entry.phrase)));
+      } catch (cardError) {
+        console.warn(`Error creating analysis card at index ${index}:`, cardError);
+      }
+    });
+  }
+
+  // Rebuild the original text with each occurrence wrapped in an annotation mark
+  createAnnotatedText(analysis, termIds) {
+    const fragment = document.createDocumentFragment();
+    let cursor = 0;
+
+    analysis.annotations.forEach(annotation => {
+      if (annotation.start > cursor) {
+        fragment.appendChild(document.createTextNode(analysis.text.slice(cursor, annotation.start)));
+      }
+
+      const primaryEntry = annotation.entries[0];
+      const mark = document.createElement('mark');
+      mark.className = `annotation annotation-${annotation.kind}`;
+      mark.textContent = annotation.text;
+      mark.setAttribute('tabindex', '0');
+      mark.title = annotation.entries.map(entry => `${entry.phrase}: ${entry.translation}`).join('\n');
+      mark.setAttribute('aria-label', `${annotation.text}, means ${primaryEntry.translation}`);
+
+      // Jump to the explanation card for this buzzword
+      const targetId = termIds.get(primaryEntry.phrase);
+      const focusTerm = () => {
+        const card = document.getElementById(targetId);
+        if (card) {
+          card.focus();
+          card.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+        }
+      };
+
+      mark.addEventListener('click', focusTerm);
+      mark.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter' || e.key === ' ') {
+          e.preventDefault();
+          focusTerm();
+        }
+      });
+
+      fragment.appendChild(mark);
+      cursor = annotation.end;
+    });
+
+    if (cursor < analysis.text.length) {
+      fragment.appendChild(document.createTextNode(analysis.text.slice(cursor)));
+    }
+
+    return fragment;
+  }
+
+  // Create an explanation card for a buzzword found in the text
+  createAnalysisTermCard(term, id) {
+    const entry = term.entry;
+    const result = {
+      match: entry.phrase,
+      translation: entry.translation,
+      category: entry.category,
+      context: entry.context,
+      domain: entry.domain,
+      alternatives: entry.alternatives,
+      variants: entry.variants,
+      pack: entry.pack,
+      origin: entry.origin,
+      era: entry.era,
+      examples: entry.examples,
+      frequency: entry.frequency,
+      cringe: entry.cringe,
+      multipleMeanings: entry.multipleMeanings
+    };
+
+    const card = document.createElement('div');
+    card.className = `result-card analysis-term analysis-term-${term.kind}`;
+    card.id = id;
+    card.setAttribute('tabindex', '-1');
+
+    const header = document.createElement('div');
+    header.className = 'result-header';
+
+    const phrase = document.createElement('h3');
+    phrase.className = 'result-phrase';
+    phrase.textContent = entry.phrase;
+
+    const occurrences = document.createElement('span');
+    occurrences.className = 'result-category';
+    occurrences.textContent = term.kind === 'phrase'
+      ? `${term.occurrences}× in text`
+      : `Keyword match ×${term.occurrences}`;
+
+    header.appendChild(phrase);
+    header.appendChild(occurrences);
+    if (this.isCustomResult(result)) {
+      header.appendChild(this.createCustomBadge());
+    }
+    card.appendChild(header);
+
+    if (result.variants && result.variants.length > 0) {
+      card.appendChild(this.createResultVariants(result));
+    }
+
+    card.appendChild(this.createResultTranslation(result));
+
+    if (result.context) {
+      card.appendChild(this.createResultContext(result));
+    }
+
+    if (result.alternatives && result.alternatives.length > 0) {
+      card.appendChild(this.createResultAlternatives(result));
+    }
+
+    if (result.multipleMeanings && result.multipleMeanings.length > 0) {
+      card.appendChild(this.createMultipleMeanings(result));
+    }
+
+    if (this.searchCore.metadata.hasMetadata(result)) {
+      card.appendChild(this.createResultBackground(result));
+    }
+
+    return card;
+  }
+
+  // Debounced search to optimize performance with error handling
+  debouncedSearch(query) {
+    try {
+      // Clear existing timer
+      if (this.debounceTimer) {
+        clearTimeout(this.debounceTimer);
+        this.debounceTimer = null;
+      }
+
+      // Validate query before setting timer
+      if (typeof query !== 'string') {
+        console.warn('Invalid query type provided to debouncedSearch:', typeof query);
+        return;
+      }
+
+      // Set new timer
+      this.debounceTimer = setTimeout(() => {
+        try {
+          this.performSearch(query, { history: 'typing' });
+          this.topUpSuggestions();
+        } catch (searchError) {
+          console.error('Error in debounced search:', searchError);
+          this.handleSearchError(searchError, 'debouncedSearch');
+        }
+      }, this.debounceDelay);
+    } catch (error) {
+      console.error('Error in debouncedSearch:', error);
+      // Fallback: perform search immediately without debouncing
+      try {
+        this.performSearch(query);
+      } catch (fallbackError) {
+        this.handleSearchError(fallbackError, 'debouncedSearch fallback');
+      }
+    }
+  }
+
+  // Main search function with comprehensive error handling and caching
+  // options.history: how the search is recorded in the URL (see recordHistory; default 'push')
+  //   and in recent searches (see rememberSearch)
+  performSearch(query, options = {}) {
+    const startTime = performance.now();
+    const historyMode = options.history === undefined ? 'push' : options.history;
+    
+    try {
+      // Validate and sanitize input
+      const validation = this.validateSearchInput(query);
+      if (validation.valid) {
+        this.recordHistory({ query: validation.sanitized, direction: this.searchDirection, term: null }, historyMode);
+      }
+
+      // A typed search still waiting to be remembered was only on the way to this one
+      if (historyMode !== false) {
+        clearTimeout(this.recentTimer);
+        this.recentTimer = null;
+      }
       
       // Handle empty searches gracefully
       if (validation.message === 'empty') {
@@ -382,11 +3104,12 @@ class BuzzwordSearchEngine {
       }
 
       // Check cache first for performance
-      const cacheKey = validation.sanitized.toLowerCase();
+      const cacheKey = `${this.searchDirection}:${validation.sanitized.toLowerCase()}`;
       if (this.searchCache.has(cacheKey)) {
         const cachedResults = this.searchCache.get(cacheKey);
         if (cachedResults.length > 0) {
           this.displayResults(cachedResults, validation.sanitized);
+          this.rememberSearch(validation.sanitized, historyMode);
         } else {
           this.showNoResults(null, 'no-results', validation.sanitized);
         }
@@ -400,14 +3123,27 @@ class BuzzwordSearchEngine {
         return;
       }
 
-      // Perform search with error handling
-      const results = this.searchWithFuzzyMatching(validation.sanitized);
+      // Perform search with error handling; descriptions have no query syntax to parse
+      const isMeaning = this.searchDirection === 'meaning';
+      const parsedQuery = isMeaning ? null : this.searchCore.parseQuery(validation.sanitized);
+      const results = isMeaning
+        ? this.searchByMeaning(validation.sanitized)
+        : this.searchWithFuzzyMatching(parsedQuery);
+      const warnings = parsedQuery ? parsedQuery.warnings : [];
       
-      // Cache results for future searches
-      this.cacheSearchResults(cacheKey, results);
+      // Cache results for future searches, unless the query needs a correction message
+      if (warnings.length === 0) {
+        this.cacheSearchResults(cacheKey, results);
+      }
       
       if (results.length > 0) {
         this.displayResults(results, validation.sanitized);
+        this.rememberSearch(validation.sanitized, historyMode);
+      } else if (warnings.length > 0) {
+        // Explain a malformed filter rather than reporting an empty dictionary
+        this.showNoResults(this.escapeHtml(warnings.join(' ')), 'invalid-query', validation.sanitized);
+      } else if (isMeaning) {
+        this.showNoResults(null, 'no-meaning', validation.sanitized);
       } else {
         this.showNoResults(null, 'no-results', validation.sanitized);
       }
@@ -424,244 +3160,33 @@ class BuzzwordSearchEngine {
     }
   }
 
-  // Optimized search algorithm with fuzzy matching capabilities and error handling
+  // Run the query, raw text or already parsed, through the shared search core
   searchWithFuzzyMatching(query) {
     try {
-      if (!query || typeof query !== 'string') {
-        throw new Error('Invalid query provided to search function');
-      }
-
-      if (!this.buzzwords || !Array.isArray(this.buzzwords)) {
+      if (!this.searchCore) {
         throw new Error('Buzzwords database is not available or corrupted');
       }
 
-      const normalizedQuery = query.toLowerCase().trim();
-      const queryWords = normalizedQuery.split(/\s+/).filter(word => word.length > 0);
-      const results = [];
-
-      // Validate query words
-      if (queryWords.length === 0) {
-        return [];
-      }
-
-      // Pre-filter buzzwords for better performance
-      const relevantBuzzwords = this.buzzwords.filter(buzzword => {
-        if (!buzzword || typeof buzzword !== 'object' || !buzzword.phrase) {
-          return false;
-        }
-        
-        // Quick relevance check - if no keywords match at all, skip expensive calculations
-        const phrase = buzzword.phrase.toLowerCase();
-        return phrase.includes(normalizedQuery) || 
-               queryWords.some(word => phrase.includes(word)) ||
-               (buzzword.keywords && buzzword.keywords.some(keyword => 
-                 keyword.toLowerCase().includes(normalizedQuery) || 
-                 queryWords.some(word => keyword.toLowerCase().includes(word))
-               ));
-      });
-
-      // Process only relevant buzzwords
-      relevantBuzzwords.forEach((buzzword, index) => {
-        try {
-          const searchResult = this.calculateRelevanceScore(buzzword, normalizedQuery, queryWords);
-          
-          if (searchResult && searchResult.relevanceScore > 0.1) { // Higher threshold for performance
-            results.push(searchResult);
-          }
-        } catch (buzzwordError) {
-          console.warn(`Error processing buzzword at index ${index}:`, buzzwordError);
-          // Continue processing other buzzwords
-        }
-      });
-
-      // Optimized sorting with early termination
-      return results
-        .filter(result => result && typeof result.relevanceScore === 'number')
-        .sort((a, b) => {
-          // Primary sort: relevance score (descending)
-          const scoreDiff = b.relevanceScore - a.relevanceScore;
-          if (Math.abs(scoreDiff) > 0.01) return scoreDiff;
-          
-          // Secondary sort: exact matches first
-          if (a.matchType === 'exact' && b.matchType !== 'exact') return -1;
-          if (b.matchType === 'exact' && a.matchType !== 'exact') return 1;
-          
-          // Tertiary sort: phrase contains query
-          if (a.matchType === 'phrase_contains' && b.matchType !== 'phrase_contains') return -1;
-          if (b.matchType === 'phrase_contains' && a.matchType !== 'phrase_contains') return 1;
-          
-          // Final sort: shorter phrases first (more specific)
-          return (a.match?.length || 0) - (b.match?.length || 0);
-        })
-        .slice(0, 10); // Limit to top 10 results
+      // Explanations feed the "Why this result?" details on each card
+      return this.searchCore.search(query, { explain: true });
     } catch (error) {
       console.error('Error in searchWithFuzzyMatching:', error);
       throw error; // Re-throw to be handled by calling function
     }
   }
 
-  // Comprehensive relevance scoring system
-  calculateRelevanceScore(buzzword, normalizedQuery, queryWords) {
-    const phrase = buzzword.phrase.toLowerCase();
-    let relevanceScore = 0;
-    let matchedKeywords = [];
-    let matchType = '';
-
-    // 1. Exact phrase match (highest priority)
-    if (phrase === normalizedQuery) {
-      relevanceScore = 1.0;
-      matchType = 'exact';
-      matchedKeywords = [normalizedQuery];
-    }
-    // 2. Phrase contains query (high priority)
-    else if (phrase.includes(normalizedQuery)) {
-      relevanceScore = 0.95;
-      matchType = 'phrase_contains';
-      matchedKeywords = [normalizedQuery];
-    }
-    // 3. Query contains phrase (medium-high priority)
-    else if (normalizedQuery.includes(phrase)) {
-      relevanceScore = 0.9;
-      matchType = 'query_contains';
-      matchedKeywords = [phrase];
-    }
-    // 4. All keywords match (medium priority)
-    else {
-      const keywordMatchResult = this.calculateKeywordMatches(buzzword, queryWords);
-      if (keywordMatchResult.score > 0) {
-        relevanceScore = keywordMatchResult.score;
-        matchedKeywords = keywordMatchResult.matches;
-        matchType = 'keyword';
-      }
-    }
-
-    // 5. Fuzzy string matching for typos and partial matches
-    if (relevanceScore === 0) {
-      const fuzzyResult = this.calculateFuzzyMatch(phrase, normalizedQuery);
-      if (fuzzyResult.score > 0.3) { // Minimum threshold for fuzzy matches
-        relevanceScore = fuzzyResult.score * 0.6; // Lower weight for fuzzy matches
-        matchType = 'fuzzy';
-        matchedKeywords = [normalizedQuery];
-      }
-    }
-
-    return {
-      match: buzzword.phrase,
-      translation: buzzword.translation,
-      relevanceScore: relevanceScore,
-      matchedKeywords: [...new Set(matchedKeywords)],
-      category: buzzword.category,
-      context: buzzword.context,
-      alternatives: buzzword.alternatives,
-      multipleMeanings: buzzword.multipleMeanings,
-      matchType: matchType
-    };
-  }
-
-  // Keyword matching with partial word support
-  calculateKeywordMatches(buzzword, queryWords) {
-    let totalMatches = 0;
-    let matchedKeywords = [];
-    
-    queryWords.forEach(queryWord => {
-      let bestMatch = 0;
-      let bestKeyword = '';
-      
-      buzzword.keywords.forEach(keyword => {
-        const keywordLower = keyword.toLowerCase();
-        
-        // Exact keyword match
-        if (keywordLower === queryWord) {
-          bestMatch = Math.max(bestMatch, 1.0);
-          bestKeyword = queryWord;
-        }
-        // Keyword contains query word
-        else if (keywordLower.includes(queryWord)) {
-          bestMatch = Math.max(bestMatch, 0.8);
-          bestKeyword = queryWord;
-        }
-        // Query word contains keyword
-        else if (queryWord.includes(keywordLower)) {
-          bestMatch = Math.max(bestMatch, 0.7);
-          bestKeyword = queryWord;
-        }
-        // Fuzzy match for keywords
-        else {
-          const fuzzyScore = this.calculateFuzzyMatch(keywordLower, queryWord).score;
-          if (fuzzyScore > 0.6) {
-            bestMatch = Math.max(bestMatch, fuzzyScore * 0.5);
-            bestKeyword = queryWord;
-          }
-        }
-      });
-      
-      if (bestMatch > 0) {
-        totalMatches += bestMatch;
-        matchedKeywords.push(bestKeyword);
-      }
-    });
-
-    const score = totalMatches > 0 ? 
-      Math.min(0.85, 0.4 + (totalMatches / Math.max(queryWords.length, buzzword.keywords.length)) * 0.45) : 0;
-
-    return {
-      score: score,
-      matches: matchedKeywords
-    };
-  }
-
-  // Simple fuzzy matching algorithm for typos and similar strings
-  calculateFuzzyMatch(str1, str2) {
-    const distance = this.levenshteinDistance(str1, str2);
-    const maxLength = Math.max(str1.length, str2.length);
-    
-    if (maxLength === 0) return { score: 1.0 };
-    
-    const similarity = 1 - (distance / maxLength);
-    
-    // Bonus for common prefixes
-    let prefixBonus = 0;
-    const minLength = Math.min(str1.length, str2.length);
-    for (let i = 0; i < minLength; i++) {
-      if (str1[i] === str2[i]) {
-        prefixBonus += 0.1;
-      } else {
-        break;
+  // Find buzzwords whose meaning matches a plain-English description
+  searchByMeaning(description) {
+    try {
+      if (!this.searchCore) {
+        throw new Error('Buzzwords database is not available or corrupted');
       }
-    }
-    
-    return {
-      score: Math.min(1.0, similarity + prefixBonus)
-    };
-  }
 
-  // Levenshtein distance algorithm for fuzzy matching
-  levenshteinDistance(str1, str2) {
-    const matrix = [];
-    
-    for (let i = 0; i <= str2.length; i++) {
-      matrix[i] = [i];
-    }
-    
-    for (let j = 0; j <= str1.length; j++) {
-      matrix[0][j] = j;
-    }
-    
-    for (let i = 1; i <= str2.length; i++) {
-      for (let j = 1; j <= str1.length; j++) {
-        if (str2.charAt(i - 1) === str1.charAt(j - 1)) {
-          matrix[i][j] = matrix[i - 1][j - 1];
-        } else {
-          matrix[i][j] = Math.min(
-            matrix[i - 1][j - 1] + 1, // substitution
-            matrix[i][j - 1] + 1,     // insertion
-            matrix[i - 1][j] + 1      // deletion
-          );
-        }
-      }
+      return this.searchCore.reverseSearch(description, { explain: true });
+    } catch (error) {
+      console.error('Error in searchByMeaning:', error);
+      throw error; // Re-throw to be handled by calling function
     }
-    
-    return matrix[str2.length][str1.length];
   }
 
   // Display search results with highlighting, accessibility, and enhanced DOM manipulation
@@ -682,9 +3207,6 @@ class BuzzwordSearchEngine {
       // Clear previous results with error handling
       this.clearResultsContainer();
       
-      // Update ARIA attributes for search input
-      this.searchInput.setAttribute('aria-expanded', 'true');
-      
       // Create and append result cards with staggered animation and accessibility
       results.forEach((result, index) => {
         try {
@@ -693,7 +3215,7 @@ class BuzzwordSearchEngine {
             return;
           }
 
-          const resultCard = this.createResultCardElement(result, query, index);
+          const resultCard = this.createResultCardElement(result, query, index, results.length);
           if (resultCard) {
             resultCard.style.animationDelay = `${index * 50}ms`;
             this.resultsContainer.appendChild(resultCard);
@@ -761,32 +3283,53 @@ class BuzzwordSearchEngine {
   }
 
   // Create individual result card as DOM element with enhanced functionality and accessibility
-  createResultCardElement(result, query, index) {
+  // Cards are articles in the results feed, so screen readers reach the buttons inside them
+  createResultCardElement(result, query, index, total) {
     const resultCard = document.createElement('div');
     resultCard.className = 'result-card';
     resultCard.setAttribute('data-category', result.category);
     resultCard.setAttribute('data-relevance', result.relevanceScore);
-    resultCard.setAttribute('role', 'option');
+    resultCard.setAttribute('role', 'article');
+    resultCard.setAttribute('aria-posinset', String(index + 1));
+    resultCard.setAttribute('aria-setsize', String(total));
     resultCard.setAttribute('tabindex', index === 0 ? '0' : '-1');
     resultCard.id = `result-${index}`;
     
     // Add ARIA label for screen readers
-    const ariaLabel = `${result.match}: ${result.translation}. Category: ${result.category}. Relevance: ${Math.round(result.relevanceScore * 100)}%`;
+    const ariaLabel = `${result.match}: ${result.translation}. Category: ${this.searchCore.taxonomy.displayName(result.category)}. Relevance: ${Math.round(result.relevanceScore * 100)}%`;
     resultCard.setAttribute('aria-label', ariaLabel);
     
     // Add keyboard event handlers
     resultCard.addEventListener('keydown', (e) => {
-      if (e.key === 'Enter' || e.key === ' ') {
+      // Leave keys pressed inside the card (such as on the score details toggle) alone
+      if (e.target !== resultCard) return;
+      if (e.key === 'Enter') {
+        // Enter copies the translation, like the card's first action
+        e.preventDefault();
+        const copyButton = resultCard.querySelector('.result-action[data-action="translation"]');
+        if (copyButton) {
+          copyButton.click();
+        } else {
+          this.announceResultSelection(result);
+        }
+      } else if (e.key === ' ') {
         e.preventDefault();
-        // Could trigger additional actions like copying to clipboard
         this.announceResultSelection(result);
       }
     });
     
     // Create result header
     const header = this.createResultHeader(result);
+    if (this.favorites) {
+      header.appendChild(this.createFavoriteButton(result.match));
+    }
     resultCard.appendChild(header);
     
+    // Other ways of writing the phrase sit right under it
+    if (result.variants && result.variants.length > 0) {
+      resultCard.appendChild(this.createResultVariants(result));
+    }
+    
     // Create main translation
     const translation = this.createResultTranslation(result);
     resultCard.appendChild(translation);
@@ -803,19 +3346,164 @@ class BuzzwordSearchEngine {
       resultCard.appendChild(alternatives);
     }
     
+    // Add see-also links to other entries
+    if (result.links && Object.keys(result.links).length > 0) {
+      resultCard.appendChild(this.createResultLinks(result));
+    }
+    
     // Add multiple meanings support
     if (result.multipleMeanings && result.multipleMeanings.length > 0) {
       const multipleMeanings = this.createMultipleMeanings(result);
       resultCard.appendChild(multipleMeanings);
     }
     
+    // Add origin, era, examples and ratings behind a toggle
+    if (this.searchCore.metadata.hasMetadata(result)) {
+      resultCard.appendChild(this.createResultBackground(result));
+    }
+    
     // Add metadata
     const meta = this.createResultMeta(result);
     resultCard.appendChild(meta);
+
+    // Copy and share buttons
+    resultCard.appendChild(this.createResultActions(result));
+    
+    // Add the score breakdown when the search core explained the ranking
+    if (result.explanation && result.explanation.signals.length > 0) {
+      resultCard.appendChild(this.createScoreBreakdown(result));
+    }
     
     return resultCard;
   }
 
+  // Buttons that copy a result's translation, a "term — meaning (alternatives)" snippet or a
+  // link to the entry, and share it where the browser offers the Web Share API
+  createResultActions(result) {
+    const actions = document.createElement('div');
+    actions.className = 'result-actions';
+    actions.setAttribute('role', 'group');
+    actions.setAttribute('aria-label', `Copy or share ${result.match}`);
+
+    const link = this.entryLink(result.match);
+    const addAction = (action, label, description, run) => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'result-action';
+      button.dataset.action = action;
+      button.textContent = label;
+      button.setAttribute('aria-label', description);
+      button.addEventListener('click', () => run(button));
+      actions.appendChild(button);
+    };
+
+    addAction('translation', 'Copy translation', `Copy the translation of ${result.match}`,
+      button => this.copyFromCard(button, result.translation, 'Translation copied'));
+    addAction('snippet', 'Copy snippet', `Copy ${result.match} with its meaning and alternatives`,
+      button => this.copyFromCard(button, this.formatSnippet(result), 'Snippet copied'));
+    if (link) {
+      addAction('link', 'Copy link', `Copy a link to ${result.match}`,
+        button => this.copyFromCard(button, link, 'Link copied'));
+    }
+    if (typeof navigator !== 'undefined' && typeof navigator.share === 'function') {
+      addAction('share', 'Share…', `Share ${result.match}`, button => this.shareResult(button, result, link));
+    }
+
+    return actions;
+  }
+
+  // "circle back — discuss later (revisit, follow up)", for pasting into chat
+  formatSnippet(result) {
+    const alternatives = Array.isArray(result.alternatives) && result.alternatives.length > 0
+      ? ` (${result.alternatives.join(', ')})`
+      : '';
+    return `${result.match} — ${result.translation}${alternatives}`;
+  }
+
+  // An absolute link that opens an entry, or null without the link helpers
+  entryLink(phrase) {
+    const links = this.deepLinks || (typeof DeepLinks !== 'undefined' ? new DeepLinks() : null);
+    return links ? links.link(window.location.href, { query: '', direction: 'jargon', term: links.slug(phrase) }) : null;
+  }
+
+  // Copy text to the clipboard; resolves to whether it worked
+  // The Clipboard API needs a secure context, so older browsers and plain http fall back to
+  // copying a selected, off-screen textarea
+  copyText(text) {
+    if (navigator.clipboard && typeof navigator.clipboard.writeText === 'function') {
+      return navigator.clipboard.writeText(text).then(() => true, () => this.copyWithSelection(text));
+    }
+    return Promise.resolve(this.copyWithSelection(text));
+  }
+
+  // Copy through a selection, for browsers without the Clipboard API; returns whether it worked
+  copyWithSelection(text) {
+    const textarea = document.createElement('textarea');
+    textarea.value = text;
+    textarea.setAttribute('readonly', '');
+    textarea.className = 'visually-hidden';
+    document.body.appendChild(textarea);
+    textarea.select();
+
+    let copied = false;
+    try {
+      copied = typeof document.execCommand === 'function' && document.execCommand('copy');
+    } catch (error) {
+      console.warn('Error copying text:', error);
+    }
+    textarea.remove();
+    return copied;
+  }
+
+  // Copy for a card button, then say how it went on the button and to screen readers
+  copyFromCard(button, text, message) {
+    const focused = document.activeElement;
+    return this.copyText(text).then(copied => {
+      // The fallback moves focus to its textarea; put it back
+      if (focused && document.activeElement !== focused && typeof focused.focus === 'function') {
+        focused.focus();
+      }
+      this.showActionFeedback(button, copied ? 'Copied' : 'Copy failed',
+        copied ? message : 'Copying is blocked in this browser. Select the text to copy it instead.', copied);
+    });
+  }
+
+  // Hand a result to the system share sheet; closing the sheet is not a failure
+  shareResult(button, result, link) {
+    const data = { title: result.match, text: this.formatSnippet(result) };
+    if (link) {
+      data.url = link;
+    }
+
+    return navigator.share(data)
+      .then(() => this.showActionFeedback(button, 'Shared', `${result.match} shared`))
+      .catch(error => {
+        if (error && error.name === 'AbortError') {
+          return;
+        }
+        console.warn('Error sharing result:', error);
+        this.showActionFeedback(button, 'Share failed', 'Sharing did not work. Try copying the link instead.', false);
+      });
+  }
+
+  // Show an action's outcome on its button for a moment and announce it
+  showActionFeedback(button, label, message, succeeded = true) {
+    if (!button.dataset.label) {
+      button.dataset.label = button.textContent;
+    }
+    clearTimeout(Number(button.dataset.feedbackTimer));
+
+    button.textContent = label;
+    button.classList.toggle('result-action-done', succeeded);
+    button.classList.toggle('result-action-failed', !succeeded);
+    this.announce(message);
+
+    button.dataset.feedbackTimer = String(setTimeout(() => {
+      button.textContent = button.dataset.label;
+      button.classList.remove('result-action-done', 'result-action-failed');
+    }, 2000));
+  }
+
   // Announce result selection to screen readers
   announceResultSelection(result) {
     try {
@@ -954,26 +3642,108 @@ class BuzzwordSearchEngine {
     
     const phrase = document.createElement('h3');
     phrase.className = 'result-phrase';
-    phrase.innerHTML = this.highlightMatches(result.match, result.matchedKeywords);
+    phrase.innerHTML = this.highlightMatches(this.escapeHtml(result.match), result.matchedKeywords);
     
-    const category = document.createElement('span');
+    // The category label opens that category in the browse view
+    const taxonomyCategory = this.searchCore.taxonomy.getCategory(result.category);
+    const category = document.createElement(taxonomyCategory && this.browseContent ? 'button' : 'span');
     category.className = 'result-category';
-    category.textContent = result.category;
+    category.textContent = this.searchCore.taxonomy.displayName(result.category);
+    if (taxonomyCategory) {
+      category.title = `${taxonomyCategory.group.name} › ${taxonomyCategory.name}`;
+    }
+    if (category.tagName === 'BUTTON') {
+      category.type = 'button';
+      category.setAttribute('aria-label', `Browse ${taxonomyCategory.name}`);
+      category.addEventListener('click', () => this.browseCategory(taxonomyCategory.id));
+    }
     
     header.appendChild(phrase);
     header.appendChild(category);
+    if (this.isCustomResult(result)) {
+      header.appendChild(this.createCustomBadge());
+    }
     
     return header;
   }
 
+  // Whether a result comes from the user's own buzzwords
+  isCustomResult(result) {
+    return typeof CustomEntries !== 'undefined' && result.pack === CustomEntries.PACK.id;
+  }
+
+  // "Custom" label for result headers
+  createCustomBadge() {
+    const badge = document.createElement('span');
+    badge.className = 'result-badge';
+    badge.textContent = 'Custom';
+    badge.title = 'One of your own buzzwords';
+    return badge;
+  }
+
+  // Create "also written as" line for the entry's variant spellings
+  createResultVariants(result) {
+    const variants = document.createElement('p');
+    variants.className = 'result-variants';
+
+    const label = document.createElement('span');
+    label.className = 'variants-label';
+    label.textContent = 'Also written as ';
+    variants.appendChild(label);
+
+    result.variants.forEach((variant, index) => {
+      if (index > 0) {
+        variants.appendChild(document.createTextNode(', '));
+      }
+      const text = document.createElement('span');
+      text.className = 'variant';
+      text.textContent = variant;
+      variants.appendChild(text);
+    });
+
+    return variants;
+  }
+
   // Create result translation element
   createResultTranslation(result) {
     const translation = document.createElement('p');
     translation.className = 'result-translation';
-    translation.textContent = result.translation;
+
+    // A reverse lookup matched the translation, so that is where the hits are marked
+    if (result.matchType === 'meaning') {
+      translation.innerHTML = this.highlightMatches(this.escapeHtml(result.translation), result.matchedKeywords);
+    } else {
+      translation.textContent = result.translation;
+    }
+
+    // When senses are tagged by field, say which field this one belongs to
+    if (this.searchCore.domains.isTagged(result)) {
+      translation.insertBefore(this.createSenseDomain(result.domain), translation.firstChild);
+    }
     return translation;
   }
 
+  // Create the label naming the field a sense is used in; the reader's own field is marked
+  createSenseDomain(domain) {
+    const id = domain || MeaningDomains.GENERAL;
+    const label = document.createElement('span');
+    label.className = id !== MeaningDomains.GENERAL && id === this.domain
+      ? 'sense-domain sense-domain-preferred'
+      : 'sense-domain';
+    label.textContent = this.searchCore.domains.name(id);
+
+    // Read as "Finance: borrow money to invest" rather than run into the translation
+    const separator = document.createElement('span');
+    separator.className = 'visually-hidden';
+    separator.textContent = ': ';
+    label.appendChild(separator);
+
+    if (id !== MeaningDomains.GENERAL && id === this.domain) {
+      label.title = 'Shown first because it is your field';
+    }
+    return label;
+  }
+
   // Create result context element
   createResultContext(result) {
     const context = document.createElement('p');
@@ -1002,6 +3772,57 @@ class BuzzwordSearchEngine {
     return alternatives;
   }
 
+  // Create see-also section: a row of chips per link type and a way into the graph
+  createResultLinks(result) {
+    const links = document.createElement('div');
+    links.className = 'result-links';
+
+    Object.keys(BuzzwordRelations.TYPES).forEach(type => {
+      const phrases = result.links[type];
+      if (!phrases || phrases.length === 0) return;
+
+      const row = document.createElement('div');
+      row.className = `result-links-row result-links-${type}`;
+
+      const label = document.createElement('span');
+      label.className = 'links-label';
+      label.textContent = `${BuzzwordRelations.TYPES[type].label}:`;
+      row.appendChild(label);
+
+      phrases.forEach(phrase => {
+        const chip = document.createElement('button');
+        chip.type = 'button';
+        chip.className = `link-chip link-chip-${type}`;
+        chip.textContent = phrase;
+        chip.setAttribute('aria-label', `${BuzzwordRelations.TYPES[type].label}: look up ${phrase}`);
+        chip.addEventListener('click', (e) => {
+          e.preventDefault();
+          e.stopPropagation();
+          this.handleSuggestionActivation(chip, phrase);
+        });
+        row.appendChild(chip);
+      });
+
+      links.appendChild(row);
+    });
+
+    if (this.graphCanvas) {
+      const graphButton = document.createElement('button');
+      graphButton.type = 'button';
+      graphButton.className = 'link-graph-button';
+      graphButton.textContent = 'Show connections';
+      graphButton.setAttribute('aria-label', `Show connections of ${result.match} as a graph`);
+      graphButton.addEventListener('click', (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        this.showGraph(result.match);
+      });
+      links.appendChild(graphButton);
+    }
+
+    return links;
+  }
+
   // Create multiple meanings section for buzzwords with multiple interpretations
   createMultipleMeanings(result) {
     const container = document.createElement('div');
@@ -1012,6 +3833,7 @@ class BuzzwordSearchEngine {
     label.textContent = 'Other meanings:';
     container.appendChild(label);
     
+    const tagged = this.searchCore.domains.isTagged(result);
     result.multipleMeanings.forEach((meaning, index) => {
       const meaningDiv = document.createElement('div');
       meaningDiv.className = 'meaning-item';
@@ -1019,6 +3841,9 @@ class BuzzwordSearchEngine {
       const meaningText = document.createElement('p');
       meaningText.className = 'meaning-translation';
       meaningText.textContent = meaning.translation;
+      if (tagged) {
+        meaningText.insertBefore(this.createSenseDomain(meaning.domain), meaningText.firstChild);
+      }
       
       if (meaning.context) {
         const meaningContext = document.createElement('p');
@@ -1055,6 +3880,128 @@ class BuzzwordSearchEngine {
     return meta;
   }
 
+  // Create the collapsible background section: origin, first-seen era, how common the phrase
+  // is, its cringe rating and example sentences
+  createResultBackground(result) {
+    const metadata = this.searchCore.metadata;
+    const details = document.createElement('details');
+    details.className = 'result-details result-background';
+
+    const summary = document.createElement('summary');
+    summary.textContent = result.examples && result.examples.length > 0 ? 'Background and examples' : 'Background';
+    details.appendChild(summary);
+
+    const list = document.createElement('dl');
+    list.className = 'background-list';
+
+    const addItem = (label, content) => {
+      const term = document.createElement('dt');
+      term.textContent = label;
+      const description = document.createElement('dd');
+      if (typeof content === 'string') {
+        description.textContent = content;
+      } else {
+        description.appendChild(content);
+      }
+      list.append(term, description);
+    };
+
+    if (result.origin) {
+      addItem('Origin', result.origin);
+    }
+    if (result.era) {
+      addItem('First seen', `The ${result.era}`);
+    }
+    if (result.frequency) {
+      const tier = EntryMetadata.FREQUENCY_TIERS.find(candidate => candidate.id === result.frequency);
+      addItem('How common', tier ? `${tier.name}: ${tier.description.toLowerCase()}` : result.frequency);
+    }
+    if (typeof result.cringe === 'number') {
+      const levels = EntryMetadata.CRINGE_LEVELS;
+      const meter = document.createElement('span');
+      meter.className = 'cringe-meter';
+      meter.setAttribute('role', 'img');
+      meter.setAttribute('aria-label', `${result.cringe} out of ${levels.length}, ${metadata.cringeName(result.cringe)}`);
+      levels.forEach(level => {
+        const dot = document.createElement('span');
+        dot.className = level.value <= result.cringe ? 'cringe-dot filled' : 'cringe-dot';
+        dot.setAttribute('aria-hidden', 'true');
+        meter.appendChild(dot);
+      });
+      const name = document.createElement('span');
+      name.className = 'cringe-name';
+      name.setAttribute('aria-hidden', 'true');
+      name.textContent = metadata.cringeName(result.cringe);
+      meter.appendChild(name);
+      addItem('Cringe', meter);
+    }
+
+    if (list.firstElementChild) {
+      details.appendChild(list);
+    }
+
+    if (result.examples && result.examples.length > 0) {
+      const examples = document.createElement('ul');
+      examples.className = 'background-examples';
+      examples.setAttribute('aria-label', `Examples of ${result.match} in use`);
+      result.examples.slice(0, EntryMetadata.MAX_EXAMPLES).forEach(sentence => {
+        const item = document.createElement('li');
+        const quote = document.createElement('q');
+        quote.textContent = sentence;
+        item.appendChild(quote);
+        examples.appendChild(item);
+      });
+      details.appendChild(examples);
+    }
+
+    return details;
+  }
+
+  // Create the collapsible "Why this result?" breakdown of a result's score
+  createScoreBreakdown(result) {
+    const details = document.createElement('details');
+    details.className = 'result-details';
+
+    const summary = document.createElement('summary');
+    summary.textContent = 'Why this result?';
+    details.appendChild(summary);
+
+    const table = document.createElement('table');
+    table.className = 'score-breakdown';
+
+    const caption = document.createElement('caption');
+    caption.className = 'visually-hidden';
+    caption.textContent = `Score breakdown for ${result.match}`;
+    table.appendChild(caption);
+
+    const addRow = (label, value, detail, className) => {
+      const row = document.createElement('tr');
+      if (className) row.className = className;
+
+      const labelCell = document.createElement('th');
+      labelCell.scope = 'row';
+      labelCell.textContent = label;
+
+      const valueCell = document.createElement('td');
+      valueCell.className = 'score-value';
+      valueCell.textContent = value.toFixed(2);
+
+      const detailCell = document.createElement('td');
+      detailCell.textContent = detail;
+
+      row.append(labelCell, valueCell, detailCell);
+      table.appendChild(row);
+    };
+
+    result.explanation.signals.forEach(signal => {
+      addRow(signal.signal.replace(/_/g, ' '), signal.value, signal.detail);
+    });
+    addRow('score', result.explanation.score, `ranked as ${result.explanation.matchType.replace(/_/g, ' ')}`, 'score-total');
+
+    details.appendChild(table);
+    return details;
+  }
+
   // Enhanced highlighting for matched portions of buzzwords
   highlightMatches(phrase, matchedKeywords) {
     if (!matchedKeywords || matchedKeywords.length === 0) {
@@ -1144,6 +4091,15 @@ class BuzzwordSearchEngine {
           </div>
         `;
       
+      case 'no-meaning':
+        return `
+          <div class="no-results-content">
+            <h3>No buzzword for that one... yet</h3>
+            <p>Nothing in the dictionary means "${this.escapeHtml(searchQuery)}". Try describing it with other everyday words, or start from a popular term:</p>
+            ${this.generatePopularSuggestions()}
+          </div>
+        `;
+      
       case 'no-results':
       default:
         return `
@@ -1158,16 +4114,17 @@ class BuzzwordSearchEngine {
 
   // Generate smart suggestions based on search query
   generateSmartSuggestions(searchQuery) {
-    const suggestions = this.findSimilarBuzzwords(searchQuery);
+    const suggestions = this.searchCore.findSimilar(searchQuery);
     
     if (suggestions.length > 0) {
-      const suggestionChips = suggestions.map(suggestion => 
-        `<button class="no-results-chip" data-buzzword="${suggestion.phrase}" 
-                 title="${suggestion.phrase}: ${suggestion.translation}"
-                 tabindex="0" aria-label="Search for ${suggestion.phrase}">
-          ${suggestion.phrase}
-        </button>`
-      ).join('');
+      const suggestionChips = suggestions.map(suggestion => {
+        const phrase = this.escapeHtml(suggestion.phrase);
+        return `<button class="no-results-chip" data-buzzword="${phrase}" 
+                 title="${phrase}: ${this.escapeHtml(suggestion.translation)}"
+                 tabindex="0" aria-label="Search for ${phrase}">
+          ${phrase}
+        </button>`;
+      }).join('');
       
       return `
         <div class="no-results-suggestions">
@@ -1211,48 +4168,6 @@ class BuzzwordSearchEngine {
     return '';
   }
 
-  // Find similar buzzwords for smart suggestions
-  findSimilarBuzzwords(searchQuery) {
-    if (!searchQuery || searchQuery.length < 2) {
-      return [];
-    }
-
-    const query = searchQuery.toLowerCase().trim();
-    const suggestions = [];
-    
-    // Find buzzwords that contain parts of the search query
-    this.buzzwords.forEach(buzzword => {
-      const phrase = buzzword.phrase.toLowerCase();
-      const keywords = buzzword.keywords.map(k => k.toLowerCase());
-      
-      // Check if any keyword starts with the query
-      const startsWithMatch = keywords.some(keyword => 
-        keyword.startsWith(query) || query.startsWith(keyword)
-      );
-      
-      // Check if phrase contains query or vice versa
-      const containsMatch = phrase.includes(query) || query.includes(phrase);
-      
-      // Check for partial word matches
-      const partialMatch = keywords.some(keyword => 
-        keyword.includes(query) && Math.abs(keyword.length - query.length) <= 3
-      );
-      
-      if (startsWithMatch || containsMatch || partialMatch) {
-        suggestions.push({
-          phrase: buzzword.phrase,
-          translation: buzzword.translation,
-          relevance: startsWithMatch ? 3 : (containsMatch ? 2 : 1)
-        });
-      }
-    });
-    
-    // Sort by relevance and return top 6
-    return suggestions
-      .sort((a, b) => b.relevance - a.relevance)
-      .slice(0, 6);
-  }
-
   // Attach event listeners to no results suggestion chips
   attachNoResultsEventListeners() {
     const noResultsChips = this.noResults.querySelectorAll('.no-results-chip');
@@ -1274,6 +4189,9 @@ class BuzzwordSearchEngine {
   showExamples() {
     this.resultsSection.style.display = 'none';
     this.examplesContainer.style.display = 'block';
+    if (this.favoritesContainer) {
+      this.favoritesContainer.hidden = false;
+    }
     
     // Populate example chips if not already done
     const examplesChips = document.getElementById('examplesChips');
@@ -1317,6 +4235,9 @@ class BuzzwordSearchEngine {
   // Hide examples
   hideExamples() {
     this.examplesContainer.style.display = 'none';
+    if (this.favoritesContainer) {
+      this.favoritesContainer.hidden = true;
+    }
   }
 
   // Add related suggestions system that appears with results
@@ -1324,12 +4245,16 @@ class BuzzwordSearchEngine {
     const suggestions = this.generateRelatedSuggestions(results, query);
     
     if (suggestions.length > 0) {
+      // The results feed only holds articles, so the suggestions are one too, named by their heading
       const suggestionsContainer = document.createElement('div');
       suggestionsContainer.className = 'suggestions-container';
+      suggestionsContainer.setAttribute('role', 'article');
+      suggestionsContainer.setAttribute('aria-labelledby', 'relatedSuggestionsHeader');
       suggestionsContainer.style.animationDelay = `${results.length * 50 + 200}ms`;
       
       const suggestionsHeader = document.createElement('h4');
       suggestionsHeader.className = 'suggestions-header';
+      suggestionsHeader.id = 'relatedSuggestionsHeader';
       suggestionsHeader.textContent = 'You might also like:';
       suggestionsContainer.appendChild(suggestionsHeader);
       
@@ -1370,6 +4295,20 @@ class BuzzwordSearchEngine {
   generateRelatedSuggestions(results, query) {
     const suggestions = new Set();
     const maxSuggestions = 6;
+    const isShown = phrase => results.some(r => r.match.toLowerCase() === phrase.toLowerCase()) ||
+      phrase.toLowerCase() === query.toLowerCase();
+
+    // Entries the results link to come first; opposites stay on their cards
+    results.forEach(result => {
+      const links = this.searchCore.getRelations(result.match);
+      ['related', 'broader', 'narrower'].forEach(type => {
+        links[type].forEach(entry => {
+          if (suggestions.size < maxSuggestions && !isShown(entry.phrase)) {
+            suggestions.add(entry);
+          }
+        });
+      });
+    });
     
     // Get categories from current results
     const resultCategories = [...new Set(results.map(r => r.category))];
@@ -1384,6 +4323,32 @@ class BuzzwordSearchEngine {
       
       categoryBuzzwords.forEach(b => suggestions.add(b));
     });
+
+    // Then one entry from each neighbouring category in the same group
+    const taxonomy = this.searchCore.taxonomy;
+    const neighbourCategories = new Set();
+    resultCategories.forEach(category => {
+      const entry = taxonomy.getCategory(category);
+      if (entry) {
+        entry.group.categories
+          .filter(sibling => !resultCategories.includes(sibling.id))
+          .forEach(sibling => neighbourCategories.add(sibling.id));
+      }
+    });
+
+    neighbourCategories.forEach(category => {
+      if (suggestions.size >= maxSuggestions) return;
+
+      const neighbour = this.buzzwords.find(b =>
+        b.category === category &&
+        !results.some(r => r.match.toLowerCase() === b.phrase.toLowerCase()) &&
+        b.phrase.toLowerCase() !== query.toLowerCase()
+      );
+
+      if (neighbour) {
+        suggestions.add(neighbour);
+      }
+    });
     
     // Add popular buzzwords if we need more suggestions
     if (suggestions.size < maxSuggestions) {
@@ -1449,6 +4414,9 @@ class BuzzwordSearchEngine {
         console.warn('Error applying visual feedback to chip:', styleError);
       }
       
+      // Chips name buzzwords, so they are always looked up as jargon
+      this.setSearchDirection('jargon');
+
       // Populate search and perform search
       if (this.searchInput) {
         this.searchInput.value = buzzword;
@@ -1500,6 +4468,7 @@ class BuzzwordSearchEngine {
       }
       
       // Populate search and perform new search
+      this.setSearchDirection('jargon');
       if (this.searchInput) {
         this.searchInput.value = phrase;
       }
@@ -1547,10 +4516,11 @@ class BuzzwordSearchEngine {
   clearSearch() {
     this.searchInput.value = '';
     this.updateClearButtonVisibility('');
-    this.searchInput.setAttribute('aria-expanded', 'false');
-    this.searchInput.removeAttribute('aria-activedescendant');
+    this.recordHistory({ query: '', direction: this.searchDirection, term: null });
+    this.closeSuggestions();
     this.searchInput.focus();
     this.showExamples();
+    this.updateRecentSearches();
     
     // Announce to screen readers
     this.announceSearchResults(0, '');
@@ -1572,6 +4542,7 @@ class BuzzwordSearchEngine {
       }
 
       // Set the search input to the random buzzword
+      this.setSearchDirection('jargon');
       this.searchInput.value = randomBuzzword.phrase;
       
       // Perform search for the random buzzword
@@ -1618,6 +4589,7 @@ class BuzzwordSearchEngine {
     try {
       const buzzword = chip.getAttribute('data-buzzword');
       if (buzzword) {
+        this.setSearchDirection('jargon');
         this.searchInput.value = buzzword;
         this.updateClearButtonVisibility(buzzword);
         this.performSearch(buzzword);
@@ -1648,17 +4620,17 @@ class BuzzwordSearchEngine {
     
     // Remove potentially harmful characters and normalize whitespace
     return input
-      .replace(/[<>\"'&]/g, '') // Remove HTML/script injection characters
+      .replace(/[<>'&]/g, '') // Remove HTML/script injection characters, keeping quotes for "exact phrase" queries
       .replace(/\s+/g, ' ') // Normalize multiple whitespace to single space
       .replace(/[\x00-\x1F\x7F]/g, '') // Remove control characters
       .trim();
   }
 
-  // Escape HTML for safe display
+  // Escape HTML for safe display, in text and in quoted attribute values
   escapeHtml(text) {
     const div = document.createElement('div');
     div.textContent = text;
-    return div.innerHTML;
+    return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
   }
 
   // Show error state for unexpected errors
@@ -1728,6 +4700,33 @@ class BuzzwordSearchEngine {
   }
 }
 
+// Show why the app could not start, in place of the results
+function showStartupError(error) {
+  console.error('Failed to initialize Corporate Buzzword Translator:', error);
+
+  // Show user-friendly error message
+  const errorContainer = document.getElementById('noResults') || 
+                        document.getElementById('resultsSection') || 
+                        document.body;
+  
+  if (errorContainer) {
+    errorContainer.innerHTML = `
+      <div class="initialization-error" style="text-align: center; padding: 2rem; color: #ef4444;">
+        <h3>Unable to Load Application</h3>
+        <p>The Corporate Buzzword Translator could not start properly.</p>
+        <p style="font-size: 0.9em; color: #6b7280;">Error: ${error.message}</p>
+        <div style="margin-top: 1rem;">
+          <button onclick="window.location.reload()" 
+                  style="background: #3b82f6; color: white; border: none; padding: 0.5rem 1rem; border-radius: 0.5rem; cursor: pointer;">
+            Reload Page
+          </button>
+        </div>
+      </div>
+    `;
+    errorContainer.style.display = 'block';
+  }
+}
+
 // Initialize the search engine when DOM is loaded with comprehensive error handling
 document.addEventListener('DOMContentLoaded', () => {
   try {
@@ -1758,34 +4757,32 @@ document.addEventListener('DOMContentLoaded', () => {
       throw new Error('Too many invalid buzzwords in database');
     }
 
-    // Initialize the search engine
-    window.searchEngine = new BuzzwordSearchEngine(buzzwords);
-    console.log('Corporate Buzzword Translator initialized successfully');
-    
+    // Dictionary packs are optional: when the manifest cannot be fetched (most browsers refuse
+    // on file:// pages), the built-in buzzwords are used on their own
+    const packLoader = typeof DictionaryPacks !== 'undefined' ? new DictionaryPacks({ builtin: buzzwords }) : null;
+    const loading = packLoader
+      ? packLoader.load('dictionaries/manifest.json', {
+        fetch: typeof window.fetch === 'function' ? window.fetch.bind(window) : null
+      })
+      : Promise.resolve(null);
+
+    loading
+      .catch(error => {
+        console.warn('Dictionary packs could not be loaded:', error);
+        return null;
+      })
+      .then(loaded => {
+        if (loaded) {
+          loaded.errors.forEach(message => console.warn('Dictionary packs:', message));
+        }
+
+        // Initialize the search engine
+        window.searchEngine = new BuzzwordSearchEngine(buzzwords, loaded ? { packs: loaded.packs, packLoader: packLoader } : {});
+        console.log('Corporate Buzzword Translator initialized successfully');
+      })
+      .catch(showStartupError);
   } catch (error) {
-    console.error('Failed to initialize Corporate Buzzword Translator:', error);
-    
-    // Show user-friendly error message
-    const errorContainer = document.getElementById('noResults') || 
-                          document.getElementById('resultsSection') || 
-                          document.body;
-    
-    if (errorContainer) {
-      errorContainer.innerHTML = `
-        <div class="initialization-error" style="text-align: center; padding: 2rem; color: #ef4444;">
-          <h3>Unable to Load Application</h3>
-          <p>The Corporate Buzzword Translator could not start properly.</p>
-          <p style="font-size: 0.9em; color: #6b7280;">Error: ${error.message}</p>
-          <div style="margin-top: 1rem;">
-            <button onclick="window.location.reload()" 
-                    style="background: #3b82f6; color: white; border: none; padding: 0.5rem 1rem; border-radius: 0.5rem; cursor: pointer;">
-              Reload Page
-            </button>
-          </div>
-        </div>
-      `;
-      errorContainer.style.display = 'block';
-    }
+    showStartupError(error);
   }
 });
 
@@ -0,0 +1,1005 @@
+// Corporate Buzzword Translator - Search Core
+// DOM-free search and ranking shared by the web UI and Node scripts
+//
+// Usage in Node:
+//   const BuzzwordSearch = require('./search-core.js');
+//   const search = new BuzzwordSearch(require('./buzzwords.js'));
+//   const german = new BuzzwordSearch(require('./buzzwords.js'), { locale: 'de' });
+//   search.search('synergy');            // ranked results, best first
+//   search.search('synergy', { explain: true }); // each result carries its score breakdown
+//   search.search('category:strategy -pivot "big picture" has:alternatives');
+//   search.search('cringe:4.. sort:era');  // filter and order by entry metadata
+//   search.search('leverage domain:finance'); // the finance sense first
+//   const forFinance = new BuzzwordSearch(require('./buzzwords.js'), { domain: 'finance' });
+//   search.reverseSearch('use available time'); // plain English -> jargon
+//   search.suggest('circ');              // typeahead: phrases starting with the text first
+//   search.getEntry('circle back');      // dictionary entry or null
+//   search.getRelations('deep dive');    // { related, opposite, broader, narrower } entries
+//   search.relationGraph('deep dive');   // { nodes, edges } within two links
+//   search.listCategories();             // [{ name, count, displayName, group }]
+//   search.browseCategories();           // groups > categories > entries, with counts
+//   search.listEntries({ category: 'strategy' });
+//   search.glossary({ text: 'work' });   // every entry A to Z, by first letter
+//   search.analyzeText('Let us circle back on the low hanging fruit');
+//
+// In the browser the class is available as window.BuzzwordSearch.
+
+// Match types that rank as the exact phrase: a listed variant ("low-hanging fruit"), an
+// inflected form ("circling back to") or different spacing ("wheel house") names the same
+// entry as the phrase itself
+const EXACT_MATCH_TYPES = new Set(['exact', 'variant', 'spacing', 'inflected']);
+
+// Shortest word or query compared by sound; shorter codes collide too often
+const PHONETIC_MIN_LENGTH = 4;
+
+// Typeahead: how many suggestions to offer, the shortest text worth a fuzzy search, and the
+// lowest search() score worth suggesting (loose keyword matches score below it)
+const SUGGESTION_LIMIT = 8;
+const SUGGESTION_FUZZY_MIN_LENGTH = 3;
+const SUGGESTION_MIN_SCORE = 0.45;
+
+// Glossary sections in order; phrases starting with anything but a letter go under '#'
+const GLOSSARY_LETTERS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ#'.split('');
+
+// Every weight and cut-off used in ranking. Pass overrides as options.ranking;
+// anything left out keeps the value here.
+const DEFAULT_RANKING = {
+  // Score for each way the whole phrase can match the query
+  tiers: {
+    exact: 1.0,               // query is the phrase
+    variant: 0.99,            // query is one of the entry's variants ("low-hanging fruit")
+    inflected: 0.98,          // query is the phrase in another form ("circling back to")
+    spacing: 0.97,            // query is the phrase spaced or hyphenated differently ("wheel house")
+    phraseContains: 0.95,     // phrase contains the query
+    stemPhraseContains: 0.93, // ...once both are stemmed
+    queryContains: 0.9,       // query contains the phrase
+    stemQueryContains: 0.88,  // ...once both are stemmed
+    phonetic: 0.8             // query sounds like the phrase ("paradime shift")
+  },
+  // How a single query word scores against an entry's keywords
+  keyword: {
+    exact: 1.0,               // the word is a keyword
+    stem: 0.95,               // the word is a keyword in another form
+    keywordContainsWord: 0.8,
+    wordContainsKeyword: 0.7,
+    phonetic: 0.75,           // the word sounds like a keyword
+    fuzzyWeight: 0.5,         // multiplier for a keyword within typo distance
+    fuzzyMinSimilarity: 0.6,  // closest a typo may be and still count
+    base: 0.4,                // score for keyword matches = base + coverage * coverageWeight,
+    coverageWeight: 0.45,     //   where coverage is matched words / max(query words, keywords)
+    cap: 0.85                 // keyword matches never outrank phrase matches
+  },
+  // Whole-phrase similarity, the last resort for typos
+  fuzzy: {
+    minSimilarity: 0.3,
+    multiplier: 0.6,
+    prefixBonus: 0.1,         // added per leading character in common
+    phoneticMinSimilarity: 0.6 // sound-alikes must also be spelled at least this alike
+  },
+  // Plain English -> jargon lookups (reverseSearch)
+  meaning: {
+    minScore: 0.2
+  },
+  threshold: 0.1,             // results scoring this or less are dropped
+  tieTolerance: 0.01,         // scores closer than this are ordered by match type, then length
+  limit: 10                   // results returned when options.limit is not given
+};
+
+class BuzzwordSearch {
+  // buzzwords: array of dictionary entries in the CONTRIBUTING.md format
+  // options.maxTextLength: longest text accepted by analyzeText (default 20000)
+  // options.taxonomy: CategoryTaxonomy used for category filters and browsing
+  // options.locale: locale id for translations, contexts and alternatives (default 'en');
+  //   entries without a value in that locale fall back to English
+  // options.domain: field whose senses replace the main translation where an entry has one
+  //   (see meaning-domains.js; default 'general', which leaves entries as written)
+  // options.ranking: overrides for DEFAULT_RANKING, e.g. { threshold: 0.2, keyword: { cap: 0.8 } }
+  constructor(buzzwords, options = {}) {
+    if (!buzzwords || !Array.isArray(buzzwords) || buzzwords.length === 0) {
+      throw new Error('Invalid or empty buzzwords database provided');
+    }
+
+    // Entries are searched and returned in one locale, so everything below sees plain strings
+    const Locales = typeof DictionaryLocales !== 'undefined'
+      ? DictionaryLocales
+      : require('./dictionary-locales.js');
+    this.locales = new Locales();
+    this.locale = this.locales.supports(options.locale) ? options.locale : Locales.FALLBACK;
+    buzzwords = this.locales.localizeAll(buzzwords, this.locale);
+
+    // ...and with the sense for the reader's field, if it has one, as the main translation
+    const Domains = typeof MeaningDomains !== 'undefined'
+      ? MeaningDomains
+      : require('./meaning-domains.js');
+    this.domains = new Domains();
+    this.domain = this.domains.supports(options.domain) ? options.domain : Domains.GENERAL;
+    buzzwords = this.domains.preferAll(buzzwords, this.domain);
+
+    this.buzzwords = buzzwords;
+    this.ranking = BuzzwordSearch.createRankingConfig(options.ranking);
+    this.maxTextLength = options.maxTextLength || 20000;
+    this.textAnalyzer = null;
+    this.meaningIndex = null;
+
+    const Stemmer = typeof EnglishStemmer !== 'undefined'
+      ? EnglishStemmer
+      : require('./stemmer.js');
+    this.stemmer = new Stemmer();
+
+    const Phonetic = typeof PhoneticEncoder !== 'undefined'
+      ? PhoneticEncoder
+      : require('./phonetic.js');
+    this.phonetic = new Phonetic();
+
+    // Built once here so searches never scan the whole dictionary
+    const SearchIndex = typeof BuzzwordIndex !== 'undefined'
+      ? BuzzwordIndex
+      : require('./search-index.js').BuzzwordIndex;
+    this.index = new SearchIndex(buzzwords, { stemmer: this.stemmer, phonetic: this.phonetic });
+
+    const Taxonomy = typeof CategoryTaxonomy !== 'undefined'
+      ? CategoryTaxonomy
+      : require('./category-taxonomy.js');
+    this.taxonomy = options.taxonomy || new Taxonomy();
+
+    const Parser = typeof QueryParser !== 'undefined'
+      ? QueryParser
+      : require('./query-parser.js');
+    this.queryParser = new Parser({ taxonomy: this.taxonomy, domains: this.domains });
+
+    // Explicit related/opposite/broader/narrower links, filled in both directions
+    const Relations = typeof BuzzwordRelations !== 'undefined'
+      ? BuzzwordRelations
+      : require('./buzzword-relations.js');
+    this.relations = new Relations(buzzwords);
+
+    // Origin, era, examples, frequency and cringe: filtered in the parser, sorted here
+    const Metadata = typeof EntryMetadata !== 'undefined'
+      ? EntryMetadata
+      : require('./entry-metadata.js');
+    this.metadata = new Metadata();
+
+    this.entriesByPhrase = new Map();
+    buzzwords.forEach(buzzword => {
+      if (buzzword && buzzword.phrase) {
+        this.entriesByPhrase.set(buzzword.phrase.toLowerCase(), buzzword);
+      }
+    });
+
+    // Sorted once here; listings, the glossary and suggestions all go A to Z
+    this.alphabetical = buzzwords
+      .filter(buzzword => buzzword && buzzword.phrase)
+      .sort((a, b) => a.phrase.localeCompare(b.phrase, 'en', { sensitivity: 'base' }));
+    this.alphabeticalPosition = new Map(this.alphabetical.map((buzzword, position) => [buzzword, position]));
+  }
+
+  // Rank dictionary entries against a query
+  // query: search box text, which may use the syntax in query-parser.js, or an
+  //   already parsed query from parseQuery()
+  // options.limit: maximum number of results (default ranking.limit)
+  // options.category: only return entries from this category or category group
+  // options.explain: attach an explanation to each result (see explainResult)
+  // options.scan: score every entry rather than the index's candidates; slower, and only
+  //   useful for checking that the index leaves nothing out (see `cli.js check-index`)
+  // Returns result objects: { match, translation, relevanceScore, matchedKeywords,
+  //   category, context, domain, alternatives, variants, links, origin, era, examples,
+  //   frequency, cringe, multipleMeanings, added, updated, pack, matchType }
+  //   where links maps link types to linked phrases, pack is the id of the dictionary pack the
+  //   entry came from (when packs were merged), and metadata and date fields are undefined when unset
+  // A sort: in the query reorders the best `limit` matches by that field instead of relevance;
+  // a domain: puts each result's sense in that field first
+  search(query, options = {}) {
+    let parsedQuery = typeof query === 'string' ? this.parseQuery(query) : query;
+    if (!parsedQuery || typeof parsedQuery.text !== 'string') {
+      throw new Error('Invalid query provided to search function');
+    }
+
+    if (options.category) {
+      parsedQuery = Object.assign({}, parsedQuery, {
+        categories: parsedQuery.categories.concat(options.category.toLowerCase())
+      });
+    }
+
+    const ranking = this.ranking;
+    const limit = options.limit || ranking.limit;
+    const normalizedQuery = parsedQuery.text.toLowerCase().trim();
+    const queryWords = normalizedQuery.split(/\s+/).filter(word => word.length > 0);
+    const hasFilters = this.queryParser.hasFilters(parsedQuery);
+    const results = [];
+
+    // A query made only of filters lists every entry that passes them
+    if (queryWords.length === 0) {
+      if (!hasFilters) {
+        return [];
+      }
+
+      const listed = this.listEntries()
+        .filter(buzzword => this.queryParser.matchesFilters(parsedQuery, buzzword));
+      const order = parsedQuery.sort
+        ? `listed ${this.metadata.constructor.SORTS[parsedQuery.sort].description}`
+        : 'listed alphabetically';
+
+      return this.metadata.sort(listed, parsedQuery.sort)
+        .slice(0, limit)
+        .map(buzzword => {
+          const result = this.preferQueryDomain(this.createResult(buzzword, 1.0, 'filter', []), parsedQuery);
+          if (options.explain) {
+            result.explanation = this.explainResult(result, [
+              { signal: 'filter', value: 1.0, detail: `passes every filter; ${order}` }
+            ]);
+          }
+          return result;
+        });
+    }
+
+    // Stems line up with stemmedWords, which also splits hyphenated words
+    const stemmedWords = this.stemmer.splitWords(normalizedQuery);
+    const compactQuery = this.phonetic.compact(normalizedQuery);
+    const queryContext = {
+      normalized: normalizedQuery,
+      words: queryWords,
+      stemmedWords: stemmedWords,
+      stems: stemmedWords.map(word => this.stemmer.stem(word)),
+      compact: compactQuery,
+      codes: compactQuery.length >= PHONETIC_MIN_LENGTH ? this.phonetic.codes(normalizedQuery) : [],
+      wordCodes: new Map(queryWords
+        .filter(word => word.length >= PHONETIC_MIN_LENGTH)
+        .map(word => [word, this.phonetic.codes(word)])),
+      fuzzyMatches: new Map(),
+      phraseMatches: new Map()
+    };
+
+    // Only entries reachable through the index are worth scoring
+    const candidates = this.index.findCandidates(
+      queryContext,
+      (word, token, distance) =>
+        this.calculateFuzzyMatch(token, word, distance).score > ranking.keyword.fuzzyMinSimilarity,
+      (phrase, distance) =>
+        this.calculateFuzzyMatch(phrase, normalizedQuery, distance).score > ranking.fuzzy.minSimilarity
+    );
+    queryContext.fuzzyMatches = candidates.fuzzyMatches;
+    queryContext.phraseMatches = candidates.phraseMatches;
+    const scored = options.scan
+      ? this.buzzwords.filter(buzzword => buzzword && buzzword.phrase)
+      : candidates.entries;
+    const relevantBuzzwords = hasFilters
+      ? scored.filter(buzzword => this.queryParser.matchesFilters(parsedQuery, buzzword))
+      : scored;
+
+    // Process only relevant buzzwords
+    relevantBuzzwords.forEach((buzzword, index) => {
+      try {
+        const signals = options.explain ? [] : null;
+        const searchResult = this.calculateRelevanceScore(buzzword, queryContext, signals);
+
+        if (searchResult && searchResult.relevanceScore > ranking.threshold) {
+          if (signals) {
+            searchResult.explanation = this.explainResult(searchResult, signals);
+          }
+          results.push(searchResult);
+        }
+      } catch (buzzwordError) {
+        console.warn(`Error processing buzzword at index ${index}:`, buzzwordError);
+        // Continue processing other buzzwords
+      }
+    });
+
+    // Optimized sorting with early termination
+    const ranked = results
+      .filter(result => result && typeof result.relevanceScore === 'number')
+      .sort((a, b) => {
+        // Primary sort: relevance score (descending)
+        const scoreDiff = b.relevanceScore - a.relevanceScore;
+        if (Math.abs(scoreDiff) > ranking.tieTolerance) return scoreDiff;
+
+        // Secondary sort: exact matches (including inflected forms) first
+        const aExact = EXACT_MATCH_TYPES.has(a.matchType);
+        const bExact = EXACT_MATCH_TYPES.has(b.matchType);
+        if (aExact && !bExact) return -1;
+        if (bExact && !aExact) return 1;
+
+        // Tertiary sort: phrase contains query
+        if (a.matchType === 'phrase_contains' && b.matchType !== 'phrase_contains') return -1;
+        if (b.matchType === 'phrase_contains' && a.matchType !== 'phrase_contains') return 1;
+
+        // Final sort: shorter phrases first (more specific)
+        return (a.match?.length || 0) - (b.match?.length || 0);
+      })
+      .slice(0, limit);
+
+    const preferred = ranked.map(result => this.preferQueryDomain(result, parsedQuery));
+    return parsedQuery.sort ? this.metadata.sort(preferred, parsedQuery.sort) : preferred;
+  }
+
+  // Put a result's sense in the first of the query's domain: fields it has in front
+  preferQueryDomain(result, parsedQuery) {
+    const domain = parsedQuery.domains.find(candidate => this.domains.hasDomain(result, candidate));
+    return domain ? this.domains.prefer(result, domain) : result;
+  }
+
+  // Parse search box text into a structured query (see query-parser.js)
+  // Returns { text, terms, phrases, excludes, categories, has, domains, metadata, sort, warnings }
+  parseQuery(input) {
+    return this.queryParser.parse(input);
+  }
+
+  // Look up a dictionary entry by its exact phrase, ignoring case
+  // Returns the entry object or null
+  getEntry(phrase) {
+    if (!phrase || typeof phrase !== 'string') {
+      return null;
+    }
+
+    return this.entriesByPhrase.get(phrase.toLowerCase().trim()) || null;
+  }
+
+  // Entries linked to a phrase, by link type, including links written on the other entry
+  // Returns { related: [entries], opposite: [...], broader: [...], narrower: [...] }
+  getRelations(phrase) {
+    return this.relations.linksFor(phrase);
+  }
+
+  // Linked entries as { nodes, edges } for drawing: every linked entry, or those within
+  // depth links of a phrase (see buzzword-relations.js)
+  relationGraph(phrase = null, depth = 2) {
+    return this.relations.graph(phrase, depth);
+  }
+
+  // List every category with the number of entries in it, largest first
+  // Returns [{ name, count, displayName, group }] where group is the id of its top-level group
+  listCategories() {
+    const counts = new Map();
+
+    this.buzzwords.forEach(buzzword => {
+      if (buzzword && buzzword.category) {
+        counts.set(buzzword.category, (counts.get(buzzword.category) || 0) + 1);
+      }
+    });
+
+    return [...counts.entries()]
+      .map(([name, count]) => {
+        const category = this.taxonomy.getCategory(name);
+        return {
+          name: name,
+          count: count,
+          displayName: this.taxonomy.displayName(name),
+          group: category ? category.group.id : null
+        };
+      })
+      .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name));
+  }
+
+  // The category taxonomy filled in with entries, for browsing by theme
+  // Returns [{ id, name, description, count, categories: [{ id, name, description, count, entries }] }]
+  browseCategories() {
+    return this.taxonomy.browse(this.buzzwords);
+  }
+
+  // List dictionary entries alphabetically by phrase
+  // options.category: only return entries from this category or category group
+  listEntries(options = {}) {
+    return this.alphabetical
+      .filter(buzzword => !options.category || this.taxonomy.matches(options.category, buzzword.category));
+  }
+
+  // The dictionary A to Z in sections by first letter, accents ignored, for reading through
+  // options.categories: only entries in one of these categories or category groups
+  // options.text: only entries with it in their phrase, variants, translation or alternatives
+  // Returns [{ letter, entries }] for letters with entries, in GLOSSARY_LETTERS order
+  glossary(options = {}) {
+    const fold = value => this.foldGlossaryText(value);
+    const categories = Array.isArray(options.categories) ? options.categories : [];
+    const text = typeof options.text === 'string' ? fold(options.text).trim() : '';
+
+    const sections = new Map();
+    this.listEntries()
+      .filter(entry => categories.length === 0 || categories.some(id => this.taxonomy.matches(id, entry.category)))
+      .filter(entry => !text || [entry.phrase, entry.translation]
+        .concat(entry.variants || [], entry.alternatives || [])
+        .some(value => typeof value === 'string' && fold(value).includes(text)))
+      .forEach(entry => {
+        const first = fold(entry.phrase).charAt(0).toUpperCase();
+        const letter = GLOSSARY_LETTERS.includes(first) ? first : '#';
+        if (!sections.has(letter)) {
+          sections.set(letter, []);
+        }
+        sections.get(letter).push(entry);
+      });
+
+    return GLOSSARY_LETTERS
+      .filter(letter => sections.has(letter))
+      .map(letter => ({ letter: letter, entries: sections.get(letter) }));
+  }
+
+  // Glossary text compared without case or accents ("Über" -> "uber")
+  foldGlossaryText(value) {
+    return String(value).normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+  }
+
+  // Where the glossary's find text appears in a value, compared as glossary() compares it
+  // Returns [start, end) ranges in the value as written, in order
+  glossaryMatches(value, text) {
+    const needle = this.foldGlossaryText(text).trim();
+    if (!needle) {
+      return [];
+    }
+
+    // Fold a character at a time, remembering which characters each folded one came from
+    let folded = '';
+    const starts = [];
+    const ends = [];
+    let offset = 0;
+    for (const char of String(value)) {
+      const foldedChar = this.foldGlossaryText(char);
+      if (!foldedChar && ends.length > 0) {
+        ends[ends.length - 1] = offset + char.length; // a combining accent stays with its letter
+      }
+      for (let i = 0; i < foldedChar.length; i++) {
+        starts.push(offset);
+        ends.push(offset + char.length);
+      }
+      folded += foldedChar;
+      offset += char.length;
+    }
+
+    const ranges = [];
+    let found = folded.indexOf(needle);
+    while (found !== -1) {
+      ranges.push([starts[found], ends[found + needle.length - 1]]);
+      found = folded.indexOf(needle, found + needle.length);
+    }
+    return ranges;
+  }
+
+  // Pick a dictionary entry at random
+  getRandomEntry() {
+    return this.buzzwords[Math.floor(Math.random() * this.buzzwords.length)];
+  }
+
+  // Find every phrase and keyword occurrence in running text
+  // Returns { text, annotations, terms } as described in text-analyzer.js
+  analyzeText(text, options = {}) {
+    if (!this.textAnalyzer) {
+      const TextAnalyzer = typeof BuzzwordTextAnalyzer !== 'undefined'
+        ? BuzzwordTextAnalyzer
+        : require('./text-analyzer.js');
+      this.textAnalyzer = new TextAnalyzer(this.buzzwords, {
+        maxTextLength: this.maxTextLength,
+        stemmer: this.stemmer
+      });
+    }
+
+    return this.textAnalyzer.analyze(text, options);
+  }
+
+  // Find the jargon for a plain-English description ("use available time" -> "bandwidth")
+  // by matching it against translations, alternatives and context
+  // options.limit: maximum number of results (default ranking.limit)
+  // options.explain: attach each matched word's share of the score
+  // Returns result objects shaped like search(), with matchType 'meaning' and the
+  // description words that matched in matchedKeywords
+  reverseSearch(text, options = {}) {
+    if (typeof text !== 'string') {
+      throw new Error('Invalid description provided to reverse search');
+    }
+
+    if (!this.meaningIndex) {
+      const MeaningIndex = typeof BuzzwordMeaningIndex !== 'undefined'
+        ? BuzzwordMeaningIndex
+        : require('./meaning-index.js');
+      this.meaningIndex = new MeaningIndex(this.buzzwords, { stemmer: this.stemmer });
+    }
+
+    return this.meaningIndex.search(text, options.limit || this.ranking.limit)
+      .filter(match => match.score > this.ranking.meaning.minScore)
+      .map(match => {
+        const result = this.createResult(match.entry, match.score, 'meaning', match.matchedWords);
+        if (options.explain) {
+          result.explanation = this.explainResult(result, match.contributions.map(contribution => ({
+            signal: 'meaning',
+            value: contribution.value,
+            detail: `"${contribution.words.join('", "')}" found in ${contribution.fields.join(', ')}`
+          })));
+        }
+        return result;
+      });
+  }
+
+  // Suggest loosely related phrases for a query that found nothing
+  // Returns up to `limit` objects: { phrase, translation, relevance }
+  findSimilar(searchQuery, limit = 6) {
+    if (!searchQuery || searchQuery.length < 2) {
+      return [];
+    }
+
+    const query = searchQuery.toLowerCase().trim();
+    const suggestions = [];
+
+    // Find buzzwords that contain parts of the search query
+    this.buzzwords.forEach(buzzword => {
+      const phrase = buzzword.phrase.toLowerCase();
+      const keywords = buzzword.keywords.map(k => k.toLowerCase());
+
+      // Check if any keyword starts with the query
+      const startsWithMatch = keywords.some(keyword =>
+        keyword.startsWith(query) || query.startsWith(keyword)
+      );
+
+      // Check if phrase contains query or vice versa
+      const containsMatch = phrase.includes(query) || query.includes(phrase);
+
+      // Check for partial word matches
+      const partialMatch = keywords.some(keyword =>
+        keyword.includes(query) && Math.abs(keyword.length - query.length) <= 3
+      );
+
+      if (startsWithMatch || containsMatch || partialMatch) {
+        suggestions.push({
+          phrase: buzzword.phrase,
+          translation: buzzword.translation,
+          relevance: startsWithMatch ? 3 : (containsMatch ? 2 : 1)
+        });
+      }
+    });
+
+    // Sort by relevance and return the best matches
+    return suggestions
+      .sort((a, b) => b.relevance - a.relevance)
+      .slice(0, limit);
+  }
+
+  // Typeahead suggestions for text being typed into the search box: phrases that start with
+  // it, then phrases with a variant that does, then phrases with a later word that does,
+  // shortest first, topped up with close search() results. Text using query syntax gets none.
+  // Candidates come from the index, so only entries sharing a word start with the text are read.
+  // options.fuzzy: false leaves out the search() top-up, which costs a full search, for
+  //   calling on every keystroke (default true)
+  // Returns up to `limit` objects: { phrase, translation, matchType, highlight, variant }
+  //   where matchType is 'prefix', 'variant', 'word' or 'fuzzy', highlight is the
+  //   [start, end) of the typed text within the phrase (null for variant and fuzzy
+  //   matches), and variant is the variant that matched
+  suggest(text, limit = SUGGESTION_LIMIT, options = {}) {
+    if (typeof text !== 'string') {
+      throw new Error('Invalid text provided to suggest');
+    }
+
+    // Hyphens count as spaces, which keeps positions in the phrase unchanged
+    const fold = value => value.toLowerCase().replace(/-/g, ' ');
+    const typed = fold(text).trim().replace(/\s+/g, ' ');
+    if (!typed || this.queryParser.hasFilters(this.parseQuery(text))) {
+      return [];
+    }
+
+    const tiers = { prefix: [], variant: [], word: [] };
+    this.index.complete(typed).forEach(entry => {
+      const phrase = fold(entry.phrase);
+      if (phrase.startsWith(typed)) {
+        tiers.prefix.push({ entry: entry, highlight: [0, typed.length] });
+        return;
+      }
+
+      const variant = (entry.variants || []).find(candidate => typeof candidate === 'string' && fold(candidate).startsWith(typed));
+      if (variant) {
+        tiers.variant.push({ entry: entry, variant: variant });
+        return;
+      }
+
+      const wordStart = phrase.indexOf(` ${typed}`);
+      if (wordStart !== -1) {
+        tiers.word.push({ entry: entry, highlight: [wordStart + 1, wordStart + 1 + typed.length] });
+      }
+    });
+
+    const suggestions = [];
+    const seen = new Set();
+    const add = (entry, matchType, highlight = null, variant = null) => {
+      const key = entry.phrase.toLowerCase();
+      if (suggestions.length < limit && !seen.has(key)) {
+        seen.add(key);
+        suggestions.push({ phrase: entry.phrase, translation: entry.translation, matchType, highlight, variant });
+      }
+    };
+
+    // Equal lengths go A to Z
+    Object.entries(tiers).forEach(([matchType, matches]) => {
+      matches
+        .sort((a, b) => a.entry.phrase.length - b.entry.phrase.length ||
+          this.alphabeticalPosition.get(a.entry) - this.alphabeticalPosition.get(b.entry))
+        .forEach(match => add(match.entry, matchType, match.highlight || null, match.variant || null));
+    });
+
+    if (options.fuzzy !== false && suggestions.length < limit && typed.length >= SUGGESTION_FUZZY_MIN_LENGTH) {
+      this.search(text, { limit: limit }).forEach(result => {
+        const entry = this.getEntry(result.match);
+        if (entry && result.relevanceScore >= SUGGESTION_MIN_SCORE) {
+          add(entry, 'fuzzy');
+        }
+      });
+    }
+
+    return suggestions;
+  }
+
+  // Comprehensive relevance scoring system
+  // query: { normalized, words, stemmedWords, stems, compact, codes, wordCodes, fuzzyMatches, phraseMatches }
+  //   as built by search(), where fuzzyMatches maps query word -> Map(token -> edit distance)
+  //   and phraseMatches maps phrase -> edit distance from the index, and codes/wordCodes are
+  //   phonetic codes for the query and its words
+  // signals: optional array that receives { signal, value, detail } for each scoring step
+  calculateRelevanceScore(buzzword, query, signals = null) {
+    const { tiers, fuzzy } = this.ranking;
+    const phrase = buzzword.phrase.toLowerCase();
+    const normalizedQuery = query.normalized;
+    let relevanceScore = 0;
+    let matchedKeywords = [];
+    let matchType = '';
+    let variant = null;
+    const sounds = this.index.getSounds(buzzword);
+    const stemMatch = phrase === normalizedQuery ? null : this.calculateStemMatch(buzzword, query);
+
+    // 1. Exact phrase match (highest priority)
+    if (phrase === normalizedQuery) {
+      relevanceScore = tiers.exact;
+      matchType = 'exact';
+      matchedKeywords = [normalizedQuery];
+      if (signals) signals.push({ signal: 'exact', value: tiers.exact, detail: 'query is the phrase' });
+    }
+    // 2. A spelling or form the entry lists as a variant ("low-hanging fruit", "touching base")
+    else if ((variant = this.findVariant(buzzword, normalizedQuery))) {
+      relevanceScore = tiers.variant;
+      matchType = 'variant';
+      matchedKeywords = [variant];
+      if (signals) signals.push({ signal: 'variant', value: relevanceScore, detail: `query is the variant "${variant}"` });
+    }
+    // 3. The phrase with different spacing or hyphens ("wheel house", "end to end")
+    else if (sounds && query.compact === sounds.compact) {
+      relevanceScore = tiers.spacing;
+      matchType = 'spacing';
+      matchedKeywords = [phrase];
+      if (signals) signals.push({ signal: 'spacing', value: relevanceScore, detail: 'query is the phrase once spaces and hyphens are ignored' });
+    }
+    // 4. The phrase in another form, e.g. "circling back to" for "circle back"
+    else if (stemMatch && stemMatch.matchType === 'inflected') {
+      relevanceScore = stemMatch.score;
+      matchType = stemMatch.matchType;
+      matchedKeywords = [phrase];
+      if (signals) signals.push({ signal: 'inflected', value: stemMatch.score, detail: stemMatch.detail });
+    }
+    // 5. Phrase contains query (high priority)
+    else if (phrase.includes(normalizedQuery)) {
+      relevanceScore = tiers.phraseContains;
+      matchType = 'phrase_contains';
+      matchedKeywords = [normalizedQuery];
+      if (signals) signals.push({ signal: 'phrase_contains', value: relevanceScore, detail: 'phrase contains the query' });
+    }
+    // 6. Query contains phrase (medium-high priority)
+    else if (normalizedQuery.includes(phrase)) {
+      relevanceScore = tiers.queryContains;
+      matchType = 'query_contains';
+      matchedKeywords = [phrase];
+      if (signals) signals.push({ signal: 'query_contains', value: relevanceScore, detail: 'query contains the phrase' });
+    }
+    // 7. The same containment checks on word stems ("circled back with" contains "circle back")
+    else if (stemMatch) {
+      relevanceScore = stemMatch.score;
+      matchType = stemMatch.matchType;
+      matchedKeywords = [phrase];
+      if (signals) signals.push({ signal: `stem_${stemMatch.matchType}`, value: stemMatch.score, detail: stemMatch.detail });
+    }
+    // 8. All keywords match (medium priority)
+    else {
+      const keywordMatchResult = this.calculateKeywordMatches(buzzword, query, signals);
+      if (keywordMatchResult.score > 0) {
+        relevanceScore = keywordMatchResult.score;
+        matchedKeywords = keywordMatchResult.matches;
+        matchType = 'keyword';
+      }
+    }
+
+    // 9. Sounds like the phrase, for spellings of what was heard ("sin ergy", "paradime shift")
+    if (relevanceScore < tiers.phonetic && sounds && this.soundsAlike(query.compact, query.codes, sounds.compact, sounds.codes)) {
+      relevanceScore = tiers.phonetic;
+      matchType = 'phonetic';
+      matchedKeywords = [phrase];
+      if (signals) {
+        signals.length = 0;
+        signals.push({ signal: 'phonetic', value: relevanceScore, detail: `query sounds like the phrase (${sounds.codes[0]})` });
+      }
+    }
+
+    // 10. Fuzzy string matching for typos and partial matches
+    if (relevanceScore === 0) {
+      const fuzzyResult = query.phraseMatches.has(phrase)
+        ? this.calculateFuzzyMatch(phrase, normalizedQuery, query.phraseMatches.get(phrase))
+        : this.calculateFuzzyMatch(phrase, normalizedQuery);
+      if (fuzzyResult.score > fuzzy.minSimilarity) {
+        relevanceScore = fuzzyResult.score * fuzzy.multiplier; // Lower weight for fuzzy matches
+        matchType = 'fuzzy';
+        matchedKeywords = [normalizedQuery];
+        if (signals) {
+          signals.push(
+            { signal: 'similarity', value: fuzzyResult.score, detail: 'edit-distance similarity plus shared-prefix bonus' },
+            { signal: 'fuzzy_weight', value: fuzzy.multiplier, detail: 'multiplier for whole-phrase typo matches' }
+          );
+        }
+      }
+    }
+
+    return this.createResult(buzzword, relevanceScore, matchType, matchedKeywords);
+  }
+
+  // The entry variant the query is, ignoring case and runs of spaces, or null
+  findVariant(buzzword, normalizedQuery) {
+    if (!Array.isArray(buzzword.variants)) {
+      return null;
+    }
+
+    const query = normalizedQuery.replace(/\s+/g, ' ');
+    return buzzword.variants.find(variant =>
+      typeof variant === 'string' && variant.toLowerCase().trim().replace(/\s+/g, ' ') === query
+    ) || null;
+  }
+
+  // Compare phrase and query word stems
+  // An inflected phrase padded only by small words ("circling back to") counts as exact;
+  // other surrounding words or a partial phrase score just below their unstemmed
+  // counterparts, so a literal substring still wins a tie
+  // Returns { score, matchType, detail } or null
+  calculateStemMatch(buzzword, query) {
+    const { tiers } = this.ranking;
+    const stems = this.index.getStems(buzzword);
+    if (!stems || stems.phrase.length === 0 || query.stems.length === 0) {
+      return null;
+    }
+
+    const phraseAt = this.findStemSequence(query.stems, stems.phrase);
+    if (phraseAt !== -1) {
+      const leftover = query.stemmedWords.filter((word, i) =>
+        i < phraseAt || i >= phraseAt + stems.phrase.length
+      );
+      return leftover.every(word => this.stemmer.isFunctionWord(word))
+        ? { score: tiers.inflected, matchType: 'inflected', detail: 'same words as the phrase once inflections are removed' }
+        : { score: tiers.stemQueryContains, matchType: 'query_contains', detail: 'query contains the phrase once both are stemmed' };
+    }
+
+    // Function words alone ("on the") are too common to place a phrase
+    const meaningful = query.stemmedWords.some(word => !this.stemmer.isFunctionWord(word));
+    if (meaningful && this.findStemSequence(stems.phrase, query.stems) !== -1) {
+      return { score: tiers.stemPhraseContains, matchType: 'phrase_contains', detail: 'phrase contains the query once both are stemmed' };
+    }
+
+    return null;
+  }
+
+  // Whether two spellings share a phonetic code and are also spelled roughly alike,
+  // since short codes collide ("rapid" and "repeat" are both RPT)
+  soundsAlike(text, codes, otherText, otherCodes) {
+    return codes.some(code => otherCodes.includes(code)) &&
+      this.calculateFuzzyMatch(this.phonetic.compact(text), this.phonetic.compact(otherText)).score >
+        this.ranking.fuzzy.phoneticMinSimilarity;
+  }
+
+  // Position where `needle` occurs as a contiguous run inside `haystack`, or -1
+  findStemSequence(haystack, needle) {
+    for (let start = 0; start + needle.length <= haystack.length; start++) {
+      if (needle.every((stem, offset) => haystack[start + offset] === stem)) {
+        return start;
+      }
+    }
+    return -1;
+  }
+
+  // Build the result object shared by every kind of match
+  createResult(buzzword, relevanceScore, matchType, matchedKeywords) {
+    return {
+      match: buzzword.phrase,
+      translation: buzzword.translation,
+      relevanceScore: relevanceScore,
+      matchedKeywords: [...new Set(matchedKeywords)],
+      category: buzzword.category,
+      context: buzzword.context,
+      domain: buzzword.domain,
+      alternatives: buzzword.alternatives,
+      variants: buzzword.variants,
+      links: this.linkedPhrases(buzzword.phrase),
+      origin: buzzword.origin,
+      era: buzzword.era,
+      examples: buzzword.examples,
+      frequency: buzzword.frequency,
+      cringe: buzzword.cringe,
+      multipleMeanings: buzzword.multipleMeanings,
+      added: buzzword.added,
+      updated: buzzword.updated,
+      pack: buzzword.pack,
+      matchType: matchType
+    };
+  }
+
+  // The phrases an entry links to, by type, with empty types left out
+  linkedPhrases(phrase) {
+    const links = {};
+    Object.entries(this.relations.linksFor(phrase)).forEach(([type, entries]) => {
+      if (entries.length > 0) {
+        links[type] = entries.map(entry => entry.phrase);
+      }
+    });
+    return links;
+  }
+
+  // Package the signals recorded while scoring a result
+  // Returns { score, matchType, signals: [{ signal, value, detail }] }
+  explainResult(result, signals) {
+    return {
+      score: result.relevanceScore,
+      matchType: result.matchType,
+      signals: signals
+    };
+  }
+
+  // Keyword matching with partial word support
+  // Typo tolerance reuses the edit distances the index already found instead of recomputing them
+  // signals: optional array that receives each word's best keyword and the combined score
+  calculateKeywordMatches(buzzword, query, signals = null) {
+    const weights = this.ranking.keyword;
+    const queryWords = query.words;
+    const keywordStems = (this.index.getStems(buzzword) || {}).keywords || new Map();
+    const keywordSounds = (this.index.getSounds(buzzword) || {}).keywords || new Map();
+    let totalMatches = 0;
+    let matchedKeywords = [];
+
+    queryWords.forEach(queryWord => {
+      let bestMatch = 0;
+      let bestKeyword = '';
+      let bestReason = '';
+      const nearbyTokens = query.fuzzyMatches.get(queryWord);
+      const queryStem = this.stemmer.stem(queryWord);
+      const wordCodes = (query.wordCodes && query.wordCodes.get(queryWord)) || [];
+
+      // Keep the strongest way this word meets any keyword
+      const consider = (score, keyword, reason) => {
+        if (score > bestMatch) {
+          bestMatch = score;
+          bestKeyword = keyword;
+          bestReason = reason;
+        }
+      };
+
+      buzzword.keywords.forEach(keyword => {
+        const keywordLower = keyword.toLowerCase();
+
+        // Exact keyword match
+        if (keywordLower === queryWord) {
+          consider(weights.exact, keywordLower, 'is the keyword');
+        }
+        // Same word in another form ("pivoting" for "pivot")
+        else if (keywordStems.get(keywordLower) === queryStem) {
+          consider(weights.stem, keywordLower, 'is a form of the keyword');
+        }
+        // Keyword contains query word
+        else if (keywordLower.includes(queryWord)) {
+          consider(weights.keywordContainsWord, keywordLower, 'is part of the keyword');
+        }
+        // Query word contains keyword
+        else if (queryWord.includes(keywordLower)) {
+          consider(weights.wordContainsKeyword, keywordLower, 'contains the keyword');
+        }
+        // Keyword spelled the way it sounds ("paradime" for "paradigm")
+        else if (keywordLower.length >= PHONETIC_MIN_LENGTH &&
+          this.soundsAlike(queryWord, wordCodes, keywordLower, keywordSounds.get(keywordLower) || [])) {
+          consider(weights.phonetic, keywordLower, 'sounds like the keyword');
+        }
+        // Fuzzy match for keywords within the index's edit distance bound
+        else if (nearbyTokens && nearbyTokens.has(keywordLower)) {
+          const fuzzyScore = this.calculateFuzzyMatch(keywordLower, queryWord, nearbyTokens.get(keywordLower)).score;
+          if (fuzzyScore > weights.fuzzyMinSimilarity) {
+            consider(fuzzyScore * weights.fuzzyWeight, keywordLower, 'is a likely typo of the keyword');
+          }
+        }
+      });
+
+      if (bestMatch > 0) {
+        totalMatches += bestMatch;
+        matchedKeywords.push(queryWord);
+        if (signals) {
+          signals.push({ signal: 'keyword', value: bestMatch, detail: `"${queryWord}" ${bestReason} "${bestKeyword}"` });
+        }
+      }
+    });
+
+    if (totalMatches === 0) {
+      return { score: 0, matches: [] };
+    }
+
+    const coverage = totalMatches / Math.max(queryWords.length, buzzword.keywords.length);
+    const uncapped = weights.base + coverage * weights.coverageWeight;
+    const score = Math.min(weights.cap, uncapped);
+
+    if (signals) {
+      signals.push(
+        { signal: 'keyword_coverage', value: coverage, detail: `keyword matches / max(${queryWords.length} query words, ${buzzword.keywords.length} keywords)` },
+        { signal: 'keyword_score', value: score, detail: `${weights.base} + coverage × ${weights.coverageWeight}${uncapped > weights.cap ? `, capped at ${weights.cap}` : ''}` }
+      );
+    }
+
+    return {
+      score: score,
+      matches: matchedKeywords
+    };
+  }
+
+  // Simple fuzzy matching algorithm for typos and similar strings
+  // Pass a known edit distance to skip computing it again
+  calculateFuzzyMatch(str1, str2, distance = this.levenshteinDistance(str1, str2)) {
+    const maxLength = Math.max(str1.length, str2.length);
+
+    if (maxLength === 0) return { score: 1.0 };
+
+    const similarity = 1 - (distance / maxLength);
+
+    // Bonus for common prefixes
+    let prefixBonus = 0;
+    const minLength = Math.min(str1.length, str2.length);
+    for (let i = 0; i < minLength; i++) {
+      if (str1[i] === str2[i]) {
+        prefixBonus += this.ranking.fuzzy.prefixBonus;
+      } else {
+        break;
+      }
+    }
+
+    return {
+      score: Math.min(1.0, similarity + prefixBonus)
+    };
+  }
+
+  // Levenshtein distance algorithm for fuzzy matching
+  levenshteinDistance(str1, str2) {
+    return this.index.fuzzyTree.distance(str1, str2);
+  }
+
+  // Merge ranking overrides onto DEFAULT_RANKING
+  // Unknown settings and non-numeric values throw, so a typo in a tuning file is not silently ignored
+  static createRankingConfig(overrides = {}) {
+    const merge = (defaults, changes, path) => {
+      const merged = {};
+
+      Object.keys(changes || {}).forEach(key => {
+        if (!(key in defaults)) {
+          throw new Error(`Unknown ranking setting: ${path}${key}`);
+        }
+      });
+
+      Object.keys(defaults).forEach(key => {
+        const value = changes && changes[key] !== undefined ? changes[key] : defaults[key];
+
+        if (typeof defaults[key] === 'object') {
+          if (typeof value !== 'object' || value === null) {
+            throw new Error(`Invalid ranking setting ${path}${key}: expected an object of settings`);
+          }
+          merged[key] = merge(defaults[key], changes && changes[key], `${path}${key}.`);
+        } else if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+          throw new Error(`Invalid ranking setting ${path}${key}: expected a non-negative number`);
+        } else {
+          merged[key] = value;
+        }
+      });
+
+      return merged;
+    };
+
+    return merge(DEFAULT_RANKING, overrides, '');
+  }
+}
+
+// The defaults, so callers can read them before deciding what to override
+Object.values(DEFAULT_RANKING).forEach(value => typeof value === 'object' && Object.freeze(value));
+BuzzwordSearch.DEFAULT_RANKING = Object.freeze(DEFAULT_RANKING);
+BuzzwordSearch.SUGGESTION_LIMIT = SUGGESTION_LIMIT;
+BuzzwordSearch.GLOSSARY_LETTERS = GLOSSARY_LETTERS;
+
+// Export the search core for use in Node scripts and the browser
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = BuzzwordSearch;
+} else if (typeof window !== 'undefined') {
+  window.BuzzwordSearch = BuzzwordSearch;
+}
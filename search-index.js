@@ -0,0 +1,436 @@
+// Corporate Buzzword Translator - Search Index
+// Lookup structures built once at load time so each keystroke avoids a full dictionary scan:
+// an inverted token index, prefix tries for phrases/keywords and word fragments,
+// and a BK-tree for bounded-distance fuzzy lookups. Every entry BuzzwordSearch would
+// score above its threshold is among the candidates; only the rest are skipped
+
+// Character trie mapping string keys to sets of values, queried by prefix
+class PrefixTrie {
+  constructor() {
+    this.root = { children: new Map(), values: null };
+    this.size = 0;
+  }
+
+  // Store a value under the given key
+  insert(key, value) {
+    let node = this.root;
+
+    for (const char of key) {
+      let next = node.children.get(char);
+      if (!next) {
+        next = { children: new Map(), values: null };
+        node.children.set(char, next);
+      }
+      node = next;
+    }
+
+    if (!node.values) {
+      node.values = new Set();
+      this.size++;
+    }
+    node.values.add(value);
+  }
+
+  // Return the node reached by walking the prefix, or null
+  findNode(prefix) {
+    let node = this.root;
+
+    for (const char of prefix) {
+      node = node.children.get(char);
+      if (!node) {
+        return null;
+      }
+    }
+
+    return node;
+  }
+
+  // Collect every value stored under keys that start with the prefix
+  collect(prefix, into = new Set()) {
+    const start = this.findNode(prefix);
+    if (!start) {
+      return into;
+    }
+
+    const stack = [start];
+    while (stack.length > 0) {
+      const node = stack.pop();
+      if (node.values) {
+        node.values.forEach(value => into.add(value));
+      }
+      node.children.forEach(child => stack.push(child));
+    }
+
+    return into;
+  }
+}
+
+// Burkhard-Keller tree over strings for "everything within edit distance n" queries
+class BKTree {
+  constructor(distance = BKTree.levenshteinDistance) {
+    this.distance = distance;
+    this.root = null;
+    this.size = 0;
+  }
+
+  // Add a word to the tree, ignoring duplicates
+  insert(word) {
+    if (!this.root) {
+      this.root = { word: word, children: new Map() };
+      this.size++;
+      return;
+    }
+
+    let node = this.root;
+    while (true) {
+      const distance = this.distance(word, node.word);
+      if (distance === 0) {
+        return;
+      }
+
+      const child = node.children.get(distance);
+      if (!child) {
+        node.children.set(distance, { word: word, children: new Map() });
+        this.size++;
+        return;
+      }
+      node = child;
+    }
+  }
+
+  // Find every word within maxDistance of the query
+  // Returns a Map of word -> distance
+  search(query, maxDistance) {
+    const matches = new Map();
+    if (!this.root) {
+      return matches;
+    }
+
+    const stack = [this.root];
+    while (stack.length > 0) {
+      const node = stack.pop();
+      const distance = this.distance(query, node.word);
+
+      if (distance <= maxDistance) {
+        matches.set(node.word, distance);
+      }
+
+      // Triangle inequality: only subtrees in [d - n, d + n] can hold matches
+      node.children.forEach((child, childDistance) => {
+        if (childDistance >= distance - maxDistance && childDistance <= distance + maxDistance) {
+          stack.push(child);
+        }
+      });
+    }
+
+    return matches;
+  }
+
+  // Levenshtein distance using two rolling rows instead of a full matrix
+  static levenshteinDistance(a, b) {
+    if (a === b) return 0;
+    if (a.length === 0) return b.length;
+    if (b.length === 0) return a.length;
+
+    let previous = new Uint16Array(b.length + 1);
+    let current = new Uint16Array(b.length + 1);
+    for (let j = 0; j <= b.length; j++) {
+      previous[j] = j;
+    }
+
+    for (let i = 1; i <= a.length; i++) {
+      const charCode = a.charCodeAt(i - 1);
+      current[0] = i;
+      for (let j = 1; j <= b.length; j++) {
+        const cost = charCode === b.charCodeAt(j - 1) ? 0 : 1;
+        current[j] = Math.min(
+          previous[j - 1] + cost, // substitution
+          current[j - 1] + 1,     // insertion
+          previous[j] + 1         // deletion
+        );
+      }
+      [previous, current] = [current, previous];
+    }
+
+    return previous[b.length];
+  }
+}
+
+// Combined index over a buzzword dictionary, addressed by entry position
+// options.stemmer: optional EnglishStemmer, enables lookups by inflection-free stem
+// options.phonetic: optional PhoneticEncoder, enables sound-alike and spacing-insensitive lookups
+class BuzzwordIndex {
+  constructor(buzzwords, options = {}) {
+    if (!buzzwords || !Array.isArray(buzzwords)) {
+      throw new Error('Invalid buzzwords database provided to search index');
+    }
+
+    this.entries = buzzwords;
+    this.tokenIndex = new Map();          // exact token -> Set of entry ids
+    this.termTrie = new PrefixTrie();     // full phrases, variants and keywords, for multi-word substrings
+    this.fragmentTrie = new PrefixTrie(); // every suffix of every token, for substring lookups
+    this.fuzzyTree = new BKTree();        // distinct tokens, for typo tolerance
+    this.phraseIds = new Map();           // full phrase -> Set of entry ids, for whole-phrase typos
+    this.stemmer = options.stemmer || null;
+    this.stemIndex = new Map();           // word stem -> Set of entry ids
+    this.stemsByEntry = new Map();        // entry -> { phrase: [stems], keywords: Map(keyword -> stem) }
+    this.phonetic = options.phonetic || null;
+    this.compactIndex = new Map();        // phrase without spaces or hyphens -> Set of entry ids
+    this.soundIndex = new Map();          // phonetic code of a phrase or keyword -> Set of entry ids
+    this.soundsByEntry = new Map();       // entry -> { compact, codes: [phrase codes], keywords: Map(keyword -> codes) }
+
+    buzzwords.forEach((buzzword, id) => {
+      if (!buzzword || typeof buzzword !== 'object' || !buzzword.phrase) {
+        return;
+      }
+
+      const phrase = buzzword.phrase.toLowerCase();
+      this.termTrie.insert(phrase, id);
+      this.addToSet(this.phraseIds, phrase, id);
+
+      this.tokenize(phrase).forEach(token => this.addToken(token, id));
+
+      (buzzword.keywords || []).forEach(keyword => {
+        const normalizedKeyword = String(keyword).toLowerCase();
+        this.termTrie.insert(normalizedKeyword, id);
+        this.addToken(normalizedKeyword, id);
+      });
+
+      // Variants complete and reach their entry like the phrase does
+      (buzzword.variants || []).forEach(variant => {
+        const normalizedVariant = String(variant).toLowerCase().trim();
+        this.termTrie.insert(normalizedVariant, id);
+        this.tokenize(normalizedVariant).forEach(token => this.addToken(token, id));
+      });
+
+      if (this.stemmer) {
+        this.addStems(buzzword, id);
+      }
+
+      if (this.phonetic) {
+        this.addSounds(buzzword, id);
+      }
+    });
+  }
+
+  // Record how an entry's phrase and keywords are written without spaces and how they sound
+  addSounds(buzzword, id) {
+    const sounds = {
+      compact: this.phonetic.compact(buzzword.phrase),
+      codes: this.phonetic.codes(buzzword.phrase),
+      keywords: new Map()
+    };
+
+    this.addToSet(this.compactIndex, sounds.compact, id);
+    sounds.codes.forEach(code => this.addToSet(this.soundIndex, code, id));
+
+    (buzzword.keywords || []).forEach(keyword => {
+      const normalizedKeyword = String(keyword).toLowerCase();
+      const codes = this.phonetic.codes(normalizedKeyword);
+      sounds.keywords.set(normalizedKeyword, codes);
+      codes.forEach(code => this.addToSet(this.soundIndex, code, id));
+    });
+
+    this.soundsByEntry.set(buzzword, sounds);
+  }
+
+  // Sound-alike keys recorded for an entry, or null when the index has no phonetic encoder
+  getSounds(buzzword) {
+    return this.soundsByEntry.get(buzzword) || null;
+  }
+
+  // Add an entry id to the set stored under a key
+  addToSet(map, key, id) {
+    let ids = map.get(key);
+    if (!ids) {
+      ids = new Set();
+      map.set(key, ids);
+    }
+    ids.add(id);
+  }
+
+  // Record the stems of an entry's phrase and keywords
+  addStems(buzzword, id) {
+    const stems = {
+      phrase: this.stemmer.stemWords(buzzword.phrase),
+      keywords: new Map()
+    };
+
+    (buzzword.keywords || []).forEach(keyword => {
+      const normalizedKeyword = String(keyword).toLowerCase();
+      stems.keywords.set(normalizedKeyword, this.stemmer.stemWords(normalizedKeyword).join(' '));
+    });
+
+    stems.phrase.concat([...stems.keywords.values()]).forEach(stem => this.addToSet(this.stemIndex, stem, id));
+
+    this.stemsByEntry.set(buzzword, stems);
+  }
+
+  // Stems recorded for an entry, or null when the index has no stemmer
+  getStems(buzzword) {
+    return this.stemsByEntry.get(buzzword) || null;
+  }
+
+  // Split a phrase into lowercase word tokens, keeping hyphenated words whole as well
+  tokenize(text) {
+    const words = text.toLowerCase().split(/\s+/).filter(word => word.length > 0);
+    const tokens = new Set(words);
+
+    words.forEach(word => {
+      if (word.includes('-')) {
+        word.split('-').filter(part => part.length > 0).forEach(part => tokens.add(part));
+      }
+    });
+
+    return [...tokens];
+  }
+
+  // Register a token for an entry in every lookup structure
+  addToken(token, id) {
+    let ids = this.tokenIndex.get(token);
+    if (!ids) {
+      ids = new Set();
+      this.tokenIndex.set(token, ids);
+      this.fuzzyTree.insert(token);
+
+      for (let start = 0; start < token.length; start++) {
+        this.fragmentTrie.insert(token.slice(start), token);
+      }
+    }
+    ids.add(id);
+  }
+
+  // Entry ids whose phrase or keywords contain the fragment anywhere
+  idsContaining(fragment, into = new Set()) {
+    this.fragmentTrie.collect(fragment).forEach(token => {
+      this.tokenIndex.get(token).forEach(id => into.add(id));
+    });
+    return into;
+  }
+
+  // Entry ids with a token inside the word ("use" in "useful"), for queries that contain a keyword
+  idsWithin(word, into = new Set()) {
+    for (let start = 0; start < word.length; start++) {
+      for (let end = start + 1; end <= word.length; end++) {
+        const ids = this.tokenIndex.get(word.slice(start, end));
+        if (ids) {
+          ids.forEach(id => into.add(id));
+        }
+      }
+    }
+    return into;
+  }
+
+  // Phrases the whole text could be a typo of. The shared-prefix bonus lets very distant
+  // phrases through ("optimal" for "optimize"), so no edit distance bound narrows this down:
+  // every distinct phrase is measured, and only those acceptPhrase keeps are scored.
+  // acceptPhrase(phrase, distance) decides whether a phrase is close enough to count
+  // Returns a Map of phrase -> distance
+  fuzzyPhrases(text, acceptPhrase) {
+    const matches = new Map();
+    this.phraseIds.forEach((ids, phrase) => {
+      const distance = BKTree.levenshteinDistance(text, phrase);
+      if (distance > 0 && acceptPhrase(phrase, distance)) {
+        matches.set(phrase, distance);
+      }
+    });
+    return matches;
+  }
+
+  // Tokens within a length-scaled edit distance of the word: 1 edit up to
+  // four letters, 2 up to eight, 3 beyond that
+  // Returns a Map of token -> distance
+  fuzzyTokens(word) {
+    const maxDistance = word.length <= 4 ? 1 : (word.length <= 8 ? 2 : 3);
+    return this.fuzzyTree.search(word, maxDistance);
+  }
+
+  // Gather every entry worth scoring for a query
+  // query: { normalized, words, stems, compact, codes, wordCodes } where stems and the
+  //   sound keys (see BuzzwordSearch.search) are present when the index was built with them
+  // acceptFuzzy(word, token, distance) decides whether a near-miss token is close enough to count
+  // acceptPhrase(phrase, distance) does the same for the whole query against whole phrases;
+  //   without it no whole-phrase typos are looked for
+  // Returns { entries, fuzzyMatches, phraseMatches } where fuzzyMatches maps
+  //   query word -> Map(token -> distance) and phraseMatches maps phrase -> distance
+  findCandidates(query, acceptFuzzy = () => true, acceptPhrase = null) {
+    const ids = new Set();
+    const fuzzyMatches = new Map();
+
+    this.idsContaining(query.normalized, ids);
+
+    query.words.forEach(word => {
+      this.idsContaining(word, ids);
+      this.idsWithin(word, ids);
+
+      // Typos reach keyword scoring through the BK-tree rather than a substring hit
+      const fuzzy = new Map();
+      this.fuzzyTokens(word).forEach((distance, token) => {
+        if (distance > 0 && acceptFuzzy(word, token, distance)) {
+          fuzzy.set(token, distance);
+          this.tokenIndex.get(token).forEach(id => ids.add(id));
+        }
+      });
+      fuzzyMatches.set(word, fuzzy);
+    });
+
+    const addIds = keyIds => {
+      if (keyIds) {
+        keyIds.forEach(id => ids.add(id));
+      }
+    };
+
+    // Inflected forms ("leveraging") reach their entry through the shared stem
+    (query.stems || []).forEach(stem => addIds(this.stemIndex.get(stem)));
+
+    // Misheard spellings ("sin ergy") reach their entry through spacing and sound keys
+    if (query.compact) {
+      addIds(this.compactIndex.get(query.compact));
+    }
+    (query.codes || []).forEach(code => addIds(this.soundIndex.get(code)));
+    (query.wordCodes || new Map()).forEach(codes => codes.forEach(code => addIds(this.soundIndex.get(code))));
+
+    // Multi-word queries can still be a substring of a single phrase ("hanging fru")
+    if (query.words.length > 1) {
+      this.termTrie.collect(query.normalized, ids);
+    }
+
+    const phraseMatches = acceptPhrase ? this.fuzzyPhrases(query.normalized, acceptPhrase) : new Map();
+    phraseMatches.forEach((distance, phrase) => addIds(this.phraseIds.get(phrase)));
+
+    return {
+      entries: [...ids].sort((a, b) => a - b).map(id => this.entries[id]),
+      fuzzyMatches: fuzzyMatches,
+      phraseMatches: phraseMatches
+    };
+  }
+
+  // Entries that typed text could be the start of: those with a word in their phrase, a variant
+  // or a keyword that starts with the text's first word (hyphens count as spaces). Every entry
+  // whose phrase or a variant starts with the text, or has a later word that does, is among them.
+  // Returns entries in dictionary order
+  complete(prefix) {
+    const first = prefix.toLowerCase().replace(/-/g, ' ').trim().split(/\s+/)[0];
+    if (!first) {
+      return [];
+    }
+
+    const ids = new Set();
+    this.fragmentTrie.collect(first).forEach(token => {
+      if (token.startsWith(first)) {
+        this.tokenIndex.get(token).forEach(id => ids.add(id));
+      }
+    });
+
+    return [...ids].sort((a, b) => a - b).map(id => this.entries[id]);
+  }
+}
+
+// Export the index structures for use in Node scripts and the browser
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { BuzzwordIndex, PrefixTrie, BKTree };
+} else if (typeof window !== 'undefined') {
+  window.BuzzwordIndex = BuzzwordIndex;
+  window.PrefixTrie = PrefixTrie;
+  window.BKTree = BKTree;
+}
@@ -0,0 +1,206 @@
+// Corporate Buzzword Translator - English Stemmer
+// Reduces inflected words to a shared stem so "leveraging", "pivoted" and "circled back"
+// meet "leverage", "pivot" and "circle back". Irregular verbs are looked up first, then the
+// inflectional steps of the Porter algorithm (plurals, -ed, -ing, -y) and its final -e rules.
+// Derivational suffixes (-ation, -ness, ...) are deliberately left alone.
+
+// Irregular past tenses and participles mapped to their base form
+const IRREGULAR_FORMS = {
+  was: 'be', were: 'be', been: 'be', is: 'be', are: 'be', am: 'be',
+  had: 'have', has: 'have', did: 'do', done: 'do', does: 'do',
+  went: 'go', gone: 'go', goes: 'go',
+  bought: 'buy', brought: 'bring', built: 'build', caught: 'catch', chose: 'choose', chosen: 'choose',
+  dove: 'dive', drew: 'draw', drawn: 'draw', drove: 'drive', driven: 'drive', fell: 'fall', fallen: 'fall',
+  flew: 'fly', flown: 'fly', found: 'find', got: 'get', gotten: 'get', grew: 'grow', grown: 'grow',
+  held: 'hold', kept: 'keep', knew: 'know', known: 'know', led: 'lead', made: 'make', met: 'meet',
+  ran: 'run', rose: 'rise', risen: 'rise', said: 'say', sat: 'sit', saw: 'see', seen: 'see',
+  sent: 'send', spent: 'spend', spoke: 'speak', spoken: 'speak', stood: 'stand', struck: 'strike',
+  taught: 'teach', took: 'take', taken: 'take', thought: 'think', threw: 'throw', thrown: 'throw',
+  told: 'tell', understood: 'understand', won: 'win', wrote: 'write', written: 'write'
+};
+
+// Small words that may trail or lead an inflected phrase without changing what it means,
+// e.g. "circling back to" or "zeroing in on the"
+const FUNCTION_WORDS = new Set([
+  'a', 'about', 'an', 'for', 'on', 'the', 'this', 'that', 'to', 'with'
+]);
+
+class EnglishStemmer {
+  constructor() {
+    this.cache = new Map();
+  }
+
+  // Stem a single word; input is lowercased and apostrophes are dropped
+  stem(word) {
+    const normalized = String(word).toLowerCase().replace(/['’]/g, '');
+
+    const cached = this.cache.get(normalized);
+    if (cached !== undefined) {
+      return cached;
+    }
+
+    const stemmed = this.stemNormalized(normalized);
+    this.cache.set(normalized, stemmed);
+    return stemmed;
+  }
+
+  // Split a phrase into lowercase words on whitespace, hyphens and slashes,
+  // trimming surrounding punctuation
+  splitWords(text) {
+    return String(text)
+      .toLowerCase()
+      .split(/[\s\-–—/]+/)
+      .map(word => word.replace(/^[^a-z0-9]+|[^a-z0-9']+$/g, ''))
+      .filter(word => word.length > 0);
+  }
+
+  // Stem every word of a phrase
+  // Returns an array of stems, e.g. "low-hanging fruit" -> ["low", "hang", "fruit"]
+  stemWords(text) {
+    return this.splitWords(text).map(word => this.stem(word));
+  }
+
+  // Whether a word can be ignored around an otherwise exact inflected match
+  isFunctionWord(word) {
+    return FUNCTION_WORDS.has(String(word).toLowerCase());
+  }
+
+  // Apply the irregular table and stemming steps to a normalized word
+  stemNormalized(word) {
+    if (IRREGULAR_FORMS[word]) {
+      return this.stemNormalized(IRREGULAR_FORMS[word]);
+    }
+
+    // Short words and non-words are already as short as they get
+    if (word.length <= 2 || !/^[a-z]+$/.test(word)) {
+      return word;
+    }
+
+    let stem = this.step1a(word);
+    stem = this.step1b(stem);
+    stem = this.step1c(stem);
+    stem = this.step5(stem);
+    return stem;
+  }
+
+  // Whether the letter at index i is a consonant ("y" after a consonant counts as a vowel)
+  isConsonant(word, i) {
+    const char = word[i];
+    if ('aeiou'.includes(char)) return false;
+    if (char === 'y') return i === 0 || !this.isConsonant(word, i - 1);
+    return true;
+  }
+
+  // Porter's measure: the number of vowel-consonant sequences in the stem
+  measure(stem) {
+    let count = 0;
+    let i = 0;
+    const length = stem.length;
+
+    while (i < length && this.isConsonant(stem, i)) i++;
+    while (i < length) {
+      while (i < length && !this.isConsonant(stem, i)) i++;
+      if (i >= length) break;
+      while (i < length && this.isConsonant(stem, i)) i++;
+      count++;
+    }
+
+    return count;
+  }
+
+  // Whether the stem contains a vowel
+  hasVowel(stem) {
+    for (let i = 0; i < stem.length; i++) {
+      if (!this.isConsonant(stem, i)) return true;
+    }
+    return false;
+  }
+
+  // Whether the stem ends in a double consonant such as "tt"
+  endsWithDoubleConsonant(stem) {
+    const length = stem.length;
+    return length >= 2 && stem[length - 1] === stem[length - 2] && this.isConsonant(stem, length - 1);
+  }
+
+  // Whether the stem ends consonant-vowel-consonant, the last not w, x or y ("hop", not "snow")
+  endsWithCvc(stem) {
+    const length = stem.length;
+    return length >= 3 &&
+      this.isConsonant(stem, length - 3) &&
+      !this.isConsonant(stem, length - 2) &&
+      this.isConsonant(stem, length - 1) &&
+      !'wxy'.includes(stem[length - 1]);
+  }
+
+  // Plurals: "strategies" -> "strategi", "wins" -> "win"
+  step1a(word) {
+    if (word.endsWith('sses')) return word.slice(0, -2);
+    if (word.endsWith('ies')) return word.slice(0, -2);
+    if (word.endsWith('ss')) return word;
+    if (word.endsWith('us') || word.endsWith('is')) return word;
+    if (word.endsWith('s')) return word.slice(0, -1);
+    return word;
+  }
+
+  // Past tenses and -ing forms: "pivoted" -> "pivot", "leveraging" -> "leverag"
+  step1b(word) {
+    if (word.endsWith('eed')) {
+      return this.measure(word.slice(0, -3)) > 0 ? word.slice(0, -1) : word;
+    }
+
+    let stem = null;
+    if (word.endsWith('ed') && this.hasVowel(word.slice(0, -2))) {
+      stem = word.slice(0, -2);
+    } else if (word.endsWith('ing') && this.hasVowel(word.slice(0, -3))) {
+      stem = word.slice(0, -3);
+    }
+
+    if (stem === null) {
+      return word;
+    }
+
+    // Put back what the suffix took away: "optimiz" -> "optimize", "hopp" -> "hop"
+    if (stem.endsWith('at') || stem.endsWith('bl') || stem.endsWith('iz')) {
+      return stem + 'e';
+    }
+    if (this.endsWithDoubleConsonant(stem) && !'lsz'.includes(stem[stem.length - 1])) {
+      return stem.slice(0, -1);
+    }
+    if (this.measure(stem) === 1 && this.endsWithCvc(stem)) {
+      return stem + 'e';
+    }
+    return stem;
+  }
+
+  // Terminal y: "synergy" -> "synergi", so it meets "synergies"
+  step1c(word) {
+    if (word.endsWith('y') && this.hasVowel(word.slice(0, -1))) {
+      return word.slice(0, -1) + 'i';
+    }
+    return word;
+  }
+
+  // Final -e and double l: "circle" -> "circl", so it meets "circling"
+  step5(word) {
+    if (word.endsWith('e')) {
+      const stem = word.slice(0, -1);
+      const measure = this.measure(stem);
+      if (measure > 1 || (measure === 1 && !this.endsWithCvc(stem))) {
+        return stem;
+      }
+    }
+
+    if (word.endsWith('ll') && this.measure(word) > 1) {
+      return word.slice(0, -1);
+    }
+
+    return word;
+  }
+}
+
+// Export the stemmer for use in Node scripts and the browser
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = EnglishStemmer;
+} else if (typeof window !== 'undefined') {
+  window.EnglishStemmer = EnglishStemmer;
+}
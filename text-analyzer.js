@@ -0,0 +1,186 @@
+// Corporate Buzzword Translator - Text Analysis
+// Scans running text for dictionary phrases and keywords and reports where each one occurs
+
+// Common words that are never annotated on their own as keyword matches
+const ANALYZER_STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'for', 'from', 'has', 'have',
+  'i', 'if', 'in', 'into', 'is', 'it', 'its', 'me', 'my', 'no', 'not', 'of', 'on', 'or',
+  'our', 'out', 'so', 'that', 'the', 'their', 'them', 'then', 'there', 'these', 'they',
+  'this', 'to', 'up', 'us', 'was', 'we', 'were', 'what', 'when', 'which', 'who', 'will',
+  'with', 'you', 'your'
+]);
+
+// options.maxTextLength: longest text accepted by analyze (default 20000)
+// options.stemmer: optional EnglishStemmer, so "circling back" in text finds "circle back"
+class BuzzwordTextAnalyzer {
+  constructor(buzzwords, options = {}) {
+    if (!buzzwords || !Array.isArray(buzzwords)) {
+      throw new Error('Invalid buzzwords database provided to text analyzer');
+    }
+
+    this.maxTextLength = options.maxTextLength || 20000;
+    this.stemmer = options.stemmer || null;
+    this.buildIndex(buzzwords);
+  }
+
+  // Build phrase and keyword lookup tables keyed by token match key (see matchKey)
+  buildIndex(buzzwords) {
+    this.phrasesByFirstToken = new Map();
+    this.entriesByKeyword = new Map();
+
+    buzzwords.forEach(buzzword => {
+      if (!buzzword || typeof buzzword !== 'object' || !buzzword.phrase) {
+        return;
+      }
+
+      // Variants ("low-hanging fruit", "touching base") are found in text like the phrase itself
+      [buzzword.phrase].concat(buzzword.variants || []).forEach(phrase => {
+        const phraseTokens = this.tokenize(phrase).map(token => token.key);
+        if (phraseTokens.length > 0) {
+          const candidates = this.phrasesByFirstToken.get(phraseTokens[0]) || [];
+          candidates.push({ tokens: phraseTokens, entry: buzzword });
+          this.phrasesByFirstToken.set(phraseTokens[0], candidates);
+        }
+      });
+
+      (buzzword.keywords || []).forEach(keyword => {
+        const normalizedKeyword = String(keyword).toLowerCase();
+        if (normalizedKeyword.length < 2 || ANALYZER_STOP_WORDS.has(normalizedKeyword)) {
+          return;
+        }
+
+        const keywordKey = this.matchKey(normalizedKeyword);
+        const entries = this.entriesByKeyword.get(keywordKey) || [];
+        if (!entries.includes(buzzword)) {
+          entries.push(buzzword);
+        }
+        this.entriesByKeyword.set(keywordKey, entries);
+      });
+    });
+
+    // Longest phrases first so "circle the wagons" wins over a shorter phrase with the same start
+    this.phrasesByFirstToken.forEach(candidates => {
+      candidates.sort((a, b) => b.tokens.length - a.tokens.length);
+    });
+  }
+
+  // The form a token is looked up by: its stem when a stemmer is set, otherwise the word itself
+  matchKey(word) {
+    return this.stemmer ? this.stemmer.stem(word) : word;
+  }
+
+  // Split text into lowercase word tokens with their character offsets and match keys
+  tokenize(text) {
+    const tokens = [];
+    // Curly apostrophes are the same length as straight ones, so offsets stay valid
+    const normalized = String(text).replace(/[‘’]/g, "'");
+    const wordPattern = /[a-z0-9]+(?:'[a-z0-9]+)*/gi;
+    let match;
+
+    while ((match = wordPattern.exec(normalized)) !== null) {
+      const value = match[0].toLowerCase();
+      tokens.push({
+        value: value,
+        key: this.matchKey(value),
+        start: match.index,
+        end: match.index + match[0].length
+      });
+    }
+
+    return tokens;
+  }
+
+  // Find every phrase and keyword occurrence in the given text
+  analyze(text, options = {}) {
+    if (typeof text !== 'string') {
+      throw new Error('Invalid text provided to text analyzer');
+    }
+
+    if (text.length > this.maxTextLength) {
+      throw new RangeError(`Text is longer than ${this.maxTextLength} characters`);
+    }
+
+    const includeKeywords = options.includeKeywords !== false;
+    const tokens = this.tokenize(text);
+    const annotations = [];
+    let index = 0;
+
+    while (index < tokens.length) {
+      const phraseMatch = this.matchPhraseAt(tokens, index);
+
+      if (phraseMatch) {
+        const lastToken = tokens[index + phraseMatch.tokens.length - 1];
+        annotations.push({
+          start: tokens[index].start,
+          end: lastToken.end,
+          text: text.slice(tokens[index].start, lastToken.end),
+          kind: 'phrase',
+          entries: [phraseMatch.entry]
+        });
+        index += phraseMatch.tokens.length;
+        continue;
+      }
+
+      const keywordEntries = includeKeywords ? this.entriesByKeyword.get(tokens[index].key) : null;
+      if (keywordEntries) {
+        annotations.push({
+          start: tokens[index].start,
+          end: tokens[index].end,
+          text: text.slice(tokens[index].start, tokens[index].end),
+          kind: 'keyword',
+          entries: keywordEntries.slice()
+        });
+      }
+
+      index++;
+    }
+
+    return {
+      text: text,
+      annotations: annotations,
+      terms: this.summarizeTerms(annotations)
+    };
+  }
+
+  // Return the longest dictionary phrase that starts at the given token, if any
+  matchPhraseAt(tokens, index) {
+    const candidates = this.phrasesByFirstToken.get(tokens[index].key);
+    if (!candidates) {
+      return null;
+    }
+
+    return candidates.find(candidate =>
+      index + candidate.tokens.length <= tokens.length &&
+      candidate.tokens.every((token, offset) => tokens[index + offset].key === token)
+    ) || null;
+  }
+
+  // Collapse annotations into one summary per entry, in order of first appearance
+  summarizeTerms(annotations) {
+    const terms = new Map();
+
+    annotations.forEach(annotation => {
+      annotation.entries.forEach(entry => {
+        const term = terms.get(entry.phrase);
+        if (term) {
+          term.occurrences++;
+          // A single phrase hit outranks any number of loose keyword hits
+          if (annotation.kind === 'phrase') {
+            term.kind = 'phrase';
+          }
+        } else {
+          terms.set(entry.phrase, { entry: entry, kind: annotation.kind, occurrences: 1 });
+        }
+      });
+    });
+
+    return [...terms.values()];
+  }
+}
+
+// Export the analyzer for use in Node scripts and the browser
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = BuzzwordTextAnalyzer;
+} else if (typeof window !== 'undefined') {
+  window.BuzzwordTextAnalyzer = BuzzwordTextAnalyzer;
+}
@@ -0,0 +1,358 @@
+// Corporate Buzzword Translator - YAML Parser
+// Reads the YAML subset dictionary packs are written in, with no dependencies:
+// block mappings and sequences, flow lists and maps on one line ([a, b], {a: 1}),
+// quoted and plain scalars, literal (|) and folded (>) block text, and # comments.
+// Anchors, tags, multi-document files and multi-line flow collections are not supported.
+
+class YamlParser {
+  // Parse YAML text into plain objects, arrays and scalars
+  // Throws an Error naming the line when the text is outside the supported subset
+  parse(text) {
+    if (typeof text !== 'string') {
+      throw new Error('Invalid text provided to YAML parser');
+    }
+
+    this.lines = text.replace(/^\uFEFF/, '').split(/\r?\n/);
+    this.position = 0;
+
+    // A leading document marker is allowed; anything after a second one is not
+    this.skipIgnorable();
+    if (this.position < this.lines.length && /^---\s*(#.*)?$/.test(this.lines[this.position])) {
+      this.position++;
+    }
+
+    const line = this.peek();
+    if (!line) {
+      return null;
+    }
+
+    const value = line.indent === 0 && !this.isSequenceItem(line.text) && !this.keyValue(line.text)
+      ? this.parseScalarDocument(line)
+      : this.parseBlock(line.indent);
+
+    const rest = this.peek();
+    if (rest) {
+      throw this.error(rest.number, /^---/.test(rest.text)
+        ? 'only one document per file is supported'
+        : `unexpected "${rest.text}"; lists and mappings cannot be mixed at one level`);
+    }
+
+    return value;
+  }
+
+  // A document that is a single value, e.g. a flow list
+  parseScalarDocument(line) {
+    this.position = line.number;
+    return this.parseInline(line.text, line.number);
+  }
+
+  // Skip blank lines and whole-line comments
+  skipIgnorable() {
+    while (this.position < this.lines.length && /^\s*(#.*)?$/.test(this.lines[this.position])) {
+      this.position++;
+    }
+  }
+
+  // The next meaningful line as { indent, text, number } (number is 1-based), or null
+  peek() {
+    this.skipIgnorable();
+    if (this.position >= this.lines.length) {
+      return null;
+    }
+
+    const raw = this.lines[this.position];
+    const indentation = raw.match(/^[ \t]*/)[0];
+    if (indentation.includes('\t')) {
+      throw this.error(this.position + 1, 'tabs cannot be used for indentation');
+    }
+
+    return { indent: indentation.length, text: raw.slice(indentation.length).trimEnd(), number: this.position + 1 };
+  }
+
+  // A mapping or sequence whose lines start at this indent
+  parseBlock(indent) {
+    const line = this.peek();
+    return this.isSequenceItem(line.text) ? this.parseSequence(indent) : this.parseMapping(indent);
+  }
+
+  isSequenceItem(text) {
+    return text === '-' || text.startsWith('- ');
+  }
+
+  // Split "key: value" into [key, rest], or null when the text is not a mapping entry
+  keyValue(text) {
+    const match = text.match(/^("(?:[^"\\]|\\.)*"|'(?:[^']|'')*'|[^\s#'"\[\]{},][^#]*?)\s*:(?:\s+(.*))?$/);
+    if (!match) {
+      return null;
+    }
+
+    const key = /^["']/.test(match[1]) ? this.parseQuoted(match[1], 0).value : match[1];
+    return [key, match[2] === undefined ? '' : match[2].trim()];
+  }
+
+  parseSequence(indent) {
+    const items = [];
+
+    let line = this.peek();
+    while (line && line.indent === indent && this.isSequenceItem(line.text)) {
+      const rest = line.text.slice(1).trim();
+      this.position++;
+
+      if (!rest || /^#/.test(rest)) {
+        const next = this.peek();
+        items.push(next && next.indent > indent ? this.parseBlock(next.indent) : null);
+      } else if (this.keyValue(rest) && !/^[\[{"']/.test(rest)) {
+        // "- key: value" starts a mapping indented to where the key begins
+        const itemIndent = indent + line.text.indexOf(rest);
+        this.position--;
+        this.lines[this.position] = ' '.repeat(itemIndent) + rest;
+        items.push(this.parseMapping(itemIndent));
+      } else {
+        items.push(this.parseInline(rest, line.number));
+      }
+
+      line = this.peek();
+    }
+
+    if (line && line.indent > indent) {
+      throw this.error(line.number, 'unexpected indentation');
+    }
+    return items;
+  }
+
+  parseMapping(indent) {
+    const mapping = {};
+
+    let line = this.peek();
+    while (line && line.indent === indent && !this.isSequenceItem(line.text)) {
+      const entry = this.keyValue(line.text);
+      if (!entry) {
+        throw this.error(line.number, `expected "key: value" but found "${line.text}"`);
+      }
+
+      const [key, rest] = entry;
+      if (Object.prototype.hasOwnProperty.call(mapping, key)) {
+        throw this.error(line.number, `duplicate key "${key}"`);
+      }
+      this.position++;
+
+      if (/^[|>][+-]?\s*(#.*)?$/.test(rest)) {
+        mapping[key] = this.parseBlockScalar(rest, indent);
+      } else if (rest && !/^#/.test(rest)) {
+        mapping[key] = this.parseInline(rest, line.number);
+      } else {
+        // The value is on the following lines; a sequence may sit at the key's own indent
+        const next = this.peek();
+        if (next && next.indent > indent) {
+          mapping[key] = this.parseBlock(next.indent);
+        } else if (next && next.indent === indent && this.isSequenceItem(next.text)) {
+          mapping[key] = this.parseSequence(indent);
+        } else {
+          mapping[key] = null;
+        }
+      }
+
+      line = this.peek();
+    }
+
+    if (line && line.indent > indent) {
+      throw this.error(line.number, 'unexpected indentation');
+    }
+    return mapping;
+  }
+
+  // Literal (|) keeps line breaks, folded (>) joins lines with spaces; "-" drops the final
+  // line break and "+" keeps every trailing one
+  parseBlockScalar(header, parentIndent) {
+    const folded = header[0] === '>';
+    const chomping = header[1] === '-' || header[1] === '+' ? header[1] : '';
+    const collected = [];
+    let blockIndent = null;
+
+    while (this.position < this.lines.length) {
+      const raw = this.lines[this.position];
+      const indent = raw.match(/^ */)[0].length;
+
+      if (raw.trim() === '') {
+        collected.push('');
+        this.position++;
+        continue;
+      }
+      if (indent <= parentIndent) {
+        break;
+      }
+      if (blockIndent === null) {
+        blockIndent = indent;
+      }
+      if (indent < blockIndent) {
+        throw this.error(this.position + 1, 'block text is indented less than its first line');
+      }
+
+      collected.push(raw.slice(blockIndent));
+      this.position++;
+    }
+
+    // Trailing blank lines belong to chomping, not to the text
+    let trailing = 0;
+    while (collected.length > 0 && collected[collected.length - 1] === '') {
+      collected.pop();
+      trailing++;
+    }
+
+    let value = folded
+      ? collected.reduce((text, line, i) => {
+        if (i === 0) return line;
+        if (line === '') return text + '\n';
+        return text + (text.endsWith('\n') ? '' : ' ') + line;
+      }, '')
+      : collected.join('\n');
+
+    if (chomping === '+') {
+      value += '\n'.repeat(trailing + 1);
+    } else if (chomping === '' && collected.length > 0) {
+      value += '\n';
+    }
+    return value;
+  }
+
+  // A value written on the same line as its key or dash
+  parseInline(text, number) {
+    const { value, rest } = this.parseFlowValue(text, 0, number, false);
+    const trailing = text.slice(rest).trim();
+
+    if (trailing && !trailing.startsWith('#')) {
+      throw this.error(number, `unexpected "${trailing}" after value`);
+    }
+    return value;
+  }
+
+  // Parse one value starting at index; inFlow stops plain scalars at , ] and }
+  // Returns { value, rest } where rest is the index just past the value
+  parseFlowValue(text, index, number, inFlow) {
+    while (text[index] === ' ') index++;
+    const char = text[index];
+
+    if (char === '[') {
+      return this.parseFlowCollection(text, index, number, ']');
+    }
+    if (char === '{') {
+      return this.parseFlowCollection(text, index, number, '}');
+    }
+    if (char === '"' || char === "'") {
+      const quoted = this.parseQuoted(text.slice(index), number);
+      return { value: quoted.value, rest: index + quoted.length };
+    }
+
+    // Plain scalar: runs to a comment, or to the next flow separator inside [ ] and { }
+    const stop = inFlow ? /(\s#|[,\]}]|:\s)/ : /\s#/;
+    const match = text.slice(index).match(stop);
+    const end = match ? index + match.index : text.length;
+    return { value: this.plainScalar(text.slice(index, end).trim()), rest: end };
+  }
+
+  // [a, b] or {key: value, ...} on a single line
+  parseFlowCollection(text, index, number, close) {
+    const isList = close === ']';
+    const result = isList ? [] : {};
+    index++;
+
+    while (true) {
+      while (text[index] === ' ') index++;
+      if (index >= text.length) {
+        throw this.error(number, `missing "${close}"; flow collections must fit on one line`);
+      }
+      if (text[index] === close) {
+        return { value: result, rest: index + 1 };
+      }
+
+      if (isList) {
+        const item = this.parseFlowValue(text, index, number, true);
+        result.push(item.value);
+        index = item.rest;
+      } else {
+        const key = this.parseFlowValue(text, index, number, true);
+        index = key.rest;
+        while (text[index] === ' ') index++;
+        if (text[index] !== ':') {
+          throw this.error(number, `expected ":" after key "${key.value}"`);
+        }
+        const item = this.parseFlowValue(text, index + 1, number, true);
+        result[String(key.value)] = item.value;
+        index = item.rest;
+      }
+
+      while (text[index] === ' ') index++;
+      if (index >= text.length) {
+        throw this.error(number, `missing "${close}"; flow collections must fit on one line`);
+      }
+      if (text[index] === ',') {
+        index++;
+      } else if (text[index] !== close) {
+        throw this.error(number, `expected "," or "${close}"`);
+      }
+    }
+  }
+
+  // A "double" or 'single' quoted string at the start of text
+  // Returns { value, length } where length counts both quotes
+  parseQuoted(text, number) {
+    const quote = text[0];
+    let value = '';
+    let i = 1;
+
+    while (i < text.length) {
+      const char = text[i];
+
+      if (quote === "'" && char === "'") {
+        if (text[i + 1] === "'") {
+          value += "'";
+          i += 2;
+          continue;
+        }
+        return { value: value, length: i + 1 };
+      }
+
+      if (quote === '"' && char === '\\') {
+        const escapes = { n: '\n', t: '\t', '"': '"', '\\': '\\', '/': '/', r: '\r', '0': '\0' };
+        const next = text[i + 1];
+        if (next === 'u') {
+          value += String.fromCharCode(parseInt(text.slice(i + 2, i + 6), 16));
+          i += 6;
+        } else {
+          value += escapes[next] !== undefined ? escapes[next] : next;
+          i += 2;
+        }
+        continue;
+      }
+
+      if (quote === '"' && char === '"') {
+        return { value: value, length: i + 1 };
+      }
+
+      value += char;
+      i++;
+    }
+
+    throw this.error(number, 'unterminated quoted string');
+  }
+
+  // Booleans, null and numbers; everything else stays a string
+  plainScalar(text) {
+    if (text === '' || text === '~' || text === 'null') return null;
+    if (text === 'true') return true;
+    if (text === 'false') return false;
+    if (/^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/.test(text)) return Number(text);
+    return text;
+  }
+
+  error(number, message) {
+    return new Error(`YAML line ${number}: ${message}`);
+  }
+}
+
+// Export the parser for use in Node scripts and the browser
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = YamlParser;
+} else if (typeof window !== 'undefined') {
+  window.YamlParser = YamlParser;
+}